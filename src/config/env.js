@@ -29,6 +29,17 @@ export const env = {
   FRONTEND_URL: process.env.FRONTEND_URL || 'http://localhost:5173',
 
   MINDEE_API_KEY: process.env.MINDEE_API_KEY,
+  OCR_PROVIDER: process.env.OCR_PROVIDER, // 'mindee' | 'fake' (defaults to mindee when MINDEE_API_KEY is set)
+  OCR_FAKE_AMOUNT: process.env.OCR_FAKE_AMOUNT,
+
+  // Voice note transcription
+  OPENAI_API_KEY: process.env.OPENAI_API_KEY,
+  TRANSCRIPTION_PROVIDER: process.env.TRANSCRIPTION_PROVIDER, // 'openai' | 'stub' (defaults to openai when OPENAI_API_KEY is set)
+  TRANSCRIPTION_STUB_TEXT: process.env.TRANSCRIPTION_STUB_TEXT,
+
+  // RD Station (override to point the connector at a local mock)
+  RDSTATION_API_URL: process.env.RDSTATION_API_URL || 'https://api.rd.services',
+
   STRIPE_SECRET_KEY: process.env.STRIPE_SECRET_KEY,
   STRIPE_WEBHOOK_SECRET: process.env.STRIPE_WEBHOOK_SECRET,
   CURRENCY: (process.env.CURRENCY || 'BRL').toLowerCase(),
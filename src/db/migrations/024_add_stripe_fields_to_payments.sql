@@ -0,0 +1,22 @@
+-- Add Stripe checkout fields to payments table
+-- Payments are created per appointment and settled through Stripe webhooks
+
+ALTER TABLE payments
+ADD COLUMN IF NOT EXISTS description TEXT,
+ADD COLUMN IF NOT EXISTS stripe_checkout_session_id TEXT,
+ADD COLUMN IF NOT EXISTS payment_link_url TEXT,
+ADD COLUMN IF NOT EXISTS refunded_amount NUMERIC(10,2),
+ADD COLUMN IF NOT EXISTS paid_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS refunded_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_payments_owner ON payments(owner_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_payments_appointment ON payments(appointment_id);
+CREATE INDEX IF NOT EXISTS idx_payments_lead ON payments(lead_id);
+CREATE INDEX IF NOT EXISTS idx_payments_status ON payments(status);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payments_stripe_payment_intent ON payments(stripe_payment_intent_id) WHERE stripe_payment_intent_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payments_stripe_checkout_session ON payments(stripe_checkout_session_id) WHERE stripe_checkout_session_id IS NOT NULL;
+
+COMMENT ON COLUMN payments.description IS 'Human readable description shown to the payer (consultation / treatment name)';
+COMMENT ON COLUMN payments.stripe_checkout_session_id IS 'Stripe Checkout Session backing the payment link';
+COMMENT ON COLUMN payments.payment_link_url IS 'Hosted payment URL sent to the lead';
+COMMENT ON COLUMN payments.refunded_amount IS 'Total amount refunded through Stripe';
@@ -0,0 +1,24 @@
+-- Add Pix charge support
+-- Owners configure the Pix key used to receive payments; each Pix charge stores
+-- the generated BR Code ("copia e cola") with the Pix discount already applied
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS pix_key TEXT,
+ADD COLUMN IF NOT EXISTS pix_merchant_name TEXT,
+ADD COLUMN IF NOT EXISTS pix_merchant_city TEXT;
+
+ALTER TABLE payments
+ADD COLUMN IF NOT EXISTS base_amount NUMERIC(10,2),
+ADD COLUMN IF NOT EXISTS discount_percentage INTEGER DEFAULT 0,
+ADD COLUMN IF NOT EXISTS pix_txid TEXT,
+ADD COLUMN IF NOT EXISTS pix_payload TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_payments_pix_txid ON payments(pix_txid);
+
+COMMENT ON COLUMN users.pix_key IS 'Pix key (CPF/CNPJ, email, phone or random key) used to receive payments';
+COMMENT ON COLUMN users.pix_merchant_name IS 'Receiver name embedded in the Pix BR Code (max 25 chars)';
+COMMENT ON COLUMN users.pix_merchant_city IS 'Receiver city embedded in the Pix BR Code (max 15 chars)';
+COMMENT ON COLUMN payments.base_amount IS 'Price before any payment method discount';
+COMMENT ON COLUMN payments.discount_percentage IS 'Discount applied to base_amount (e.g. Pix discount)';
+COMMENT ON COLUMN payments.pix_txid IS 'Transaction id embedded in the Pix BR Code';
+COMMENT ON COLUMN payments.pix_payload IS 'Pix "copia e cola" BR Code payload';
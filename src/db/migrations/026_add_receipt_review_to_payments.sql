@@ -0,0 +1,24 @@
+-- Payment receipt verification
+-- Receipts sent by leads (WhatsApp image/PDF) are stored in Supabase Storage,
+-- run through OCR and either auto-verified or queued for owner review
+
+ALTER TABLE payments
+ADD COLUMN IF NOT EXISTS receipt_storage_path TEXT,
+ADD COLUMN IF NOT EXISTS receipt_mime_type TEXT,
+ADD COLUMN IF NOT EXISTS receipt_wa_message_id TEXT,
+ADD COLUMN IF NOT EXISTS ocr_provider TEXT,
+ADD COLUMN IF NOT EXISTS review_status TEXT DEFAULT 'not_required' CHECK (review_status IN ('not_required', 'needs_review', 'approved', 'rejected')),
+ADD COLUMN IF NOT EXISTS review_reason TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_payments_review_status ON payments(owner_id, review_status);
+
+COMMENT ON COLUMN payments.receipt_storage_path IS 'Path of the receipt file in the payment-receipts storage bucket';
+COMMENT ON COLUMN payments.receipt_wa_message_id IS 'WhatsApp message that carried the receipt';
+COMMENT ON COLUMN payments.ocr_provider IS 'OCR provider used to read the receipt (mindee, fake...)';
+COMMENT ON COLUMN payments.review_status IS 'Owner review state: not_required, needs_review, approved, rejected';
+COMMENT ON COLUMN payments.review_reason IS 'Why the receipt needs review (amount_mismatch, amount_not_detected, ocr_failed)';
+
+-- Private bucket for receipt files
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('payment-receipts', 'payment-receipts', false)
+ON CONFLICT (id) DO NOTHING;
@@ -0,0 +1,16 @@
+-- Store every inbound WhatsApp message type
+-- Audio, interactive replies, reactions and shared contacts get their own
+-- message_type; media files are copied to the whatsapp-media storage bucket
+
+ALTER TABLE whatsapp_messages DROP CONSTRAINT IF EXISTS whatsapp_messages_message_type_check;
+
+ALTER TABLE whatsapp_messages
+ADD CONSTRAINT whatsapp_messages_message_type_check
+CHECK (message_type IN ('text', 'button', 'template', 'media', 'location', 'audio', 'interactive', 'reaction', 'contacts', 'unsupported'));
+
+COMMENT ON COLUMN whatsapp_messages.payload IS 'Type specific data: media metadata and storage_path, location, interactive reply, reaction target, contacts';
+
+-- Private bucket for inbound media files
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('whatsapp-media', 'whatsapp-media', false)
+ON CONFLICT (id) DO NOTHING;
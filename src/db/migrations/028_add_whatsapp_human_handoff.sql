@@ -0,0 +1,18 @@
+-- Human handoff for WhatsApp chats
+-- While a chat is in 'pending_handoff' inbound messages are stored but not
+-- forwarded to Retell, and operators reply from the dashboard as sender 'human'
+
+ALTER TABLE whatsapp_messages DROP CONSTRAINT IF EXISTS whatsapp_messages_sender_check;
+
+ALTER TABLE whatsapp_messages
+ADD CONSTRAINT whatsapp_messages_sender_check
+CHECK (sender IN ('user', 'agent', 'system', 'human'));
+
+ALTER TABLE whatsapp_chats
+ADD COLUMN IF NOT EXISTS handoff_reason TEXT,
+ADD COLUMN IF NOT EXISTS handoff_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS handoff_by UUID REFERENCES users(id) ON DELETE SET NULL;
+
+COMMENT ON COLUMN whatsapp_chats.handoff_reason IS 'Why the chat went to a human: owner_takeover, patient_requested, agent_requested';
+COMMENT ON COLUMN whatsapp_chats.handoff_at IS 'When the current human handoff started';
+COMMENT ON COLUMN whatsapp_chats.handoff_by IS 'Owner user who took over the chat (null for automatic escalation)';
@@ -0,0 +1,18 @@
+-- Owner inbox for WhatsApp conversations
+-- Tracks when the owner last read each chat (for unread counts) and adds
+-- indexes for inbox ordering, cursor pagination and message search
+
+ALTER TABLE whatsapp_chats
+ADD COLUMN IF NOT EXISTS owner_last_read_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_whatsapp_chats_owner_inbox
+  ON whatsapp_chats(owner_id, last_message_at DESC NULLS LAST, id DESC);
+
+CREATE INDEX IF NOT EXISTS idx_whatsapp_messages_chat_inbound
+  ON whatsapp_messages(chat_id, created_at DESC)
+  WHERE direction = 'inbound';
+
+CREATE INDEX IF NOT EXISTS idx_whatsapp_messages_body_fts
+  ON whatsapp_messages USING GIN (to_tsvector('portuguese', body));
+
+COMMENT ON COLUMN whatsapp_chats.owner_last_read_at IS 'Last time the owner read this conversation in the inbox; inbound messages after it are unread';
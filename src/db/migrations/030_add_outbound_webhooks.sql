@@ -0,0 +1,52 @@
+-- Outbound webhooks
+-- Owners subscribe a URL to lead/appointment/call/chat events. Each event
+-- produces one delivery per matching subscription, signed with the
+-- subscription secret and retried with backoff by the scheduler.
+
+CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  owner_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  url TEXT NOT NULL,
+  secret TEXT NOT NULL,
+  event_types TEXT[] NOT NULL DEFAULT '{}',
+  description TEXT,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_subscriptions_owner
+  ON webhook_subscriptions(owner_id)
+  WHERE is_active = true;
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  subscription_id UUID NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+  owner_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  event_type TEXT NOT NULL,
+  payload JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'succeeded', 'failed')),
+  attempt_count INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMPTZ DEFAULT now(),
+  last_attempt_at TIMESTAMPTZ,
+  response_status INTEGER,
+  response_body TEXT,
+  error TEXT,
+  delivered_at TIMESTAMPTZ,
+  redelivery_of UUID REFERENCES webhook_deliveries(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due
+  ON webhook_deliveries(next_attempt_at)
+  WHERE status = 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription
+  ON webhook_deliveries(subscription_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_owner
+  ON webhook_deliveries(owner_id, created_at DESC);
+
+COMMENT ON COLUMN webhook_subscriptions.secret IS 'HMAC-SHA256 key used to sign deliveries (X-Webhook-Signature header)';
+COMMENT ON COLUMN webhook_subscriptions.event_types IS 'Subscribed event types, e.g. lead.created, call.analyzed, appointment.booked; ''*'' matches every event';
+COMMENT ON COLUMN webhook_deliveries.redelivery_of IS 'Original delivery when this row was created by a manual redelivery';
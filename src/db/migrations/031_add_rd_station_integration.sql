@@ -0,0 +1,37 @@
+-- RD Station Marketing integration (per owner)
+-- Call outcomes and appointments are pushed back to RD Station as conversion
+-- events; with OAuth credentials the contact's lifecycle stage is updated too.
+
+CREATE TABLE IF NOT EXISTS rd_station_integrations (
+  owner_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+
+  -- Public API key: enough for conversion events
+  api_key TEXT,
+
+  -- OAuth app credentials: required for contact/lifecycle updates
+  client_id TEXT,
+  client_secret TEXT,
+  refresh_token TEXT,
+  access_token TEXT,
+  access_token_expires_at TIMESTAMPTZ,
+
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  sync_call_outcomes BOOLEAN NOT NULL DEFAULT true,
+  sync_appointments BOOLEAN NOT NULL DEFAULT true,
+
+  -- Conversion identifiers and custom fields (cf_*) written on the contact
+  conversion_prefix TEXT NOT NULL DEFAULT 'geniumed',
+  appointment_date_field TEXT NOT NULL DEFAULT 'cf_data_consulta',
+  disposition_field TEXT NOT NULL DEFAULT 'cf_resultado_ligacao',
+  lifecycle_stage_on_booking TEXT DEFAULT 'Qualified Lead'
+    CHECK (lifecycle_stage_on_booking IS NULL OR lifecycle_stage_on_booking IN ('Lead', 'Qualified Lead', 'Client')),
+
+  last_synced_at TIMESTAMPTZ,
+  last_error TEXT,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now()
+);
+
+COMMENT ON COLUMN rd_station_integrations.api_key IS 'RD Station public token used for /platform/conversions';
+COMMENT ON COLUMN rd_station_integrations.refresh_token IS 'OAuth refresh token; access_token is refreshed from it when expired';
+COMMENT ON COLUMN rd_station_integrations.lifecycle_stage_on_booking IS 'Lifecycle stage set when an appointment is booked (NULL keeps the current stage)';
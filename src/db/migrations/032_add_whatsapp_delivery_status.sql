@@ -0,0 +1,29 @@
+-- WhatsApp delivery statuses
+-- Stores the sent/delivered/read/failed callbacks from the WhatsApp Cloud API
+-- on outbound messages and appointment confirmations, and records when a
+-- failed template send triggered the lead's fallback channel.
+
+ALTER TABLE whatsapp_messages
+ADD COLUMN IF NOT EXISTS delivery_status TEXT
+  CHECK (delivery_status IS NULL OR delivery_status IN ('sent', 'delivered', 'read', 'failed')),
+ADD COLUMN IF NOT EXISTS sent_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS delivered_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS read_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS failed_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS delivery_error JSONB,
+ADD COLUMN IF NOT EXISTS fallback_channel TEXT,
+ADD COLUMN IF NOT EXISTS fallback_triggered_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_whatsapp_messages_wa_message_id
+  ON whatsapp_messages(wa_message_id)
+  WHERE wa_message_id IS NOT NULL;
+
+ALTER TABLE appointments
+ADD COLUMN IF NOT EXISTS whatsapp_confirmation_status TEXT
+  CHECK (whatsapp_confirmation_status IS NULL OR whatsapp_confirmation_status IN ('sent', 'delivered', 'read', 'failed')),
+ADD COLUMN IF NOT EXISTS whatsapp_confirmation_status_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS whatsapp_confirmation_error JSONB;
+
+COMMENT ON COLUMN whatsapp_messages.delivery_status IS 'Latest WhatsApp delivery status (never downgraded: read > delivered > sent; failed always wins)';
+COMMENT ON COLUMN whatsapp_messages.delivery_error IS 'First error reported by WhatsApp for a failed message: { code, title, message, details }';
+COMMENT ON COLUMN whatsapp_messages.fallback_channel IS 'Channel used after this template failed to deliver (call, sms or none)';
@@ -0,0 +1,32 @@
+-- Automated appointment reminders
+-- Owners configure how long before an appointment reminders go out
+-- (default 24h and 2h). Every send is logged once per appointment/offset,
+-- which keeps the scheduler idempotent across runs and restarts.
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS reminders_enabled BOOLEAN NOT NULL DEFAULT true,
+ADD COLUMN IF NOT EXISTS reminder_offsets_minutes INTEGER[] NOT NULL DEFAULT '{1440,120}';
+
+CREATE TABLE IF NOT EXISTS appointment_reminders (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  appointment_id UUID NOT NULL REFERENCES appointments(id) ON DELETE CASCADE,
+  owner_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  offset_minutes INTEGER NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'failed', 'skipped')),
+  wa_message_id TEXT,
+  error TEXT,
+  sent_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  UNIQUE (appointment_id, offset_minutes)
+);
+
+CREATE INDEX IF NOT EXISTS idx_appointment_reminders_wa_message_id
+  ON appointment_reminders(wa_message_id)
+  WHERE wa_message_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_appointments_scheduled_start
+  ON appointments(start_at)
+  WHERE status = 'scheduled';
+
+COMMENT ON COLUMN users.reminder_offsets_minutes IS 'Minutes before start_at when WhatsApp reminders are sent (e.g. {1440,120} = 24h and 2h)';
+COMMENT ON COLUMN appointment_reminders.status IS 'pending while sending; skipped when the appointment was booked inside the reminder window';
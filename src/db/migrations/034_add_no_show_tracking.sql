@@ -0,0 +1,29 @@
+-- No-show detection and re-engagement
+-- After an appointment ends the owner is asked to mark attendance (or a
+-- Google Calendar marker does it). No-shows start a WhatsApp -> call
+-- re-engagement sequence that routes the lead back into rescheduling.
+
+ALTER TABLE appointments
+ADD COLUMN IF NOT EXISTS attendance_marked_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS attendance_source TEXT CHECK (attendance_source IN ('owner', 'google_calendar')),
+ADD COLUMN IF NOT EXISTS attendance_check_sent_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS reengagement_message_id TEXT;
+
+ALTER TABLE leads
+ADD COLUMN IF NOT EXISTS no_show_count INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS no_show_reengagement_enabled BOOLEAN NOT NULL DEFAULT true,
+ADD COLUMN IF NOT EXISTS no_show_reengagement_delay_minutes INTEGER NOT NULL DEFAULT 60;
+
+CREATE INDEX IF NOT EXISTS idx_appointments_attendance_pending
+  ON appointments(end_at)
+  WHERE status IN ('scheduled', 'confirmed') AND attendance_check_sent_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_appointments_reengagement_message_id
+  ON appointments(reengagement_message_id)
+  WHERE reengagement_message_id IS NOT NULL;
+
+COMMENT ON COLUMN appointments.attendance_check_sent_at IS 'When the owner was asked to mark attendance (appointment.attendance_pending event)';
+COMMENT ON COLUMN appointments.reengagement_message_id IS 'WhatsApp message id of the no_show_reengagement template, used to route its REMARCAR button';
+COMMENT ON COLUMN users.no_show_reengagement_delay_minutes IS 'Minutes between marking a no-show and the first re-engagement message';
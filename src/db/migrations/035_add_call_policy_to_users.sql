@@ -0,0 +1,8 @@
+-- Per-owner retry and calling-window policy
+-- NULL keeps the platform defaults (Mon-Sat 08:00-20:00 São Paulo, 3 attempts,
+-- 2h between attempts, 15-25 min voicemail retry, WhatsApp after the cap).
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS call_policy JSONB;
+
+COMMENT ON COLUMN users.call_policy IS 'Outbound calling policy: {"timezone": "America/Sao_Paulo", "calling_windows": {"monday": {"enabled": true, "timeSlots": [{"start": "08:00", "end": "20:00"}]}, ...}, "max_attempts": 3, "retry_intervals_minutes": [120], "voicemail": {"action": "retry_soon", "min_minutes": 15, "max_minutes": 25}, "after_max_attempts": "whatsapp"}';
@@ -0,0 +1,19 @@
+-- Holiday calendar
+-- National holidays (including Carnaval, Sexta-feira Santa and Corpus Christi)
+-- are computed in code. Owners add the state and city holidays that apply to
+-- their clinic here; outbound calls and slot suggestions skip all of them.
+
+CREATE TABLE IF NOT EXISTS owner_holidays (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  owner_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  holiday_date DATE NOT NULL,
+  name TEXT NOT NULL,
+  scope TEXT NOT NULL DEFAULT 'city' CHECK (scope IN ('state', 'city', 'clinic')),
+  recurring BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  UNIQUE (owner_id, holiday_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_owner_holidays_owner ON owner_holidays(owner_id);
+
+COMMENT ON COLUMN owner_holidays.recurring IS 'When true the holiday repeats every year on the same day and month (e.g. 25/01 aniversário de São Paulo)';
@@ -0,0 +1,12 @@
+-- Per doctor / per treatment booking rules, enforced when offering slots and when booking
+-- NULL keeps the defaults (no buffers, 60 min notice, 60 day horizon, no daily cap,
+-- start times every consultation length)
+
+ALTER TABLE doctors
+ADD COLUMN IF NOT EXISTS booking_rules JSONB;
+
+ALTER TABLE treatments
+ADD COLUMN IF NOT EXISTS booking_rules JSONB;
+
+COMMENT ON COLUMN doctors.booking_rules IS 'Booking rules: {"buffer_before_minutes": 0, "buffer_after_minutes": 15, "min_notice_minutes": 240, "horizon_days": 60, "max_per_day": 8, "slot_interval_minutes": 30}';
+COMMENT ON COLUMN treatments.booking_rules IS 'Booking rules: {"buffer_before_minutes": 0, "buffer_after_minutes": 15, "min_notice_minutes": 240, "horizon_days": 60, "max_per_day": 8, "slot_interval_minutes": 30}';
@@ -0,0 +1,90 @@
+-- Slot holds and double-booking protection
+-- Slots an agent offers are held for the lead for a short time so another
+-- conversation can't offer or book them meanwhile. Holds end when the lead
+-- books (booked), a newer offer replaces them (released) or they run out (expired).
+--
+-- Doctors are booked on their own calendar; treatments share the owner's
+-- calendar, so both constraints compare the doctor id or the owner id.
+-- Buffers are enforced by the app, the database only rejects overlapping times.
+
+CREATE EXTENSION IF NOT EXISTS btree_gist;
+
+CREATE TABLE IF NOT EXISTS slot_holds (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  owner_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  resource_type TEXT NOT NULL CHECK (resource_type IN ('doctor', 'treatment', 'user')),
+  resource_id UUID NOT NULL,
+  lead_id UUID REFERENCES leads(id) ON DELETE CASCADE,
+  start_at TIMESTAMPTZ NOT NULL,
+  end_at TIMESTAMPTZ NOT NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  source TEXT NOT NULL, -- 'earlier_appointment_offer', 'check_availability', 'chat', 'dashboard'
+  status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'booked', 'released', 'expired')),
+  appointment_id UUID REFERENCES appointments(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now(),
+  CHECK (end_at > start_at),
+  CONSTRAINT slot_holds_no_overlap EXCLUDE USING gist (
+    (CASE WHEN resource_type = 'doctor' THEN resource_id ELSE owner_id END) WITH =,
+    tstzrange(start_at, end_at) WITH &&
+  ) WHERE (status = 'active')
+);
+
+CREATE INDEX IF NOT EXISTS idx_slot_holds_active ON slot_holds(owner_id, expires_at) WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS idx_slot_holds_lead ON slot_holds(lead_id) WHERE status = 'active';
+
+DROP TRIGGER IF EXISTS touch_slot_holds_updated_at ON slot_holds;
+CREATE TRIGGER touch_slot_holds_updated_at
+BEFORE UPDATE ON slot_holds FOR EACH ROW EXECUTE PROCEDURE trg_touch_updated_at();
+
+-- Appointments that already overlap would make adding the constraint fail.
+-- Going through them oldest booking first, each one overlapping an earlier
+-- booking still standing is cancelled (and noted) so the earlier one keeps its time.
+DO $$
+DECLARE
+  apt RECORD;
+  cancelled_count INTEGER := 0;
+BEGIN
+  IF EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'appointments_no_overlap') THEN
+    RETURN;
+  END IF;
+
+  FOR apt IN
+    SELECT id, created_at, start_at, end_at,
+      CASE WHEN resource_type = 'doctor' THEN resource_id ELSE owner_id END AS calendar_id
+    FROM appointments
+    WHERE status IN ('scheduled', 'confirmed') AND start_at IS NOT NULL AND end_at > start_at
+    ORDER BY created_at, id
+  LOOP
+    UPDATE appointments
+    SET status = 'cancelled',
+        notes = concat_ws(E'\n', notes, 'Cancelled by migration 038: overlapped an earlier booking')
+    WHERE id = apt.id
+      AND EXISTS (
+        SELECT 1 FROM appointments earlier
+        WHERE earlier.status IN ('scheduled', 'confirmed')
+          AND earlier.start_at IS NOT NULL AND earlier.end_at > earlier.start_at
+          AND (CASE WHEN earlier.resource_type = 'doctor' THEN earlier.resource_id ELSE earlier.owner_id END) = apt.calendar_id
+          AND tstzrange(earlier.start_at, earlier.end_at) && tstzrange(apt.start_at, apt.end_at)
+          AND (earlier.created_at, earlier.id) < (apt.created_at, apt.id)
+      );
+
+    IF FOUND THEN
+      cancelled_count := cancelled_count + 1;
+      RAISE NOTICE 'Cancelled overlapping appointment %', apt.id;
+    END IF;
+  END LOOP;
+
+  IF cancelled_count > 0 THEN
+    RAISE NOTICE 'Cancelled % overlapping appointments', cancelled_count;
+  END IF;
+
+  ALTER TABLE appointments
+  ADD CONSTRAINT appointments_no_overlap EXCLUDE USING gist (
+    (CASE WHEN resource_type = 'doctor' THEN resource_id ELSE owner_id END) WITH =,
+    tstzrange(start_at, end_at) WITH &&
+  ) WHERE (status IN ('scheduled', 'confirmed') AND start_at IS NOT NULL AND end_at > start_at);
+END $$;
+
+COMMENT ON TABLE slot_holds IS 'Short-lived holds on offered slots; active holds of other leads count as busy';
+COMMENT ON CONSTRAINT appointments_no_overlap ON appointments IS 'Rejects (SQLSTATE 23P01) a scheduled/confirmed appointment overlapping another on the same doctor or owner calendar';
@@ -0,0 +1,37 @@
+-- Waitlist per doctor / treatment
+-- Leads who want an earlier date (the scarcity flow's suggested_date, or an
+-- explicit request) wait here. When an appointment is cancelled, the freed
+-- slot is held and offered to the first waiting leads through the
+-- earlier_appointment_offer template; the first to book it gets it.
+
+CREATE TABLE IF NOT EXISTS waitlist_entries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  owner_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  lead_id UUID NOT NULL REFERENCES leads(id) ON DELETE CASCADE,
+  resource_type TEXT NOT NULL CHECK (resource_type IN ('doctor', 'treatment')),
+  resource_id UUID NOT NULL,
+  wanted_before DATE, -- the lead wants a slot before this date; NULL takes any slot
+  source TEXT NOT NULL DEFAULT 'request' CHECK (source IN ('scarcity', 'request', 'dashboard')),
+  status TEXT NOT NULL DEFAULT 'waiting' CHECK (status IN ('waiting', 'offered', 'booked', 'removed')),
+  offered_hold_id UUID REFERENCES slot_holds(id) ON DELETE SET NULL,
+  offered_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now()
+);
+
+-- One open entry per lead and resource
+CREATE UNIQUE INDEX IF NOT EXISTS idx_waitlist_entries_open
+  ON waitlist_entries(lead_id, resource_type, resource_id)
+  WHERE status IN ('waiting', 'offered');
+CREATE INDEX IF NOT EXISTS idx_waitlist_entries_queue
+  ON waitlist_entries(resource_type, resource_id, created_at)
+  WHERE status = 'waiting';
+
+CREATE TRIGGER touch_waitlist_entries_updated_at
+BEFORE UPDATE ON waitlist_entries FOR EACH ROW EXECUTE PROCEDURE trg_touch_updated_at();
+
+-- A freed slot is held once for every lead it is offered to
+ALTER TABLE slot_holds
+ADD COLUMN IF NOT EXISTS offered_to UUID[];
+
+COMMENT ON COLUMN slot_holds.offered_to IS 'Leads a shared hold (lead_id NULL) is offered to; any of them may book it';
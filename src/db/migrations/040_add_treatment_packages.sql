@@ -0,0 +1,35 @@
+-- Treatment packages
+-- A package purchase gives a client a number of sessions of one treatment.
+-- Its sessions are ordinary appointments linked by package_id and numbered
+-- by session_number, so each keeps its own status (scheduled, confirmed,
+-- completed, no_show, cancelled). Completed and no-show sessions are used up;
+-- cancelled ones go back to the package.
+
+CREATE TABLE IF NOT EXISTS treatment_packages (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  owner_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  lead_id UUID NOT NULL REFERENCES leads(id) ON DELETE CASCADE,
+  treatment_id UUID NOT NULL REFERENCES treatments(id) ON DELETE CASCADE,
+  sessions_total INTEGER NOT NULL CHECK (sessions_total > 0),
+  price NUMERIC(10,2),
+  status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'completed', 'cancelled')),
+  source TEXT NOT NULL DEFAULT 'dashboard', -- 'dashboard', 'chat'
+  purchased_at TIMESTAMPTZ DEFAULT now(),
+  notes TEXT,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_treatment_packages_lead ON treatment_packages(lead_id, status);
+CREATE INDEX IF NOT EXISTS idx_treatment_packages_owner ON treatment_packages(owner_id, created_at DESC);
+
+CREATE TRIGGER touch_treatment_packages_updated_at
+BEFORE UPDATE ON treatment_packages FOR EACH ROW EXECUTE PROCEDURE trg_touch_updated_at();
+
+ALTER TABLE appointments
+ADD COLUMN IF NOT EXISTS package_id UUID REFERENCES treatment_packages(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS session_number INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_appointments_package ON appointments(package_id) WHERE package_id IS NOT NULL;
+
+COMMENT ON COLUMN appointments.session_number IS 'Position of the session in its package (1 = first session)';
@@ -0,0 +1,12 @@
+-- Return consultations
+-- A consultation booked within the doctor's return_policy_days of the
+-- patient's last completed consultation with them is a return:
+-- appointment_type 'follow_up', priced at return_consultation_price (free when
+-- unset). follow_up_of points at that consultation so each one gives a single return.
+
+ALTER TABLE appointments
+ADD COLUMN IF NOT EXISTS follow_up_of UUID REFERENCES appointments(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_appointments_follow_up_of ON appointments(follow_up_of) WHERE follow_up_of IS NOT NULL;
+
+COMMENT ON COLUMN appointments.follow_up_of IS 'Consultation this return (appointment_type follow_up) belongs to';
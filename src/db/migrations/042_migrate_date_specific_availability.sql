@@ -0,0 +1,71 @@
+-- Availability exceptions
+-- date_specific_availability entries (doctors and beauty clinic owners) now
+-- cover a date, a date range (end_date) or an RRULE-style recurrence, with
+-- windows of hours:
+--   {"id": "...", "type": "unavailable", "start_date": "2025-01-06", "end_date": "2025-01-19", "reason": "Férias"}
+--   {"id": "...", "type": "unavailable", "start_date": "2025-01-10", "recurrence": {"freq": "weekly", "interval": 2, "by_day": ["FR"]}}
+--   {"id": "...", "type": "blocked", "start_date": "2025-01-08", "windows": [{"start": "12:00", "end": "14:00"}]}
+--   {"id": "...", "type": "extra_hours", "start_date": "2025-01-11", "windows": [{"start": "08:00", "end": "12:00"}]}
+-- type: 'unavailable', 'modified_hours' (replaces the day's hours),
+-- 'extra_hours' (adds to them), 'blocked' (takes hours out).
+-- This rewrites the old single-date entries (slash dates are MM/DD/YYYY):
+--   {"date", "type": "unavailable"} -> start_date
+--   {"date", "type": "modified_hours", "start", "end"} -> windows [{start, end}]
+--   {"date", "type": "available", "timeSlots"} -> type 'modified_hours', windows timeSlots
+
+CREATE OR REPLACE FUNCTION migrate_availability_exception(entry JSONB)
+RETURNS JSONB AS $$
+DECLARE
+  entry_date TEXT := entry->>'date';
+  date_parts TEXT[];
+BEGIN
+  IF entry ? 'start_date' OR entry_date IS NULL THEN
+    RETURN entry;
+  END IF;
+
+  -- Slash dates were written by the dashboard as MM/DD/YYYY
+  date_parts := regexp_match(entry_date, '^(\d{1,2})/(\d{1,2})/(\d{4})$');
+  IF date_parts IS NOT NULL THEN
+    BEGIN
+      entry_date := to_char(make_date(date_parts[3]::INT, date_parts[1]::INT, date_parts[2]::INT), 'YYYY-MM-DD');
+    EXCEPTION WHEN datetime_field_overflow OR invalid_datetime_format THEN
+      -- Not a real date: left as is, and skipped when read like any invalid entry
+      RETURN entry;
+    END;
+  ELSE
+    entry_date := left(entry_date, 10);
+  END IF;
+
+  RETURN jsonb_strip_nulls(jsonb_build_object(
+    'id', COALESCE(entry->>'id', left(md5(entry::text), 12)),
+    'type', CASE WHEN entry->>'type' = 'available' THEN 'modified_hours' ELSE entry->>'type' END,
+    'start_date', entry_date,
+    'windows', CASE
+      WHEN entry->>'type' = 'available' THEN entry->'timeSlots'
+      WHEN entry->>'type' = 'modified_hours' THEN jsonb_build_array(jsonb_build_object('start', entry->>'start', 'end', entry->>'end'))
+    END,
+    'reason', COALESCE(entry->>'reason', '')
+  ));
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+UPDATE doctors
+SET date_specific_availability = (
+  SELECT COALESCE(jsonb_agg(migrate_availability_exception(entry) ORDER BY position), '[]'::jsonb)
+  FROM jsonb_array_elements(date_specific_availability) WITH ORDINALITY AS elements(entry, position)
+)
+WHERE jsonb_typeof(date_specific_availability) = 'array'
+  AND jsonb_array_length(date_specific_availability) > 0;
+
+UPDATE users
+SET date_specific_availability = (
+  SELECT COALESCE(jsonb_agg(migrate_availability_exception(entry) ORDER BY position), '[]'::jsonb)
+  FROM jsonb_array_elements(date_specific_availability) WITH ORDINALITY AS elements(entry, position)
+)
+WHERE jsonb_typeof(date_specific_availability) = 'array'
+  AND jsonb_array_length(date_specific_availability) > 0;
+
+DROP FUNCTION migrate_availability_exception(JSONB);
+
+COMMENT ON COLUMN doctors.date_specific_availability IS 'Availability exceptions: [{"id", "type": "unavailable"|"modified_hours"|"extra_hours"|"blocked", "start_date", "end_date"?, "recurrence"?, "windows"?, "reason"}]';
+COMMENT ON COLUMN users.date_specific_availability IS 'Owner-level availability exceptions, applied to all treatments (beauty clinics). Same format as doctors.date_specific_availability';
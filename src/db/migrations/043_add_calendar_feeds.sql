@@ -0,0 +1,21 @@
+-- Calendar feeds
+-- Read-only iCalendar (RFC 5545) subscription URLs for Apple Calendar,
+-- Outlook and other clients: one per doctor, one per owner (all of the
+-- owner's appointments). The token in the URL is the only credential;
+-- regenerating it breaks the old URL.
+
+CREATE TABLE IF NOT EXISTS calendar_feeds (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  owner_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  doctor_id UUID REFERENCES doctors(id) ON DELETE CASCADE, -- NULL for the owner's feed
+  token TEXT NOT NULL UNIQUE,
+  last_accessed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_calendar_feeds_doctor ON calendar_feeds(doctor_id) WHERE doctor_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_calendar_feeds_owner ON calendar_feeds(owner_id) WHERE doctor_id IS NULL;
+
+CREATE TRIGGER touch_calendar_feeds_updated_at
+BEFORE UPDATE ON calendar_feeds FOR EACH ROW EXECUTE PROCEDURE trg_touch_updated_at();
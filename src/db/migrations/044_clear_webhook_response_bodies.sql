@@ -0,0 +1,9 @@
+-- Webhook deliveries keep only the receiver's status line
+-- Response bodies of receivers were stored and shown in the delivery log;
+-- deliveries now record just the status line (e.g. "404 Not Found").
+
+UPDATE webhook_deliveries
+SET response_body = NULL
+WHERE response_body IS NOT NULL;
+
+COMMENT ON COLUMN webhook_deliveries.response_body IS 'Status line of the receiver''s response; the body is not stored';
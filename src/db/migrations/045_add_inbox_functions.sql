@@ -0,0 +1,51 @@
+-- Inbox previews and unread counts computed in the database
+-- inbox_last_messages returns the latest message of each chat, however busy
+-- the other chats are; the unread functions count inbound messages after
+-- each chat's owner_last_read_at without sending the rows to the API
+-- (PostgREST caps responses at its max-rows).
+
+CREATE INDEX IF NOT EXISTS idx_whatsapp_messages_chat_latest
+  ON whatsapp_messages(chat_id, created_at DESC, id DESC);
+
+CREATE OR REPLACE FUNCTION inbox_last_messages(p_chat_ids UUID[])
+RETURNS TABLE (
+  chat_id UUID,
+  body TEXT,
+  direction TEXT,
+  sender TEXT,
+  message_type TEXT,
+  delivery_status TEXT,
+  created_at TIMESTAMPTZ
+)
+LANGUAGE sql STABLE AS $$
+  SELECT DISTINCT ON (m.chat_id)
+    m.chat_id, m.body, m.direction, m.sender, m.message_type, m.delivery_status, m.created_at
+  FROM whatsapp_messages m
+  WHERE m.chat_id = ANY(p_chat_ids)
+  ORDER BY m.chat_id, m.created_at DESC, m.id DESC;
+$$;
+
+-- Chats with unread messages among p_chat_ids
+CREATE OR REPLACE FUNCTION inbox_unread_counts(p_chat_ids UUID[])
+RETURNS TABLE (chat_id UUID, unread_count BIGINT)
+LANGUAGE sql STABLE AS $$
+  SELECT m.chat_id, COUNT(*) AS unread_count
+  FROM whatsapp_chats c
+  JOIN whatsapp_messages m ON m.chat_id = c.id
+  WHERE c.id = ANY(p_chat_ids)
+    AND m.direction = 'inbound'
+    AND (c.owner_last_read_at IS NULL OR m.created_at > c.owner_last_read_at)
+  GROUP BY m.chat_id;
+$$;
+
+-- Totals over all of an owner's chats, for the inbox badge
+CREATE OR REPLACE FUNCTION inbox_unread_summary(p_owner_id UUID)
+RETURNS TABLE (unread_conversations BIGINT, unread_messages BIGINT)
+LANGUAGE sql STABLE AS $$
+  SELECT COUNT(DISTINCT m.chat_id) AS unread_conversations, COUNT(*) AS unread_messages
+  FROM whatsapp_chats c
+  JOIN whatsapp_messages m ON m.chat_id = c.id
+  WHERE c.owner_id = p_owner_id
+    AND m.direction = 'inbound'
+    AND (c.owner_last_read_at IS NULL OR m.created_at > c.owner_last_read_at);
+$$;
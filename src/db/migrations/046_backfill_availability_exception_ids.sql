@@ -0,0 +1,39 @@
+-- Availability exception ids
+-- Ids are assigned when entries are written. Entries stored without one
+-- (already in the current format before 042) get a stable id here, so they
+-- can be deleted by id and keep the same id on every read.
+
+CREATE OR REPLACE FUNCTION backfill_availability_exception_id(entry JSONB, entry_position BIGINT)
+RETURNS JSONB AS $$
+BEGIN
+  IF jsonb_typeof(entry) <> 'object' OR COALESCE(entry->>'id', '') <> '' THEN
+    RETURN entry;
+  END IF;
+
+  RETURN jsonb_build_object('id', left(md5(entry::text || entry_position::text), 12)) || (entry - 'id');
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+UPDATE doctors
+SET date_specific_availability = (
+  SELECT jsonb_agg(backfill_availability_exception_id(entry, entry_position) ORDER BY entry_position)
+  FROM jsonb_array_elements(date_specific_availability) WITH ORDINALITY AS elements(entry, entry_position)
+)
+WHERE jsonb_typeof(date_specific_availability) = 'array'
+  AND EXISTS (
+    SELECT 1 FROM jsonb_array_elements(date_specific_availability) AS elements(entry)
+    WHERE jsonb_typeof(entry) = 'object' AND COALESCE(entry->>'id', '') = ''
+  );
+
+UPDATE users
+SET date_specific_availability = (
+  SELECT jsonb_agg(backfill_availability_exception_id(entry, entry_position) ORDER BY entry_position)
+  FROM jsonb_array_elements(date_specific_availability) WITH ORDINALITY AS elements(entry, entry_position)
+)
+WHERE jsonb_typeof(date_specific_availability) = 'array'
+  AND EXISTS (
+    SELECT 1 FROM jsonb_array_elements(date_specific_availability) AS elements(entry)
+    WHERE jsonb_typeof(entry) = 'object' AND COALESCE(entry->>'id', '') = ''
+  );
+
+DROP FUNCTION backfill_availability_exception_id(JSONB, BIGINT);
@@ -16,6 +16,18 @@ import appointments from './routes/appointments.js';
 import whatsapp from './routes/whatsapp.js';
 import beautyTreatments from './routes/beauty/treatments.js';
 import beautyCalendar from './routes/beauty/calendar.js';
+import beautyPackages from './routes/beauty/packages.js';
+import payments from './routes/payments.js';
+import inbox from './routes/inbox.js';
+import events from './routes/events.js';
+import webhooks from './routes/webhooks.js';
+import { webhooksService } from './services/webhooks.js';
+import rdStation from './routes/rd-station.js';
+import { rdStationService } from './services/rdStation.js';
+import waitlist from './routes/waitlist.js';
+import calendarFeed from './routes/calendar-feed.js';
+import { waitlistService } from './services/waitlist.js';
+import { treatmentPackageService } from './services/treatmentPackages.js';
 import './scheduler.js';
 import { rawBodySaver } from './middleware/rawBody.js';
 
@@ -37,10 +49,26 @@ app.use('/appointments', appointments);
 app.use('/whatsapp', whatsapp);
 app.use('/beauty/treatments', beautyTreatments);
 app.use('/beauty/calendar', beautyCalendar);
+app.use('/beauty/packages', beautyPackages);
+app.use('/payments', payments);
+app.use('/inbox', inbox);
+app.use('/events', events);
+app.use('/webhooks', webhooks);
+app.use('/integrations/rd-station', rdStation);
+app.use('/waitlist', waitlist);
+app.use('/calendar-feed', calendarFeed);
 
 app.use((err, _req, res, _next) => {
   log.error(err);
   res.status(500).json({ error: err?.message || 'server error' });
 });
 
+// Forward owner events to subscribed outbound webhooks and integrations
+webhooksService.start();
+rdStationService.start();
+// Offer slots freed by cancellations to the waitlist
+waitlistService.start();
+// Complete treatment packages as their sessions are used up
+treatmentPackageService.start();
+
 app.listen(env.PORT, () => log.info(`API listening on :${env.PORT}`));
@@ -0,0 +1,65 @@
+// Pix "copia e cola" (BR Code) payload builder
+// Follows the EMV QRCPS-MPM layout used by the Banco Central do Brasil
+
+const PIX_GUI = 'br.gov.bcb.pix';
+
+function field(id, value) {
+  const str = String(value);
+  return `${id}${String(str.length).padStart(2, '0')}${str}`;
+}
+
+// Names and cities must be plain ASCII in the BR Code
+function sanitizeText(text, maxLength) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^A-Za-z0-9 .,\-]/g, '')
+    .trim()
+    .slice(0, maxLength);
+}
+
+// Transaction id: alphanumeric, up to 25 chars ('***' when absent)
+export function sanitizePixTxid(txid) {
+  const cleaned = String(txid || '').replace(/[^A-Za-z0-9]/g, '').slice(0, 25);
+  return cleaned || '***';
+}
+
+// CRC16-CCITT (poly 0x1021, init 0xFFFF) as 4 uppercase hex chars
+export function crc16(payload) {
+  let crc = 0xFFFF;
+  for (let i = 0; i < payload.length; i++) {
+    crc ^= payload.charCodeAt(i) << 8;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = (crc & 0x8000) ? ((crc << 1) ^ 0x1021) : (crc << 1);
+      crc &= 0xFFFF;
+    }
+  }
+  return crc.toString(16).toUpperCase().padStart(4, '0');
+}
+
+export function buildPixPayload({ key, merchantName, merchantCity, amount, txid, description }) {
+  if (!key) throw new Error('Pix key is required');
+  if (!merchantName) throw new Error('Pix merchant name is required');
+  if (!merchantCity) throw new Error('Pix merchant city is required');
+
+  const accountInfo = [
+    field('00', PIX_GUI),
+    field('01', String(key).trim()),
+    description ? field('02', sanitizeText(description, 40)) : ''
+  ].join('');
+
+  let payload = [
+    field('00', '01'),
+    field('26', accountInfo),
+    field('52', '0000'),
+    field('53', '986'),
+    amount ? field('54', Number(amount).toFixed(2)) : '',
+    field('58', 'BR'),
+    field('59', sanitizeText(merchantName, 25)),
+    field('60', sanitizeText(merchantCity, 15)),
+    field('62', field('05', sanitizePixTxid(txid)))
+  ].join('');
+
+  payload += '6304';
+  return payload + crc16(payload);
+}
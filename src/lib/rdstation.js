@@ -0,0 +1,158 @@
+import axios from 'axios';
+import { env } from '../config/env.js';
+
+export const LIFECYCLE_STAGES = ['Lead', 'Qualified Lead', 'Client'];
+
+/**
+ * Minimal RD Station Marketing API (v2) client.
+ *
+ * Conversions can be sent with the public API key alone; contact and funnel
+ * updates need OAuth credentials (client id/secret + refresh token).
+ * `baseUrl` (or RDSTATION_API_URL) lets the client be pointed at a local mock,
+ * and `http` accepts any axios-compatible instance.
+ */
+export class RDStationClient {
+  constructor({
+    apiKey,
+    clientId,
+    clientSecret,
+    refreshToken,
+    accessToken,
+    accessTokenExpiresAt,
+    baseUrl = env.RDSTATION_API_URL,
+    http,
+    onTokenRefresh
+  } = {}) {
+    this.apiKey = apiKey || null;
+    this.clientId = clientId || null;
+    this.clientSecret = clientSecret || null;
+    this.refreshToken = refreshToken || null;
+    this.accessToken = accessToken || null;
+    this.accessTokenExpiresAt = accessTokenExpiresAt ? new Date(accessTokenExpiresAt) : null;
+    this.onTokenRefresh = onTokenRefresh || null;
+    this.http = http || axios.create({ baseURL: baseUrl, timeout: 10000 });
+  }
+
+  hasOAuth() {
+    return !!(this.clientId && this.clientSecret && this.refreshToken);
+  }
+
+  /**
+   * Exchange the refresh token for a new access token
+   */
+  async refreshAccessToken() {
+    if (!this.hasOAuth()) {
+      throw new Error('RD Station OAuth credentials are not configured');
+    }
+
+    const data = await this.request('post', '/auth/token', {
+      client_id: this.clientId,
+      client_secret: this.clientSecret,
+      refresh_token: this.refreshToken
+    }, { auth: false });
+
+    this.accessToken = data.access_token;
+    this.refreshToken = data.refresh_token || this.refreshToken;
+    // Refresh a minute early to avoid racing the expiry
+    this.accessTokenExpiresAt = new Date(Date.now() + ((data.expires_in || 86400) - 60) * 1000);
+
+    if (this.onTokenRefresh) {
+      await this.onTokenRefresh({
+        accessToken: this.accessToken,
+        refreshToken: this.refreshToken,
+        accessTokenExpiresAt: this.accessTokenExpiresAt
+      });
+    }
+
+    return this.accessToken;
+  }
+
+  async getAccessToken() {
+    if (this.accessToken && this.accessTokenExpiresAt && this.accessTokenExpiresAt > new Date()) {
+      return this.accessToken;
+    }
+    return this.refreshAccessToken();
+  }
+
+  /**
+   * Perform a request; OAuth requests retry once after a 401 with a fresh token
+   */
+  async request(method, url, body, { auth = true, params, retried = false } = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (auth) {
+      headers.Authorization = `Bearer ${await this.getAccessToken()}`;
+    }
+
+    try {
+      const response = await this.http.request({ method, url, data: body, params, headers });
+      return response.data;
+    } catch (error) {
+      if (auth && !retried && error.response?.status === 401) {
+        await this.refreshAccessToken();
+        return this.request(method, url, body, { auth, params, retried: true });
+      }
+
+      const details = error.response?.data?.errors || error.response?.data?.error_message || error.message;
+      throw new Error(`RD Station API error (${error.response?.status || 'network'}): ${typeof details === 'string' ? details : JSON.stringify(details)}`);
+    }
+  }
+
+  /**
+   * Send a conversion event. Custom fields must use their RD api identifier (cf_*).
+   * @param {string} conversionIdentifier - e.g. 'geniumed-consulta-agendada'
+   * @param {Object} fields - { email, name, mobile_phone, cf_..., tags }
+   */
+  async sendConversion(conversionIdentifier, fields) {
+    if (!fields?.email) {
+      throw new Error('RD Station conversions require an email');
+    }
+
+    const body = {
+      event_type: 'CONVERSION',
+      event_family: 'CDP',
+      payload: {
+        conversion_identifier: conversionIdentifier,
+        ...fields
+      }
+    };
+
+    if (this.hasOAuth()) {
+      return this.request('post', '/platform/events', body, { params: { event_type: 'conversion' } });
+    }
+
+    if (!this.apiKey) {
+      throw new Error('RD Station API key is not configured');
+    }
+
+    return this.request('post', '/platform/conversions', body, { auth: false, params: { api_key: this.apiKey } });
+  }
+
+  /**
+   * Update contact fields (OAuth only)
+   */
+  async updateContact(email, fields) {
+    return this.request('patch', `/platform/contacts/email:${encodeURIComponent(email)}`, fields);
+  }
+
+  /**
+   * Move the contact in the default funnel (OAuth only)
+   * @param {string} stage - 'Lead' | 'Qualified Lead' | 'Client'
+   */
+  async updateLifecycleStage(email, stage, { opportunity = false } = {}) {
+    if (!LIFECYCLE_STAGES.includes(stage)) {
+      throw new Error(`Invalid RD Station lifecycle stage: ${stage}`);
+    }
+
+    return this.request('put', `/platform/contacts/email:${encodeURIComponent(email)}/funnels/default`, {
+      lifecycle_stage: stage,
+      opportunity
+    });
+  }
+
+  /**
+   * Account info, used to check OAuth credentials
+   */
+  async getAccountInfo() {
+    return this.request('get', '/marketing/account_info');
+  }
+}
@@ -1040,15 +1040,18 @@ router.get('/chat-logs', verifyJWT, async (req, res) => {
       // Get message counts per chat
       const { data: messageStats } = await supa
         .from('whatsapp_messages')
-        .select('chat_id, direction')
+        .select('chat_id, direction, delivery_status')
         .in('chat_id', chatIds);
       
       if (messageStats) {
         messageCounts = messageStats.reduce((acc, msg) => {
           if (!acc[msg.chat_id]) {
-            acc[msg.chat_id] = { inbound: 0, outbound: 0, total: 0 };
+            acc[msg.chat_id] = { inbound: 0, outbound: 0, total: 0, failed: 0 };
           }
           acc[msg.chat_id].total++;
+          if (msg.delivery_status === 'failed') {
+            acc[msg.chat_id].failed++;
+          }
           if (msg.direction === 'inbound') {
             acc[msg.chat_id].inbound++;
           } else {
@@ -1061,7 +1064,7 @@ router.get('/chat-logs', verifyJWT, async (req, res) => {
       // Get last message for each chat
       const { data: lastMessagesData } = await supa
         .from('whatsapp_messages')
-        .select('chat_id, body, direction, created_at')
+        .select('chat_id, body, direction, delivery_status, created_at')
         .in('chat_id', chatIds)
         .order('created_at', { ascending: false });
       
@@ -1073,6 +1076,7 @@ router.get('/chat-logs', verifyJWT, async (req, res) => {
             lastMessages[msg.chat_id] = {
               body: msg.body,
               direction: msg.direction,
+              delivery_status: msg.delivery_status || null,
               created_at: msg.created_at
             };
             seenChats.add(msg.chat_id);
@@ -1111,7 +1115,7 @@ router.get('/chat-logs', verifyJWT, async (req, res) => {
     
     // Format the response
     const formattedLogs = chatLogs.map(chat => {
-      const stats = messageCounts[chat.id] || { inbound: 0, outbound: 0, total: 0 };
+      const stats = messageCounts[chat.id] || { inbound: 0, outbound: 0, total: 0, failed: 0 };
       const lastMessage = lastMessages[chat.id] || null;
       const chatType = chat.metadata?.chat_type || 'other';
       
@@ -1128,6 +1132,7 @@ router.get('/chat-logs', verifyJWT, async (req, res) => {
         messageCount: stats.total,
         inboundCount: stats.inbound,
         outboundCount: stats.outbound,
+        failedCount: stats.failed,
         lastMessage: lastMessage,
         lastMessageAt: chat.last_message_at,
         createdAt: chat.created_at,
@@ -1239,7 +1244,14 @@ router.get('/chat-logs/:id', verifyJWT, async (req, res) => {
           payload: msg.payload,
           createdAt: msg.created_at,
           waMessageId: msg.wa_message_id,
-          retellMessageId: msg.retell_message_id
+          retellMessageId: msg.retell_message_id,
+          deliveryStatus: msg.delivery_status || null,
+          sentAt: msg.sent_at || null,
+          deliveredAt: msg.delivered_at || null,
+          readAt: msg.read_at || null,
+          failedAt: msg.failed_at || null,
+          deliveryError: msg.delivery_error || null,
+          fallbackChannel: msg.fallback_channel || null
         })),
         metadata: chat.metadata,
         chatAnalysis: chat.retell_chat_analysis,
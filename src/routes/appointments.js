@@ -3,7 +3,12 @@ import { supa } from '../lib/supabase.js';
 import { log } from '../config/logger.js';
 import { verifyJWT } from '../middleware/verifyJWT.js';
 import { googleCalendarService } from '../services/googleCalendar.js';
+import { availabilityService } from '../services/availability.js';
+import { slotHoldService } from '../services/slotHolds.js';
+import { returnConsultationService } from '../services/returnConsultations.js';
 import { updateAgentVariablesForLead } from './retell.js';
+import { eventBus } from '../services/events.js';
+import { noShowService } from '../services/noShow.js';
 
 const router = Router();
 
@@ -204,66 +209,38 @@ router.post('/', verifyJWT, async (req, res) => {
       });
     }
 
-    // Check availability if Google Calendar is connected (only for doctors)
-    if (resourceType === 'doctor' && resource.google_calendar_id && resource.google_refresh_token) {
-      try {
-        const endTime = new Date(end_time);
-        const availability = await googleCalendarService.getAvailableSlots(
-          doctor_id,
-          start_time,
-          endTime.toISOString()
-        );
-
-        // Check if the requested time slot conflicts with busy times
-        const requestedStart = new Date(start_time);
-        const requestedEnd = new Date(end_time);
-        
-        const hasConflict = availability.busySlots.some(busySlot => {
-          const busyStart = new Date(busySlot.start);
-          const busyEnd = new Date(busySlot.end);
-          return (requestedStart < busyEnd && requestedEnd > busyStart);
-        });
-
-        if (hasConflict) {
-          return res.status(409).json({
-            ok: false,
-            error: 'The requested time slot conflicts with existing appointments',
-            availableSlots: availability.availableSlots.slice(0, 10) // Return first 10 available slots
-          });
-        }
-
-        // Check if the requested time is within doctor's working hours
-        const dayName = requestedStart.toLocaleDateString('en-US', { weekday: 'lowercase' });
-        const workingHours = availability.workingHours[dayName];
-        
-        if (!workingHours || !workingHours.enabled) {
-          return res.status(400).json({
-            ok: false,
-            error: `Doctor is not available on ${dayName}`,
-            availableSlots: availability.availableSlots.slice(0, 10)
-          });
-        }
-
-        // Check if requested time falls within any working time slot
-        const requestedTimeStr = requestedStart.toTimeString().slice(0, 5); // HH:MM format
-        const requestedEndTimeStr = requestedEnd.toTimeString().slice(0, 5);
-        
-        const isWithinWorkingHours = workingHours.timeSlots?.some(timeSlot => {
-          return requestedTimeStr >= timeSlot.start && requestedEndTimeStr <= timeSlot.end;
-        });
+    // Unbookable time: the reason plus alternatives from the requested time on
+    let availabilityResource = null;
+    const rejectUnavailable = async ({ reason, message }) => {
+      const alternatives = availabilityResource
+        ? await availabilityService.findSlots(availabilityResource, {
+          from: appointmentStart,
+          maxSlots: 10,
+          leadId: lead_id
+        })
+        : [];
+
+      return res.status(reason === 'conflict' ? 409 : 400).json({
+        ok: false,
+        error: message,
+        reason,
+        availableSlots: alternatives.map(slot => availabilityService.serializeSlot(availabilityResource, slot))
+      });
+    };
 
-        if (!isWithinWorkingHours) {
-          return res.status(400).json({
-            ok: false,
-            error: 'The requested time is outside doctor\'s working hours',
-            availableSlots: availability.availableSlots.slice(0, 10)
-          });
-        }
+    // Check working hours, holidays, appointments, slot holds and Google busy times
+    try {
+      availabilityResource = await availabilityService.getResource(resourceType, doctor_id);
+      const unavailable = availabilityResource
+        ? await availabilityService.checkSlot(availabilityResource, appointmentStart, new Date(end_time), { leadId: lead_id })
+        : null;
 
-      } catch (availabilityError) {
-        log.warn(`Failed to check availability for appointment:`, availabilityError);
-        // Continue with appointment creation if availability check fails
+      if (unavailable) {
+        return rejectUnavailable(unavailable);
       }
+    } catch (availabilityError) {
+      log.warn(`Failed to check availability for appointment:`, availabilityError);
+      // Continue with appointment creation if availability check fails
     }
 
     // If lead_id is not provided but we have patient info, try to find or create lead
@@ -315,6 +292,13 @@ router.post('/', verifyJWT, async (req, res) => {
       }
     }
 
+    // A consultation within the doctor's return window is booked as a return;
+    // an explicit price still wins over the return price
+    const returnEligibility = resourceType === 'doctor' && finalLeadId && ['consultation', 'follow_up'].includes(appointment_type)
+      ? await returnConsultationService.getEligibility({ leadId: finalLeadId, doctorId: doctor_id, at: appointmentStart })
+      : { eligible: false };
+    const returnFields = returnConsultationService.getBookingFields(returnEligibility);
+
     // Create appointment in database
     const { data: appointment, error: appointmentError } = await supa
       .from('appointments')
@@ -331,16 +315,25 @@ router.post('/', verifyJWT, async (req, res) => {
         is_telemedicine,
         meeting_link,
         office_address,
-        price: price ? parseFloat(price) : null,
+        ...returnFields,
+        price: price ? parseFloat(price) : (returnFields.price ?? null),
         notes: description
       })
       .select()
       .single();
 
     if (appointmentError) {
+      // Booked elsewhere between the check and the insert
+      if (slotHoldService.isOverlapError(appointmentError)) {
+        return rejectUnavailable({ reason: 'conflict', message: 'The requested time slot conflicts with existing appointments' });
+      }
       throw new Error(appointmentError.message);
     }
 
+    if (availabilityResource && finalLeadId) {
+      await slotHoldService.completeForLead(finalLeadId, availabilityResource, appointment.id, appointmentStart);
+    }
+
     // Create Google Calendar event if resource has calendar connected
     let googleEventId = null;
     let googleEventLink = null;
@@ -348,7 +341,7 @@ router.post('/', verifyJWT, async (req, res) => {
     if (resource.google_calendar_id && resource.google_refresh_token) {
       try {
         const appointmentData = {
-          summary: title || `${appointment_type} - ${patient_name}`,
+          summary: title || `${appointment.appointment_type} - ${patient_name}`,
           description: description || `Appointment with ${patient_name}`,
           start: {
             dateTime: start_time,
@@ -394,6 +387,13 @@ router.post('/', verifyJWT, async (req, res) => {
 
     log.info(`Appointment created: ${appointment.id} for ${resourceType} ${doctor_id}`);
 
+    eventBus.publish(userId, 'appointment.booked', {
+      appointment_id: appointment.id,
+      lead_id: appointment.lead_id,
+      start_at: appointment.start_at,
+      source: 'dashboard'
+    });
+
     // Update agent_variables in active whatsapp_chats and Retell chats
     if (appointment.lead_id) {
       // Add a small delay to ensure database consistency
@@ -421,6 +421,118 @@ router.post('/', verifyJWT, async (req, res) => {
   }
 });
 
+const ATTENDANCE_ERRORS = {
+  'Appointment not found': 404,
+  'Cancelled appointments cannot be marked': 400,
+  'Appointment has not started yet': 400
+};
+
+/**
+ * Appointments that ended and still need attendance marked
+ * GET /api/appointments/attendance/pending
+ */
+router.get('/attendance/pending', verifyJWT, async (req, res) => {
+  try {
+    const { data: appointments, error } = await supa
+      .from('appointments')
+      .select(`
+        id,
+        lead_id,
+        start_at,
+        end_at,
+        status,
+        resource_type,
+        resource_id,
+        attendance_check_sent_at,
+        leads(
+          id,
+          name,
+          phone
+        )
+      `)
+      .eq('owner_id', req.user.id)
+      .in('status', ['scheduled', 'confirmed'])
+      .lte('start_at', new Date().toISOString())
+      .order('start_at', { ascending: false })
+      .limit(100);
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    const now = new Date();
+    const pending = (appointments || []).filter(appointment => noShowService.getEndTime(appointment) <= now);
+
+    res.json({ ok: true, appointments: pending, count: pending.length });
+  } catch (error) {
+    log.error('Get pending attendance error:', error);
+    res.status(500).json({ ok: false, error: 'Failed to fetch pending attendance' });
+  }
+});
+
+/**
+ * No-show rates per doctor/treatment
+ * GET /api/appointments/analytics/no-shows?from=2025-01-01&to=2025-01-31
+ * Defaults to the last 30 days
+ */
+router.get('/analytics/no-shows', verifyJWT, async (req, res) => {
+  try {
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to) {
+      return res.status(400).json({ ok: false, error: 'Invalid from/to date range' });
+    }
+
+    const analytics = await noShowService.getAnalytics(req.user.id, { from, to });
+
+    res.json({ ok: true, from: from.toISOString(), to: to.toISOString(), ...analytics });
+  } catch (error) {
+    log.error('No-show analytics error:', error);
+    res.status(500).json({ ok: false, error: 'Failed to fetch no-show analytics' });
+  }
+});
+
+/**
+ * Mark an appointment as a no-show and start the re-engagement sequence
+ * POST /api/appointments/:id/no-show
+ * Body: { notes? }
+ */
+router.post('/:id/no-show', verifyJWT, async (req, res) => {
+  try {
+    const appointment = await noShowService.markAttendance(req.user.id, req.params.id, 'no_show', {
+      source: 'owner',
+      notes: req.body?.notes
+    });
+
+    res.json({ ok: true, message: 'Appointment marked as no-show', appointment });
+  } catch (error) {
+    log.error('Mark no-show error:', error);
+    const status = ATTENDANCE_ERRORS[error.message] || 500;
+    res.status(status).json({ ok: false, error: status === 500 ? 'Failed to mark no-show' : error.message });
+  }
+});
+
+/**
+ * Mark an appointment as attended
+ * POST /api/appointments/:id/attended
+ * Body: { notes? }
+ */
+router.post('/:id/attended', verifyJWT, async (req, res) => {
+  try {
+    const appointment = await noShowService.markAttendance(req.user.id, req.params.id, 'completed', {
+      source: 'owner',
+      notes: req.body?.notes
+    });
+
+    res.json({ ok: true, message: 'Appointment marked as attended', appointment });
+  } catch (error) {
+    log.error('Mark attended error:', error);
+    const status = ATTENDANCE_ERRORS[error.message] || 500;
+    res.status(status).json({ ok: false, error: status === 500 ? 'Failed to mark attendance' : error.message });
+  }
+});
+
 /**
  * Update an appointment
  * PUT /api/appointments/:id
@@ -461,8 +573,22 @@ router.put('/:id', verifyJWT, async (req, res) => {
       }
     });
 
+    // Attendance goes through the no-show service (events + re-engagement)
+    const attendanceOutcome = ['completed', 'no_show'].includes(mappedUpdateData.status) && mappedUpdateData.status !== appointment.status
+      ? mappedUpdateData.status
+      : null;
+    if (attendanceOutcome) {
+      if (appointment.status === 'cancelled' || new Date(mappedUpdateData.start_at || appointment.start_at) > new Date()) {
+        return res.status(400).json({
+          ok: false,
+          error: 'Only past, non-cancelled appointments can be marked as completed or no-show'
+        });
+      }
+      delete mappedUpdateData.status;
+    }
+
     // Update appointment
-    const { data: updatedAppointment, error: updateError } = await supa
+    let { data: updatedAppointment, error: updateError } = await supa
       .from('appointments')
       .update(mappedUpdateData)
       .eq('id', appointmentId)
@@ -470,11 +596,42 @@ router.put('/:id', verifyJWT, async (req, res) => {
       .single();
 
     if (updateError) {
+      if (slotHoldService.isOverlapError(updateError)) {
+        return res.status(409).json({
+          ok: false,
+          error: 'The requested time slot conflicts with existing appointments',
+          reason: 'conflict'
+        });
+      }
       throw new Error(updateError.message);
     }
 
+    if (attendanceOutcome) {
+      updatedAppointment = await noShowService.markAttendance(userId, appointmentId, attendanceOutcome, { source: 'owner' });
+    }
+
     log.info(`Appointment updated: ${appointmentId}`);
 
+    let eventType = 'appointment.updated';
+    if (attendanceOutcome && updatedAppointment.start_at === appointment.start_at) {
+      eventType = null; // already published by the no-show service
+    } else if (updatedAppointment.status !== appointment.status && ['cancelled', 'confirmed'].includes(updatedAppointment.status)) {
+      eventType = `appointment.${updatedAppointment.status}`;
+    } else if (updatedAppointment.start_at !== appointment.start_at) {
+      eventType = 'appointment.rescheduled';
+    }
+
+    if (eventType) {
+      eventBus.publish(userId, eventType, {
+        appointment_id: appointmentId,
+        lead_id: updatedAppointment.lead_id,
+        start_at: updatedAppointment.start_at,
+        previous_start_at: appointment.start_at,
+        status: updatedAppointment.status,
+        source: 'dashboard'
+      });
+    }
+
     // Update agent_variables in active whatsapp_chats and Retell chats
     if (updatedAppointment.lead_id) {
       updateAgentVariablesForLead(updatedAppointment.lead_id, 'appointment-update')
@@ -532,6 +689,18 @@ router.delete('/:id', verifyJWT, async (req, res) => {
 
     log.info(`Appointment deleted: ${appointmentId}`);
 
+    // The row is gone, so the payload carries what the waitlist needs to offer the time
+    eventBus.publish(userId, 'appointment.cancelled', {
+      appointment_id: appointmentId,
+      lead_id: appointment.lead_id,
+      resource_type: appointment.resource_type,
+      resource_id: appointment.resource_id,
+      start_at: appointment.start_at,
+      end_at: appointment.end_at,
+      deleted: true,
+      source: 'dashboard'
+    });
+
     // Update agent_variables in active whatsapp_chats and Retell chats
     if (appointment.lead_id) {
       updateAgentVariablesForLead(appointment.lead_id, 'appointment-delete')
@@ -0,0 +1,295 @@
+import { Router } from 'express';
+import jwt from 'jsonwebtoken';
+import { supa } from '../../lib/supabase.js';
+import { env } from '../../config/env.js';
+import { log } from '../../config/logger.js';
+import { treatmentPackageService } from '../../services/treatmentPackages.js';
+
+const router = Router();
+const JWT_SECRET = env.JWT_SECRET || 'geniumed-secret-key-change-in-production';
+
+// Middleware to authenticate and get owner ID
+const authenticateOwner = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+    
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({
+        ok: false,
+        error: 'No token provided'
+      });
+    }
+
+    const token = authHeader.substring(7);
+    const decoded = jwt.verify(token, JWT_SECRET);
+
+    // Verify user exists and is active
+    const { data: user, error } = await supa
+      .from('users')
+      .select('*')
+      .eq('id', decoded.id)
+      .single();
+
+    if (error || !user) {
+      return res.status(401).json({
+        ok: false,
+        error: 'Invalid token'
+      });
+    }
+
+    // Check if user is active
+    if (user.is_active === false) {
+      return res.status(401).json({
+        ok: false,
+        error: 'User account is inactive'
+      });
+    }
+
+    // Verify user has beauty_clinic service type
+    if (user.service_type !== 'beauty_clinic') {
+      return res.status(403).json({
+        ok: false,
+        error: 'Access denied. This endpoint is only for beauty clinic users.'
+      });
+    }
+
+    req.ownerId = user.id;
+    req.ownerRole = user.role;
+    req.serviceType = user.service_type;
+    next();
+
+  } catch (error) {
+    return res.status(401).json({
+      ok: false,
+      error: 'Invalid token'
+    });
+  }
+};
+
+// GET /api/beauty/packages - List package purchases (filters: lead_id, status)
+router.get('/', authenticateOwner, async (req, res) => {
+  try {
+    const { lead_id, status } = req.query;
+
+    const packages = await treatmentPackageService.listPackages(req.ownerId, {
+      leadId: lead_id,
+      status
+    });
+
+    res.json({
+      ok: true,
+      packages
+    });
+  } catch (error) {
+    log.error('Error in GET /packages:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// GET /api/beauty/packages/:id - Package with its sessions and remaining counts
+router.get('/:id', authenticateOwner, async (req, res) => {
+  try {
+    const pkg = await treatmentPackageService.getPackage(req.ownerId, req.params.id);
+
+    if (!pkg) {
+      return res.status(404).json({
+        ok: false,
+        error: 'Package not found'
+      });
+    }
+
+    res.json({
+      ok: true,
+      package: pkg
+    });
+  } catch (error) {
+    log.error('Error in GET /packages/:id:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// POST /api/beauty/packages - Record a package purchase for a client
+router.post('/', authenticateOwner, async (req, res) => {
+  try {
+    const { lead_id, treatment_id, sessions_total, price, notes } = req.body || {};
+
+    if (!lead_id || !treatment_id) {
+      return res.status(400).json({
+        ok: false,
+        error: 'lead_id and treatment_id are required'
+      });
+    }
+
+    const { data: lead } = await supa
+      .from('leads')
+      .select('id')
+      .eq('id', lead_id)
+      .eq('owner_id', req.ownerId)
+      .maybeSingle();
+
+    if (!lead) {
+      return res.status(404).json({
+        ok: false,
+        error: 'Lead not found'
+      });
+    }
+
+    let pkg;
+    try {
+      pkg = await treatmentPackageService.createPackage({
+        ownerId: req.ownerId,
+        leadId: lead_id,
+        treatmentId: treatment_id,
+        sessionsTotal: sessions_total,
+        price,
+        notes
+      });
+    } catch (validationError) {
+      return res.status(400).json({
+        ok: false,
+        error: validationError.message
+      });
+    }
+
+    res.status(201).json({
+      ok: true,
+      package: pkg
+    });
+  } catch (error) {
+    log.error('Error in POST /packages:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// PATCH /api/beauty/packages/:id - Update notes/price or cancel (status: 'cancelled')
+router.patch('/:id', authenticateOwner, async (req, res) => {
+  try {
+    const { status, price, notes } = req.body || {};
+
+    if (status === 'cancelled') {
+      const cancelled = await treatmentPackageService.cancelPackage(req.ownerId, req.params.id);
+
+      if (!cancelled) {
+        return res.status(404).json({
+          ok: false,
+          error: 'Package not found'
+        });
+      }
+
+      return res.json({
+        ok: true,
+        package: cancelled
+      });
+    }
+
+    if (status !== undefined) {
+      return res.status(400).json({
+        ok: false,
+        error: 'Only status "cancelled" can be set; packages complete when their sessions are used up'
+      });
+    }
+
+    const updates = {};
+    if (price !== undefined) updates.price = price === null ? null : parseFloat(price);
+    if (notes !== undefined) updates.notes = notes;
+
+    const { data: pkg, error } = await supa
+      .from('treatment_packages')
+      .update(updates)
+      .eq('id', req.params.id)
+      .eq('owner_id', req.ownerId)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      log.error('Error updating package:', error);
+      return res.status(500).json({
+        ok: false,
+        error: 'Failed to update package'
+      });
+    }
+
+    if (!pkg) {
+      return res.status(404).json({
+        ok: false,
+        error: 'Package not found'
+      });
+    }
+
+    res.json({
+      ok: true,
+      package: pkg
+    });
+  } catch (error) {
+    log.error('Error in PATCH /packages/:id:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// POST /api/beauty/packages/:id/book - Book the remaining sessions, the first at start_time
+router.post('/:id/book', authenticateOwner, async (req, res) => {
+  try {
+    const { start_time } = req.body || {};
+    const firstStart = new Date(start_time);
+
+    if (!start_time || isNaN(firstStart.getTime())) {
+      return res.status(400).json({
+        ok: false,
+        error: 'start_time must be a valid ISO date'
+      });
+    }
+
+    const pkg = await treatmentPackageService.getPackage(req.ownerId, req.params.id);
+
+    if (!pkg) {
+      return res.status(404).json({
+        ok: false,
+        error: 'Package not found'
+      });
+    }
+
+    if (pkg.status !== 'active') {
+      return res.status(400).json({
+        ok: false,
+        error: `Package is ${pkg.status}`
+      });
+    }
+
+    const { booked, unavailable, notBooked } = await treatmentPackageService.bookSeries(pkg, firstStart, { source: 'dashboard' });
+
+    if (unavailable) {
+      return res.status(unavailable.reason === 'conflict' ? 409 : 400).json({
+        ok: false,
+        error: unavailable.message,
+        reason: unavailable.reason
+      });
+    }
+
+    res.status(booked.length > 0 ? 201 : 200).json({
+      ok: true,
+      sessions: booked,
+      sessions_not_booked: notBooked,
+      package: await treatmentPackageService.getPackage(req.ownerId, req.params.id)
+    });
+  } catch (error) {
+    log.error('Error in POST /packages/:id/book:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+export default router;
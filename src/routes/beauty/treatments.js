@@ -3,6 +3,7 @@ import jwt from 'jsonwebtoken';
 import { supa } from '../../lib/supabase.js';
 import { env } from '../../config/env.js';
 import { log } from '../../config/logger.js';
+import { availabilityService } from '../../services/availability.js';
 
 const router = Router();
 const JWT_SECRET = env.JWT_SECRET || 'geniumed-secret-key-change-in-production';
@@ -394,6 +395,102 @@ router.put('/:id', authenticateOwner, async (req, res) => {
   }
 });
 
+// GET /api/beauty/treatments/:id/booking-rules - Booking rules (defaults when not configured)
+router.get('/:id/booking-rules', authenticateOwner, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: treatment, error } = await supa
+      .from('treatments')
+      .select('id, booking_rules')
+      .eq('id', id)
+      .eq('owner_id', req.ownerId)
+      .single();
+
+    if (error || !treatment) {
+      return res.status(404).json({
+        ok: false,
+        error: 'Treatment not found'
+      });
+    }
+
+    res.json({
+      ok: true,
+      booking_rules: availabilityService.normalizeRules(treatment.booking_rules),
+      is_default: !treatment.booking_rules
+    });
+
+  } catch (error) {
+    log.error('Get treatment booking rules error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to get booking rules'
+    });
+  }
+});
+
+// PUT /api/beauty/treatments/:id/booking-rules - Update buffers, notice, horizon, daily cap and slot interval
+// Body: any subset of the rules, or { reset: true } for the defaults
+router.put('/:id/booking-rules', authenticateOwner, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reset, ...changes } = req.body || {};
+
+    const validationError = reset ? null : availabilityService.validateRules(changes);
+    if (validationError) {
+      return res.status(400).json({
+        ok: false,
+        error: validationError
+      });
+    }
+
+    const { data: treatment, error: fetchError } = await supa
+      .from('treatments')
+      .select('id, booking_rules')
+      .eq('id', id)
+      .eq('owner_id', req.ownerId)
+      .single();
+
+    if (fetchError || !treatment) {
+      return res.status(404).json({
+        ok: false,
+        error: 'Treatment not found'
+      });
+    }
+
+    const bookingRules = reset ? null : { ...(treatment.booking_rules || {}), ...changes };
+
+    const { error } = await supa
+      .from('treatments')
+      .update({ booking_rules: bookingRules })
+      .eq('id', id)
+      .eq('owner_id', req.ownerId);
+
+    if (error) {
+      log.error('Error updating treatment booking rules:', error);
+      return res.status(400).json({
+        ok: false,
+        error: error.message
+      });
+    }
+
+    log.info(`Treatment booking rules updated: ${id} by owner ${req.ownerId}`);
+
+    res.json({
+      ok: true,
+      message: 'Booking rules updated successfully',
+      booking_rules: availabilityService.normalizeRules(bookingRules)
+    });
+
+  } catch (error) {
+    log.error('Update treatment booking rules error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to update booking rules'
+    });
+  }
+});
+
 // DELETE /api/beauty/treatments/:id - Delete or deactivate a treatment
 router.delete('/:id', authenticateOwner, async (req, res) => {
   try {
@@ -0,0 +1,109 @@
+import { Router } from 'express';
+import { supa } from '../lib/supabase.js';
+import { log } from '../config/logger.js';
+import { verifyJWT } from '../middleware/verifyJWT.js';
+import { calendarFeedService } from '../services/calendarFeed.js';
+
+const router = Router();
+
+async function getOwnerDoctor(ownerId, doctorId) {
+  const { data: doctor } = await supa
+    .from('doctors')
+    .select('id')
+    .eq('id', doctorId)
+    .eq('owner_id', ownerId)
+    .maybeSingle();
+
+  return doctor || null;
+}
+
+/**
+ * Subscription URL of the owner's feed (all appointments)
+ * GET /api/calendar-feed
+ */
+router.get('/', verifyJWT, async (req, res) => {
+  try {
+    const feed = await calendarFeedService.getFeed(req.user.id);
+    res.json({ ok: true, feed: calendarFeedService.serializeFeed(feed) });
+  } catch (error) {
+    log.error('Get calendar feed error:', error);
+    res.status(500).json({ ok: false, error: 'Failed to fetch calendar feed' });
+  }
+});
+
+/**
+ * New URL for the owner's feed; the previous one stops working
+ * POST /api/calendar-feed/regenerate
+ */
+router.post('/regenerate', verifyJWT, async (req, res) => {
+  try {
+    const feed = await calendarFeedService.regenerateToken(req.user.id);
+    res.json({ ok: true, feed: calendarFeedService.serializeFeed(feed) });
+  } catch (error) {
+    log.error('Regenerate calendar feed error:', error);
+    res.status(500).json({ ok: false, error: 'Failed to regenerate calendar feed' });
+  }
+});
+
+/**
+ * Subscription URL of a doctor's feed
+ * GET /api/calendar-feed/doctors/:doctorId
+ */
+router.get('/doctors/:doctorId', verifyJWT, async (req, res) => {
+  try {
+    const doctor = await getOwnerDoctor(req.user.id, req.params.doctorId);
+    if (!doctor) {
+      return res.status(404).json({ ok: false, error: 'Doctor not found' });
+    }
+
+    const feed = await calendarFeedService.getFeed(req.user.id, doctor.id);
+    res.json({ ok: true, feed: calendarFeedService.serializeFeed(feed) });
+  } catch (error) {
+    log.error('Get doctor calendar feed error:', error);
+    res.status(500).json({ ok: false, error: 'Failed to fetch calendar feed' });
+  }
+});
+
+/**
+ * New URL for a doctor's feed; the previous one stops working
+ * POST /api/calendar-feed/doctors/:doctorId/regenerate
+ */
+router.post('/doctors/:doctorId/regenerate', verifyJWT, async (req, res) => {
+  try {
+    const doctor = await getOwnerDoctor(req.user.id, req.params.doctorId);
+    if (!doctor) {
+      return res.status(404).json({ ok: false, error: 'Doctor not found' });
+    }
+
+    const feed = await calendarFeedService.regenerateToken(req.user.id, doctor.id);
+    res.json({ ok: true, feed: calendarFeedService.serializeFeed(feed) });
+  } catch (error) {
+    log.error('Regenerate doctor calendar feed error:', error);
+    res.status(500).json({ ok: false, error: 'Failed to regenerate calendar feed' });
+  }
+});
+
+/**
+ * iCalendar feed, polled by calendar clients (the token is the credential)
+ * GET /api/calendar-feed/:token.ics
+ */
+router.get('/:token.ics', async (req, res) => {
+  try {
+    const calendar = await calendarFeedService.renderFeed(req.params.token);
+    if (!calendar) {
+      return res.status(404).json({ ok: false, error: 'Calendar feed not found' });
+    }
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="agenda.ics"',
+      'Cache-Control': 'private, max-age=300'
+    });
+    res.send(calendar);
+  } catch (error) {
+    log.error('Render calendar feed error:', error);
+    res.status(500).json({ ok: false, error: 'Failed to render calendar feed' });
+  }
+});
+
+export default router;
@@ -4,7 +4,8 @@ import { supa } from '../lib/supabase.js';
 import { env } from '../config/env.js';
 import { log } from '../config/logger.js';
 import { agentManager } from '../services/agentManager.js';
-import { googleCalendarService } from '../services/googleCalendar.js';
+import { availabilityService } from '../services/availability.js';
+import { newExceptionId, normalizeException, normalizeExceptions, readExceptions } from '../utils/availabilityExceptions.js';
 
 const router = Router();
 const JWT_SECRET = env.JWT_SECRET || 'geniumed-secret-key-change-in-production';
@@ -634,29 +635,9 @@ router.get('/doctors/:doctorId/calendar/availability', authenticateOwner, async
       });
     }
 
-    // If Google Calendar is connected, get busy slots from Google Calendar
-    let availabilityData = {
-      availableSlots: [],
-      busySlots: [],
-      workingHours: doctor.working_hours,
-      dateSpecificAvailability: doctor.date_specific_availability || [],
-      consultationDuration: doctor.consultation_duration || 90,
-      timezone: doctor.timezone || 'America/Sao_Paulo'
-    };
-
-    if (doctor.google_calendar_id && doctor.google_refresh_token) {
-      try {
-        const availability = await googleCalendarService.getAvailableSlots(
-          doctorId,
-          startDate,
-          endDate
-        );
-        availabilityData = availability;
-      } catch (calendarError) {
-        log.warn(`Failed to get Google Calendar availability for doctor ${doctorId}:`, calendarError);
-        // Continue without Google Calendar data
-      }
-    }
+    // Working hours, overrides, holidays, appointments and Google busy times
+    const resource = await availabilityService.getResource('doctor', doctor.id);
+    const { slots, busy } = await availabilityService.getAvailabilityBetween(resource, start, end);
 
     res.json({
       ok: true,
@@ -665,17 +646,17 @@ router.get('/doctors/:doctorId/calendar/availability', authenticateOwner, async
         name: doctor.name,
         workingHours: doctor.working_hours,
         dateSpecificAvailability: doctor.date_specific_availability || [],
-        consultationDuration: doctor.consultation_duration || 90,
-        timezone: doctor.timezone || 'America/Sao_Paulo',
+        consultationDuration: resource.duration,
+        timezone: resource.timezone,
         googleCalendarConnected: !!doctor.google_calendar_id
       },
       availability: {
-        availableSlots: availabilityData.availableSlots,
-        busySlots: availabilityData.busySlots,
-        workingHours: availabilityData.workingHours,
-        dateSpecificAvailability: availabilityData.dateSpecificAvailability,
-        consultationDuration: availabilityData.consultationDuration,
-        timezone: availabilityData.timezone,
+        availableSlots: slots.map(slot => availabilityService.serializeSlot(resource, slot)),
+        busySlots: busy,
+        workingHours: resource.workingHours,
+        dateSpecificAvailability: resource.dateSpecificAvailability,
+        consultationDuration: resource.duration,
+        timezone: resource.timezone,
         timeRange: {
           start: startDate,
           end: endDate
@@ -756,6 +737,107 @@ router.put('/doctors/:doctorId/calendar/consultation-duration', authenticateOwne
   }
 });
 
+/**
+ * Get doctor's booking rules (defaults when not configured)
+ * GET /api/doctors/:doctorId/calendar/booking-rules
+ */
+router.get('/doctors/:doctorId/calendar/booking-rules', authenticateOwner, async (req, res) => {
+  try {
+    const { doctorId } = req.params;
+
+    const { data: doctor, error } = await supa
+      .from('doctors')
+      .select('id, booking_rules')
+      .eq('id', doctorId)
+      .eq('owner_id', req.ownerId)
+      .single();
+
+    if (error || !doctor) {
+      return res.status(404).json({
+        ok: false,
+        error: 'Doctor not found'
+      });
+    }
+
+    res.json({
+      ok: true,
+      booking_rules: availabilityService.normalizeRules(doctor.booking_rules),
+      is_default: !doctor.booking_rules
+    });
+
+  } catch (error) {
+    log.error('Get booking rules error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to get booking rules'
+    });
+  }
+});
+
+/**
+ * Update doctor's buffers, minimum notice, booking horizon, daily cap and slot interval
+ * PUT /api/doctors/:doctorId/calendar/booking-rules
+ * Body: any subset of the rules, or { reset: true } for the defaults
+ */
+router.put('/doctors/:doctorId/calendar/booking-rules', authenticateOwner, async (req, res) => {
+  try {
+    const { doctorId } = req.params;
+    const { reset, ...changes } = req.body || {};
+
+    const validationError = reset ? null : availabilityService.validateRules(changes);
+    if (validationError) {
+      return res.status(400).json({
+        ok: false,
+        error: validationError
+      });
+    }
+
+    const { data: doctor, error: checkError } = await supa
+      .from('doctors')
+      .select('id, booking_rules')
+      .eq('id', doctorId)
+      .eq('owner_id', req.ownerId)
+      .single();
+
+    if (checkError || !doctor) {
+      return res.status(404).json({
+        ok: false,
+        error: 'Doctor not found'
+      });
+    }
+
+    const bookingRules = reset ? null : { ...(doctor.booking_rules || {}), ...changes };
+
+    const { error: updateError } = await supa
+      .from('doctors')
+      .update({ booking_rules: bookingRules })
+      .eq('id', doctorId);
+
+    if (updateError) {
+      log.error('Update booking rules error:', updateError);
+      return res.status(500).json({
+        ok: false,
+        error: 'Failed to update booking rules'
+      });
+    }
+
+    log.info(`Updated booking rules for doctor ${doctorId}`);
+
+    res.json({
+      ok: true,
+      message: 'Booking rules updated successfully',
+      booking_rules: availabilityService.normalizeRules(bookingRules)
+    });
+
+  } catch (error) {
+    log.error('Update booking rules error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to update booking rules'
+    });
+  }
+});
+
 /**
  * Get doctor's date-specific availability
  * GET /api/doctors/:doctorId/calendar/date-specific
@@ -798,8 +880,9 @@ router.get('/doctors/:doctorId/calendar/date-specific', authenticateOwner, async
 });
 
 /**
- * Update doctor's date-specific availability
+ * Update doctor's date-specific availability (replaces every entry)
  * PUT /api/doctors/:doctorId/calendar/date-specific
+ * Body: { date_specific_availability: [{ type, start_date, end_date?, recurrence?, windows?, reason? }] }
  */
 router.put('/doctors/:doctorId/calendar/date-specific', authenticateOwner, async (req, res) => {
   try {
@@ -813,47 +896,16 @@ router.put('/doctors/:doctorId/calendar/date-specific', authenticateOwner, async
       });
     }
 
-    // Normalize date string to YYYY-MM-DD format
-    function normalizeDateString(dateStr) {
-      if (!dateStr) return dateStr;
-      // If already in YYYY-MM-DD format, return as is
-      if (/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) {
-        return dateStr;
-      }
-      // If in MM/DD/YYYY format, convert to YYYY-MM-DD
-      if (dateStr.includes('/')) {
-        const parts = dateStr.split('/');
-        if (parts.length === 3) {
-          const [month, day, year] = parts;
-          return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
-        }
-      }
-      return dateStr;
-    }
-
     // Validate and normalize each availability entry
-    const normalizedAvailability = date_specific_availability.map(availability => {
-      if (!availability.date || !availability.type) {
-        throw new Error('Each availability entry must have date and type');
-      }
-
-      if (!['unavailable', 'modified_hours'].includes(availability.type)) {
-        throw new Error('Type must be either "unavailable" or "modified_hours"');
-      }
-
-      if (availability.type === 'modified_hours' && (!availability.start || !availability.end)) {
-        throw new Error('Modified hours must have start and end times');
-      }
-
-      // Normalize the date to YYYY-MM-DD format
-      const normalizedDate = normalizeDateString(availability.date);
-      log.debug(`Normalizing date: ${availability.date} -> ${normalizedDate}`);
-
-      return {
-        ...availability,
-        date: normalizedDate
-      };
-    });
+    let normalizedAvailability;
+    try {
+      normalizedAvailability = normalizeExceptions(date_specific_availability);
+    } catch (validationError) {
+      return res.status(400).json({
+        ok: false,
+        error: validationError.message
+      });
+    }
 
     // Verify doctor belongs to this owner
     const { data: existingDoctor, error: checkError } = await supa
@@ -870,7 +922,7 @@ router.put('/doctors/:doctorId/calendar/date-specific', authenticateOwner, async
       });
     }
 
-    // Update date-specific availability with normalized dates
+    // Update date-specific availability with normalized entries
     const { data: updatedDoctor, error: updateError } = await supa
       .from('doctors')
       .update({ date_specific_availability: normalizedAvailability })
@@ -906,30 +958,30 @@ router.put('/doctors/:doctorId/calendar/date-specific', authenticateOwner, async
 /**
  * Add a single date-specific availability entry
  * POST /api/doctors/:doctorId/calendar/date-specific
+ * Body: { type, start_date (or date), end_date?, recurrence?, windows? (or start/end), reason? }
+ * type: 'unavailable' | 'modified_hours' | 'extra_hours' | 'blocked';
+ * recurrence is RRULE-style, e.g. "FREQ=WEEKLY;INTERVAL=2;BYDAY=FR"
  */
 router.post('/doctors/:doctorId/calendar/date-specific', authenticateOwner, async (req, res) => {
   try {
     const { doctorId } = req.params;
-    const { date, type, reason, start, end } = req.body;
+    const { date, start_date, type } = req.body;
 
-    if (!date || !type) {
+    if (!(start_date || date) || !type) {
       return res.status(400).json({
         ok: false,
-        error: 'Date and type are required'
+        error: 'start_date (or date) and type are required'
       });
     }
 
-    if (!['unavailable', 'modified_hours'].includes(type)) {
+    let newEntry;
+    try {
+      // A new entry always gets a fresh id, whatever the client sent
+      newEntry = normalizeException({ ...req.body, id: newExceptionId() });
+    } catch (validationError) {
       return res.status(400).json({
         ok: false,
-        error: 'Type must be either "unavailable" or "modified_hours"'
-      });
-    }
-
-    if (type === 'modified_hours' && (!start || !end)) {
-      return res.status(400).json({
-        ok: false,
-        error: 'Modified hours must have start and end times'
+        error: validationError.message
       });
     }
 
@@ -948,51 +1000,22 @@ router.post('/doctors/:doctorId/calendar/date-specific', authenticateOwner, asyn
       });
     }
 
-    // Normalize date string to YYYY-MM-DD format
-    function normalizeDateString(dateStr) {
-      if (!dateStr) return dateStr;
-      // If already in YYYY-MM-DD format, return as is
-      if (/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) {
-        return dateStr;
-      }
-      // If in MM/DD/YYYY format, convert to YYYY-MM-DD
-      if (dateStr.includes('/')) {
-        const parts = dateStr.split('/');
-        if (parts.length === 3) {
-          const [month, day, year] = parts;
-          return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
-        }
-      }
-      return dateStr;
-    }
-
-    // Normalize the incoming date
-    const normalizedDate = normalizeDateString(date);
-    log.debug(`Normalizing date for POST: ${date} -> ${normalizedDate}`);
-
-    // Check if date already exists (compare normalized dates)
+    // Only one entry of a type per plain date range
     const existingAvailability = doctor.date_specific_availability || [];
-    const existingEntry = existingAvailability.find(entry => {
-      const entryDate = normalizeDateString(entry.date);
-      return entryDate === normalizedDate;
-    });
+    const existingEntry = !newEntry.recurrence && readExceptions(existingAvailability).find(entry =>
+      !entry.recurrence &&
+      entry.type === newEntry.type &&
+      entry.start_date === newEntry.start_date &&
+      (entry.end_date || entry.start_date) === (newEntry.end_date || newEntry.start_date)
+    );
 
     if (existingEntry) {
       return res.status(400).json({
         ok: false,
-        error: 'Date-specific availability already exists for this date'
+        error: 'Date-specific availability of this type already exists for these dates'
       });
     }
 
-    // Add new availability entry with normalized date
-    const newEntry = {
-      id: Date.now().toString(),
-      date: normalizedDate,
-      type,
-      reason: reason || '',
-      ...(type === 'modified_hours' && { start, end })
-    };
-
     const updatedAvailability = [...existingAvailability, newEntry];
 
     // Update database
@@ -1011,7 +1034,7 @@ router.post('/doctors/:doctorId/calendar/date-specific', authenticateOwner, asyn
       });
     }
 
-    log.info(`Added date-specific availability for doctor ${doctorId} on ${date}`);
+    log.info(`Added date-specific availability for doctor ${doctorId} from ${newEntry.start_date}`);
 
     res.json({
       ok: true,
@@ -0,0 +1,57 @@
+import { Router } from 'express';
+import { log } from '../config/logger.js';
+import { verifyJWT } from '../middleware/verifyJWT.js';
+import { eventBus } from '../services/events.js';
+
+const router = Router();
+
+const HEARTBEAT_INTERVAL_MS = 25000;
+
+/**
+ * EventSource cannot send headers, so accept the JWT as ?token= as well
+ */
+function tokenFromQuery(req, _res, next) {
+  if (!req.headers.authorization && req.query.token) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+}
+
+/**
+ * Server-Sent Events stream with the authenticated owner's events
+ * GET /api/events/stream?token=<jwt>&types=call.started,message.received
+ */
+router.get('/stream', tokenFromQuery, verifyJWT, (req, res) => {
+  const ownerId = req.user.id;
+  const types = req.query.types ? new Set(String(req.query.types).split(',')) : null;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable nginx buffering
+  });
+  res.flushHeaders();
+
+  res.write('retry: 5000\n\n');
+  res.write(`event: connected\ndata: ${JSON.stringify({ owner_id: ownerId, at: new Date().toISOString() })}\n\n`);
+
+  const unsubscribe = eventBus.subscribe(ownerId, (event) => {
+    if (types && !types.has(event.type)) return;
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  });
+
+  const heartbeat = setInterval(() => {
+    res.write(': ping\n\n');
+  }, HEARTBEAT_INTERVAL_MS);
+
+  log.info('SSE client connected', { ownerId });
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    log.info('SSE client disconnected', { ownerId });
+  });
+});
+
+export default router;
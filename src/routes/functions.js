@@ -4,6 +4,10 @@ import { supa } from '../lib/supabase.js';
 import { env } from '../config/env.js';
 import Retell from 'retell-sdk';
 import { agentManager } from '../services/agentManager.js';
+import { callbackService } from '../services/callbacks.js';
+import { callPolicyService } from '../services/callPolicy.js';
+import { availabilityService } from '../services/availability.js';
+import { resolveTimezone, zonedTimeToUtc, addDaysToDateString, toIsoStringInTimezone } from '../utils/timezone.js';
 
 const r = Router();
 const client = new Retell({
@@ -120,11 +124,81 @@ r.post('/fn/set-communication-preference', async (req,res)=>{
   res.json({ ok:true });
 });
 
-r.post('/fn/schedule-call', async (req,res)=>{
-  const { lead_id, when_iso } = req.body.args || {};
-  // if(!lead_id || !when_iso) return res.status(400).json({ error:'lead_id and when_iso required' });
-  // await supa.from('leads').update({ status:'reschedule', next_retry_at: when_iso }).eq('id', lead_id);
-  res.json({ ok:true });
+/**
+ * Schedule a call back at the time the lead asked for
+ * POST /fn/schedule-call
+ * Body: { call, args: { lead_id?, when_iso? (or when_time_iso) | date + time, reason? } }
+ * when_iso without offset (or date/time) is read in the lead's timezone
+ */
+r.post('/fn/schedule-call', async (req, res) => {
+  if (
+    !Retell.verify(
+      JSON.stringify(req.body),
+      env.RETELL_API_KEY,
+      req.headers["x-retell-signature"] || '',
+    )
+  ) {
+    console.error("Invalid signature");
+    return res.status(401).json({ ok: false, error: 'Invalid signature' });
+  }
+
+  try {
+    // The conversation flow tools send when_iso/lead_id as query params and when_time_iso in args
+    const args = { ...req.query, ...(req.body?.args || {}) };
+    args.when_iso = args.when_iso || args.when_time_iso;
+    const call = req.body?.call || {};
+    const leadId = args.lead_id || call.retell_llm_dynamic_variables?.lead_id || call.metadata?.lead_id;
+
+    if (!leadId || (!args.when_iso && !(args.date && args.time))) {
+      return res.status(400).json({ ok: false, error: 'lead_id and when_iso (or date and time) required' });
+    }
+
+    const { data: lead } = await supa
+      .from('leads')
+      .select('id, owner_id, timezone')
+      .eq('id', leadId)
+      .maybeSingle();
+
+    if (!lead) {
+      return res.status(404).json({ ok: false, error: 'Lead not found' });
+    }
+
+    const timezone = resolveTimezone(lead.timezone);
+    const callAt = callbackService.parseRequestedTime(args, timezone);
+
+    if (!callAt) {
+      return res.json({ ok: false, reason: 'invalid_time', message: 'Could not understand the requested time' });
+    }
+
+    const policy = await callPolicyService.getPolicy(lead.owner_id);
+    const invalid = callbackService.validate(callAt, policy, timezone);
+    if (invalid) {
+      // Tell the agent why, with the next time we can call, so it can offer it
+      return res.json({
+        ok: false,
+        reason: invalid.reason,
+        message: invalid.message,
+        suggested_time_iso: invalid.suggested?.toISOString() || null,
+        suggested_time: invalid.suggested ? callbackService.formatForLead(invalid.suggested, timezone) : null
+      });
+    }
+
+    await callbackService.schedule({
+      leadId: lead.id,
+      callAt,
+      reason: args.reason,
+      callId: call.call_id
+    });
+
+    res.json({
+      ok: true,
+      scheduled_for_iso: callAt.toISOString(),
+      scheduled_for: callbackService.formatForLead(callAt, timezone)
+    });
+  } catch (error) {
+    console.error('[schedule-call] Error:', error);
+    res.status(500).json({ ok: false, error: error.message });
+  }
 });
 
 r.post('/fn/check-specialty', async (req, res) => {
@@ -397,33 +471,36 @@ r.post('/fn/book-treatment-session', async (req,res)=>{
 
 // Check treatment availability
 r.post('/fn/check-treatment-availability', async (req, res) => {
-  const { treatment_id, date, timezone } = req.body.args || {};
+  const { treatment_id, date } = req.body.args || {};
   
   if (!treatment_id) return res.status(400).json({ error: 'treatment_id required' });
+  if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+  }
   
-  // Get treatment working hours
-  const { data: treatment } = await supa
-    .from('treatments')
-    .select('working_hours,date_specific_availability,timezone')
-    .eq('id', treatment_id)
-    .single();
-  
-  if (!treatment) return res.status(404).json({ error: 'Treatment not found' });
-  
-  // TODO: Implement proper availability checking logic based on working_hours and date_specific_availability
-  // For now, return sample slots
-  const sampleSlots = [
-    '2025-10-20T09:00:00-03:00',
-    '2025-10-20T14:00:00-03:00',
-    '2025-10-21T10:00:00-03:00',
-    '2025-10-22T15:00:00-03:00'
-  ];
-  
-  res.json({ 
-    ok: true, 
-    next_slots: sampleSlots,
-    timezone: treatment.timezone || 'America/Sao_Paulo'
-  });
+  try {
+    // Treatments are booked on the owner's calendar
+    const resource = await availabilityService.getResource('treatment', treatment_id);
+    if (!resource) return res.status(404).json({ error: 'Treatment not found' });
+    
+    let slots = date ? await availabilityService.getSlotsForDate(resource, date) : [];
+    const requestedDateAvailable = slots.length > 0;
+    
+    if (!requestedDateAvailable) {
+      const from = date ? zonedTimeToUtc(addDaysToDateString(date, 1), '00:00', resource.timezone) : new Date();
+      slots = await availabilityService.findSlots(resource, { from, maxSlots: 4 });
+    }
+    
+    res.json({ 
+      ok: true, 
+      available: requestedDateAvailable,
+      next_slots: slots.map(slot => toIsoStringInTimezone(slot.start, resource.timezone)),
+      timezone: resource.timezone
+    });
+  } catch (error) {
+    console.error('[check-treatment-availability] Error:', error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
 export default r;
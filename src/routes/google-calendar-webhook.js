@@ -5,6 +5,8 @@ import { log } from '../config/logger.js';
 import { env } from '../config/env.js';
 import { googleCalendarService } from '../services/googleCalendar.js';
 import { updateAgentVariablesForLead } from './retell.js';
+import { eventBus } from '../services/events.js';
+import { noShowService } from '../services/noShow.js';
 
 const router = Router();
 
@@ -151,7 +153,7 @@ async function processCalendarNotification({ channelId, resourceId, resourceStat
     // Get all appointments from our database based on calendar type
     let dbAppointmentsQuery = supa
       .from('appointments')
-      .select('id, gcal_event_id, start_at, end_at, status, resource_type, resource_id')
+      .select('id, owner_id, lead_id, gcal_event_id, start_at, end_at, status, resource_type, resource_id')
       .gte('start_at', sevenDaysAgo.toISOString())
       .lte('start_at', thirtyDaysAhead.toISOString());
 
@@ -221,6 +223,13 @@ async function processCalendarNotification({ channelId, resourceId, resourceStat
 
       log.info(`✅ Appointment ${appointment.id} marked as cancelled due to Google Calendar deletion`);
 
+      eventBus.publish(appointment.owner_id, 'appointment.cancelled', {
+        appointment_id: appointment.id,
+        lead_id: appointment.lead_id,
+        start_at: appointment.start_at,
+        source: 'google_calendar'
+      });
+
       // Update agent_variables in active whatsapp_chats and Retell chats
       if (appointment.lead_id) {
         updateAgentVariablesForLead(appointment.lead_id, 'google-calendar-cancel')
@@ -258,6 +267,14 @@ async function processCalendarNotification({ channelId, resourceId, resourceStat
 
         log.info(`✅ Appointment ${appointment.id} time updated from Google Calendar`);
 
+        eventBus.publish(appointment.owner_id, 'appointment.rescheduled', {
+          appointment_id: appointment.id,
+          lead_id: appointment.lead_id,
+          start_at: googleStart.toISOString(),
+          previous_start_at: appointment.start_at,
+          source: 'google_calendar'
+        });
+
         // Update agent_variables in active whatsapp_chats and Retell chats
         if (appointment.lead_id) {
           updateAgentVariablesForLead(appointment.lead_id, 'google-calendar-update')
@@ -266,6 +283,18 @@ async function processCalendarNotification({ channelId, resourceId, resourceStat
       }
     }
 
+    // Attendance marked by the owner in the event title ("[FALTOU]", "compareceu")
+    for (const appointment of (dbAppointments || [])) {
+      const googleEvent = appointment.gcal_event_id && googleEventMap.get(appointment.gcal_event_id);
+      if (!googleEvent) continue;
+
+      try {
+        await noShowService.applyCalendarSignal(appointment, googleEvent);
+      } catch (attendanceError) {
+        log.warn('Failed to apply Google Calendar attendance marker:', { appointmentId: appointment.id, error: attendanceError.message });
+      }
+    }
+
     // Update last sync time in the appropriate table
     if (calendarType === 'doctor') {
     await supa
@@ -5,6 +5,7 @@ import { log } from '../config/logger.js';
 import { env } from '../config/env.js';
 import { verifyJWT } from '../middleware/verifyJWT.js';
 import { googleCalendarService } from '../services/googleCalendar.js';
+import { availabilityService } from '../services/availability.js';
 
 const router = Router();
 
@@ -363,12 +364,9 @@ router.get('/availability/:doctorId', verifyJWT, async (req, res) => {
       });
     }
 
-    // Get availability from Google Calendar
-    const availability = await googleCalendarService.getAvailableSlots(
-      doctorId,
-      startDate,
-      endDate
-    );
+    // Google busy times merged with working hours, overrides, holidays and appointments
+    const resource = await availabilityService.getResource('doctor', doctor.id);
+    const { slots, busy } = await availabilityService.getAvailabilityBetween(resource, start, end);
 
     // Get doctor's working hours and consultation duration for additional context
     const doctorInfo = {
@@ -376,8 +374,8 @@ router.get('/availability/:doctorId', verifyJWT, async (req, res) => {
       name: doctor.name,
       workingHours: doctor.working_hours,
       dateSpecificAvailability: doctor.date_specific_availability || [],
-      consultationDuration: doctor.consultation_duration || 90, // default 90 minutes
-      timezone: doctor.timezone || 'America/Sao_Paulo'
+      consultationDuration: resource.duration,
+      timezone: resource.timezone
     };
 
     log.info(`Retrieved availability for doctor ${doctorId} from ${startDate} to ${endDate}`);
@@ -386,12 +384,12 @@ router.get('/availability/:doctorId', verifyJWT, async (req, res) => {
       ok: true,
       doctor: doctorInfo,
       availability: {
-        availableSlots: availability.availableSlots,
-        busySlots: availability.busySlots,
-        workingHours: availability.workingHours,
-        dateSpecificAvailability: availability.dateSpecificAvailability,
-        consultationDuration: availability.consultationDuration,
-        timezone: availability.timezone,
+        availableSlots: slots.map(slot => availabilityService.serializeSlot(resource, slot)),
+        busySlots: busy,
+        workingHours: resource.workingHours,
+        dateSpecificAvailability: resource.dateSpecificAvailability,
+        consultationDuration: resource.duration,
+        timezone: resource.timezone,
         timeRange: {
           start: startDate,
           end: endDate
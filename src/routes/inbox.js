@@ -0,0 +1,327 @@
+import { Router } from 'express';
+import { supa } from '../lib/supabase.js';
+import { log } from '../config/logger.js';
+import { verifyJWT } from '../middleware/verifyJWT.js';
+
+const router = Router();
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Encode the position of the last row of a page (last_message_at + id)
+ */
+function encodeCursor(timestamp, id) {
+  return Buffer.from(`${timestamp || ''}|${id}`).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @returns {Object|null} - { timestamp, id } or null when invalid
+ */
+function decodeCursor(cursor) {
+  if (!cursor) return null;
+  try {
+    const [timestamp, id] = Buffer.from(String(cursor), 'base64url').toString('utf8').split('|');
+    if (!id) return null;
+    return { timestamp: timestamp || null, id };
+  } catch {
+    return null;
+  }
+}
+
+function parseLimit(value) {
+  const limit = parseInt(value || DEFAULT_PAGE_SIZE, 10) || DEFAULT_PAGE_SIZE;
+  return Math.min(Math.max(limit, 1), MAX_PAGE_SIZE);
+}
+
+/**
+ * Count inbound messages newer than each chat's owner_last_read_at
+ * (inbox_unread_counts, migration 045)
+ * @param {Array} chats - whatsapp_chats rows
+ * @returns {Object} - { [chatId]: unreadCount }
+ */
+async function getUnreadCounts(chats) {
+  const counts = {};
+  if (!chats.length) return counts;
+
+  chats.forEach(chat => { counts[chat.id] = 0; });
+
+  const { data: rows, error } = await supa.rpc('inbox_unread_counts', {
+    p_chat_ids: chats.map(chat => chat.id)
+  });
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  (rows || []).forEach(row => {
+    counts[row.chat_id] = Number(row.unread_count);
+  });
+
+  return counts;
+}
+
+/**
+ * Latest message of each chat (inbox_last_messages, migration 045)
+ * @returns {Object} - { [chatId]: message }
+ */
+async function getLastMessages(chats) {
+  if (!chats.length) return {};
+
+  const { data: rows, error } = await supa.rpc('inbox_last_messages', {
+    p_chat_ids: chats.map(chat => chat.id)
+  });
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return Object.fromEntries((rows || []).map(row => [row.chat_id, row]));
+}
+
+/**
+ * List conversations for the inbox, most recent activity first
+ * GET /api/inbox/conversations?status=open&lead_id=...&resource_type=doctor&resource_id=...&q=texto&cursor=...&limit=20
+ */
+router.get('/conversations', verifyJWT, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { status, lead_id, resource_type, resource_id, q, cursor } = req.query;
+    const limit = parseLimit(req.query.limit);
+
+    const filterByResource = !!(resource_type || resource_id);
+
+    let query = supa
+      .from('whatsapp_chats')
+      .select(`
+        *,
+        leads${filterByResource ? '!inner' : ''}(id, name, phone, assigned_resource_type, assigned_resource_id)
+      `)
+      .eq('owner_id', userId)
+      .order('last_message_at', { ascending: false, nullsFirst: false })
+      .order('id', { ascending: false })
+      .limit(limit + 1);
+
+    if (status) {
+      const statuses = String(status).split(',');
+      query = statuses.length > 1 ? query.in('status', statuses) : query.eq('status', statuses[0]);
+    }
+
+    if (lead_id) {
+      query = query.eq('lead_id', lead_id);
+    }
+
+    if (resource_type) {
+      query = query.eq('leads.assigned_resource_type', resource_type);
+    }
+
+    if (resource_id) {
+      query = query.eq('leads.assigned_resource_id', resource_id);
+    }
+
+    // Full-text search over message bodies (plus phone number match)
+    if (q && String(q).trim()) {
+      const term = String(q).trim();
+
+      const { data: matches, error: searchError } = await supa
+        .from('whatsapp_messages')
+        .select('chat_id, whatsapp_chats!inner(owner_id)')
+        .eq('whatsapp_chats.owner_id', userId)
+        .textSearch('body', term, { type: 'websearch', config: 'portuguese' })
+        .limit(1000);
+
+      if (searchError) {
+        throw new Error(searchError.message);
+      }
+
+      const chatIds = [...new Set((matches || []).map(m => m.chat_id))];
+      const digits = term.replace(/\D/g, '');
+
+      if (digits.length >= 4) {
+        query = chatIds.length
+          ? query.or(`id.in.(${chatIds.join(',')}),wa_phone.ilike.%${digits}%`)
+          : query.ilike('wa_phone', `%${digits}%`);
+      } else if (chatIds.length) {
+        query = query.in('id', chatIds);
+      } else {
+        return res.json({ ok: true, conversations: [], next_cursor: null });
+      }
+    }
+
+    const position = decodeCursor(cursor);
+    if (cursor && !position) {
+      return res.status(400).json({ ok: false, error: 'Invalid cursor' });
+    }
+
+    // Timestamps are quoted because they contain PostgREST reserved characters
+    if (position) {
+      query = position.timestamp
+        ? query.or(`last_message_at.lt."${position.timestamp}",and(last_message_at.eq."${position.timestamp}",id.lt.${position.id}),last_message_at.is.null`)
+        : query.is('last_message_at', null).lt('id', position.id);
+    }
+
+    const { data: rows, error } = await query;
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    const hasMore = rows.length > limit;
+    const chats = hasMore ? rows.slice(0, limit) : rows;
+
+    const [unreadCounts, lastMessages] = await Promise.all([
+      getUnreadCounts(chats),
+      getLastMessages(chats)
+    ]);
+
+    const conversations = chats.map(chat => ({
+      id: chat.id,
+      status: chat.status,
+      waPhone: chat.wa_phone,
+      leadId: chat.lead_id,
+      leadName: chat.leads?.name || null,
+      resourceType: chat.leads?.assigned_resource_type || null,
+      resourceId: chat.leads?.assigned_resource_id || null,
+      chatType: chat.metadata?.chat_type || 'other',
+      lastMessage: lastMessages[chat.id] || null,
+      lastMessageAt: chat.last_message_at,
+      lastReadAt: chat.owner_last_read_at,
+      unreadCount: unreadCounts[chat.id] || 0,
+      handoffReason: chat.handoff_reason || null,
+      createdAt: chat.created_at
+    }));
+
+    const last = chats[chats.length - 1];
+
+    res.json({
+      ok: true,
+      conversations,
+      next_cursor: hasMore && last ? encodeCursor(last.last_message_at, last.id) : null
+    });
+  } catch (error) {
+    log.error('Inbox conversations error:', error);
+    res.status(500).json({ ok: false, error: 'Failed to fetch conversations' });
+  }
+});
+
+/**
+ * Total unread conversations/messages for the inbox badge
+ * GET /api/inbox/unread-count
+ */
+router.get('/unread-count', verifyJWT, async (req, res) => {
+  try {
+    const { data: summary, error } = await supa
+      .rpc('inbox_unread_summary', { p_owner_id: req.user.id })
+      .single();
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    res.json({
+      ok: true,
+      unread_conversations: Number(summary?.unread_conversations || 0),
+      unread_messages: Number(summary?.unread_messages || 0)
+    });
+  } catch (error) {
+    log.error('Inbox unread count error:', error);
+    res.status(500).json({ ok: false, error: 'Failed to fetch unread count' });
+  }
+});
+
+/**
+ * Messages of a conversation, newest first, paginated with a cursor
+ * GET /api/inbox/conversations/:chatId/messages?cursor=...&limit=50
+ */
+router.get('/conversations/:chatId/messages', verifyJWT, async (req, res) => {
+  try {
+    const { chatId } = req.params;
+    const limit = parseLimit(req.query.limit || 50);
+
+    const { data: chat, error: chatError } = await supa
+      .from('whatsapp_chats')
+      .select('id')
+      .eq('id', chatId)
+      .eq('owner_id', req.user.id)
+      .single();
+
+    if (chatError || !chat) {
+      return res.status(404).json({ ok: false, error: 'Conversation not found' });
+    }
+
+    let query = supa
+      .from('whatsapp_messages')
+      .select('*')
+      .eq('chat_id', chatId)
+      .order('created_at', { ascending: false })
+      .order('id', { ascending: false })
+      .limit(limit + 1);
+
+    const position = decodeCursor(req.query.cursor);
+    if (req.query.cursor && !position) {
+      return res.status(400).json({ ok: false, error: 'Invalid cursor' });
+    }
+
+    if (position?.timestamp) {
+      query = query.or(`created_at.lt."${position.timestamp}",and(created_at.eq."${position.timestamp}",id.lt.${position.id})`);
+    }
+
+    const { data: rows, error } = await query;
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    const hasMore = rows.length > limit;
+    const messages = hasMore ? rows.slice(0, limit) : rows;
+    const last = messages[messages.length - 1];
+
+    res.json({
+      ok: true,
+      messages,
+      next_cursor: hasMore && last ? encodeCursor(last.created_at, last.id) : null
+    });
+  } catch (error) {
+    log.error('Inbox messages error:', error);
+    res.status(500).json({ ok: false, error: 'Failed to fetch messages' });
+  }
+});
+
+/**
+ * Mark a conversation as read
+ * POST /api/inbox/conversations/:chatId/read
+ * Body: { read_at?: ISO timestamp } - defaults to now
+ */
+router.post('/conversations/:chatId/read', verifyJWT, async (req, res) => {
+  try {
+    const readAt = req.body?.read_at ? new Date(req.body.read_at) : new Date();
+
+    if (isNaN(readAt.getTime())) {
+      return res.status(400).json({ ok: false, error: 'Invalid read_at' });
+    }
+
+    const { data: chat, error } = await supa
+      .from('whatsapp_chats')
+      .update({ owner_last_read_at: readAt.toISOString() })
+      .eq('id', req.params.chatId)
+      .eq('owner_id', req.user.id)
+      .select('id, owner_last_read_at')
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    if (!chat) {
+      return res.status(404).json({ ok: false, error: 'Conversation not found' });
+    }
+
+    res.json({ ok: true, id: chat.id, lastReadAt: chat.owner_last_read_at });
+  } catch (error) {
+    log.error('Inbox mark as read error:', error);
+    res.status(500).json({ ok: false, error: 'Failed to mark conversation as read' });
+  }
+});
+
+export default router;
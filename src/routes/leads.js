@@ -2,10 +2,12 @@ import { Router } from 'express';
 import { supa } from '../lib/supabase.js';
 import { log } from '../config/logger.js';
 import { agentManager } from '../services/agentManager.js';
-import { getNowInSaoPaulo, getIsoStringNow, toIsoStringSaoPaulo } from '../utils/timezone.js';
+import { getIsoStringNow, toIsoStringSaoPaulo } from '../utils/timezone.js';
 import { verifyApiToken } from '../middleware/verifyApiToken.js';
 import { verifyApiTokenFlexible } from '../middleware/verifyApiTokenFlexible.js';
 import { normalizePhoneNumber } from '../lib/retell.js';
+import { eventBus } from '../services/events.js';
+import { callPolicyService } from '../services/callPolicy.js';
 
 const router = Router();
 
@@ -111,6 +113,7 @@ router.post('/lead/submit', verifyApiToken, async (req, res) => {
     }
 
     log.info(`Lead created: ${newLead.id} - ${name} (${cleanPhone})`);
+    eventBus.publishLeadCreated(newLead);
 
     try {
       let assignment;
@@ -200,7 +203,7 @@ router.post('/lead/submit', verifyApiToken, async (req, res) => {
           .from('leads')
           .update({ 
             status: 'call_failed',
-            next_retry_at: new Date(getNowInSaoPaulo().getTime() + 15 * 60 * 1000).toISOString() // Retry in 15 minutes
+            next_retry_at: new Date(Date.now() + 15 * 60 * 1000).toISOString() // Retry in 15 minutes
           })
           .eq('id', newLead.id);
 
@@ -241,7 +244,7 @@ router.post('/lead/submit', verifyApiToken, async (req, res) => {
         .from('leads')
         .update({ 
           status: 'assignment_failed',
-            next_retry_at: toIsoStringSaoPaulo(new Date(getNowInSaoPaulo().getTime() + 30 * 60 * 1000)) // Retry in 30 minutes (São Paulo timezone)
+            next_retry_at: toIsoStringSaoPaulo(new Date(Date.now() + 30 * 60 * 1000)) // Retry in 30 minutes (São Paulo timezone)
         })
         .eq('id', newLead.id);
 
@@ -428,6 +431,7 @@ router.post('/lead/submit/webhook', verifyApiTokenFlexible, async (req, res) =>
     }
 
     log.info(`Webhook lead created: ${newLead.id} - ${fullName} (${cleanPhone}) from ${source || 'webhook'}`);
+    eventBus.publishLeadCreated(newLead);
 
     // Assign doctor/treatment and agent, then initiate call
     try {
@@ -496,7 +500,7 @@ router.post('/lead/submit/webhook', verifyApiTokenFlexible, async (req, res) =>
           .from('leads')
           .update({ 
             status: 'call_failed',
-            next_retry_at: new Date(getNowInSaoPaulo().getTime() + 15 * 60 * 1000).toISOString()
+            next_retry_at: new Date(Date.now() + 15 * 60 * 1000).toISOString()
           })
           .eq('id', newLead.id);
 
@@ -513,7 +517,7 @@ router.post('/lead/submit/webhook', verifyApiTokenFlexible, async (req, res) =>
         .from('leads')
         .update({ 
           status: 'assignment_failed',
-          next_retry_at: new Date(getNowInSaoPaulo().getTime() + 30 * 60 * 1000).toISOString()
+          next_retry_at: new Date(Date.now() + 30 * 60 * 1000).toISOString()
         })
         .eq('id', newLead.id);
 
@@ -721,6 +725,7 @@ router.post('/lead/demo', verifyApiToken, async (req, res) => {
     }
 
     log.info(`Demo lead created: ${newLead.id} - ${name} (${cleanPhone})`);
+    eventBus.publishLeadCreated(newLead);
 
     try {
       const assignment = await agentManager.findDoctorAndAgentForLead(newLead);
@@ -766,7 +771,7 @@ router.post('/lead/demo', verifyApiToken, async (req, res) => {
           .from('leads')
           .update({ 
             status: 'call_failed',
-            next_retry_at: new Date(getNowInSaoPaulo().getTime() + 15 * 60 * 1000).toISOString()
+            next_retry_at: new Date(Date.now() + 15 * 60 * 1000).toISOString()
           })
           .eq('id', newLead.id);
 
@@ -785,7 +790,7 @@ router.post('/lead/demo', verifyApiToken, async (req, res) => {
         .from('leads')
         .update({ 
           status: 'assignment_failed',
-          next_retry_at: new Date(getNowInSaoPaulo().getTime() + 30 * 60 * 1000).toISOString()
+          next_retry_at: new Date(Date.now() + 30 * 60 * 1000).toISOString()
         })
         .eq('id', newLead.id);
 
@@ -1050,7 +1055,8 @@ router.post('/lead/:id/retry', async (req, res) => {
 
     const nextAttemptNo = (attempts?.[0]?.attempt_no || 0) + 1;
 
-    if (nextAttemptNo > (lead.max_attempts || 3)) {
+    const callPolicy = await callPolicyService.getPolicy(lead.owner_id);
+    if (nextAttemptNo > callPolicyService.getMaxAttempts(callPolicy, lead)) {
       return res.status(400).json({
         ok: false,
         error: 'Maximum retry attempts reached'
@@ -1122,6 +1128,17 @@ router.put('/lead/:id', async (req, res) => {
     delete updates.owner_id;
     delete updates.created_at;
 
+    // Previous status, so the status event is only published on a change
+    let previousStatus = null;
+    if (updates.status) {
+      const { data: currentLead } = await supa
+        .from('leads')
+        .select('status')
+        .eq('id', id)
+        .maybeSingle();
+      previousStatus = currentLead?.status || null;
+    }
+
     // Update lead
     const { data: updatedLead, error } = await supa
       .from('leads')
@@ -1145,6 +1162,10 @@ router.put('/lead/:id', async (req, res) => {
       });
     }
 
+    if (updates.status) {
+      eventBus.publishLeadStatus(updatedLead.owner_id, updatedLead.id, updatedLead.status, previousStatus);
+    }
+
     res.json({
       ok: true,
       message: 'Lead updated successfully',
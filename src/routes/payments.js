@@ -0,0 +1,210 @@
+import { Router } from 'express';
+import { supa } from '../lib/supabase.js';
+import { log } from '../config/logger.js';
+import { verifyJWT } from '../middleware/verifyJWT.js';
+import { paymentsService } from '../services/payments.js';
+
+const router = Router();
+
+/**
+ * Stripe webhook - marks payments and appointments as paid/refunded
+ * POST /api/payments/stripe/webhook
+ */
+router.post('/stripe/webhook', async (req, res) => {
+  let event;
+  try {
+    event = paymentsService.constructWebhookEvent(req.rawBody, req.headers['stripe-signature'] || '');
+  } catch (error) {
+    log.warn('Invalid Stripe webhook signature:', error.message);
+    return res.status(400).json({ ok: false, error: 'Invalid signature' });
+  }
+
+  try {
+    const result = await paymentsService.handleStripeEvent(event);
+    res.json({ ok: true, received: true, ...result });
+  } catch (error) {
+    log.error('Stripe webhook error:', error);
+    // Non-2xx makes Stripe retry the delivery
+    res.status(500).json({ ok: false, error: 'Failed to process event' });
+  }
+});
+
+/**
+ * List payments for the authenticated owner
+ * GET /api/payments?status=paid&review_status=needs_review&appointment_id=...&lead_id=...&limit=50&offset=0
+ */
+router.get('/', verifyJWT, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit || '50', 10) || 50, 200);
+    const offset = parseInt(req.query.offset || '0', 10) || 0;
+
+    const { payments, total } = await paymentsService.listOwnerPayments(req.user.id, {
+      status: req.query.status,
+      reviewStatus: req.query.review_status,
+      appointmentId: req.query.appointment_id,
+      leadId: req.query.lead_id,
+      limit,
+      offset
+    });
+
+    res.json({ ok: true, payments, total, limit, offset });
+  } catch (error) {
+    log.error('List payments error:', error);
+    res.status(500).json({ ok: false, error: 'Failed to fetch payments' });
+  }
+});
+
+/**
+ * Payment totals per status for the authenticated owner
+ * GET /api/payments/summary
+ */
+router.get('/summary', verifyJWT, async (req, res) => {
+  try {
+    const summary = await paymentsService.getOwnerSummary(req.user.id);
+    res.json({ ok: true, summary });
+  } catch (error) {
+    log.error('Payments summary error:', error);
+    res.status(500).json({ ok: false, error: 'Failed to fetch payments summary' });
+  }
+});
+
+/**
+ * Create a Stripe payment for an appointment
+ * POST /api/payments/appointments/:appointmentId/stripe
+ * Body: { mode?: 'link' | 'intent', offer?: 'single_session' | 'package' }
+ */
+router.post('/appointments/:appointmentId/stripe', verifyJWT, async (req, res) => {
+  try {
+    const { mode = 'link', offer } = req.body || {};
+
+    if (!['link', 'intent'].includes(mode)) {
+      return res.status(400).json({ ok: false, error: "mode must be 'link' or 'intent'" });
+    }
+
+    const result = await paymentsService.createAppointmentPayment(req.user.id, req.params.appointmentId, { mode, offer });
+
+    res.json({
+      ok: true,
+      payment: result.payment,
+      url: result.url,
+      client_secret: result.clientSecret
+    });
+  } catch (error) {
+    log.error('Create Stripe payment error:', error);
+    const status = error.message === 'Appointment not found' ? 404
+      : ['Appointment is already paid', 'No price configured for this appointment'].includes(error.message) ? 400
+      : 500;
+    res.status(status).json({ ok: false, error: error.message || 'Failed to create payment' });
+  }
+});
+
+/**
+ * Create a Pix charge (BR Code) for an appointment with the Pix discount applied
+ * POST /api/payments/appointments/:appointmentId/pix
+ * Body: { offer?: 'single_session' | 'package', send_whatsapp?: boolean }
+ */
+router.post('/appointments/:appointmentId/pix', verifyJWT, async (req, res) => {
+  try {
+    const { offer, send_whatsapp } = req.body || {};
+
+    const { payment, appointment } = await paymentsService.createPixPayment(req.user.id, req.params.appointmentId, { offer });
+
+    let whatsappMessageId = null;
+    if (send_whatsapp) {
+      if (!appointment.leads?.phone) {
+        return res.status(400).json({ ok: false, error: 'Lead has no phone number', payment });
+      }
+      const result = await paymentsService.sendPixViaWhatsApp(req.user.id, payment, appointment.leads.phone);
+      whatsappMessageId = result.messageId;
+    }
+
+    res.json({
+      ok: true,
+      payment,
+      pix_payload: payment.pix_payload,
+      whatsapp_message_id: whatsappMessageId
+    });
+  } catch (error) {
+    log.error('Create Pix payment error:', error);
+    const status = error.message === 'Appointment not found' ? 404
+      : ['Appointment is already paid', 'No price configured for this appointment', 'Pix is not configured for this account'].includes(error.message) ? 400
+      : 500;
+    res.status(status).json({ ok: false, error: error.message || 'Failed to create Pix payment' });
+  }
+});
+
+/**
+ * Get a single payment
+ * GET /api/payments/:id
+ */
+router.get('/:id', verifyJWT, async (req, res) => {
+  try {
+    const { data: payment, error } = await supa
+      .from('payments')
+      .select('*, leads(id, name, phone, email), appointments(id, start_at, resource_type, resource_id, status, payment_status)')
+      .eq('id', req.params.id)
+      .eq('owner_id', req.user.id)
+      .single();
+
+    if (error || !payment) {
+      return res.status(404).json({ ok: false, error: 'Payment not found' });
+    }
+
+    res.json({ ok: true, payment });
+  } catch (error) {
+    log.error('Get payment error:', error);
+    res.status(500).json({ ok: false, error: 'Failed to fetch payment' });
+  }
+});
+
+/**
+ * Get a short-lived URL for the payment receipt file
+ * GET /api/payments/:id/receipt
+ */
+router.get('/:id/receipt', verifyJWT, async (req, res) => {
+  try {
+    const url = await paymentsService.getReceiptUrl(req.user.id, req.params.id);
+
+    if (!url) {
+      return res.status(404).json({ ok: false, error: 'No receipt for this payment' });
+    }
+
+    res.json({ ok: true, url });
+  } catch (error) {
+    log.error('Get receipt error:', error);
+    const status = error.message === 'Payment not found' ? 404 : 500;
+    res.status(status).json({ ok: false, error: error.message || 'Failed to fetch receipt' });
+  }
+});
+
+/**
+ * Approve or reject a receipt flagged for review
+ * POST /api/payments/:id/review
+ * Body: { approved: boolean, paid_amount?: number, reason?: string }
+ */
+router.post('/:id/review', verifyJWT, async (req, res) => {
+  try {
+    const { approved, paid_amount, reason } = req.body || {};
+
+    if (typeof approved !== 'boolean') {
+      return res.status(400).json({ ok: false, error: 'approved must be a boolean' });
+    }
+
+    const payment = await paymentsService.reviewReceipt(req.user.id, req.params.id, {
+      approved,
+      reviewerId: req.user.id,
+      paidAmount: paid_amount,
+      reason
+    });
+
+    res.json({ ok: true, payment });
+  } catch (error) {
+    log.error('Review receipt error:', error);
+    const status = error.message === 'Payment not found' ? 404
+      : error.message === 'Payment is not awaiting review' ? 400
+      : 500;
+    res.status(status).json({ ok: false, error: error.message || 'Failed to review receipt' });
+  }
+});
+
+export default router;
@@ -0,0 +1,186 @@
+import { Router } from 'express';
+import { supa } from '../lib/supabase.js';
+import { LIFECYCLE_STAGES } from '../lib/rdstation.js';
+import { log } from '../config/logger.js';
+import { verifyJWT } from '../middleware/verifyJWT.js';
+import { rdStationService } from '../services/rdStation.js';
+
+const router = Router();
+
+const EDITABLE_FIELDS = [
+  'api_key',
+  'client_id',
+  'client_secret',
+  'refresh_token',
+  'is_active',
+  'sync_call_outcomes',
+  'sync_appointments',
+  'conversion_prefix',
+  'appointment_date_field',
+  'disposition_field',
+  'lifecycle_stage_on_booking'
+];
+
+// Stored NOT NULL; they can be changed but not cleared
+const REQUIRED_TEXT_FIELDS = ['conversion_prefix', 'appointment_date_field', 'disposition_field'];
+
+const CREDENTIAL_FIELDS = [
+  'api_key',
+  'client_id',
+  'client_secret',
+  'refresh_token',
+  'access_token',
+  'access_token_expires_at'
+];
+
+/**
+ * Never return credentials, only whether they are set
+ */
+function serializeIntegration(integration) {
+  if (!integration) return null;
+
+  const settings = Object.fromEntries(
+    Object.entries(integration).filter(([field]) => !CREDENTIAL_FIELDS.includes(field))
+  );
+  return {
+    ...settings,
+    has_api_key: !!integration.api_key,
+    has_oauth: !!(integration.client_id && integration.client_secret && integration.refresh_token)
+  };
+}
+
+/**
+ * Get the RD Station integration settings
+ * GET /api/integrations/rd-station
+ */
+router.get('/', verifyJWT, async (req, res) => {
+  try {
+    const integration = await rdStationService.getIntegration(req.user.id);
+    res.json({ ok: true, integration: serializeIntegration(integration) });
+  } catch (error) {
+    log.error('Get RD Station integration error:', error);
+    res.status(500).json({ ok: false, error: 'Failed to fetch RD Station integration' });
+  }
+});
+
+/**
+ * Create or update the RD Station integration
+ * PUT /api/integrations/rd-station
+ * Body: { api_key?, client_id?, client_secret?, refresh_token?, is_active?, sync_call_outcomes?,
+ *         sync_appointments?, conversion_prefix?, appointment_date_field?, disposition_field?,
+ *         lifecycle_stage_on_booking? }
+ */
+router.put('/', verifyJWT, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const updates = {};
+
+    for (const field of REQUIRED_TEXT_FIELDS) {
+      if (body[field] !== undefined && (typeof body[field] !== 'string' || !body[field].trim())) {
+        return res.status(400).json({ ok: false, error: `${field} must be a non-empty string` });
+      }
+    }
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (body[field] !== undefined) {
+        updates[field] = typeof body[field] === 'string' ? body[field].trim() || null : body[field];
+      }
+    });
+
+    for (const field of ['appointment_date_field', 'disposition_field']) {
+      if (updates[field] && !updates[field].startsWith('cf_')) {
+        return res.status(400).json({ ok: false, error: `${field} must be an RD Station custom field identifier (cf_...)` });
+      }
+    }
+
+    if (updates.lifecycle_stage_on_booking != null && !LIFECYCLE_STAGES.includes(updates.lifecycle_stage_on_booking)) {
+      return res.status(400).json({ ok: false, error: `lifecycle_stage_on_booking must be one of: ${LIFECYCLE_STAGES.join(', ')}` });
+    }
+
+    // A new refresh token invalidates the cached access token
+    if (updates.refresh_token !== undefined || updates.client_id !== undefined) {
+      updates.access_token = null;
+      updates.access_token_expires_at = null;
+    }
+
+    const { data: integration, error } = await supa
+      .from('rd_station_integrations')
+      .upsert({
+        owner_id: req.user.id,
+        ...updates,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'owner_id' })
+      .select('*')
+      .single();
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    res.json({ ok: true, integration: serializeIntegration(integration) });
+  } catch (error) {
+    log.error('Save RD Station integration error:', error);
+    res.status(500).json({ ok: false, error: 'Failed to save RD Station integration' });
+  }
+});
+
+/**
+ * Remove the RD Station integration and its credentials
+ * DELETE /api/integrations/rd-station
+ */
+router.delete('/', verifyJWT, async (req, res) => {
+  try {
+    const { error } = await supa
+      .from('rd_station_integrations')
+      .delete()
+      .eq('owner_id', req.user.id);
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    res.json({ ok: true, message: 'RD Station integration removed' });
+  } catch (error) {
+    log.error('Delete RD Station integration error:', error);
+    res.status(500).json({ ok: false, error: 'Failed to remove RD Station integration' });
+  }
+});
+
+/**
+ * Check the stored credentials against RD Station
+ * POST /api/integrations/rd-station/test
+ */
+router.post('/test', verifyJWT, async (req, res) => {
+  try {
+    const result = await rdStationService.testConnection(req.user.id);
+    res.json({ ok: true, ...result });
+  } catch (error) {
+    log.error('Test RD Station integration error:', error);
+    const status = error.message === 'RD Station integration not configured' ? 404 : 400;
+    res.status(status).json({ ok: false, error: error.message });
+  }
+});
+
+/**
+ * Push a lead's latest call outcome and appointment to RD Station now
+ * POST /api/integrations/rd-station/leads/:leadId/sync
+ */
+router.post('/leads/:leadId/sync', verifyJWT, async (req, res) => {
+  try {
+    const result = await rdStationService.syncCallOutcome(req.user.id, req.params.leadId);
+
+    if (!result) {
+      return res.status(400).json({
+        ok: false,
+        error: 'Nothing to sync: integration inactive, call sync disabled, or lead not found/without email'
+      });
+    }
+
+    res.json({ ok: true, ...result });
+  } catch (error) {
+    log.error('Manual RD Station sync error:', error);
+    res.status(502).json({ ok: false, error: error.message });
+  }
+});
+
+export default router;
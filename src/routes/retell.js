@@ -4,14 +4,39 @@ import { supa } from '../lib/supabase.js';
 import { log } from '../config/logger.js';
 import { Retell } from 'retell-sdk';
 import { env } from '../config/env.js';
-import { getNowInSaoPaulo, getIsoStringNow, toIsoStringSaoPaulo } from '../utils/timezone.js';
+import {
+  DEFAULT_TIMEZONE,
+  getIsoStringNow,
+  getZonedParts,
+  getDateStringInTimezone,
+  getDayOfWeekInTimezone,
+  addDaysToDateString,
+  zonedTimeToUtc,
+  toIsoStringInTimezone,
+  resolveTimezone
+} from '../utils/timezone.js';
+import { getNationalHoliday } from '../utils/holidays.js';
 import { agentManager } from '../services/agentManager.js';
 import { googleCalendarService } from '../services/googleCalendar.js';
 import { whatsappBusinessService } from '../services/whatsappBusiness.js';
+import { paymentsService } from '../services/payments.js';
+import { chatHandoffService } from '../services/chatHandoff.js';
+import { eventBus } from '../services/events.js';
+import { rdStationService } from '../services/rdStation.js';
+import { callPolicyService } from '../services/callPolicy.js';
+import { holidayService } from '../services/holidays.js';
+import { availabilityService } from '../services/availability.js';
+import { slotHoldService } from '../services/slotHolds.js';
+import { waitlistService } from '../services/waitlist.js';
+import { treatmentPackageService } from '../services/treatmentPackages.js';
+import { returnConsultationService } from '../services/returnConsultations.js';
 import { retellCreateChat, retellUpdateChat, retellGetChat, normalizePhoneNumber } from '../lib/retell.js';
 
 const r = Router();
 
+// When a time agreed on a call can't be booked, open slots up to this many days after it are offered
+const CALL_CONFLICT_OFFER_DAYS = 7;
+
 /**
  * Query whatsapp_chats by phone number, handling both formats (with and without +)
  * @param {string} phoneNumber - Phone number in any format
@@ -30,6 +55,37 @@ function getNormalizedWaPhone(phoneNumber) {
   }
 }
 
+/**
+ * The time agreed on a call could not be booked (taken during the call, or no
+ * longer bookable): no confirmation goes out, and the lead is sent through the
+ * available_time flow, which offers them open slots on WhatsApp
+ */
+async function requeueForOtherSlots(lead, appointmentDate, unavailable) {
+  const { error } = await supa
+    .from('leads')
+    .update({
+      status: 'available_time',
+      preferred_channel: 'whatsapp',
+      next_retry_at: getIsoStringNow(),
+      agent_variables: {
+        ...(lead.agent_variables || {}),
+        suggested_date: addDaysToDateString(appointmentDate, CALL_CONFLICT_OFFER_DAYS)
+      }
+    })
+    .eq('id', lead.id);
+
+  if (error) {
+    log.error('Failed to requeue lead for other slots:', { leadId: lead.id, error: error.message });
+    return;
+  }
+
+  log.warn('Time agreed on the call is not bookable, offering other slots on WhatsApp:', {
+    leadId: lead.id,
+    appointmentDate,
+    reason: unavailable.reason
+  });
+}
+
 /**
  * Normalize date string to YYYY-MM-DD format
  * Handles both YYYY-MM-DD and MM/DD/YYYY formats
@@ -54,67 +110,11 @@ function normalizeDateString(dateStr) {
 }
 
 /**
- * Get date string in YYYY-MM-DD format for a given date in a specific timezone
- * @param {Date} date - The date object
- * @param {string} timezone - The timezone (default: 'America/Sao_Paulo')
- * @returns {string} - Date string in YYYY-MM-DD format
- */
-function getDateStringInTimezone(date, timezone = 'America/Sao_Paulo') {
-  // Use Intl.DateTimeFormat to get date components in the specified timezone
-  const formatter = new Intl.DateTimeFormat('en-CA', {
-    timeZone: timezone,
-    year: 'numeric',
-    month: '2-digit',
-    day: '2-digit'
-  });
-  const formatted = formatter.format(date);
-  // en-CA locale should return YYYY-MM-DD, but let's ensure it's correct
-  // If it doesn't match, extract parts manually
-  if (/^\d{4}-\d{2}-\d{2}$/.test(formatted)) {
-    return formatted;
-  }
-  // Fallback: extract parts manually
-  const parts = formatter.formatToParts(date);
-  const year = parts.find(p => p.type === 'year').value;
-  const month = parts.find(p => p.type === 'month').value.padStart(2, '0');
-  const day = parts.find(p => p.type === 'day').value.padStart(2, '0');
-  return `${year}-${month}-${day}`;
-}
-
-/**
- * Get day of the week (0-6, where 0 is Sunday) for a date in a specific timezone
- * @param {Date} date - The date object
- * @param {string} timezone - The timezone (default: 'America/Sao_Paulo')
- * @returns {number} - Day of the week (0 = Sunday, 1 = Monday, ..., 6 = Saturday)
+ * Next retry time under the owner's call policy (see callPolicyService)
+ * @returns {string|null} - ISO timestamp, or null when the owner has no calling window
  */
-function getDayOfWeekInTimezone(date, timezone = 'America/Sao_Paulo') {
-  // Use Intl.DateTimeFormat to get the day of the week in the specified timezone
-  const formatter = new Intl.DateTimeFormat('en-US', {
-    timeZone: timezone,
-    weekday: 'long'
-  });
-  const weekday = formatter.format(date).toLowerCase();
-  const dayMap = {
-    'sunday': 0,
-    'monday': 1,
-    'tuesday': 2,
-    'wednesday': 3,
-    'thursday': 4,
-    'friday': 5,
-    'saturday': 6
-  };
-  return dayMap[weekday] ?? 0;
-}
-
-async function computeNextRetry(attemptNo, { inVoicemail = false, leadId = null } = {}) {
-  const now = getNowInSaoPaulo();
-
-  // If voicemail, try again soon (15–25 min) to catch them shortly after
-  if (inVoicemail) {
-    const minutes = 15 + Math.floor(Math.random() * 11); // 15..25
-    const d = new Date(now.getTime() + minutes * 60 * 1000);
-    return d.toISOString();
-  }
+async function computeNextRetry(attemptNo, { inVoicemail = false, leadId = null, ownerId = null, timezone = null } = {}) {
+  const policy = await callPolicyService.getPolicy(ownerId);
 
   // Get appointment information for this lead if leadId is provided
   let appointmentTime = null;
@@ -124,7 +124,7 @@ async function computeNextRetry(attemptNo, { inVoicemail = false, leadId = null
         .from('appointments')
         .select('start_at')
         .eq('lead_id', leadId)
-        .gte('start_at', now.toISOString()) // Only future appointments
+        .gte('start_at', new Date().toISOString()) // Only future appointments
         .order('start_at', { ascending: true })
         .limit(1);
       
@@ -132,102 +132,43 @@ async function computeNextRetry(attemptNo, { inVoicemail = false, leadId = null
         appointmentTime = new Date(appointments[0].start_at);
       }
     } catch (error) {
-      // If there's an error querying appointments, continue with original logic
+      // If there's an error querying appointments, continue without it
       console.error('Error querying appointments:', error);
     }
   }
 
-  // Calculate next available time slot (Monday to Saturday, 8 AM to 8 PM) in São Paulo timezone
-  const calculateNextSlot = (fromTime) => {
-    // Ensure we're working with São Paulo time
-    const d = new Date(fromTime.toLocaleString('en-US', { timeZone: 'America/Sao_Paulo' }));
-    const currentHour = d.getHours();
-    const currentMinute = d.getMinutes();
-    const currentDay = d.getDay(); // 0 = Sunday, 1 = Monday, ..., 6 = Saturday
-    
-    // Add 2 hours to current time
-    d.setTime(d.getTime() + 2 * 60 * 60 * 1000);
-    
-    // Check if the new time is within business hours (8 AM to 8 PM, São Paulo time)
-    if (d.getHours() >= 8 && d.getHours() < 20) {
-      // Check if it's a valid day (Monday to Saturday)
-      if (d.getDay() >= 1 && d.getDay() <= 6) {
-        return d;
-      } else {
-        // If it's Sunday, move to Monday 8 AM
-        const daysUntilMonday = 8 - d.getDay(); // 8 - 0 = 8 days
-        d.setDate(d.getDate() + daysUntilMonday);
-        d.setHours(8, 0, 0, 0);
-        return d;
-      }
-    } else {
-      // If outside business hours, move to next business day 8 AM
-      if (d.getHours() >= 20) {
-        // If it's after 8 PM, move to next day
-        d.setDate(d.getDate() + 1);
-      }
-      
-      // Find next valid business day (Monday to Saturday)
-      while (d.getDay() === 0) { // Skip Sundays
-        d.setDate(d.getDate() + 1);
-      }
-      
-      d.setHours(8, 0, 0, 0);
-      return d;
-    }
-  };
-  
-  let nextRetryTime = calculateNextSlot(now);
-  
-  if (appointmentTime) {
-    const timeDiffMs = Math.abs(appointmentTime.getTime() - nextRetryTime.getTime());
-    const timeDiffHours = timeDiffMs / (1000 * 60 * 60);
-    
-    if (timeDiffHours < 2) {
-      nextRetryTime.setDate(nextRetryTime.getDate() + 1);
-      
-      while (nextRetryTime.getDay() === 0) {
-        nextRetryTime.setDate(nextRetryTime.getDate() + 1);
-      }
-      
-      nextRetryTime.setHours(8, 0, 0, 0);
-    }
-  }
-  
-  // Format the date in São Paulo timezone with proper offset for database storage
-  // Use the utility function to ensure correct timezone handling
-  const { toIsoStringSaoPaulo } = await import('../utils/timezone.js');
-  return toIsoStringSaoPaulo(nextRetryTime);
+  const nextRetryTime = callPolicyService.computeNextRetry(policy, {
+    attemptNo,
+    inVoicemail,
+    appointmentTime,
+    timezone: callPolicyService.getCallingTimezone(policy, { timezone })
+  });
+  return nextRetryTime ? nextRetryTime.toISOString() : null;
 }
 
-function computeNextSameTimeNextBusinessDay(baseDate = null) {
-  const reference = baseDate ? new Date(baseDate) : getNowInSaoPaulo();
-  const saoPauloNow = new Date(reference.toLocaleString('en-US', { timeZone: 'America/Sao_Paulo' }));
-
-  const target = new Date(saoPauloNow);
-  target.setDate(target.getDate() + 1);
-
-  while (target.getDay() === 0) {
-    target.setDate(target.getDate() + 1);
+/**
+ * Same local time on the next business day (Monday - Saturday, not a national holiday)
+ * in the lead's timezone, clamped to 08:00-20:00
+ * @returns {string} - ISO string with the timezone's offset
+ */
+function computeNextSameTimeNextBusinessDay(baseDate = new Date(), timezone = DEFAULT_TIMEZONE) {
+  const { hour, minute } = getZonedParts(baseDate, timezone);
+  let dateString = addDaysToDateString(getDateStringInTimezone(baseDate, timezone), 1);
+  let time = `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+
+  // Clamp to business hours (08:00–20:00); after 20:00 move one more day
+  if (hour < 8) {
+    time = '08:00';
+  } else if (hour >= 20) {
+    time = '08:00';
+    dateString = addDaysToDateString(dateString, 1);
   }
 
-  target.setHours(saoPauloNow.getHours(), saoPauloNow.getMinutes(), 0, 0);
-
-  // Clamp to business hours (08:00–20:00)
-  if (target.getHours() < 8) {
-    target.setHours(8, 0, 0, 0);
-  } else if (target.getHours() >= 20) {
-    // Move to next business day at 08:00
-    target.setDate(target.getDate() + 1);
-    while (target.getDay() === 0) {
-      target.setDate(target.getDate() + 1);
-    }
-    target.setHours(8, 0, 0, 0);
+  while (new Date(`${dateString}T12:00:00Z`).getUTCDay() === 0 || getNationalHoliday(dateString)) {
+    dateString = addDaysToDateString(dateString, 1);
   }
 
-  // Format the date in São Paulo timezone with proper offset for database storage
-  // Use the utility function to ensure correct timezone handling
-  return toIsoStringSaoPaulo(target);
+  return toIsoStringInTimezone(zonedTimeToUtc(dateString, time, timezone), timezone);
 }
 
 async function findAttemptByCallId(callId) {
@@ -290,6 +231,7 @@ async function getAllAppointmentsForPhone(phoneNumber) {
         id,
         start_at,
         end_at,
+        timezone,
         resource_type,
         resource_id,
         status
@@ -350,17 +292,18 @@ async function getAllAppointmentsForPhone(phoneNumber) {
 
     // Format appointments for display
     const formattedAppointments = appointments.map((apt, index) => {
-      const startDate = new Date(apt.start_at);
+      // Read date and time in the appointment's timezone, not the server's
+      const parts = getZonedParts(new Date(apt.start_at), resolveTimezone(apt.timezone));
       
       // Format date in Brazilian format
-      const day = String(startDate.getDate()).padStart(2, '0');
-      const month = String(startDate.getMonth() + 1).padStart(2, '0');
-      const year = startDate.getFullYear();
+      const day = String(parts.day).padStart(2, '0');
+      const month = String(parts.month).padStart(2, '0');
+      const year = parts.year;
       const dateStr = `${day}/${month}/${year}`;
       
       // Format time
-      const hours = String(startDate.getHours()).padStart(2, '0');
-      const minutes = String(startDate.getMinutes()).padStart(2, '0');
+      const hours = String(parts.hour).padStart(2, '0');
+      const minutes = String(parts.minute).padStart(2, '0');
       const timeStr = `${hours}:${minutes}`;
       
       // Get resource name from maps
@@ -416,7 +359,7 @@ async function updateAgentVariablesForLead(leadId, context = 'appointment-change
     // Get lead to find phone number
     const { data: lead, error: leadError } = await supa
       .from('leads')
-      .select('phone')
+      .select('id, phone, assigned_resource_type, assigned_resource_id')
       .eq('id', leadId)
       .single();
 
@@ -444,7 +387,9 @@ async function updateAgentVariablesForLead(leadId, context = 'appointment-change
       const updatedAgentVariables = {
         ...(activeChat.agent_variables || {}),
         all_appointments: appointmentsData.all_appointments,
-        appointments_count: appointmentsData.appointments_count || 0
+        appointments_count: appointmentsData.appointments_count || 0,
+        // Attendance or cancellations change whether the next consultation is a return
+        ...(await returnConsultationService.getAgentVariables(lead))
       };
 
       // Update database
@@ -539,6 +484,7 @@ r.post('/retell/webhook', async (req, res) => {
         .from('call_attempts')
         .update({ started_at: new Date().toISOString(), status: 'calling' })
         .eq('id', attempt.id);
+      await eventBus.publishForLead(attempt.lead_id, 'call.started', { call_id: callId, attempt_id: attempt.id });
       return res.sendStatus(200);
     }
 
@@ -552,6 +498,12 @@ r.post('/retell/webhook', async (req, res) => {
         })
         .eq('id', attempt.id);
 
+      await eventBus.publishForLead(attempt.lead_id, 'call.ended', {
+        call_id: callId,
+        attempt_id: attempt.id,
+        outcome: evt.outcome || c.disconnection_reason || null
+      });
+
       return res.sendStatus(200);
     }
 
@@ -573,6 +525,14 @@ r.post('/retell/webhook', async (req, res) => {
         .update({ transcript, call_analysis, total_call_duration })
         .eq('id', attempt.id);
 
+      await eventBus.publishForLead(attempt.lead_id, 'call.analyzed', {
+        call_id: callId,
+        attempt_id: attempt.id,
+        disconnection_reason: c.disconnection_reason || null,
+        duration_seconds: total_call_duration,
+        custom_analysis_data: call_analysis?.custom_analysis_data || null
+      });
+
       // Extract post-call analysis data
       const postCallAnalysis = call_analysis.custom_analysis_data || {};
       const shouldSendConfirmation = postCallAnalysis.should_send_confirmation;
@@ -604,10 +564,23 @@ r.post('/retell/webhook', async (req, res) => {
       // scarity_method can be true/false/"yes"/"no", callAgainReason can be 'available_time'
       const isScarity = scarity_method === true || scarity_method === 'yes' || scarity_method === 'true';
       const wantsEarlierDate = callAgainReason === 'available_time';
+      // Set during this call by /fn/schedule-call; the requested time wins over the retry policy
+      const hasScheduledCallback = lead.status === 'callback_scheduled'
+        && lead.next_retry_at
+        && new Date(lead.next_retry_at) > new Date();
       
-      if (wantsEarlierDate) {
+      if (hasScheduledCallback) {
+        log.info('Keeping callback requested during the call:', {
+          leadId: lead.id,
+          callbackAt: lead.next_retry_at
+        });
+
+        await supa.from('call_attempts').update({
+          resource_id: resource_id
+        }).eq('id', attempt.id);
+      } else if (wantsEarlierDate) {
         // User wants an earlier date - send WhatsApp regardless of shouldMakeCallAgain
-        const nextAt = computeNextSameTimeNextBusinessDay(getNowInSaoPaulo());
+        const nextAt = computeNextSameTimeNextBusinessDay(new Date(), resolveTimezone(lead.timezone));
         
         // Store scarity_method and suggested_date in agent_variables for the scheduler
         const updatedVariables = {
@@ -627,6 +600,22 @@ r.post('/retell/webhook', async (req, res) => {
           })
           .eq('id', lead.id);
           
+        // Also queue them for slots freed by cancellations before that date
+        if (resource_id) {
+          try {
+            await waitlistService.addEntry({
+              ownerId: lead.owner_id,
+              leadId: lead.id,
+              resourceType: lead.assigned_resource_type || 'doctor',
+              resourceId: resource_id,
+              wantedBefore: suggested_date || null,
+              source: 'scarcity'
+            });
+          } catch (waitlistError) {
+            log.warn('Failed to add lead to waitlist:', { leadId: lead.id, error: waitlistError.message });
+          }
+        }
+          
         log.info('Lead updated for WhatsApp earlier date outreach:', { 
           leadId: lead.id, 
           scarity_method: isScarity, 
@@ -642,10 +631,13 @@ r.post('/retell/webhook', async (req, res) => {
       } else if (inVoicemail || shouldMakeCallAgain || UserDeclined || DialNoAnswer || DialBusy || DialFailed) {
         // Other retry cases (voicemail, no answer, etc.)
         const nextN = (await maxAttemptNo(lead.id)) + 1;
+        const callPolicy = await callPolicyService.getPolicy(lead.owner_id);
+        const voicemailToWhatsApp = inVoicemail && callPolicy.voicemail.action === 'switch_to_whatsapp';
+        const nextAt = nextN <= callPolicyService.getMaxAttempts(callPolicy, lead) && !voicemailToWhatsApp
+          ? await computeNextRetry(nextN, { inVoicemail, leadId: lead.id, ownerId: lead.owner_id, timezone: lead.timezone })
+          : null;
 
-        if (nextN <= 3) {
-          const nextAt = await computeNextRetry(nextN, { inVoicemail, leadId: lead.id });
-          
+        if (nextAt) {
           await supa
             .from('leads')
             .update({ status: 'other', next_retry_at: nextAt, assigned_resource_id: resource_id })
@@ -654,6 +646,12 @@ r.post('/retell/webhook', async (req, res) => {
           await supa.from('call_attempts').update({
             resource_id: resource_id
           }).eq('id', attempt.id);
+        } else if (!voicemailToWhatsApp && callPolicy.after_max_attempts === 'stop') {
+          // Owner doesn't follow up on WhatsApp after the last attempt
+          await supa
+            .from('leads')
+            .update({ status: 'max_attempts_reached', next_retry_at: null, assigned_resource_id: resource_id })
+            .eq('id', lead.id);
         } else {
           // Max retries reached - switch to WhatsApp outreach and send template immediately
           const ownerId = lead.owner_id;
@@ -856,6 +854,20 @@ r.post('/retell/webhook', async (req, res) => {
         }).eq('id', attempt.id);
       }
       
+      // Publishes the lead's resulting status and acks the webhook
+      const finishCallAnalyzed = async () => {
+        const { data: updatedLead } = await supa.from('leads').select('status').eq('id', lead.id).maybeSingle();
+        eventBus.publishLeadStatus(lead.owner_id, lead.id, updatedLead?.status, lead.status);
+
+        rdStationService.syncCallOutcome(lead.owner_id, lead.id, {
+          callId,
+          disconnectionReason: c.disconnection_reason,
+          status: updatedLead?.status
+        }).catch(err => log.warn('Failed to sync call outcome to RD Station:', err.message));
+
+        return res.sendStatus(200);
+      };
+
       if (agreementAppointment === true && shouldSendConfirmation === true && appointmentDate && appointmentTime) {
         try {
           const resourceType = lead.assigned_resource_type;
@@ -936,32 +948,16 @@ r.post('/retell/webhook', async (req, res) => {
 
           const { data: ownerData } = await supa
             .from('users')
-            .select('name, location')
+            .select('name, location, timezone')
             .eq('id', ownerId)
             .single();
 
           const location = ownerData?.location || 'Nossa clínica';
-          timezone = 'America/Sao_Paulo';
-
-          const timezoneOffsetMap = {
-            'America/Sao_Paulo': '-03:00',
-            'America/Rio_Branco': '-05:00',
-            'America/Manaus': '-04:00',
-            'America/Fortaleza': '-03:00',
-            'America/Recife': '-03:00',
-            'America/Bahia': '-03:00',
-            'America/Santarem': '-03:00',
-            'America/Belem': '-03:00',
-            'America/Campo_Grande': '-04:00',
-            'America/Cuiaba': '-04:00',
-            'America/Porto_Velho': '-04:00',
-            'America/Boa_Vista': '-04:00',
-            'America/Maceio': '-03:00',
-            'America/Sao_Luis': '-03:00',
-            'America/Araguaina': '-03:00'
-          };
-          const offset = timezoneOffsetMap[timezone] || '-03:00';
-          const startAt = `${appointmentDate}T${appointmentTime}:00${offset}`;
+          // Slots are offered in the resource's timezone (the owner's for treatments), so the spoken time is read in it too
+          timezone = resolveTimezone(resourceType === 'treatment' ? ownerData?.timezone : timezone);
+
+          const startDate = zonedTimeToUtc(appointmentDate, appointmentTime, timezone);
+          const startAt = toIsoStringInTimezone(startDate, timezone);
           
           // Log duration for debugging
           log.info('Calculating appointment end time:', {
@@ -971,33 +967,9 @@ r.post('/retell/webhook', async (req, res) => {
             startAt
           });
           
-          // Calculate end time preserving timezone
-          // Parse start time and add duration
-          const startDate = new Date(startAt);
+          // Calculate end time preserving timezone (offset of the end instant, in case of a DST change)
           const endDate = new Date(startDate.getTime() + durationMinutes * 60000);
-          
-          // Format end date in the same timezone as start (don't convert to UTC)
-          // Use Intl.DateTimeFormat to format in the local timezone
-          const formatter = new Intl.DateTimeFormat('en-CA', {
-            timeZone: timezone,
-            year: 'numeric',
-            month: '2-digit',
-            day: '2-digit',
-            hour: '2-digit',
-            minute: '2-digit',
-            second: '2-digit',
-            hour12: false
-          });
-          
-          const parts = formatter.formatToParts(endDate);
-          const endYear = parts.find(p => p.type === 'year').value;
-          const endMonth = parts.find(p => p.type === 'month').value;
-          const endDay = parts.find(p => p.type === 'day').value;
-          const endHour = parts.find(p => p.type === 'hour').value;
-          const endMinute = parts.find(p => p.type === 'minute').value;
-          const endSecond = parts.find(p => p.type === 'second').value;
-          
-          const endAt = `${endYear}-${endMonth}-${endDay}T${endHour}:${endMinute}:${endSecond}${offset}`;
+          const endAt = toIsoStringInTimezone(endDate, timezone);
           
           log.info('Calculated appointment times:', {
             startAt,
@@ -1007,6 +979,22 @@ r.post('/retell/webhook', async (req, res) => {
             calculatedDurationMinutes: (endDate.getTime() - startDate.getTime()) / 60000
           });
 
+          // Within the doctor's return window after a completed consultation: booked as a return
+          const returnEligibility = resourceType === 'doctor'
+            ? await returnConsultationService.getEligibility({ leadId: lead.id, doctorId: assignedResourceId, at: startDate })
+            : { eligible: false };
+
+          // The time may have been taken, or stopped being bookable, while the call went on
+          const availabilityResource = assignedResourceId ? await availabilityService.getResource(resourceType, assignedResourceId) : null;
+          const unavailable = availabilityResource
+            ? await availabilityService.checkSlot(availabilityResource, startDate, endDate, { leadId: lead.id })
+            : null;
+
+          if (unavailable) {
+            await requeueForOtherSlots(lead, appointmentDate, unavailable);
+            return finishCallAnalyzed();
+          }
+
           const { data: appointmentInsert, error: appointmentError } = await supa
             .from('appointments')
             .insert({
@@ -1021,26 +1009,43 @@ r.post('/retell/webhook', async (req, res) => {
               status: 'scheduled',
               office_address: location,
               is_telemedicine: false,
-              meeting_link: null
+              meeting_link: null,
+              ...returnConsultationService.getBookingFields(returnEligibility)
             })
             .select('id')
             .single();
 
           if (appointmentError) {
-            log.error('Error creating appointment before WhatsApp confirmation:', {
-              error: appointmentError.message,
-              leadId: lead.id
-            });
+            // Another conversation booked an overlapping time between the check and the insert
+            const conflict = slotHoldService.isOverlapError(appointmentError);
+            if (!conflict) {
+              log.error('Error creating appointment before WhatsApp confirmation:', {
+                error: appointmentError.message,
+                leadId: lead.id
+              });
+            }
+
+            // Never confirm a time that wasn't booked
+            await requeueForOtherSlots(lead, appointmentDate, { reason: conflict ? 'conflict' : 'insert_failed' });
+            return finishCallAnalyzed();
+          }
+
+          const appointmentId = appointmentInsert.id;
+          if (availabilityResource) {
+            await slotHoldService.completeForLead(lead.id, availabilityResource, appointmentId, startDate);
           }
 
-          const appointmentId = appointmentInsert?.id || null;
+          eventBus.publish(ownerId, 'appointment.booked', {
+            appointment_id: appointmentId,
+            lead_id: lead.id,
+            start_at: new Date(startAt).toISOString(),
+            source: 'call'
+          });
 
           // Get all appointments for this phone number AFTER creating the new appointment
           // This ensures the newly created appointment is included and aggregates across all leads with same phone
           // Add a small delay to ensure database consistency (Supabase may need a moment)
-          if (appointmentId) {
-            await new Promise(resolve => setTimeout(resolve, 100));
-          }
+          await new Promise(resolve => setTimeout(resolve, 100));
           
           // Use phone number aggregation to get all appointments for this phone (across all leads)
           const appointmentsData = await getAllAppointmentsForPhone(patientPhone);
@@ -1063,7 +1068,7 @@ r.post('/retell/webhook', async (req, res) => {
               const appointmentData = {
                 summary: resourceType === 'treatment' 
                   ? `Tratamento - ${lead.name || 'Cliente'}`
-                  : `Consulta - ${lead.name || 'Paciente'}`,
+                  : `${returnEligibility.eligible ? 'Retorno' : 'Consulta'} - ${lead.name || 'Paciente'}`,
                 description: resourceType === 'treatment'
                   ? `Tratamento: ${resourceName}`
                   : `Consulta com ${resourceName}`,
@@ -1385,7 +1390,7 @@ r.post('/retell/webhook', async (req, res) => {
         }
       }
 
-      return res.sendStatus(200);
+      return finishCallAnalyzed();
     }
 
     return res.sendStatus(200);
@@ -1450,7 +1455,6 @@ r.post('/retell/check-availability', async (req, res) => {
 
     const resourceId = lead.assigned_resource_id;
     const resourceType = lead.assigned_resource_type;
-    const ownerId = lead.owner_id;
 
     if (!resourceId || !resourceType) {
       return res.status(400).json({ 
@@ -1462,88 +1466,7 @@ r.post('/retell/check-availability', async (req, res) => {
       });
     }
 
-    let workingHours = {};
-    let dateSpecificAvailability = [];
-    let timezone = 'America/Sao_Paulo';
-    let consultationDuration = 90;
-    let resourceName = '';
-
-    // Handle different resource types
-    if (resourceType === 'doctor') {
-      // Get doctor's working hours and availability
-      const { data: doctor, error: doctorError } = await supa
-        .from('doctors')
-        .select('id, name, working_hours, date_specific_availability, consultation_duration, timezone')
-        .eq('id', resourceId)
-        .single();
-
-      if (doctorError || !doctor) {
-        return res.status(404).json({ 
-          available: false, 
-          availableSlots: [], 
-          timezone: 'America/Sao_Paulo',
-          ok: false, 
-          error: 'Doctor not found' 
-        });
-      }
-
-      workingHours = doctor.working_hours || {};
-      dateSpecificAvailability = doctor.date_specific_availability || [];
-      timezone = doctor.timezone || 'America/Sao_Paulo';
-      consultationDuration = doctor.consultation_duration || 90;
-      resourceName = doctor.name || '';
-    } else if (resourceType === 'treatment') {
-      // For treatments, use owner's calendar (from users table)
-      if (!ownerId) {
-        return res.status(400).json({ 
-          available: false, 
-          availableSlots: [], 
-          timezone: 'America/Sao_Paulo',
-          ok: false, 
-          error: 'Owner ID not found for treatment' 
-        });
-      }
-
-      // Get treatment details for duration
-      const { data: treatment, error: treatmentError } = await supa
-        .from('treatments')
-        .select('id, treatment_name, session_duration, owner_id')
-        .eq('id', resourceId)
-        .single();
-
-      if (treatmentError || !treatment) {
-        return res.status(404).json({ 
-          available: false, 
-          availableSlots: [], 
-          timezone: 'America/Sao_Paulo',
-          ok: false, 
-          error: 'Treatment not found' 
-        });
-      }
-
-      // Get owner's working hours and availability (for beauty clinics, calendar is at owner level)
-      const { data: owner, error: ownerError } = await supa
-        .from('users')
-        .select('id, working_hours, date_specific_availability, timezone')
-        .eq('id', ownerId)
-        .single();
-
-      if (ownerError || !owner) {
-        return res.status(404).json({ 
-          available: false, 
-          availableSlots: [], 
-          timezone: 'America/Sao_Paulo',
-          ok: false, 
-          error: 'Owner not found' 
-        });
-      }
-
-      workingHours = owner.working_hours || {};
-      dateSpecificAvailability = owner.date_specific_availability || [];
-      timezone = owner.timezone || 'America/Sao_Paulo';
-      consultationDuration = treatment.session_duration || 60; // Use treatment's session duration
-      resourceName = treatment.treatment_name || '';
-    } else {
+    if (resourceType !== 'doctor' && resourceType !== 'treatment') {
       return res.status(400).json({ 
         available: false, 
         availableSlots: [], 
@@ -1553,30 +1476,27 @@ r.post('/retell/check-availability', async (req, res) => {
       });
     }
 
+    // Doctors use their own calendar; treatments the owner's (beauty clinics)
+    const resource = await availabilityService.getResource(resourceType, resourceId);
+
+    if (!resource) {
+      return res.status(404).json({ 
+        available: false, 
+        availableSlots: [], 
+        timezone: 'America/Sao_Paulo',
+        ok: false, 
+        error: resourceType === 'doctor' ? 'Doctor not found' : 'Treatment not found' 
+      });
+    }
+
+    const timezone = resource.timezone;
+    const resourceName = resource.name;
+
     let availableSlots = [];
     let requestedDateHasSlots = false; // Track if the REQUESTED date specifically has slots
     let reason = null;
-    const dayNames = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
 
     // Parse the requested date in the resource's timezone
-    const timezoneOffsetMap = {
-      'America/Sao_Paulo': '-03:00',
-      'America/Rio_Branco': '-05:00',
-      'America/Manaus': '-04:00',
-      'America/Fortaleza': '-03:00',
-      'America/Recife': '-03:00',
-      'America/Bahia': '-03:00',
-      'America/Santarem': '-03:00',
-      'America/Belem': '-03:00',
-      'America/Campo_Grande': '-04:00',
-      'America/Cuiaba': '-04:00',
-      'America/Porto_Velho': '-04:00',
-      'America/Boa_Vista': '-04:00',
-      'America/Maceio': '-03:00',
-      'America/Sao_Luis': '-03:00',
-      'America/Araguaina': '-03:00'
-    };
-    const offset = timezoneOffsetMap[timezone] || '-03:00';
     
     let requestedDate;
     if (date) {
@@ -1593,7 +1513,7 @@ r.post('/retell/check-availability', async (req, res) => {
       }
       
       try {
-        requestedDate = new Date(date + `T12:00:00${offset}`);
+        requestedDate = zonedTimeToUtc(date, '12:00', timezone);
         // Check if date is valid
         if (isNaN(requestedDate.getTime())) {
           return res.status(400).json({ 
@@ -1614,251 +1534,51 @@ r.post('/retell/check-availability', async (req, res) => {
         });
       }
     } else {
-      // Get current time in the resource's timezone for proper day calculation
-      requestedDate = new Date(new Date().toLocaleString('en-US', { timeZone: timezone }));
+      requestedDate = new Date();
     }
     
-    // If requested date is today, skip to tomorrow (never offer today's date)
-    const nowInTimezone = new Date(new Date().toLocaleString('en-US', { timeZone: timezone }));
-    const todayString = getDateStringInTimezone(nowInTimezone, timezone);
-    const requestedDateString = getDateStringInTimezone(requestedDate, timezone);
-    
-    // Get date string in the resource's timezone to match the format stored in unavailableDates
-    let dateString = date || getDateStringInTimezone(requestedDate, timezone);
-    
-    // If the date string (whether from explicit date param or calculated) is today, skip to tomorrow
-    if (dateString === todayString) {
-      // Skip to tomorrow
-      requestedDate = new Date(nowInTimezone);
-      requestedDate.setDate(requestedDate.getDate() + 1);
-      requestedDate.setHours(0, 0, 0, 0);
-      dateString = getDateStringInTimezone(requestedDate, timezone);
-    }
-    const dayName = dayNames[getDayOfWeekInTimezone(requestedDate, timezone)];
-    const daySchedule = workingHours[dayName];
-
-    // Check for date-specific availability overrides (e.g., special open days)
-    const overrideAvailability = dateSpecificAvailability.find(item => {
-      if (item.type !== 'available' || !item.date) return false;
-      const normalizedStoredDate = normalizeDateString(item.date);
-      return normalizedStoredDate === dateString;
-    });
-
-    // Check if date is specifically marked as unavailable (normalize date format for comparison)
-    const isUnavailable = dateSpecificAvailability.some(item => {
-      if (item.type !== 'unavailable' || !item.date) return false;
-      // Normalize both dates for comparison
-      const normalizedStoredDate = normalizeDateString(item.date);
-      return normalizedStoredDate === dateString;
-    });
-    const isWeekend = dayName === 'saturday' || dayName === 'sunday';
-
-    // If weekend and there's no schedule or it's explicitly unavailable, set reason upfront
-    if (isWeekend && (isUnavailable || !daySchedule || !daySchedule.enabled)) {
+    // Same-day slots are only offered past the resource's minimum notice
+    const now = new Date();
+    const dateString = date || getDateStringInTimezone(requestedDate, timezone);
+    const dayOfWeek = getDayOfWeekInTimezone(requestedDate, timezone);
+    const isWeekend = dayOfWeek === 0 || dayOfWeek === 6;
+
+    // Holidays are closed unless the date was explicitly opened
+    const ownerHolidays = await holidayService.getOwnerHolidays(resource.ownerId);
+    const daySchedule = availabilityService.getDaySchedule(resource, dateString, ownerHolidays);
+    const holiday = daySchedule.holiday;
+
+    if (holiday) {
+      reason = 'holiday';
+    } else if (isWeekend && daySchedule.windows.length === 0) {
       reason = 'weekend';
     }
     
-    log.debug(`Checking availability for date: ${dateString}, is unavailable: ${isUnavailable}`);
-
-    const effectiveSchedule = overrideAvailability?.timeSlots?.length
-      ? { enabled: true, timeSlots: overrideAvailability.timeSlots }
-      : daySchedule;
+    log.debug(`Checking availability for date: ${dateString}, closed: ${daySchedule.reason}`);
 
-    const canUseSchedule = !isUnavailable && effectiveSchedule && effectiveSchedule.enabled && effectiveSchedule.timeSlots;
-
-    // #region agent log
-    fetch('http://localhost:7243/ingest/fa704248-e3dd-4b0a-ab9f-643803e5688c',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'retell.js:check-availability:schedule',message:'Schedule check',data:{dateString,dayName,isUnavailable,canUseSchedule,hasDaySchedule:!!daySchedule,dayScheduleEnabled:daySchedule?.enabled,dayScheduleSlots:daySchedule?.timeSlots?.length||0,workingHoursKeys:Object.keys(workingHours||{})},timestamp:Date.now(),sessionId:'debug-session',hypothesisId:'C'})}).catch(()=>{});
-    // #endregion
-
-    if (canUseSchedule) {
-      // Get existing appointments for this resource on this date
-      // Create date boundaries in the resource's timezone
-      const startOfDay = new Date(dateString + `T00:00:00${offset}`);
-      const endOfDay = new Date(dateString + `T23:59:59${offset}`);
-
-      // Query appointments based on resource type
-      // Use resource_type and resource_id (polymorphic fields)
-      let appointments = [];
-      
-      if (resourceType === 'doctor') {
-        // Query for appointments with resource_type/resource_id
-        const { data: appointmentsData } = await supa
-        .from('appointments')
-        .select('start_at, end_at')
-          .eq('resource_type', 'doctor')
-          .eq('resource_id', resourceId)
-        .gte('start_at', startOfDay.toISOString())
-        .lte('start_at', endOfDay.toISOString())
-        .eq('status', 'scheduled');
-
-        appointments = appointmentsData || [];
-      } else if (resourceType === 'treatment') {
-        // For treatments, use resource_type and resource_id fields
-        const { data: treatmentAppointments } = await supa
-          .from('appointments')
-          .select('start_at, end_at')
-          .eq('resource_type', 'treatment')
-          .eq('resource_id', resourceId)
-          .gte('start_at', startOfDay.toISOString())
-          .lte('start_at', endOfDay.toISOString())
-          .eq('status', 'scheduled');
-        
-        appointments = treatmentAppointments || [];
-      }
-
-      const busySlots = appointments;
-
-      const minimumBufferMinutes = 60;
-      // #region agent log
-      fetch('http://localhost:7243/ingest/fa704248-e3dd-4b0a-ab9f-643803e5688c',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'retell.js:check-availability:start',message:'Check availability starting',data:{dateString,timezone,nowInTimezone:nowInTimezone.toISOString(),slotsCount:effectiveSchedule?.timeSlots?.length},timestamp:Date.now(),sessionId:'debug-session',hypothesisId:'A'})}).catch(()=>{});
-      // #endregion
-
-      for (const slot of effectiveSchedule.timeSlots) {
-        const [hours, minutes] = (slot.start || '09:00').split(':');
-        
-        const slotStartTime = new Date(dateString + `T${hours.padStart(2, '0')}:${minutes.padStart(2, '0')}:00${offset}`);
-        const slotEndTime = new Date(slotStartTime);
-        slotEndTime.setMinutes(slotEndTime.getMinutes() + consultationDuration);
-
-        const bufferTime = new Date(nowInTimezone);
-        bufferTime.setMinutes(bufferTime.getMinutes() + minimumBufferMinutes);
-        // #region agent log
-        fetch('http://localhost:7243/ingest/fa704248-e3dd-4b0a-ab9f-643803e5688c',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'retell.js:check-availability:slotCheck',message:'Checking slot buffer',data:{slotStart:slotStartTime.toISOString(),bufferTime:bufferTime.toISOString(),willSkip:slotStartTime<=bufferTime,dateString},timestamp:Date.now(),sessionId:'debug-session',hypothesisId:'A'})}).catch(()=>{});
-        // #endregion
-        if (slotStartTime <= bufferTime) {
-          continue;
-        }
-
-        const hasConflict = busySlots.some(appointment => {
-          const appointmentStart = new Date(appointment.start_at);
-          const appointmentEnd = new Date(appointment.end_at);
-          return (slotStartTime >= appointmentStart && slotStartTime < appointmentEnd) ||
-                 (slotEndTime > appointmentStart && slotEndTime <= appointmentEnd) ||
-                 (slotStartTime <= appointmentStart && slotEndTime >= appointmentEnd);
-        });
-
-        if (!hasConflict) {
-          availableSlots.push(`${dateString}T${hours.padStart(2, '0')}:${minutes.padStart(2, '0')}:00${offset}`);
-        }
-      }
-    }
+    const slotsForDate = await availabilityService.getSlotsForDate(resource, dateString, { now, leadId: lead.id });
+    availableSlots = slotsForDate.map(slot => toIsoStringInTimezone(slot.start, timezone));
 
     // Track if the requested date specifically has slots
     requestedDateHasSlots = availableSlots.length > 0;
 
-    // If no slots available on requested date, find next 2 available slots
+    // If no slots available on requested date, offer the next 2 available slots after it
     if (availableSlots.length === 0) {
       // If no slots for requested date and it's a weekend, mark reason
-      if (isWeekend) {
+      if (isWeekend && !holiday) {
         reason = 'weekend';
       }
-      const maxDaysToCheck = 60; // Check up to 60 days ahead
-      const nextSlots = [];
-      
-      // Start searching from the day after requested date
-      // (We've already checked all slots on the requested date)
-      const startSearchDate = new Date(requestedDate);
-      startSearchDate.setDate(startSearchDate.getDate() + 1);
-      startSearchDate.setHours(0, 0, 0, 0);
-      
-      // Get all appointments for this resource in the next 60 days
-      const endSearchDate = new Date(startSearchDate);
-      endSearchDate.setDate(endSearchDate.getDate() + maxDaysToCheck);
-      
-      let allAppointmentsQuery = supa
-        .from('appointments')
-        .select('start_at, end_at')
-        .gte('start_at', startSearchDate.toISOString())
-        .lte('start_at', endSearchDate.toISOString())
-        .eq('status', 'scheduled');
-
-      if (resourceType === 'doctor') {
-        allAppointmentsQuery = allAppointmentsQuery
-          .eq('resource_type', 'doctor')
-          .eq('resource_id', resourceId);
-      } else if (resourceType === 'treatment') {
-        allAppointmentsQuery = allAppointmentsQuery
-          .eq('resource_type', 'treatment')
-          .eq('resource_id', resourceId);
-      }
-
-      const { data: allAppointments } = await allAppointmentsQuery;
-      const allBusySlots = allAppointments || [];
-
-      for (let i = 0; i < maxDaysToCheck && nextSlots.length < 2; i++) {
-        const checkDate = new Date(startSearchDate);
-        checkDate.setDate(checkDate.getDate() + i);
-        const checkDateString = getDateStringInTimezone(checkDate, timezone);
-        
-        const isUnavailableDate = dateSpecificAvailability.some(item => {
-          if (item.type !== 'unavailable' || !item.date) return false;
-          // Normalize both dates for comparison
-          const normalizedStoredDate = normalizeDateString(item.date);
-          return normalizedStoredDate === checkDateString;
-        });
-        
-        if (isUnavailableDate) {
-          log.debug(`Skipping unavailable date: ${checkDateString}`);
-          continue;
-        }
-
-        const checkDayName = dayNames[getDayOfWeekInTimezone(checkDate, timezone)];
-        const overrideCheckAvailability = dateSpecificAvailability.find(item => {
-          if (item.type !== 'available' || !item.date) return false;
-          const normalizedStoredDate = normalizeDateString(item.date);
-          return normalizedStoredDate === checkDateString;
-        });
-
-        const checkDaySchedule = overrideCheckAvailability?.timeSlots?.length
-          ? { enabled: true, timeSlots: overrideCheckAvailability.timeSlots }
-          : workingHours[checkDayName];
-
-        // #region agent log
-        fetch('http://localhost:7243/ingest/fa704248-e3dd-4b0a-ab9f-643803e5688c',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'retell.js:check-availability:fallbackDay',message:'Checking fallback day',data:{checkDateString,checkDayName,hasSchedule:!!checkDaySchedule,scheduleEnabled:checkDaySchedule?.enabled,slotsCount:checkDaySchedule?.timeSlots?.length||0,isUnavailable:isUnavailableDate,nextSlotsFound:nextSlots.length},timestamp:Date.now(),sessionId:'debug-session',hypothesisId:'D'})}).catch(()=>{});
-        // #endregion
-
-        if (checkDaySchedule && checkDaySchedule.enabled && checkDaySchedule.timeSlots) {
-          const nowForFallback = new Date(new Date().toLocaleString('en-US', { timeZone: timezone }));
-          const bufferMinutes = 60;
-
-          for (const slot of checkDaySchedule.timeSlots) {
-            if (nextSlots.length >= 2) break;
-            
-            const [hours, minutes] = (slot.start || '09:00').split(':');
-            
-            const slotStartTime = new Date(checkDateString + `T${hours.padStart(2, '0')}:${minutes.padStart(2, '0')}:00${offset}`);
-            const slotEndTime = new Date(slotStartTime);
-            slotEndTime.setMinutes(slotEndTime.getMinutes() + consultationDuration);
-
-            const bufferTime = new Date(nowForFallback);
-            bufferTime.setMinutes(bufferTime.getMinutes() + bufferMinutes);
-            if (slotStartTime <= bufferTime) {
-              continue;
-            }
-
-            const hasConflict = allBusySlots.some(appointment => {
-              const appointmentStart = new Date(appointment.start_at);
-              const appointmentEnd = new Date(appointment.end_at);
-              return (slotStartTime >= appointmentStart && slotStartTime < appointmentEnd) ||
-                     (slotEndTime > appointmentStart && slotEndTime <= appointmentEnd) ||
-                     (slotStartTime <= appointmentStart && slotEndTime >= appointmentEnd);
-            });
-
-            if (!hasConflict) {
-              nextSlots.push(`${checkDateString}T${hours.padStart(2, '0')}:${minutes.padStart(2, '0')}:00${offset}`);
-            }
-          }
-        }
-      }
 
-      // #region agent log
-      fetch('http://localhost:7243/ingest/fa704248-e3dd-4b0a-ab9f-643803e5688c',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'retell.js:check-availability:fallback',message:'Fallback search result',data:{nextSlotsFound:nextSlots.length,startSearchDate:startSearchDate.toISOString(),workingHoursKeys:Object.keys(workingHours||{})},timestamp:Date.now(),sessionId:'debug-session',hypothesisId:'D'})}).catch(()=>{});
-      // #endregion
+      const nextSlots = await availabilityService.findSlots(resource, {
+        from: zonedTimeToUtc(addDaysToDateString(dateString, 1), '12:00', timezone),
+        maxSlots: 2,
+        now,
+        leadId: lead.id
+      });
+      availableSlots = nextSlots.map(slot => toIsoStringInTimezone(slot.start, timezone));
 
-      // If we found next available slots, add them to the response
-      if (nextSlots.length > 0) {
-        availableSlots = nextSlots;
-      }
+      // The agent offers exactly these two, so hold them while the lead decides
+      await slotHoldService.holdSlots(resource, nextSlots, { leadId: lead.id, source: 'check_availability' });
     }
 
     // Ensure clean JSON response
@@ -1871,6 +1591,7 @@ r.post('/retell/check-availability', async (req, res) => {
       availableSlots: availableSlots, // Contains slots for requested date OR nearest alternative dates if requested date unavailable
       timezone: timezone,
       reason,
+      holiday_name: holiday?.name || null,
       // Additional fields for debugging/logging (not used by Retell response_variables)
       ok: true, 
       date: dateString,
@@ -2183,7 +1904,8 @@ r.post('/retell/chat-webhook', async (req, res) => {
       await supa
         .from('whatsapp_chats')
         .update({
-          status: 'closed',
+          // Ending the Retell chat is part of a human takeover; keep the chat with the team
+          status: chat.status === 'pending_handoff' ? 'pending_handoff' : 'closed',
           retell_chat_analysis: chatAnalysis,
           retell_chat_cost: chatCost,
           retell_collected_variables: collectedVariables,
@@ -2198,6 +1920,16 @@ r.post('/retell/chat-webhook', async (req, res) => {
         hasAnalysis: !!chatAnalysis,
         chatType: 'followup'
       });
+
+      if (!['closed', 'pending_handoff'].includes(chat.status)) {
+        eventBus.publish(chat.owner_id, 'chat.closed', {
+          chat_id: chat.id,
+          lead_id: chat.lead_id,
+          wa_phone: chat.wa_phone,
+          chat_type: originalChatType,
+          chat_summary: chatAnalysis?.chat_summary || null
+        });
+      }
     }
 
     if (eventType === 'chat_message') {
@@ -2205,7 +1937,7 @@ r.post('/retell/chat-webhook', async (req, res) => {
       const messageRole = evt.role || evt.message?.role || 'agent';
       const messageId = evt.message_id || evt.message?.message_id || null;
 
-      if (messageRole === 'agent' && messageContent && chat.wa_phone) {
+      if (messageRole === 'agent' && messageContent && chat.wa_phone && chat.status !== 'pending_handoff') {
         try {
           const { whatsappBusinessService } = await import('../services/whatsappBusiness.js');
           
@@ -2230,6 +1962,13 @@ r.post('/retell/chat-webhook', async (req, res) => {
               is_template: false
             });
 
+          eventBus.publishMessage(chat.owner_id, chat.id, {
+            direction: 'outbound',
+            sender: 'agent',
+            body: messageContent,
+            wa_message_id: sendResult?.messageId || null
+          });
+
           await supa
             .from('whatsapp_chats')
             .update({
@@ -2340,21 +2079,14 @@ r.post('/retell/chat-book-appointment', async (req, res) => {
 
     const { data: ownerData } = await supa
       .from('users')
-      .select('name, location')
+      .select('name, location, timezone')
       .eq('id', ownerId)
       .single();
 
     const location = ownerData?.location || 'Nossa clínica';
+    timezone = resolveTimezone(resourceType === 'treatment' ? ownerData?.timezone : timezone);
 
     const normalizedDate = normalizeDateString(appointment_date);
-    const timezoneOffsetMap = {
-      'America/Sao_Paulo': '-03:00',
-      'America/Rio_Branco': '-05:00',
-      'America/Manaus': '-04:00',
-      'America/Fortaleza': '-03:00',
-      'America/Recife': '-03:00'
-    };
-    const offset = timezoneOffsetMap[timezone] || '-03:00';
 
     let timeStr = appointment_time;
     if (timeStr && !timeStr.includes(':')) {
@@ -2362,14 +2094,43 @@ r.post('/retell/chat-book-appointment', async (req, res) => {
       timeStr = `${timeStr.slice(0, 2)}:${timeStr.slice(2)}`;
     }
 
-    const startAt = `${normalizedDate}T${timeStr}:00${offset}`;
+    const startDate = zonedTimeToUtc(normalizedDate, timeStr, timezone);
+    const startAt = toIsoStringInTimezone(startDate, timezone);
     
     // Calculate end time preserving timezone
-    const startDate = new Date(startAt);
     const endDate = new Date(startDate.getTime() + durationMinutes * 60000);
-    // Format end date with same timezone offset as start
-    const endAtISO = endDate.toISOString();
-    const endAt = endAtISO.replace('Z', offset);
+    const endAt = toIsoStringInTimezone(endDate, timezone);
+
+    // Booking rules, working hours and conflicts; the agent gets alternatives to offer instead
+    const availabilityResource = resourceId ? await availabilityService.getResource(resourceType, resourceId) : null;
+    const unavailable = availabilityResource
+      ? await availabilityService.checkSlot(availabilityResource, startDate, endDate, { leadId: lead.id })
+      : null;
+
+    // Alternatives are held for the lead while they choose
+    const offerAlternatives = async ({ reason, message }) => {
+      const alternatives = availabilityResource
+        ? await availabilityService.findSlots(availabilityResource, { from: startDate, maxSlots: 3, leadId: lead.id })
+        : [];
+      await slotHoldService.holdSlots(availabilityResource, alternatives, { leadId: lead.id, source: 'chat' });
+      log.info('[chat-book-appointment] Requested time not bookable:', { leadId: lead.id, startAt, reason });
+
+      return res.json({
+        success: false,
+        reason,
+        error: message,
+        available_slots: alternatives.map(slot => toIsoStringInTimezone(slot.start, timezone))
+      });
+    };
+
+    if (unavailable) {
+      return offerAlternatives(unavailable);
+    }
+
+    // Within the doctor's return window after a completed consultation: booked as a return
+    const returnEligibility = resourceType === 'doctor'
+      ? await returnConsultationService.getEligibility({ leadId: lead.id, doctorId: resourceId, at: startDate })
+      : { eligible: false };
 
     const { data: appointmentInsert, error: appointmentError } = await supa
       .from('appointments')
@@ -2385,17 +2146,27 @@ r.post('/retell/chat-book-appointment', async (req, res) => {
         status: 'scheduled',
         office_address: location,
         is_telemedicine: false,
-        meeting_link: null
+        meeting_link: null,
+        // Counts as the next session when the lead has a package of this treatment
+        ...(resourceType === 'treatment' ? await treatmentPackageService.getSessionLink(lead.id, resourceId) : {}),
+        ...returnConsultationService.getBookingFields(returnEligibility)
       })
       .select('id')
       .single();
 
     if (appointmentError) {
+      // Another conversation booked an overlapping time between the check and the insert
+      if (slotHoldService.isOverlapError(appointmentError)) {
+        return offerAlternatives({ reason: 'conflict', message: 'The requested time slot was just booked by someone else' });
+      }
       log.error('[chat-book-appointment] Error creating appointment:', appointmentError);
       return res.status(500).json({ success: false, error: 'Failed to create appointment' });
     }
 
     const appointmentId = appointmentInsert?.id;
+    if (availabilityResource) {
+      await slotHoldService.completeForLead(lead.id, availabilityResource, appointmentId, startDate);
+    }
     let googleEventId = null;
 
     if (googleCalendarEnabled && appointmentId) {
@@ -2404,7 +2175,7 @@ r.post('/retell/chat-book-appointment', async (req, res) => {
         const appointmentData = {
           summary: resourceType === 'treatment'
             ? `Tratamento - ${lead.name || 'Cliente'}`
-            : `Consulta - ${lead.name || 'Paciente'}`,
+            : `${returnEligibility.eligible ? 'Retorno' : 'Consulta'} - ${lead.name || 'Paciente'}`,
           description: resourceType === 'treatment'
             ? `Tratamento: ${resourceName}\nAgendado via chat`
             : `Consulta com ${resourceName}\nAgendado via chat`,
@@ -2438,6 +2209,14 @@ r.post('/retell/chat-book-appointment', async (req, res) => {
 
     await supa.from('leads').update({ status: 'appointment_scheduled', assigned_resource_id: resourceId }).eq('id', lead.id);
 
+    eventBus.publish(ownerId, 'appointment.booked', {
+      appointment_id: appointmentId,
+      lead_id: lead.id,
+      start_at: new Date(startAt).toISOString(),
+      source: 'chat'
+    });
+    eventBus.publishLeadStatus(ownerId, lead.id, 'appointment_scheduled', lead.status);
+
     const [year, month, day] = normalizedDate.split('-');
     const confirmedDate = `${day}/${month}/${year}`;
     const confirmedTime = new Date(startAt).toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit', timeZone: timezone });
@@ -2463,7 +2242,9 @@ r.post('/retell/chat-book-appointment', async (req, res) => {
         const updatedAgentVariables = {
           ...(activeChat.agent_variables || {}),
           all_appointments: appointmentsData.all_appointments,
-          appointments_count: appointmentsData.appointments_count || 0
+          appointments_count: appointmentsData.appointments_count || 0,
+          ...(await treatmentPackageService.getAgentVariables(lead.id)),
+          ...(await returnConsultationService.getAgentVariables(lead))
         };
 
         // Update database
@@ -2523,7 +2304,9 @@ r.post('/retell/chat-book-appointment', async (req, res) => {
       confirmed_time: confirmedTime,
       location: location,
       resource_name: resourceName,
-      google_event_id: googleEventId
+      google_event_id: googleEventId,
+      is_return: returnEligibility.eligible,
+      return_price: returnEligibility.eligible ? returnEligibility.price : null
     });
   } catch (error) {
     log.error('[chat-book-appointment] Error:', error);
@@ -2531,6 +2314,128 @@ r.post('/retell/chat-book-appointment', async (req, res) => {
   }
 });
 
+/**
+ * Chat agent tool: book every remaining session of the lead's treatment package
+ * POST /retell/chat-book-package
+ * Args: { lead_id, appointment_date, appointment_time } - the first session; the
+ * next ones follow the treatment's interval between sessions. A package is
+ * created when the lead has none and the treatment is offered as a package.
+ */
+r.post('/retell/chat-book-package', async (req, res) => {
+  if (
+    !Retell.verify(
+      JSON.stringify(req.body),
+      env.RETELL_API_KEY,
+      req.headers["x-retell-signature"] || '',
+    )
+  ) {
+    console.error("Invalid chat webhook signature");
+    return res.sendStatus(403);
+  }
+  try {
+    const lead_id = req.body?.args?.lead_id || req.body?.lead_id || req.query?.lead_id;
+    const appointment_date = req.body?.args?.appointment_date || req.body?.appointment_date || req.query?.appointment_date;
+    const appointment_time = req.body?.args?.appointment_time || req.body?.appointment_time || req.query?.appointment_time;
+
+    log.info('[chat-book-package] Request received:', { lead_id, appointment_date, appointment_time });
+
+    if (!lead_id) {
+      return res.status(400).json({ success: false, error: 'lead_id is required' });
+    }
+
+    if (!appointment_date || !appointment_time) {
+      return res.status(400).json({ success: false, error: 'appointment_date and appointment_time are required' });
+    }
+
+    const { data: lead } = await supa
+      .from('leads')
+      .select('id, owner_id, assigned_resource_type, assigned_resource_id')
+      .eq('id', lead_id)
+      .maybeSingle();
+
+    if (!lead) {
+      return res.status(404).json({ success: false, error: 'Lead not found' });
+    }
+
+    if (lead.assigned_resource_type !== 'treatment' || !lead.assigned_resource_id) {
+      return res.status(400).json({ success: false, error: 'Packages are only available for treatments' });
+    }
+
+    // Deleted or inactive treatments have no schedule to book on
+    const resource = await availabilityService.getResource('treatment', lead.assigned_resource_id);
+    if (!resource) {
+      return res.json({ success: false, reason: 'not_found', error: 'Treatment not found' });
+    }
+
+    let pkg = await treatmentPackageService.findActivePackage(lead.id, lead.assigned_resource_id);
+
+    if (!pkg) {
+      const { data: treatment } = await supa
+        .from('treatments')
+        .select('offer_type')
+        .eq('id', lead.assigned_resource_id)
+        .single();
+
+      if (treatment?.offer_type !== 'package') {
+        return res.json({ success: false, reason: 'no_package', error: 'This treatment is not offered as a package' });
+      }
+
+      pkg = await treatmentPackageService.createPackage({
+        ownerId: lead.owner_id,
+        leadId: lead.id,
+        treatmentId: lead.assigned_resource_id,
+        source: 'chat'
+      });
+    }
+
+    let timeStr = appointment_time;
+    if (!timeStr.includes(':')) {
+      timeStr = timeStr.padStart(4, '0');
+      timeStr = `${timeStr.slice(0, 2)}:${timeStr.slice(2)}`;
+    }
+
+    const firstStart = zonedTimeToUtc(normalizeDateString(appointment_date), timeStr, resource.timezone);
+    const { booked, unavailable, notBooked } = await treatmentPackageService.bookSeries(pkg, firstStart, { source: 'chat' });
+
+    if (unavailable) {
+      const alternatives = await availabilityService.findSlots(resource, { from: firstStart, maxSlots: 3, leadId: lead.id });
+      await slotHoldService.holdSlots(resource, alternatives, { leadId: lead.id, source: 'chat' });
+      log.info('[chat-book-package] Requested time not bookable:', { leadId: lead.id, packageId: pkg.id, reason: unavailable.reason });
+
+      return res.json({
+        success: false,
+        reason: unavailable.reason,
+        error: unavailable.message,
+        available_slots: alternatives.map(slot => toIsoStringInTimezone(slot.start, resource.timezone))
+      });
+    }
+
+    const sessions = booked.map(appointment => {
+      const parts = getZonedParts(new Date(appointment.start_at), resource.timezone);
+      return {
+        appointment_id: appointment.id,
+        session_number: appointment.session_number,
+        date: `${String(parts.day).padStart(2, '0')}/${String(parts.month).padStart(2, '0')}/${parts.year}`,
+        time: `${String(parts.hour).padStart(2, '0')}:${String(parts.minute).padStart(2, '0')}`
+      };
+    });
+
+    log.info('[chat-book-package] Package sessions booked:', { leadId: lead.id, packageId: pkg.id, booked: sessions.length, notBooked });
+
+    return res.json({
+      success: true,
+      package_id: pkg.id,
+      sessions_total: pkg.sessions_total,
+      sessions,
+      sessions_not_booked: notBooked,
+      resource_name: resource.name
+    });
+  } catch (error) {
+    log.error('[chat-book-package] Error:', error);
+    return res.status(500).json({ success: false, error: error.message || 'Internal server error' });
+  }
+});
+
 r.post('/retell/chat-reschedule-appointment', async (req, res) => {
 
   if (
@@ -2584,21 +2489,13 @@ r.post('/retell/chat-reschedule-appointment', async (req, res) => {
     const ownerId = appointment.owner_id;
     const resourceType = appointment.resource_type;
     const resourceId = appointment.resource_id;
-    const timezone = appointment.timezone || 'America/Sao_Paulo';
+    const timezone = resolveTimezone(appointment.timezone);
     
     const originalStartTime = new Date(appointment.start_at);
     const originalEndTime = new Date(appointment.end_at);
     const durationMinutes = Math.round((originalEndTime - originalStartTime) / 60000);
 
     const normalizedDate = normalizeDateString(new_date);
-    const timezoneOffsetMap = {
-      'America/Sao_Paulo': '-03:00',
-      'America/Rio_Branco': '-05:00',
-      'America/Manaus': '-04:00',
-      'America/Fortaleza': '-03:00',
-      'America/Recife': '-03:00'
-    };
-    const offset = timezoneOffsetMap[timezone] || '-03:00';
 
     let timeStr = new_time;
     if (timeStr && !timeStr.includes(':')) {
@@ -2606,33 +2503,43 @@ r.post('/retell/chat-reschedule-appointment', async (req, res) => {
       timeStr = `${timeStr.slice(0, 2)}:${timeStr.slice(2)}`;
     }
 
-    const newStartAt = `${normalizedDate}T${timeStr}:00${offset}`;
+    const newStartDate = zonedTimeToUtc(normalizedDate, timeStr, timezone);
+    const newStartAt = toIsoStringInTimezone(newStartDate, timezone);
     
     // Calculate end time preserving timezone
-    const newStartDate = new Date(newStartAt);
     const newEndDate = new Date(newStartDate.getTime() + durationMinutes * 60000);
-    
-    // Format end date in the same timezone as start (don't convert to UTC)
-    const formatter = new Intl.DateTimeFormat('en-CA', {
-      timeZone: timezone,
-      year: 'numeric',
-      month: '2-digit',
-      day: '2-digit',
-      hour: '2-digit',
-      minute: '2-digit',
-      second: '2-digit',
-      hour12: false
-    });
-    
-    const parts = formatter.formatToParts(newEndDate);
-    const endYear = parts.find(p => p.type === 'year').value;
-    const endMonth = parts.find(p => p.type === 'month').value;
-    const endDay = parts.find(p => p.type === 'day').value;
-    const endHour = parts.find(p => p.type === 'hour').value;
-    const endMinute = parts.find(p => p.type === 'minute').value;
-    const endSecond = parts.find(p => p.type === 'second').value;
-    
-    const newEndAt = `${endYear}-${endMonth}-${endDay}T${endHour}:${endMinute}:${endSecond}${offset}`;
+    const newEndAt = toIsoStringInTimezone(newEndDate, timezone);
+
+    // Same booking rules as a new booking; the appointment being moved doesn't block itself
+    const availabilityResource = resourceId ? await availabilityService.getResource(resourceType, resourceId) : null;
+    const unavailable = availabilityResource
+      ? await availabilityService.checkSlot(availabilityResource, newStartDate, newEndDate, {
+        leadId: appointment.lead_id,
+        excludeAppointmentId: appointment.id
+      })
+      : null;
+
+    if (unavailable) {
+      // Alternatives are held for the lead while they choose
+      const alternatives = await availabilityService.findSlots(availabilityResource, {
+        from: newStartDate,
+        maxSlots: 3,
+        leadId: appointment.lead_id
+      });
+      await slotHoldService.holdSlots(availabilityResource, alternatives, { leadId: appointment.lead_id, source: 'chat' });
+      log.info('[chat-reschedule-appointment] Requested time not bookable:', {
+        appointmentId: appointment.id,
+        newStartAt,
+        reason: unavailable.reason
+      });
+
+      return res.json({
+        success: false,
+        reason: unavailable.reason,
+        error: unavailable.message,
+        available_slots: alternatives.map(slot => toIsoStringInTimezone(slot.start, timezone))
+      });
+    }
 
     const { data: ownerData } = await supa
       .from('users')
@@ -2653,6 +2560,9 @@ r.post('/retell/chat-reschedule-appointment', async (req, res) => {
       .eq('id', appointment.id);
 
     if (updateError) {
+      if (slotHoldService.isOverlapError(updateError)) {
+        return res.json({ success: false, reason: 'conflict', error: 'The requested time slot conflicts with existing appointments' });
+      }
       log.error('[chat-reschedule-appointment] Error updating appointment:', updateError);
       return res.status(500).json({ success: false, error: 'Failed to update appointment' });
     }
@@ -2710,6 +2620,14 @@ r.post('/retell/chat-reschedule-appointment', async (req, res) => {
 
     log.info('[chat-reschedule-appointment] Appointment rescheduled:', { appointmentId: appointment.id, confirmedDate, confirmedTime });
 
+    eventBus.publish(ownerId, 'appointment.rescheduled', {
+      appointment_id: appointment.id,
+      lead_id: appointment.lead_id,
+      start_at: new Date(newStartAt).toISOString(),
+      previous_start_at: appointment.start_at,
+      source: 'chat'
+    });
+
     // Update agent_variables in active whatsapp_chats to reflect the updated appointments
     try {
       // Get lead to find phone number
@@ -2875,8 +2793,16 @@ r.post('/retell/chat-cancel-appointment', async (req, res) => {
 
     if (appointment.lead_id) {
       await supa.from('leads').update({ status: 'appointment_cancelled' }).eq('id', appointment.lead_id);
+      eventBus.publishLeadStatus(appointment.owner_id, appointment.lead_id, 'appointment_cancelled');
     }
 
+    eventBus.publish(appointment.owner_id, 'appointment.cancelled', {
+      appointment_id: appointment.id,
+      lead_id: appointment.lead_id,
+      start_at: appointment.start_at,
+      source: 'chat'
+    });
+
     // Update agent_variables in active whatsapp_chats to reflect the cancelled appointment
     try {
       // Get lead to find phone number
@@ -2966,5 +2892,202 @@ r.post('/retell/chat-cancel-appointment', async (req, res) => {
   }
 });
 
+/**
+ * Agent tool: put the lead on the waitlist of their doctor/treatment; they get
+ * a WhatsApp offer when an earlier slot is freed by a cancellation
+ * POST /retell/join-waitlist
+ * Args: { lead_id, before_date? } - before_date (YYYY-MM-DD) is the date they want to beat
+ */
+r.post('/retell/join-waitlist', async (req, res) => {
+
+  if (
+    !Retell.verify(
+      JSON.stringify(req.body),
+      env.RETELL_API_KEY,
+      req.headers["x-retell-signature"] || '',
+    )
+  ) {
+    console.error("Invalid webhook signature");
+    return res.sendStatus(403);
+  }
+  try {
+    const lead_id = req.body?.args?.lead_id || req.body?.lead_id || req.query?.lead_id;
+    const before_date = req.body?.args?.before_date || req.body?.before_date || req.query?.before_date || null;
+
+    log.info('[join-waitlist] Request received:', { lead_id, before_date });
+
+    if (!lead_id) {
+      return res.status(400).json({ success: false, error: 'lead_id is required' });
+    }
+
+    const { data: lead } = await supa
+      .from('leads')
+      .select('id, owner_id, assigned_resource_type, assigned_resource_id')
+      .eq('id', lead_id)
+      .maybeSingle();
+
+    if (!lead) {
+      return res.status(404).json({ success: false, error: 'Lead not found' });
+    }
+
+    if (!lead.assigned_resource_id) {
+      return res.status(400).json({ success: false, error: 'No resource assigned to this lead' });
+    }
+
+    let entry;
+    try {
+      entry = await waitlistService.addEntry({
+        ownerId: lead.owner_id,
+        leadId: lead.id,
+        resourceType: lead.assigned_resource_type || 'doctor',
+        resourceId: lead.assigned_resource_id,
+        wantedBefore: before_date,
+        source: 'request'
+      });
+    } catch (validationError) {
+      return res.status(400).json({ success: false, error: validationError.message });
+    }
+
+    return res.json({ success: true, waitlist_entry_id: entry.id, wanted_before: entry.wanted_before });
+  } catch (error) {
+    log.error('[join-waitlist] Error:', error);
+    return res.status(500).json({ success: false, error: error.message || 'Internal server error' });
+  }
+});
+
+/**
+ * Chat agent tool: hand the conversation to a human operator
+ * POST /retell/chat-request-handoff
+ * Args: { lead_id?, reason? } - identifies the chat by call.chat_id when available
+ */
+r.post('/retell/chat-request-handoff', async (req, res) => {
+
+  if (
+    !Retell.verify(
+      JSON.stringify(req.body),
+      env.RETELL_API_KEY,
+      req.headers["x-retell-signature"] || '',
+    )
+  ) {
+    console.error("Invalid chat webhook signature");
+    return res.sendStatus(403);
+  }
+  try {
+    const retellChatId = req.body?.chat?.chat_id || req.body?.call?.chat_id || req.body?.chat_id;
+    const lead_id = req.body?.args?.lead_id || req.body?.lead_id || req.query?.lead_id;
+    const reason = req.body?.args?.reason || req.body?.reason || 'agent_requested';
+
+    log.info('[chat-request-handoff] Request received:', { retellChatId, lead_id, reason });
+
+    let chat = null;
+    if (retellChatId) {
+      const { data } = await supa.from('whatsapp_chats').select('*').eq('retell_chat_id', retellChatId).maybeSingle();
+      chat = data;
+    }
+
+    if (!chat && lead_id) {
+      const { data } = await supa
+        .from('whatsapp_chats')
+        .select('*')
+        .eq('lead_id', lead_id)
+        .in('status', ['open', 'pending_response'])
+        .order('updated_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+      chat = data;
+    }
+
+    if (!chat) {
+      return res.status(404).json({ success: false, error: 'Chat not found' });
+    }
+
+    await chatHandoffService.escalate(chat, reason === 'agent_requested' ? reason : `agent_requested: ${reason}`);
+
+    return res.json({ success: true, chat_id: chat.id, message: 'Chat transferred to a human operator' });
+  } catch (error) {
+    log.error('[chat-request-handoff] Error:', error);
+    return res.status(500).json({ success: false, error: error.message || 'Internal server error' });
+  }
+});
+
+/**
+ * Chat agent tool: send a Pix charge for a booked appointment over WhatsApp
+ * POST /retell/chat-send-pix
+ * Args: { lead_id?, appointment_id?, offer? } - appointment_id is the one returned by chat-book-appointment
+ */
+r.post('/retell/chat-send-pix', async (req, res) => {
+
+  if (
+    !Retell.verify(
+      JSON.stringify(req.body),
+      env.RETELL_API_KEY,
+      req.headers["x-retell-signature"] || '',
+    )
+  ) {
+    console.error("Invalid chat webhook signature");
+    return res.sendStatus(403);
+  }
+  try {
+    const lead_id = req.body?.args?.lead_id || req.body?.lead_id || req.query?.lead_id;
+    const appointment_id = req.body?.args?.appointment_id || req.body?.appointment_id || req.query?.appointment_id;
+    const offer = req.body?.args?.offer || req.body?.offer || req.query?.offer;
+
+    log.info('[chat-send-pix] Request received:', { lead_id, appointment_id, offer });
+
+    if (!lead_id && !appointment_id) {
+      return res.status(400).json({ success: false, error: 'lead_id or appointment_id is required' });
+    }
+
+    let appointment;
+    if (appointment_id) {
+      const { data } = await supa.from('appointments').select('*').eq('id', appointment_id).single();
+      appointment = data;
+    }
+
+    if (!appointment && lead_id) {
+      const { data } = await supa
+        .from('appointments')
+        .select('*')
+        .eq('lead_id', lead_id)
+        .in('status', ['scheduled', 'confirmed'])
+        .order('created_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+      appointment = data;
+    }
+
+    if (!appointment) {
+      return res.status(404).json({ success: false, error: 'No appointment found' });
+    }
+
+    if (appointment.payment_status === 'paid') {
+      return res.json({ success: false, already_paid: true, message: 'Appointment is already paid' });
+    }
+
+    const { payment, appointment: ownerAppointment } = await paymentsService.createPixPayment(appointment.owner_id, appointment.id, { offer });
+
+    const phone = ownerAppointment.leads?.phone;
+    if (!phone) {
+      return res.status(400).json({ success: false, error: 'Lead has no phone number' });
+    }
+
+    await paymentsService.sendPixViaWhatsApp(appointment.owner_id, payment, phone);
+
+    log.info('[chat-send-pix] Pix sent:', { paymentId: payment.id, appointmentId: appointment.id });
+
+    return res.json({
+      success: true,
+      payment_id: payment.id,
+      amount: Number(payment.expected_amount).toFixed(2).replace('.', ','),
+      original_amount: payment.base_amount ? Number(payment.base_amount).toFixed(2).replace('.', ',') : null,
+      discount_percentage: payment.discount_percentage || 0,
+      message: 'Pix code sent over WhatsApp'
+    });
+  } catch (error) {
+    log.error('[chat-send-pix] Error:', error);
+    return res.status(500).json({ success: false, error: error.message || 'Internal server error' });
+  }
+});
+
 export { updateAgentVariablesForLead };
 export default r;
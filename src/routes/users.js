@@ -3,6 +3,9 @@ import bcrypt from 'bcrypt';
 import { supa } from '../lib/supabase.js';
 import { log } from '../config/logger.js';
 import { verifyJWT } from '../middleware/verifyJWT.js';
+import { callPolicyService, DEFAULT_CALL_POLICY } from '../services/callPolicy.js';
+import { holidayService } from '../services/holidays.js';
+import { normalizeExceptions } from '../utils/availabilityExceptions.js';
 
 const router = Router();
 const SALT_ROUNDS = 12;
@@ -97,9 +100,8 @@ router.get('/users/stats', verifyJWT, requireAdmin, async (req, res) => {
       .eq('is_active', true);
 
     // Get new users this month (in São Paulo timezone)
-    const { getStartOfDaySaoPaulo } = await import('../utils/timezone.js');
-    const now = getStartOfDaySaoPaulo();
-    const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
+    const { getDateStringInTimezone, zonedTimeToUtc } = await import('../utils/timezone.js');
+    const startOfMonth = zonedTimeToUtc(`${getDateStringInTimezone(new Date()).slice(0, 7)}-01`, '00:00');
 
     const { count: newUsersThisMonth } = await supa
       .from('users')
@@ -244,7 +246,7 @@ router.get('/users/me', verifyJWT, async (req, res) => {
 
     const { data: user, error } = await supa
       .from('users')
-      .select('id, email, name, service_type, role, is_active, location, working_hours, date_specific_availability, timezone, social_proof_enabled, social_proof_text, google_calendar_id, calendar_sync_enabled, last_calendar_sync, twilio_phone_number, twilio_subaccount_sid, whatsapp_connected, default_chat_agent_id')
+      .select('id, email, name, service_type, role, is_active, location, working_hours, date_specific_availability, timezone, social_proof_enabled, social_proof_text, google_calendar_id, calendar_sync_enabled, last_calendar_sync, twilio_phone_number, twilio_subaccount_sid, whatsapp_connected, default_chat_agent_id, pix_key, pix_merchant_name, pix_merchant_city, reminders_enabled, reminder_offsets_minutes, no_show_reengagement_enabled, no_show_reengagement_delay_minutes')
       .eq('id', userId)
       .single();
 
@@ -296,7 +298,16 @@ router.put('/users/me/working-hours', verifyJWT, async (req, res) => {
     // Update working hours
     const updateData = {};
     if (working_hours !== undefined) updateData.working_hours = working_hours;
-    if (date_specific_availability !== undefined) updateData.date_specific_availability = date_specific_availability;
+    if (date_specific_availability !== undefined) {
+      try {
+        updateData.date_specific_availability = normalizeExceptions(date_specific_availability);
+      } catch (validationError) {
+        return res.status(400).json({
+          ok: false,
+          error: validationError.message
+        });
+      }
+    }
     if (timezone) updateData.timezone = timezone;
 
     const { data: updatedUser, error: updateError } = await supa
@@ -329,6 +340,351 @@ router.put('/users/me/working-hours', verifyJWT, async (req, res) => {
   }
 });
 
+// PUT /api/users/me/pix-settings - Update Pix key used to generate Pix charges
+router.put('/users/me/pix-settings', verifyJWT, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { pix_key, pix_merchant_name, pix_merchant_city } = req.body;
+
+    if (pix_merchant_name && pix_merchant_name.length > 25) {
+      return res.status(400).json({
+        ok: false,
+        error: 'pix_merchant_name must be at most 25 characters'
+      });
+    }
+
+    if (pix_merchant_city && pix_merchant_city.length > 15) {
+      return res.status(400).json({
+        ok: false,
+        error: 'pix_merchant_city must be at most 15 characters'
+      });
+    }
+
+    const updateData = {};
+    if (pix_key !== undefined) updateData.pix_key = pix_key ? String(pix_key).trim() : null;
+    if (pix_merchant_name !== undefined) updateData.pix_merchant_name = pix_merchant_name || null;
+    if (pix_merchant_city !== undefined) updateData.pix_merchant_city = pix_merchant_city || null;
+
+    const { data: updatedUser, error: updateError } = await supa
+      .from('users')
+      .update(updateData)
+      .eq('id', userId)
+      .select('pix_key, pix_merchant_name, pix_merchant_city')
+      .single();
+
+    if (updateError) {
+      throw new Error(updateError.message);
+    }
+
+    log.info(`Pix settings updated for user ${userId}`);
+
+    res.json({
+      ok: true,
+      message: 'Pix settings updated successfully',
+      ...updatedUser
+    });
+
+  } catch (error) {
+    log.error('Update Pix settings error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to update Pix settings'
+    });
+  }
+});
+
+// GET /api/users/me/call-policy - Outbound calling policy (defaults when not configured)
+router.get('/users/me/call-policy', verifyJWT, async (req, res) => {
+  try {
+    // The cached policy carries the owner's holidays, which are not a policy field
+    const policy = { ...(await callPolicyService.getPolicy(req.user.id)) };
+    delete policy.holidays;
+    res.json({ ok: true, call_policy: policy, defaults: DEFAULT_CALL_POLICY });
+  } catch (error) {
+    log.error('Get call policy error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to fetch call policy'
+    });
+  }
+});
+
+// PUT /api/users/me/call-policy - Update calling windows, attempt cap, retry spacing and voicemail behaviour
+// Body: { timezone?, calling_windows?, max_attempts?, retry_intervals_minutes?, voicemail?, after_max_attempts? }
+// Send { reset: true } to go back to the defaults
+router.put('/users/me/call-policy', verifyJWT, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { reset, ...changes } = req.body || {};
+
+    let callPolicy = null;
+    if (!reset) {
+      const validationError = callPolicyService.validate(changes);
+      if (validationError) {
+        return res.status(400).json({
+          ok: false,
+          error: validationError
+        });
+      }
+
+      const { data: user } = await supa
+        .from('users')
+        .select('call_policy')
+        .eq('id', userId)
+        .single();
+
+      const allowed = ['timezone', 'calling_windows', 'max_attempts', 'retry_intervals_minutes', 'voicemail', 'after_max_attempts'];
+      callPolicy = { ...(user?.call_policy || {}) };
+      allowed.forEach(field => {
+        if (changes[field] !== undefined) callPolicy[field] = changes[field];
+      });
+    }
+
+    const { error: updateError } = await supa
+      .from('users')
+      .update({ call_policy: callPolicy })
+      .eq('id', userId);
+
+    if (updateError) {
+      throw new Error(updateError.message);
+    }
+
+    callPolicyService.invalidate(userId);
+    log.info(`Call policy updated for user ${userId}`);
+
+    res.json({
+      ok: true,
+      message: 'Call policy updated successfully',
+      call_policy: callPolicyService.normalize(callPolicy)
+    });
+
+  } catch (error) {
+    log.error('Update call policy error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to update call policy'
+    });
+  }
+});
+
+// GET /api/users/me/holidays?year=2025 - National holidays plus the owner's state/city holidays
+router.get('/users/me/holidays', verifyJWT, async (req, res) => {
+  try {
+    const year = parseInt(req.query.year, 10) || new Date().getFullYear();
+    const holidays = await holidayService.listForYear(req.user.id, year);
+
+    res.json({ ok: true, year, holidays });
+  } catch (error) {
+    log.error('Get holidays error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to fetch holidays'
+    });
+  }
+});
+
+// POST /api/users/me/holidays - Add a state, city or clinic holiday
+// Body: { date: 'YYYY-MM-DD', name, scope?: 'state'|'city'|'clinic', recurring?: boolean }
+router.post('/users/me/holidays', verifyJWT, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { date, name, scope = 'city', recurring = true } = req.body || {};
+
+    if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(`${date}T12:00:00Z`).getTime())) {
+      return res.status(400).json({
+        ok: false,
+        error: 'date must be in YYYY-MM-DD format'
+      });
+    }
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({
+        ok: false,
+        error: 'name is required'
+      });
+    }
+
+    if (!['state', 'city', 'clinic'].includes(scope)) {
+      return res.status(400).json({
+        ok: false,
+        error: 'scope must be one of: state, city, clinic'
+      });
+    }
+
+    const { data: holiday, error } = await supa
+      .from('owner_holidays')
+      .insert({
+        owner_id: userId,
+        holiday_date: date,
+        name: String(name).trim(),
+        scope,
+        recurring: recurring !== false
+      })
+      .select('id, holiday_date, name, scope, recurring')
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({
+          ok: false,
+          error: 'A holiday is already registered on this date'
+        });
+      }
+      throw new Error(error.message);
+    }
+
+    holidayService.invalidate(userId);
+    callPolicyService.invalidate(userId);
+    log.info(`Holiday added for user ${userId}: ${date} ${holiday.name}`);
+
+    res.status(201).json({ ok: true, holiday });
+  } catch (error) {
+    log.error('Create holiday error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to create holiday'
+    });
+  }
+});
+
+// DELETE /api/users/me/holidays/:id - Remove an owner holiday (national holidays can't be removed)
+router.delete('/users/me/holidays/:id', verifyJWT, async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const { data: deleted, error } = await supa
+      .from('owner_holidays')
+      .delete()
+      .eq('id', req.params.id)
+      .eq('owner_id', userId)
+      .select('id');
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    if (!deleted || deleted.length === 0) {
+      return res.status(404).json({
+        ok: false,
+        error: 'Holiday not found'
+      });
+    }
+
+    holidayService.invalidate(userId);
+    callPolicyService.invalidate(userId);
+
+    res.json({ ok: true, message: 'Holiday removed successfully' });
+  } catch (error) {
+    log.error('Delete holiday error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to delete holiday'
+    });
+  }
+});
+
+// PUT /api/users/me/reminder-settings - Configure automated appointment reminders
+router.put('/users/me/reminder-settings', verifyJWT, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { reminders_enabled, reminder_offsets_minutes } = req.body;
+
+    const updateData = {};
+    if (reminders_enabled !== undefined) updateData.reminders_enabled = !!reminders_enabled;
+
+    if (reminder_offsets_minutes !== undefined) {
+      const offsets = Array.isArray(reminder_offsets_minutes) ? reminder_offsets_minutes.map(Number) : [];
+      const invalid = !Array.isArray(reminder_offsets_minutes)
+        || offsets.length === 0
+        || offsets.length > 5
+        || offsets.some(offset => !Number.isInteger(offset) || offset <= 0 || offset > 10080);
+
+      if (invalid) {
+        return res.status(400).json({
+          ok: false,
+          error: 'reminder_offsets_minutes must be 1 to 5 whole numbers of minutes between 1 and 10080 (7 days)'
+        });
+      }
+
+      updateData.reminder_offsets_minutes = [...new Set(offsets)].sort((a, b) => b - a);
+    }
+
+    const { data: updatedUser, error: updateError } = await supa
+      .from('users')
+      .update(updateData)
+      .eq('id', userId)
+      .select('reminders_enabled, reminder_offsets_minutes')
+      .single();
+
+    if (updateError) {
+      throw new Error(updateError.message);
+    }
+
+    log.info(`Reminder settings updated for user ${userId}`);
+
+    res.json({
+      ok: true,
+      message: 'Reminder settings updated successfully',
+      ...updatedUser
+    });
+
+  } catch (error) {
+    log.error('Update reminder settings error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to update reminder settings'
+    });
+  }
+});
+
+// PUT /api/users/me/no-show-settings - Configure the no-show re-engagement sequence
+router.put('/users/me/no-show-settings', verifyJWT, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { no_show_reengagement_enabled, no_show_reengagement_delay_minutes } = req.body;
+
+    const updateData = {};
+    if (no_show_reengagement_enabled !== undefined) updateData.no_show_reengagement_enabled = !!no_show_reengagement_enabled;
+
+    if (no_show_reengagement_delay_minutes !== undefined) {
+      const delay = Number(no_show_reengagement_delay_minutes);
+      if (!Number.isInteger(delay) || delay < 0 || delay > 10080) {
+        return res.status(400).json({
+          ok: false,
+          error: 'no_show_reengagement_delay_minutes must be a whole number of minutes between 0 and 10080 (7 days)'
+        });
+      }
+      updateData.no_show_reengagement_delay_minutes = delay;
+    }
+
+    const { data: updatedUser, error: updateError } = await supa
+      .from('users')
+      .update(updateData)
+      .eq('id', userId)
+      .select('no_show_reengagement_enabled, no_show_reengagement_delay_minutes')
+      .single();
+
+    if (updateError) {
+      throw new Error(updateError.message);
+    }
+
+    log.info(`No-show settings updated for user ${userId}`);
+
+    res.json({
+      ok: true,
+      message: 'No-show settings updated successfully',
+      ...updatedUser
+    });
+
+  } catch (error) {
+    log.error('Update no-show settings error:', error);
+    res.status(500).json({
+      ok: false,
+      error: 'Failed to update no-show settings'
+    });
+  }
+});
+
 // GET /api/users/:id - Get specific user (admin only)
 router.get('/users/:id', verifyJWT, requireAdmin, async (req, res) => {
   try{
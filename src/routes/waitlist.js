@@ -0,0 +1,94 @@
+import { Router } from 'express';
+import { supa } from '../lib/supabase.js';
+import { log } from '../config/logger.js';
+import { verifyJWT } from '../middleware/verifyJWT.js';
+import { waitlistService } from '../services/waitlist.js';
+
+const router = Router();
+
+/**
+ * List open waitlist entries, oldest first
+ * GET /api/waitlist?resource_type=doctor&resource_id=...&status=waiting
+ */
+router.get('/', verifyJWT, async (req, res) => {
+  try {
+    const { resource_type, resource_id, status } = req.query;
+
+    const entries = await waitlistService.listEntries(req.user.id, {
+      resourceType: resource_type,
+      resourceId: resource_id,
+      status
+    });
+
+    res.json({ ok: true, entries });
+  } catch (error) {
+    log.error('List waitlist error:', error);
+    res.status(500).json({ ok: false, error: 'Failed to fetch waitlist' });
+  }
+});
+
+/**
+ * Add a lead to a doctor's or treatment's waitlist
+ * POST /api/waitlist
+ * Body: { lead_id, resource_type: 'doctor'|'treatment', resource_id, wanted_before? }
+ */
+router.post('/', verifyJWT, async (req, res) => {
+  try {
+    const { lead_id, resource_type, resource_id, wanted_before } = req.body || {};
+
+    if (!lead_id || !resource_type || !resource_id) {
+      return res.status(400).json({ ok: false, error: 'lead_id, resource_type and resource_id are required' });
+    }
+
+    const { data: lead } = await supa
+      .from('leads')
+      .select('id')
+      .eq('id', lead_id)
+      .eq('owner_id', req.user.id)
+      .maybeSingle();
+
+    if (!lead) {
+      return res.status(404).json({ ok: false, error: 'Lead not found' });
+    }
+
+    let entry;
+    try {
+      entry = await waitlistService.addEntry({
+        ownerId: req.user.id,
+        leadId: lead_id,
+        resourceType: resource_type,
+        resourceId: resource_id,
+        wantedBefore: wanted_before,
+        source: 'dashboard'
+      });
+    } catch (validationError) {
+      return res.status(400).json({ ok: false, error: validationError.message });
+    }
+
+    res.status(201).json({ ok: true, entry });
+  } catch (error) {
+    log.error('Add to waitlist error:', error);
+    res.status(500).json({ ok: false, error: 'Failed to add to waitlist' });
+  }
+});
+
+/**
+ * Remove a lead from the waitlist
+ * DELETE /api/waitlist/:id
+ */
+router.delete('/:id', verifyJWT, async (req, res) => {
+  try {
+    const entry = await waitlistService.removeEntry(req.user.id, req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({ ok: false, error: 'Waitlist entry not found' });
+    }
+
+    res.json({ ok: true, entry });
+  } catch (error) {
+    log.error('Remove from waitlist error:', error);
+    res.status(500).json({ ok: false, error: 'Failed to remove from waitlist' });
+  }
+});
+
+export default router;
@@ -0,0 +1,299 @@
+import { Router } from 'express';
+import { supa } from '../lib/supabase.js';
+import { log } from '../config/logger.js';
+import { verifyJWT } from '../middleware/verifyJWT.js';
+import { EVENT_TYPES } from '../services/events.js';
+import { webhooksService } from '../services/webhooks.js';
+
+const router = Router();
+
+/**
+ * Hide the signing secret outside of create/rotate responses
+ */
+function serializeSubscription(subscription, { includeSecret = false } = {}) {
+  const { secret, ...rest } = subscription;
+  return {
+    ...rest,
+    secret: includeSecret ? secret : `${secret.slice(0, 10)}…${secret.slice(-4)}`
+  };
+}
+
+async function getOwnerSubscription(ownerId, subscriptionId) {
+  const { data: subscription } = await supa
+    .from('webhook_subscriptions')
+    .select('*')
+    .eq('id', subscriptionId)
+    .eq('owner_id', ownerId)
+    .maybeSingle();
+
+  return subscription || null;
+}
+
+/**
+ * Event types that can be subscribed to
+ * GET /api/webhooks/event-types
+ */
+router.get('/event-types', verifyJWT, (_req, res) => {
+  res.json({ ok: true, event_types: EVENT_TYPES });
+});
+
+/**
+ * List webhook subscriptions
+ * GET /api/webhooks
+ */
+router.get('/', verifyJWT, async (req, res) => {
+  try {
+    const { data: subscriptions, error } = await supa
+      .from('webhook_subscriptions')
+      .select('*')
+      .eq('owner_id', req.user.id)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    res.json({ ok: true, subscriptions: (subscriptions || []).map(sub => serializeSubscription(sub)) });
+  } catch (error) {
+    log.error('List webhook subscriptions error:', error);
+    res.status(500).json({ ok: false, error: 'Failed to fetch webhook subscriptions' });
+  }
+});
+
+/**
+ * Create a webhook subscription (the secret is only returned here and on rotation)
+ * POST /api/webhooks
+ * Body: { url, event_types: ['lead.created', 'appointment.booked'], secret?, description? }
+ */
+router.post('/', verifyJWT, async (req, res) => {
+  try {
+    const { url, event_types, secret, description } = req.body || {};
+
+    if (!url || !event_types) {
+      return res.status(400).json({ ok: false, error: 'url and event_types are required' });
+    }
+
+    const validationError = await webhooksService.validateSubscription({ url, event_types });
+    if (validationError) {
+      return res.status(400).json({ ok: false, error: validationError });
+    }
+
+    const { data: subscription, error } = await supa
+      .from('webhook_subscriptions')
+      .insert({
+        owner_id: req.user.id,
+        url,
+        secret: secret || webhooksService.generateSecret(),
+        event_types: [...new Set(event_types)],
+        description: description || null
+      })
+      .select('*')
+      .single();
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    log.info('Webhook subscription created:', { subscriptionId: subscription.id, ownerId: req.user.id });
+
+    res.status(201).json({ ok: true, subscription: serializeSubscription(subscription, { includeSecret: true }) });
+  } catch (error) {
+    log.error('Create webhook subscription error:', error);
+    res.status(500).json({ ok: false, error: 'Failed to create webhook subscription' });
+  }
+});
+
+/**
+ * List delivery attempts (most recent first)
+ * GET /api/webhooks/deliveries?subscription_id=...&status=failed&event_type=call.analyzed&limit=50&offset=0
+ */
+router.get('/deliveries', verifyJWT, async (req, res) => {
+  try {
+    const { subscription_id, status, event_type } = req.query;
+    const limit = Math.min(parseInt(req.query.limit || '50', 10) || 50, 200);
+    const offset = parseInt(req.query.offset || '0', 10) || 0;
+
+    let query = supa
+      .from('webhook_deliveries')
+      .select('id, subscription_id, event_type, status, attempt_count, next_attempt_at, last_attempt_at, response_status, error, delivered_at, redelivery_of, created_at', { count: 'exact' })
+      .eq('owner_id', req.user.id)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (subscription_id) query = query.eq('subscription_id', subscription_id);
+    if (status) query = query.eq('status', status);
+    if (event_type) query = query.eq('event_type', event_type);
+
+    const { data: deliveries, count, error } = await query;
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    res.json({ ok: true, deliveries, total: count || 0, limit, offset });
+  } catch (error) {
+    log.error('List webhook deliveries error:', error);
+    res.status(500).json({ ok: false, error: 'Failed to fetch webhook deliveries' });
+  }
+});
+
+/**
+ * Get a delivery with its payload and last response
+ * GET /api/webhooks/deliveries/:deliveryId
+ */
+router.get('/deliveries/:deliveryId', verifyJWT, async (req, res) => {
+  try {
+    const { data: delivery, error } = await supa
+      .from('webhook_deliveries')
+      .select('*')
+      .eq('id', req.params.deliveryId)
+      .eq('owner_id', req.user.id)
+      .single();
+
+    if (error || !delivery) {
+      return res.status(404).json({ ok: false, error: 'Delivery not found' });
+    }
+
+    res.json({ ok: true, delivery });
+  } catch (error) {
+    log.error('Get webhook delivery error:', error);
+    res.status(500).json({ ok: false, error: 'Failed to fetch webhook delivery' });
+  }
+});
+
+/**
+ * Send a past delivery again now (creates a new delivery row)
+ * POST /api/webhooks/deliveries/:deliveryId/redeliver
+ */
+router.post('/deliveries/:deliveryId/redeliver', verifyJWT, async (req, res) => {
+  try {
+    const delivery = await webhooksService.redeliver(req.user.id, req.params.deliveryId);
+    res.json({ ok: true, delivery });
+  } catch (error) {
+    log.error('Redeliver webhook error:', error);
+    const status = ['Delivery not found', 'Subscription not found'].includes(error.message) ? 404 : 500;
+    res.status(status).json({ ok: false, error: error.message || 'Failed to redeliver webhook' });
+  }
+});
+
+/**
+ * Update a webhook subscription
+ * PUT /api/webhooks/:id
+ * Body: { url?, event_types?, description?, is_active? }
+ */
+router.put('/:id', verifyJWT, async (req, res) => {
+  try {
+    const { url, event_types, description, is_active } = req.body || {};
+
+    const validationError = await webhooksService.validateSubscription({ url, event_types });
+    if (validationError) {
+      return res.status(400).json({ ok: false, error: validationError });
+    }
+
+    const updates = { updated_at: new Date().toISOString() };
+    if (url !== undefined) updates.url = url;
+    if (event_types !== undefined) updates.event_types = [...new Set(event_types)];
+    if (description !== undefined) updates.description = description;
+    if (is_active !== undefined) updates.is_active = !!is_active;
+
+    const { data: subscription, error } = await supa
+      .from('webhook_subscriptions')
+      .update(updates)
+      .eq('id', req.params.id)
+      .eq('owner_id', req.user.id)
+      .select('*')
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    if (!subscription) {
+      return res.status(404).json({ ok: false, error: 'Webhook subscription not found' });
+    }
+
+    res.json({ ok: true, subscription: serializeSubscription(subscription) });
+  } catch (error) {
+    log.error('Update webhook subscription error:', error);
+    res.status(500).json({ ok: false, error: 'Failed to update webhook subscription' });
+  }
+});
+
+/**
+ * Delete a webhook subscription and its delivery log
+ * DELETE /api/webhooks/:id
+ */
+router.delete('/:id', verifyJWT, async (req, res) => {
+  try {
+    const { data: deleted, error } = await supa
+      .from('webhook_subscriptions')
+      .delete()
+      .eq('id', req.params.id)
+      .eq('owner_id', req.user.id)
+      .select('id');
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    if (!deleted || deleted.length === 0) {
+      return res.status(404).json({ ok: false, error: 'Webhook subscription not found' });
+    }
+
+    res.json({ ok: true, message: 'Webhook subscription deleted' });
+  } catch (error) {
+    log.error('Delete webhook subscription error:', error);
+    res.status(500).json({ ok: false, error: 'Failed to delete webhook subscription' });
+  }
+});
+
+/**
+ * Replace the signing secret
+ * POST /api/webhooks/:id/rotate-secret
+ */
+router.post('/:id/rotate-secret', verifyJWT, async (req, res) => {
+  try {
+    const { data: subscription, error } = await supa
+      .from('webhook_subscriptions')
+      .update({ secret: webhooksService.generateSecret(), updated_at: new Date().toISOString() })
+      .eq('id', req.params.id)
+      .eq('owner_id', req.user.id)
+      .select('*')
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    if (!subscription) {
+      return res.status(404).json({ ok: false, error: 'Webhook subscription not found' });
+    }
+
+    res.json({ ok: true, subscription: serializeSubscription(subscription, { includeSecret: true }) });
+  } catch (error) {
+    log.error('Rotate webhook secret error:', error);
+    res.status(500).json({ ok: false, error: 'Failed to rotate webhook secret' });
+  }
+});
+
+/**
+ * Send a webhook.test event to the subscription URL
+ * POST /api/webhooks/:id/test
+ */
+router.post('/:id/test', verifyJWT, async (req, res) => {
+  try {
+    const subscription = await getOwnerSubscription(req.user.id, req.params.id);
+
+    if (!subscription) {
+      return res.status(404).json({ ok: false, error: 'Webhook subscription not found' });
+    }
+
+    const delivery = await webhooksService.sendTest(subscription);
+    res.json({ ok: delivery.status === 'succeeded', delivery });
+  } catch (error) {
+    log.error('Test webhook error:', error);
+    res.status(500).json({ ok: false, error: 'Failed to send test webhook' });
+  }
+});
+
+export default router;
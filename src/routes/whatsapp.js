@@ -7,6 +7,16 @@ import { log } from '../config/logger.js';
 import { env } from '../config/env.js';
 import { agentManager } from '../services/agentManager.js';
 import { updateAgentVariablesForLead } from './retell.js';
+import { paymentsService } from '../services/payments.js';
+import { transcriptionService } from '../services/transcription.js';
+import { chatHandoffService } from '../services/chatHandoff.js';
+import { chatMessageService } from '../services/chatMessages.js';
+import { eventBus } from '../services/events.js';
+import { whatsappDeliveryService } from '../services/whatsappDelivery.js';
+import { noShowService } from '../services/noShow.js';
+import { treatmentPackageService } from '../services/treatmentPackages.js';
+import { returnConsultationService } from '../services/returnConsultations.js';
+import { getZonedParts, resolveTimezone } from '../utils/timezone.js';
 
 const router = Router();
 
@@ -58,6 +68,7 @@ async function getAllAppointmentsForPhone(phoneNumber) {
         id,
         start_at,
         end_at,
+        timezone,
         resource_type,
         resource_id,
         status
@@ -118,17 +129,18 @@ async function getAllAppointmentsForPhone(phoneNumber) {
 
     // Format appointments for display
     const formattedAppointments = appointments.map((apt, index) => {
-      const startDate = new Date(apt.start_at);
+      // Read date and time in the appointment's timezone, not the server's
+      const parts = getZonedParts(new Date(apt.start_at), resolveTimezone(apt.timezone));
       
       // Format date in Brazilian format
-      const day = String(startDate.getDate()).padStart(2, '0');
-      const month = String(startDate.getMonth() + 1).padStart(2, '0');
-      const year = startDate.getFullYear();
+      const day = String(parts.day).padStart(2, '0');
+      const month = String(parts.month).padStart(2, '0');
+      const year = parts.year;
       const dateStr = `${day}/${month}/${year}`;
       
       // Format time
-      const hours = String(startDate.getHours()).padStart(2, '0');
-      const minutes = String(startDate.getMinutes()).padStart(2, '0');
+      const hours = String(parts.hour).padStart(2, '0');
+      const minutes = String(parts.minute).padStart(2, '0');
       const timeStr = `${hours}:${minutes}`;
       
       // Get resource name from maps
@@ -237,6 +249,53 @@ const WHATSAPP_TEMPLATES = [
         }
       }
     ]
+  },
+  {
+    // Sent by the reminder scheduler; the buttons are handled by the webhook button handler
+    name: 'appointment_reminder',
+    category: 'UTILITY',
+    language: 'pt_BR',
+    components: [
+      {
+        type: 'BODY',
+        text: 'Olá, {{1}}! 🔔\nLembrete: seu atendimento com {{2}} está marcado para {{3}}, às {{4}}.\n\n📍 Endereço / Link: {{5}}\n\nPodemos confirmar sua presença?',
+        example: {
+          body_text: [
+            ['João Silva', 'Dr. Thiago Salati', '15/11/2025', '12:30', 'Rua da Alegria, 100']
+          ]
+        }
+      },
+      {
+        type: 'BUTTONS',
+        buttons: [
+          { type: 'QUICK_REPLY', text: 'CONFIRMAR' },
+          { type: 'QUICK_REPLY', text: 'REMARCAR' }
+        ]
+      }
+    ]
+  },
+  {
+    // Sent to no-shows; REMARCAR routes the lead into the available_time flow
+    name: 'no_show_reengagement',
+    category: 'UTILITY',
+    language: 'pt_BR',
+    components: [
+      {
+        type: 'BODY',
+        text: 'Olá, {{1}}! Sentimos sua falta no atendimento com {{2}} no dia {{3}}. 💙\nImprevistos acontecem! Quer remarcar para um novo horário?',
+        example: {
+          body_text: [
+            ['João', 'Dr. Thiago Salati', '15/11']
+          ]
+        }
+      },
+      {
+        type: 'BUTTONS',
+        buttons: [
+          { type: 'QUICK_REPLY', text: 'REMARCAR' }
+        ]
+      }
+    ]
   }
 ];
 
@@ -981,6 +1040,70 @@ router.delete('/templates/:templateName', verifyJWT, async (req, res) => {
   }
 });
 
+/**
+ * Take over a chat from the AI agent (ends the Retell chat)
+ * POST /api/whatsapp/chats/:chatId/takeover
+ * Body: { reason?: string }
+ */
+router.post('/chats/:chatId/takeover', verifyJWT, async (req, res) => {
+  try {
+    const chat = await chatHandoffService.takeOver(req.user.id, req.params.chatId, {
+      userId: req.user.id,
+      reason: req.body?.reason || 'owner_takeover'
+    });
+
+    res.json({ ok: true, chat });
+  } catch (error) {
+    log.error('Chat takeover error:', error);
+    const status = error.message === 'Chat not found' ? 404 : 500;
+    res.status(status).json({ ok: false, error: error.message || 'Failed to take over chat' });
+  }
+});
+
+/**
+ * Send a manual message in a chat taken over by a human
+ * POST /api/whatsapp/chats/:chatId/messages
+ * Body: { message: string }
+ */
+router.post('/chats/:chatId/messages', verifyJWT, async (req, res) => {
+  try {
+    const { message } = req.body || {};
+
+    if (!message || !String(message).trim()) {
+      return res.status(400).json({ ok: false, error: 'message is required' });
+    }
+
+    const sent = await chatHandoffService.sendManualMessage(req.user.id, req.params.chatId, String(message).trim(), {
+      userId: req.user.id
+    });
+
+    res.json({ ok: true, message: sent });
+  } catch (error) {
+    log.error('Manual WhatsApp message error:', error);
+    const status = error.message === 'Chat not found' ? 404
+      : error.message === 'Chat must be taken over before sending manual messages' ? 409
+      : 500;
+    res.status(status).json({ ok: false, error: error.message || 'Failed to send message' });
+  }
+});
+
+/**
+ * Hand a chat back to the AI agent with the transcript as previous_chat_history
+ * POST /api/whatsapp/chats/:chatId/handback
+ */
+router.post('/chats/:chatId/handback', verifyJWT, async (req, res) => {
+  try {
+    const chat = await chatHandoffService.handBack(req.user.id, req.params.chatId, { userId: req.user.id });
+    res.json({ ok: true, chat });
+  } catch (error) {
+    log.error('Chat handback error:', error);
+    const status = error.message === 'Chat not found' ? 404
+      : error.message === 'Chat is not in human handoff' ? 409
+      : 500;
+    res.status(status).json({ ok: false, error: error.message || 'Failed to hand chat back' });
+  }
+});
+
 /**
  * WhatsApp webhook verification
  * GET /api/whatsapp/webhook
@@ -1017,6 +1140,375 @@ router.get('/webhook', async (req, res) => {
   }
 });
 
+/**
+ * Find the chat and lead for an inbound WhatsApp phone number
+ * @param {string} phoneNumber - Sender phone as received from Meta (digits only)
+ * @returns {Object} - { chat, lead } (either may be null)
+ */
+async function findChatAndLeadForPhone(phoneNumber) {
+  const waPhone = normalizePhoneNumber(phoneNumber);
+  const waPhoneWithoutPlus = waPhone.replace(/^\+/, '');
+
+  const { data: chat } = await supa
+    .from('whatsapp_chats')
+    .select('*')
+    .or(`wa_phone.eq.${waPhone},wa_phone.eq.${waPhoneWithoutPlus}`)
+    .order('updated_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (chat?.lead_id) {
+    const { data: lead } = await supa.from('leads').select('*').eq('id', chat.lead_id).single();
+    if (lead) return { chat, lead };
+  }
+
+  const normalizedPhone = phoneNumber.replace(/[\s\+]/g, '');
+  const { data: leads } = await supa
+    .from('leads')
+    .select('*')
+    .order('updated_at', { ascending: false })
+    .limit(50);
+
+  const lead = leads?.find(l => {
+    const leadPhone = l.phone?.replace(/[\s\+]/g, '') || '';
+    return leadPhone === normalizedPhone ||
+      leadPhone.endsWith(normalizedPhone.slice(-8)) ||
+      normalizedPhone.endsWith(leadPhone.slice(-8));
+  }) || null;
+
+  return { chat: chat || null, lead };
+}
+
+/**
+ * Describe an inbound WhatsApp message for storage and for the chat agent
+ * @param {Object} message - Message object from the webhook payload
+ * @returns {Object} - { body, messageType, payload, mediaId, forwardText }
+ */
+function describeInboundMessage(message) {
+  const type = message.type;
+
+  switch (type) {
+    case 'text':
+      return {
+        body: message.text?.body || '',
+        messageType: 'text',
+        payload: null,
+        mediaId: null,
+        forwardText: message.text?.body || ''
+      };
+
+    case 'image':
+    case 'video':
+    case 'document':
+    case 'sticker': {
+      const media = message[type] || {};
+      const labels = {
+        image: 'uma imagem',
+        video: 'um vídeo',
+        document: `um documento${media.filename ? ` (${media.filename})` : ''}`,
+        sticker: 'uma figurinha'
+      };
+      const placeholder = `[Paciente enviou ${labels[type]}]`;
+      return {
+        body: media.caption || placeholder,
+        messageType: 'media',
+        payload: {
+          media_type: type,
+          media_id: media.id,
+          mime_type: media.mime_type,
+          sha256: media.sha256,
+          filename: media.filename || null,
+          caption: media.caption || null
+        },
+        mediaId: media.id,
+        forwardText: media.caption ? `${placeholder} ${media.caption}` : placeholder
+      };
+    }
+
+    case 'audio': {
+      const audio = message.audio || {};
+      const placeholder = audio.voice ? '[Paciente enviou uma mensagem de voz]' : '[Paciente enviou um áudio]';
+      return {
+        body: placeholder,
+        messageType: 'audio',
+        payload: {
+          media_type: 'audio',
+          media_id: audio.id,
+          mime_type: audio.mime_type,
+          sha256: audio.sha256,
+          voice: !!audio.voice
+        },
+        mediaId: audio.id,
+        forwardText: placeholder
+      };
+    }
+
+    case 'location': {
+      const location = message.location || {};
+      const description = [location.name, location.address].filter(Boolean).join(', ');
+      const coordinates = `${location.latitude}, ${location.longitude}`;
+      const text = `[Paciente enviou uma localização: ${description ? `${description} ` : ''}(${coordinates})]`;
+      return {
+        body: text,
+        messageType: 'location',
+        payload: location,
+        mediaId: null,
+        forwardText: text
+      };
+    }
+
+    case 'interactive': {
+      const interactive = message.interactive || {};
+      const reply = interactive.button_reply || interactive.list_reply || interactive.nfm_reply || {};
+      const title = reply.title || reply.body || '';
+      return {
+        body: title || '[Resposta interativa]',
+        messageType: 'interactive',
+        payload: interactive,
+        mediaId: null,
+        forwardText: title || '[Paciente selecionou uma opção]'
+      };
+    }
+
+    case 'contacts': {
+      const contacts = message.contacts || [];
+      const summary = contacts.map(c => {
+        const name = c.name?.formatted_name || c.name?.first_name || 'Contato';
+        const phone = c.phones?.[0]?.phone || c.phones?.[0]?.wa_id || '';
+        return phone ? `${name} (${phone})` : name;
+      }).join('; ');
+      const text = `[Paciente compartilhou um contato: ${summary}]`;
+      return {
+        body: text,
+        messageType: 'contacts',
+        payload: { contacts },
+        mediaId: null,
+        forwardText: text
+      };
+    }
+
+    default:
+      return {
+        body: `[Mensagem não suportada: ${type}]`,
+        messageType: 'unsupported',
+        payload: { type, errors: message.errors || null },
+        mediaId: null,
+        forwardText: '[Paciente enviou uma mensagem em um formato não suportado]'
+      };
+  }
+}
+
+/**
+ * Store inbound media and transcribe voice notes
+ * @returns {Object} - { body, payload, forwardText } ready to persist and forward
+ */
+async function prepareInboundContent(ownerId, chatId, inbound) {
+  let payload = inbound.payload;
+  let body = inbound.body;
+  let forwardText = inbound.forwardText;
+  let mediaBuffer = null;
+
+  if (inbound.mediaId) {
+    try {
+      const stored = await whatsappBusinessService.storeInboundMedia(ownerId, inbound.mediaId, `${ownerId}/${chatId}`);
+      mediaBuffer = stored.buffer;
+      payload = {
+        ...payload,
+        storage_path: stored.storagePath,
+        mime_type: stored.mimeType,
+        file_size: stored.size
+      };
+    } catch (mediaError) {
+      log.warn('Failed to store inbound WhatsApp media:', mediaError.message);
+      payload = { ...payload, media_error: mediaError.message };
+    }
+  }
+
+  // Voice notes are transcribed and then handled exactly like a typed message
+  if (inbound.messageType === 'audio' && inbound.mediaId) {
+    try {
+      const audioBuffer = mediaBuffer || (await whatsappBusinessService.downloadMedia(ownerId, inbound.mediaId)).buffer;
+      const transcription = await transcriptionService.transcribe(audioBuffer, { mimeType: payload?.mime_type });
+
+      if (transcription.text) {
+        body = transcription.text;
+        forwardText = transcription.text;
+        payload = {
+          ...payload,
+          transcript: transcription.text,
+          transcription_provider: transcription.provider
+        };
+      }
+    } catch (transcriptionError) {
+      log.warn('Failed to transcribe WhatsApp audio:', transcriptionError.message);
+      payload = { ...payload, transcription_error: transcriptionError.message };
+    }
+  }
+
+  return { body, payload, forwardText };
+}
+
+/**
+ * Store an inbound message for a chat held by a human operator.
+ * Nothing is forwarded to Retell while the chat is in pending_handoff.
+ * @returns {boolean} - true when the sender has a handed-off chat
+ */
+async function handleHandoffInboundMessage(message, phoneNumber) {
+  const chat = await chatHandoffService.findHandoffChatByPhone(normalizePhoneNumber(phoneNumber));
+  if (!chat) return false;
+
+  const inbound = describeInboundMessage(message);
+  const prepared = await prepareInboundContent(chat.owner_id, chat.id, inbound);
+
+  await chatMessageService.addMessage(chat.owner_id, chat.id, {
+    direction: 'inbound',
+    sender: 'user',
+    wa_message_id: message.id,
+    body: prepared.body,
+    message_type: inbound.messageType,
+    payload: prepared.payload,
+    is_template: false
+  });
+
+  log.info('Inbound message stored for human handoff chat:', { chatId: chat.id, type: message.type });
+  return true;
+}
+
+/**
+ * Store a reaction (emoji on a previous message) in the sender's chat
+ */
+async function handleReactionMessage(message, phoneNumber) {
+  const { chat } = await findChatAndLeadForPhone(phoneNumber);
+  if (!chat) {
+    log.info('Reaction received without a chat, ignoring:', { phoneNumber });
+    return;
+  }
+
+  const reaction = message.reaction || {};
+
+  await chatMessageService.addMessage(chat.owner_id, chat.id, {
+    direction: 'inbound',
+    sender: 'user',
+    wa_message_id: message.id,
+    body: reaction.emoji || '[Reação removida]',
+    message_type: 'reaction',
+    payload: { reacted_message_id: reaction.message_id, emoji: reaction.emoji || null },
+    is_template: false
+  });
+}
+
+/**
+ * Find an owner's lead and chat for an inbound phone number (exact match)
+ * @param {string} ownerId - Owner whose WhatsApp number received the message
+ * @param {string} phoneNumber - Sender phone as received from Meta (digits only)
+ * @returns {Object} - { chat, lead } (either may be null)
+ */
+async function findOwnerChatAndLeadForPhone(ownerId, phoneNumber) {
+  const waPhone = normalizePhoneNumber(phoneNumber);
+  const waPhoneWithoutPlus = waPhone.replace(/^\+/, '');
+
+  const { data: lead } = await supa
+    .from('leads')
+    .select('*')
+    .eq('owner_id', ownerId)
+    .or(`phone.eq.${waPhone},phone.eq.${waPhoneWithoutPlus}`)
+    .order('updated_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (!lead) return { chat: null, lead: null };
+
+  const { data: chat } = await supa
+    .from('whatsapp_chats')
+    .select('*')
+    .eq('owner_id', ownerId)
+    .eq('lead_id', lead.id)
+    .order('updated_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  return { chat: chat || null, lead };
+}
+
+/**
+ * Handle an image/PDF sent by a lead with a pending Pix charge: store it,
+ * run OCR and match it against the expected amount. Media from anyone else
+ * is left to the regular chat flow.
+ * @param {string} phoneNumberId - Meta phone number id that received the message
+ * @returns {boolean} - true when the media was handled as a payment receipt
+ */
+async function handleReceiptMessage(message, phoneNumber, phoneNumberId) {
+  const media = message.image || message.document;
+  if (!media?.id || !phoneNumberId) return false;
+
+  // Only images and PDFs are accepted as receipts
+  const mimeType = media.mime_type || '';
+  if (message.type === 'document' && mimeType !== 'application/pdf') return false;
+
+  const { data: owner } = await supa
+    .from('users')
+    .select('id')
+    .eq('whatsapp_phone_id', phoneNumberId)
+    .maybeSingle();
+
+  if (!owner) {
+    log.info('Media received on an unknown WhatsApp number, skipping receipt processing:', { phoneNumberId });
+    return false;
+  }
+
+  const ownerId = owner.id;
+  const { chat, lead } = await findOwnerChatAndLeadForPhone(ownerId, phoneNumber);
+  if (!lead) {
+    log.info('Media received from unknown lead, skipping receipt processing:', { ownerId, phoneNumber });
+    return false;
+  }
+
+  const payment = await paymentsService.findPendingPixPayment(ownerId, lead.id);
+  if (!payment) return false;
+
+  const { buffer, mimeType: downloadedMimeType } = await whatsappBusinessService.downloadMedia(ownerId, media.id);
+
+  const result = await paymentsService.processReceipt({
+    ownerId,
+    leadId: lead.id,
+    buffer,
+    mimeType: downloadedMimeType || mimeType,
+    fileName: media.filename,
+    waMessageId: message.id
+  });
+
+  if (!result) return false;
+
+  if (chat) {
+    await chatMessageService.addMessage(ownerId, chat.id, {
+      direction: 'inbound',
+      sender: 'user',
+      wa_message_id: message.id,
+      body: media.caption || '[Comprovante de pagamento]',
+      message_type: 'media',
+      payload: {
+        media_id: media.id,
+        mime_type: downloadedMimeType || mimeType,
+        filename: media.filename || null,
+        payment_id: result.payment.id
+      },
+      is_template: false
+    });
+  }
+
+  const reply = result.matched
+    ? 'Recebemos seu comprovante e o pagamento foi confirmado. Obrigado! ✅'
+    : 'Recebemos seu comprovante! Nossa equipe vai conferir o pagamento e retornamos em breve. 🙏';
+
+  try {
+    await whatsappBusinessService.sendTextMessage(ownerId, phoneNumber, reply);
+  } catch (replyError) {
+    log.warn('Failed to send receipt acknowledgement:', replyError.message);
+  }
+
+  return true;
+}
+
 /**
  * WhatsApp webhook handler (incoming messages)
  * POST /api/whatsapp/webhook
@@ -1075,6 +1567,17 @@ router.post('/webhook', async (req, res) => {
                         originalMessageId: originalMessageId
                       });
 
+                      // REMARCAR on a no-show re-engagement template
+                      if (originalMessageId) {
+                        try {
+                          if (await noShowService.handleReengagementButton(originalMessageId, phoneNumber)) {
+                            continue;
+                          }
+                        } catch (error) {
+                          log.error('Error handling no-show re-engagement button:', error);
+                        }
+                      }
+
                       // Find appointment by phone number and optionally by message ID
                       // First, try to find by message ID (most accurate)
                       let appointment = null;
@@ -1100,7 +1603,31 @@ router.post('/webhook', async (req, res) => {
                           appointment = appointmentByMessage;
                         }
                       }
-                      
+
+                      // Buttons clicked on a reminder template
+                      if (!appointment && originalMessageId) {
+                        const { data: reminder } = await supa
+                          .from('appointment_reminders')
+                          .select(`
+                            appointment_id,
+                            appointments(
+                              id,
+                              status,
+                              owner_id,
+                              lead_id,
+                              start_at,
+                              leads(phone)
+                            )
+                          `)
+                          .eq('wa_message_id', originalMessageId)
+                          .limit(1)
+                          .maybeSingle();
+
+                        if (reminder?.appointments?.status === 'scheduled') {
+                          appointment = reminder.appointments;
+                        }
+                      }
+
                       // If not found by message ID, find by phone number (most recent scheduled appointment)
                       if (!appointment) {
                         // Normalize phone number (remove + and spaces for comparison)
@@ -1164,6 +1691,13 @@ router.post('/webhook', async (req, res) => {
                             phoneNumber
                           });
 
+                          eventBus.publish(ownerId, 'appointment.confirmed', {
+                            appointment_id: appointmentId,
+                            lead_id: appointment.lead_id,
+                            start_at: appointment.start_at,
+                            source: 'whatsapp_button'
+                          });
+
                           // Update agent_variables in active whatsapp_chats and Retell chats
                           if (appointment.lead_id) {
                             updateAgentVariablesForLead(appointment.lead_id, 'whatsapp-button-confirm')
@@ -1199,6 +1733,13 @@ router.post('/webhook', async (req, res) => {
                             appointmentId,
                             phoneNumber
                           });
+
+                          eventBus.publish(ownerId, 'appointment.cancelled', {
+                            appointment_id: appointmentId,
+                            lead_id: appointment.lead_id,
+                            start_at: appointment.start_at,
+                            source: 'whatsapp_button'
+                          });
                           
                           // Send acknowledgment message
                           try {
@@ -1231,11 +1772,42 @@ router.post('/webhook', async (req, res) => {
                         }
                       }
                     }
-                    else if (message.type === 'text') {
-                      const messageText = message.text?.body;
+                    // Reactions are stored on the chat but never forwarded to the agent
+                    else if (message.type === 'reaction') {
+                      try {
+                        await handleReactionMessage(message, phoneNumber);
+                      } catch (error) {
+                        log.error('Error processing WhatsApp reaction:', error);
+                      }
+                    }
+                    else {
+                      // Handle payment receipts (image or PDF) before treating media as chat input
+                      if (message.type === 'image' || message.type === 'document') {
+                        try {
+                          if (await handleReceiptMessage(message, phoneNumber, value.metadata?.phone_number_id)) {
+                            continue;
+                          }
+                        } catch (error) {
+                          log.error('Error processing WhatsApp receipt:', error);
+                        }
+                      }
+
+                      // Chats taken over by a human are not forwarded to the agent
+                      try {
+                        if (await handleHandoffInboundMessage(message, phoneNumber)) {
+                          continue;
+                        }
+                      } catch (error) {
+                        log.error('Error storing message for handoff chat:', error);
+                      }
+
+                      // Text, media, audio, location, interactive replies, contacts...
+                      const inbound = describeInboundMessage(message);
+                      let messageText = inbound.forwardText;
                       
-                      log.info('Received text message:', {
+                      log.info('Received inbound message:', {
                         from: phoneNumber,
+                        type: message.type,
                         text: messageText,
                         messageId: messageId
                       });
@@ -1382,6 +1954,8 @@ router.post('/webhook', async (req, res) => {
                                   location: ownerData?.location || '',
                                   all_appointments: appointmentsData.all_appointments,
                                   appointments_count: appointmentsData.appointments_count || 0,
+                                  ...(await treatmentPackageService.getAgentVariables(lead?.id)),
+                                  ...(await returnConsultationService.getAgentVariables(lead)),
                                   ...(previousChatHistory ? { previous_chat_history: previousChatHistory } : {})
                                 };
 
@@ -1522,6 +2096,8 @@ router.post('/webhook', async (req, res) => {
                                     ...(lead?.agent_variables || {}),
                                     ...slotVariables,
                                     ...updatedAgentVariables,
+                                    ...(await treatmentPackageService.getAgentVariables(lead?.id)),
+                                    ...(await returnConsultationService.getAgentVariables(lead)),
                                     chat_type: chatType,
                                     name: String(lead?.name || 'Cliente'),
                                     lead_id: String(lead?.id || ''),
@@ -1799,6 +2375,8 @@ router.post('/webhook', async (req, res) => {
                               location: ownerData?.location || '',
                               all_appointments: appointmentsDataForRetell.all_appointments,
                               appointments_count: appointmentsDataForRetell.appointments_count || 0,
+                              ...(await treatmentPackageService.getAgentVariables(lead?.id)),
+                              ...(await returnConsultationService.getAgentVariables(lead)),
                               ...(previousChatHistory ? { previous_chat_history: previousChatHistory } : {})
                             };
 
@@ -1965,20 +2543,40 @@ router.post('/webhook', async (req, res) => {
                               updated_at: new Date().toISOString()
                             })
                             .eq('id', lead.id);
+
+                          eventBus.publishLeadStatus(ownerId, lead.id, 'whatsapp_conversation', lead.status);
                           }
                         }
 
+                        const prepared = await prepareInboundContent(ownerId, chat.id, inbound);
+                        messageText = prepared.forwardText;
+
+                        const inboundMessage = {
+                          chat_id: chat.id,
+                          direction: 'inbound',
+                          sender: 'user',
+                          wa_message_id: messageId,
+                          body: prepared.body,
+                          message_type: inbound.messageType,
+                          payload: prepared.payload,
+                          is_template: false
+                        };
+
                         await supa
                           .from('whatsapp_messages')
-                          .insert({
-                            chat_id: chat.id,
-                            direction: 'inbound',
-                            sender: 'user',
-                            wa_message_id: messageId,
-                            body: messageText,
-                            message_type: 'text',
-                            is_template: false
-                          });
+                          .insert(inboundMessage);
+
+                        eventBus.publishMessage(ownerId, chat.id, inboundMessage);
+
+                        // Patient asked for a person: hand the chat to the team instead of the agent
+                        if (chat.retell_chat_id && chatHandoffService.isHumanRequest(messageText)) {
+                          try {
+                            await chatHandoffService.escalate(chat, 'patient_requested');
+                            continue;
+                          } catch (handoffError) {
+                            log.error('Failed to escalate chat to human:', handoffError.message);
+                          }
+                        }
 
                         if (chat.retell_chat_id) {
                           try {
@@ -2010,6 +2608,13 @@ router.post('/webhook', async (req, res) => {
                                   is_template: false
                                 });
 
+                              eventBus.publishMessage(ownerId, chat.id, {
+                                direction: 'outbound',
+                                sender: 'agent',
+                                wa_message_id: sendResult?.messageId || null,
+                                body: agentReply
+                              });
+
                               await supa
                                 .from('whatsapp_chats')
                           .update({
@@ -2150,6 +2755,8 @@ router.post('/webhook', async (req, res) => {
                                 location: ownerData?.location || '',
                                 all_appointments: appointmentsDataForErrorRecovery.all_appointments,
                                 appointments_count: appointmentsDataForErrorRecovery.appointments_count || 0,
+                                ...(await treatmentPackageService.getAgentVariables(lead?.id)),
+                                ...(await returnConsultationService.getAgentVariables(lead)),
                                 ...(previousChatHistory ? { previous_chat_history: previousChatHistory } : {})
                               };
 
@@ -2246,6 +2853,13 @@ router.post('/webhook', async (req, res) => {
                                     is_template: false
                                   });
 
+                                eventBus.publishMessage(ownerId, chat.id, {
+                                  direction: 'outbound',
+                                  sender: 'agent',
+                                  wa_message_id: retrySendResult?.messageId || null,
+                                  body: retryAgentReply
+                                });
+
                                 await supa
                                   .from('whatsapp_chats')
                                   .update({
@@ -2290,7 +2904,7 @@ router.post('/webhook', async (req, res) => {
                         });
 
                       } catch (error) {
-                        log.error('Error processing WhatsApp text message:', error);
+                        log.error('Error processing WhatsApp inbound message:', error);
                       }
                     }
                   }
@@ -2305,7 +2919,11 @@ router.post('/webhook', async (req, res) => {
                       timestamp: status.timestamp
                     });
 
-                    // TODO: Update message delivery status in database
+                    try {
+                      await whatsappDeliveryService.handleStatus(status);
+                    } catch (error) {
+                      log.error('Error updating WhatsApp message status:', { messageId: status.id, error: error.message });
+                    }
                   }
                 }
               }
@@ -3,12 +3,21 @@ import { supa } from './lib/supabase.js';
 import { agentManager } from './services/agentManager.js';
 import { log } from './config/logger.js';
 import { twilio } from './lib/twilio.js';
-import { getNowInSaoPaulo, isWithinBusinessHours, getIsoStringNow, getDateStringInTimezone, getDayOfWeekInTimezone, normalizeDateString, toIsoStringSaoPaulo } from './utils/timezone.js';
+import { isWithinBusinessHours, getIsoStringNow, toIsoStringSaoPaulo, zonedTimeToUtc } from './utils/timezone.js';
 import { whatsappBusinessService } from './services/whatsappBusiness.js';
+import { eventBus } from './services/events.js';
+import { webhooksService } from './services/webhooks.js';
+import { appointmentRemindersService } from './services/reminders.js';
+import { noShowService } from './services/noShow.js';
+import { callPolicyService } from './services/callPolicy.js';
+import { availabilityService } from './services/availability.js';
+import { getAllAppointmentsForPhone } from './services/appointments.js';
+import { slotHoldService, HOLD_MINUTES } from './services/slotHolds.js';
+import { waitlistService } from './services/waitlist.js';
 import { normalizePhoneNumber, retellUpdateChat, retellGetChat } from './lib/retell.js';
 
 
-async function canRetryNow(leadId, minGapHours = 2) {
+async function canRetryNow(leadId, minGapMinutes = 120) {
   const { data: lastAttempt } = await supa
     .from('call_attempts')
     .select('started_at')
@@ -21,10 +30,9 @@ async function canRetryNow(leadId, minGapHours = 2) {
   }
   
   const lastAttemptTime = new Date(lastAttempt[0].started_at);
-  const now = getNowInSaoPaulo();
-  const hoursSinceLastAttempt = (now - lastAttemptTime) / (1000 * 60 * 60);
+  const minutesSinceLastAttempt = (Date.now() - lastAttemptTime.getTime()) / (1000 * 60);
   
-  return hoursSinceLastAttempt >= minGapHours;
+  return minutesSinceLastAttempt >= minGapMinutes;
 }
 
 async function isLeadAlreadyBeingProcessed(leadId) {
@@ -39,362 +47,26 @@ async function isLeadAlreadyBeingProcessed(leadId) {
   return existingCall && existingCall.length > 0;
 }
 
-/**
- * Get all appointments for a phone number (aggregates across all leads with that phone)
- * @param {string} phoneNumber - The phone number (can be with or without +)
- * @returns {Object} - Formatted appointments data for agent_variables
- */
-async function getAllAppointmentsForPhone(phoneNumber) {
-  try {
-    if (!phoneNumber) {
-      return { all_appointments: '', appointments_list: [], appointments_count: 0 };
-    }
-
-    // Normalize phone number (remove + and non-digits for comparison)
-    const normalizedPhone = phoneNumber.replace(/[^\d]/g, '');
-    
-    // Find all leads with this phone number
-    // Try multiple patterns to catch different phone formats
-    const phonePatterns = [
-      normalizedPhone,
-      `+${normalizedPhone}`,
-      `55${normalizedPhone}`,
-      `+55${normalizedPhone}`
-    ];
-    
-    // Build query to find leads matching any of these patterns
-    let leadsQuery = supa
-      .from('leads')
-      .select('id');
-    
-    // Use ilike for pattern matching (case-insensitive)
-    const conditions = phonePatterns.map(pattern => `phone.ilike.%${pattern}%`).join(',');
-    leadsQuery = leadsQuery.or(conditions);
-    
-    const { data: leads, error: leadsError } = await leadsQuery;
-
-    if (leadsError || !leads || leads.length === 0) {
-      log.debug('No leads found for phone number:', { phoneNumber, normalizedPhone });
-      return { all_appointments: '', appointments_list: [], appointments_count: 0 };
-    }
-
-    const leadIds = leads.map(lead => lead.id);
-
-    // Fetch all appointments for these leads
-    const { data: appointments, error } = await supa
-      .from('appointments')
-      .select(`
-        id,
-        start_at,
-        end_at,
-        resource_type,
-        resource_id,
-        status
-      `)
-      .in('lead_id', leadIds)
-      .eq('status', 'scheduled')
-      .order('start_at', { ascending: true });
-
-    if (error) {
-      log.error('Error querying appointments by phone:', { error, phoneNumber, errorMessage: error.message });
-      return { all_appointments: '', appointments_list: [], appointments_count: 0 };
-    }
-
-    if (!appointments || appointments.length === 0) {
-      log.debug('No appointments found for phone number:', { phoneNumber, leadIds });
-      return { all_appointments: '', appointments_list: [], appointments_count: 0 };
-    }
-
-    // Collect resource IDs by type
-    const resourceIds = {
-      doctor: new Set(),
-      treatment: new Set()
-    };
-
-    appointments.forEach(apt => {
-      if (apt.resource_type === 'doctor' && apt.resource_id) {
-        resourceIds.doctor.add(apt.resource_id);
-      } else if (apt.resource_type === 'treatment' && apt.resource_id) {
-        resourceIds.treatment.add(apt.resource_id);
-      }
-    });
-
-    // Fetch all doctors
-    const doctorsMap = new Map();
-    if (resourceIds.doctor.size > 0) {
-      const { data: doctors } = await supa
-        .from('doctors')
-        .select('id, name')
-        .in('id', Array.from(resourceIds.doctor));
-
-      doctors?.forEach(doctor => {
-        doctorsMap.set(doctor.id, doctor);
-      });
-    }
-
-    // Fetch all treatments
-    const treatmentsMap = new Map();
-    if (resourceIds.treatment.size > 0) {
-      const { data: treatments } = await supa
-        .from('treatments')
-        .select('id, treatment_name')
-        .in('id', Array.from(resourceIds.treatment));
-
-      treatments?.forEach(treatment => {
-        treatmentsMap.set(treatment.id, treatment);
-      });
-    }
-
-    // Format appointments for display
-    const formattedAppointments = appointments.map((apt, index) => {
-      const startDate = new Date(apt.start_at);
-      
-      // Format date in Brazilian format
-      const day = String(startDate.getDate()).padStart(2, '0');
-      const month = String(startDate.getMonth() + 1).padStart(2, '0');
-      const year = startDate.getFullYear();
-      const dateStr = `${day}/${month}/${year}`;
-      
-      // Format time
-      const hours = String(startDate.getHours()).padStart(2, '0');
-      const minutes = String(startDate.getMinutes()).padStart(2, '0');
-      const timeStr = `${hours}:${minutes}`;
-      
-      // Get resource name from maps
-      let resourceName = 'Consulta';
-      if (apt.resource_type === 'doctor' && apt.resource_id) {
-        const doctor = doctorsMap.get(apt.resource_id);
-        resourceName = doctor?.name || 'Médico';
-      } else if (apt.resource_type === 'treatment' && apt.resource_id) {
-        const treatment = treatmentsMap.get(apt.resource_id);
-        resourceName = treatment?.treatment_name || 'Tratamento';
-      }
-
-      return {
-        id: apt.id,
-        date: dateStr,
-        time: timeStr,
-        date_iso: `${year}-${month}-${day}`,
-        time_24h: timeStr,
-        resource_name: resourceName,
-        resource_type: apt.resource_type,
-        formatted: `${dateStr} às ${timeStr} com ${resourceName}`
-      };
-    });
-
-    // Create a readable text list for the agent (include appointment ID for reference)
-    const appointmentsText = formattedAppointments
-      .map((apt, index) => `${index + 1}. [ID: ${apt.id}] ${apt.formatted}`)
-      .join('\n');
-
-    return {
-      all_appointments: appointmentsText,
-      appointments_list: formattedAppointments,
-      appointments_count: formattedAppointments.length
-    };
-  } catch (error) {
-    log.error('Error fetching appointments for phone:', error);
-    return { all_appointments: '', appointments_list: [], appointments_count: 0 };
-  }
-}
-
 /**
  * Find available slots before a given date for a resource (doctor or treatment)
  * Returns up to maxSlots slots formatted for WhatsApp template
  */
-async function findEarlierAvailableSlots(resourceId, resourceType, ownerId, beforeDate, maxSlots = 2) {
-  const dayNames = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-  const timezoneOffsetMap = {
-    'America/Sao_Paulo': '-03:00',
-    'America/Rio_Branco': '-05:00',
-    'America/Manaus': '-04:00',
-    'America/Fortaleza': '-03:00',
-    'America/Recife': '-03:00',
-    'America/Bahia': '-03:00'
-  };
-  
-  let workingHours = {};
-  let dateSpecificAvailability = [];
-  let timezone = 'America/Sao_Paulo';
-  let consultationDuration = 90;
-  
-  // Get resource configuration
-  if (resourceType === 'doctor') {
-    const { data: doctor } = await supa
-      .from('doctors')
-      .select('working_hours, date_specific_availability, consultation_duration, timezone')
-      .eq('id', resourceId)
-      .single();
-    
-    if (doctor) {
-      workingHours = doctor.working_hours || {};
-      dateSpecificAvailability = doctor.date_specific_availability || [];
-      timezone = doctor.timezone || 'America/Sao_Paulo';
-      consultationDuration = doctor.consultation_duration || 90;
-    }
-  } else if (resourceType === 'treatment') {
-    // Get treatment duration
-    const { data: treatment } = await supa
-      .from('treatments')
-      .select('session_duration')
-      .eq('id', resourceId)
-      .single();
-    
-    // Get owner's working hours
-    const { data: owner } = await supa
-      .from('users')
-      .select('working_hours, date_specific_availability, timezone')
-      .eq('id', ownerId)
-      .single();
-    
-    if (owner) {
-      workingHours = owner.working_hours || {};
-      dateSpecificAvailability = owner.date_specific_availability || [];
-      timezone = owner.timezone || 'America/Sao_Paulo';
-    }
-    if (treatment) {
-      consultationDuration = treatment.session_duration || 60;
-    }
-  }
-  
-  const offset = timezoneOffsetMap[timezone] || '-03:00';
-  const availableSlots = [];
-  
-  // Parse beforeDate - the date the user mentioned they want earlier than
-  let targetDate;
-  if (beforeDate && /^\d{4}-\d{2}-\d{2}$/.test(beforeDate)) {
-    targetDate = new Date(beforeDate + `T12:00:00${offset}`);
-  } else {
-    // If no valid date, use 7 days from now as the "before" date
-    targetDate = new Date();
-    targetDate.setDate(targetDate.getDate() + 7);
-  }
-  
-  // Start from tomorrow
-  const today = new Date(new Date().toLocaleString('en-US', { timeZone: timezone }));
-  const startDate = new Date(today);
-  startDate.setDate(startDate.getDate() + 1);
-  
-  // Search up to 14 days before the target date
-  let currentDate = new Date(startDate);
-  const maxDaysToSearch = 14;
-  let daysSearched = 0;
-  
-  while (availableSlots.length < maxSlots && daysSearched < maxDaysToSearch && currentDate < targetDate) {
-    const dateString = getDateStringInTimezone(currentDate, timezone);
-    const dayName = dayNames[getDayOfWeekInTimezone(currentDate, timezone)];
-    const daySchedule = workingHours[dayName];
-    
-    // Check for override availability
-    const overrideAvailability = dateSpecificAvailability.find(item => {
-      if (item.type !== 'available' || !item.date) return false;
-      const normalizedStoredDate = normalizeDateString(item.date);
-      return normalizedStoredDate === dateString;
-    });
-    
-    // Check if date is unavailable
-    const isUnavailable = dateSpecificAvailability.some(item => {
-      if (item.type !== 'unavailable' || !item.date) return false;
-      const normalizedStoredDate = normalizeDateString(item.date);
-      return normalizedStoredDate === dateString;
-    });
-    
-    const effectiveSchedule = overrideAvailability?.timeSlots?.length
-      ? { enabled: true, timeSlots: overrideAvailability.timeSlots }
-      : daySchedule;
-    
-    const canUseSchedule = !isUnavailable && effectiveSchedule && effectiveSchedule.enabled && effectiveSchedule.timeSlots;
-    
-    if (canUseSchedule) {
-      // Get existing appointments for this date
-      const startOfDay = new Date(dateString + `T00:00:00${offset}`);
-      const endOfDay = new Date(dateString + `T23:59:59${offset}`);
-      
-      let appointments = [];
-      
-      if (resourceType === 'doctor') {
-        // Query for appointments with resource_type/resource_id
-        const { data: appointmentsData } = await supa
-          .from('appointments')
-          .select('start_at, end_at')
-          .eq('resource_type', 'doctor')
-          .eq('resource_id', resourceId)
-          .gte('start_at', startOfDay.toISOString())
-          .lte('start_at', endOfDay.toISOString())
-          .eq('status', 'scheduled');
-        
-        appointments = appointmentsData || [];
-      } else if (resourceType === 'treatment') {
-        const { data: treatmentAppointments } = await supa
-          .from('appointments')
-          .select('start_at, end_at')
-          .eq('resource_type', 'treatment')
-          .eq('resource_id', resourceId)
-          .gte('start_at', startOfDay.toISOString())
-          .lte('start_at', endOfDay.toISOString())
-          .eq('status', 'scheduled');
-        
-        appointments = treatmentAppointments || [];
-      }
-      
-      const busySlots = appointments || [];
-      
-      if (busySlots.length > 0) {
-        log.debug(`Found ${busySlots.length} existing appointments on ${dateString} for ${resourceType} ${resourceId}:`, 
-          busySlots.map(a => ({ start: a.start_at, end: a.end_at }))
-        );
-      }
-      
-      // Find available slots on this day
-      for (const slot of effectiveSchedule.timeSlots) {
-        if (availableSlots.length >= maxSlots) break;
-        
-        const [hours, minutes] = (slot.start || '09:00').split(':');
-        const slotStartTime = new Date(dateString + `T${hours.padStart(2, '0')}:${minutes.padStart(2, '0')}:00${offset}`);
-        const slotEndTime = new Date(slotStartTime);
-        slotEndTime.setMinutes(slotEndTime.getMinutes() + consultationDuration);
-        
-        // Skip if slot is in the past
-        if (slotStartTime <= today) continue;
-        
-        // Check for conflicts with existing appointments
-        const hasConflict = busySlots.some(appointment => {
-          const appointmentStart = new Date(appointment.start_at);
-          const appointmentEnd = new Date(appointment.end_at);
-          // Check if slot overlaps with appointment (either slot starts during appointment or appointment overlaps slot)
-          const conflicts = (slotStartTime < appointmentEnd && slotEndTime > appointmentStart);
-          
-          if (conflicts) {
-            log.debug(`Slot ${slotStartTime.toISOString()} conflicts with appointment ${appointmentStart.toISOString()} - ${appointmentEnd.toISOString()}`);
-          }
-          
-          return conflicts;
-        });
-        
-        if (!hasConflict) {
-          // Format: "13/11/2025 às 10:00"
-          const day = String(currentDate.getDate()).padStart(2, '0');
-          const month = String(currentDate.getMonth() + 1).padStart(2, '0');
-          const year = currentDate.getFullYear();
-          const formattedSlot = `${day}/${month}/${year} às ${hours.padStart(2, '0')}:${minutes.padStart(2, '0')}`;
-          
-          availableSlots.push({
-            date: dateString,
-            time: `${hours.padStart(2, '0')}:${minutes.padStart(2, '0')}`,
-            formatted: formattedSlot
-          });
-          
-          log.debug(`Added available slot: ${formattedSlot} (${slotStartTime.toISOString()})`);
-        } else {
-          log.debug(`Skipped slot ${slotStartTime.toISOString()} on ${dateString} due to conflict`);
-        }
-      }
-    }
-    
-    // Move to next day
-    currentDate.setDate(currentDate.getDate() + 1);
-    daysSearched++;
+async function findEarlierAvailableSlots(resourceId, resourceType, beforeDate, maxSlots = 2, leadId = null) {
+  const resource = await availabilityService.getResource(resourceType, resourceId);
+  if (!resource) {
+    log.warn(`findEarlierAvailableSlots: ${resourceType} ${resourceId} not found`);
+    return [];
   }
+
+  // The date the user mentioned they want earlier than; without one, the next 7 days
+  const before = beforeDate && /^\d{4}-\d{2}-\d{2}$/.test(beforeDate)
+    ? zonedTimeToUtc(beforeDate, '00:00', resource.timezone)
+    : new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+
+  const slots = await availabilityService.findSlots(resource, { maxSlots, days: 14, before, leadId });
+
+  // Format: "13/11/2025 às 10:00"
+  const availableSlots = slots.map(slot => waitlistService.formatSlot(slot));
   
   log.info(`findEarlierAvailableSlots: Found ${availableSlots.length} available slots for ${resourceType} ${resourceId} before ${beforeDate}`, {
     slots: availableSlots.map(s => s.formatted),
@@ -406,19 +78,23 @@ async function findEarlierAvailableSlots(resourceId, resourceType, ownerId, befo
   return availableSlots;
 }
 
-cron.schedule('*/10 * * * *', async () => {
+// Runs every minute so requested callbacks are dialed on time; other retries
+// follow the owner's call policy (calling windows, attempt cap, spacing)
+let retrySchedulerRunning = false;
+
+cron.schedule('* * * * *', async () => {
+  if (retrySchedulerRunning) {
+    return;
+  }
+  retrySchedulerRunning = true;
+
   try {
-    const nowIso = getIsoStringNow();
-    
-    if (!isWithinBusinessHours()) {
-      return;
-    }
-    
+    // next_retry_at holds exact instants; calling windows are checked per lead below, in the lead's local time
     const { data: leads, error } = await supa
       .from('leads')
       .select('*')
-      .lte('next_retry_at', nowIso)
-      .in('status', ['no_answer', 'reschedule', 'call_failed'])
+      .lte('next_retry_at', new Date().toISOString())
+      .in('status', ['no_answer', 'reschedule', 'call_failed', 'other', 'callback_scheduled'])
       .not('assigned_agent_id', 'is', null);
     
     if (error) {
@@ -430,9 +106,17 @@ cron.schedule('*/10 * * * *', async () => {
       return;
     }
     
-    
+    let retriedCalls = 0;
+
     for (const lead of leads) {
+      const isCallback = lead.status === 'callback_scheduled';
+
       try {
+        const policy = await callPolicyService.getPolicy(lead.owner_id);
+        if (!callPolicyService.isWithinCallingWindow(policy, new Date(), callPolicyService.getCallingTimezone(policy, lead))) {
+          continue;
+        }
+
         // Check if lead is already being processed
         if (await isLeadAlreadyBeingProcessed(lead.id)) {
           log.info(`Lead ${lead.id} already has an active call attempt, skipping`);
@@ -450,9 +134,19 @@ cron.schedule('*/10 * * * *', async () => {
         const lastAttemptNo = attempts?.[0]?.attempt_no || 0;
         const nextAttemptNo = lastAttemptNo + 1;
         
-        // Check max attempts
-        if (nextAttemptNo > (lead.max_attempts || 3)) {
-          log.info(`Lead ${lead.id} has reached max attempts (${lead.max_attempts || 3}), switching to WhatsApp`);
+        // Check max attempts (a callback the lead asked for is always made)
+        const maxAttempts = callPolicyService.getMaxAttempts(policy, lead);
+        if (!isCallback && nextAttemptNo > maxAttempts) {
+          if (policy.after_max_attempts === 'stop') {
+            log.info(`Lead ${lead.id} has reached max attempts (${maxAttempts}), stopping`);
+            await supa
+              .from('leads')
+              .update({ status: 'max_attempts_reached', next_retry_at: null })
+              .eq('id', lead.id);
+            continue;
+          }
+
+          log.info(`Lead ${lead.id} has reached max attempts (${maxAttempts}), switching to WhatsApp`);
           await supa
             .from('leads')
             .update({ 
@@ -465,7 +159,7 @@ cron.schedule('*/10 * * * *', async () => {
         }
         
         // Check if enough time has passed since last attempt
-        if (!(await canRetryNow(lead.id, 2))) {
+        if (!isCallback && !(await canRetryNow(lead.id, callPolicyService.getMinimumGap(policy, nextAttemptNo)))) {
           log.info(`Lead ${lead.id} - not enough time passed since last attempt, skipping`);
           continue;
         }
@@ -506,7 +200,14 @@ cron.schedule('*/10 * * * *', async () => {
           scheduled_at: now,
           started_at: now,
           retell_call_id: callResponse.call_id,
-          outcome: 'initiated'
+          outcome: 'initiated',
+          ...(isCallback && {
+            meta: {
+              reason: 'scheduled_callback',
+              callback_reason: lead.agent_variables?.callback_reason || null,
+              callback_at: lead.next_retry_at
+            }
+          })
         });
         
         // Update lead status
@@ -516,14 +217,17 @@ cron.schedule('*/10 * * * *', async () => {
             next_retry_at: null 
           })
           .eq('id', lead.id);
+
+        eventBus.publishLeadStatus(lead.owner_id, lead.id, 'calling', lead.status);
         
         log.info(`Retry call initiated for lead ${lead.id}: ${callResponse.call_id}`);
+        retriedCalls++;
         
       } catch (leadError) {
         log.error(`Error processing retry for lead ${lead.id}:`, leadError.message);
         
         // Update lead status to indicate retry failure
-        const retryTime = new Date(getNowInSaoPaulo().getTime() + 30 * 60 * 1000);
+        const retryTime = new Date(Date.now() + 30 * 60 * 1000);
         await supa
           .from('leads')
           .update({ 
@@ -534,10 +238,15 @@ cron.schedule('*/10 * * * *', async () => {
       }
     }
     
-    log.info('Retry scheduler check completed');
+    // Runs every minute, so only report runs that placed calls
+    if (retriedCalls > 0) {
+      log.info('Retry scheduler check completed:', { retriedCalls });
+    }
     
   } catch (error) {
     log.error('Retry scheduler error:', error.message);
+  } finally {
+    retrySchedulerRunning = false;
   }
 });
 
@@ -808,7 +517,6 @@ cron.schedule('5 * * * *', async () => {
           continue;
         }
         
-        const normalizedPhone = normalizePhoneNumber(toPhone);
         const firstName = String(lead.name || '').split(' ')[0] || 'Cliente';
         
         // Get resource info (doctor or treatment)
@@ -878,9 +586,9 @@ cron.schedule('5 * * * *', async () => {
         const earlierSlots = await findEarlierAvailableSlots(
           resourceId,
           resourceType,
-          ownerId,
           suggestedDate,
-          2 // We need 2 slots for the template
+          2, // We need 2 slots for the template
+          lead.id
         );
         
         if (earlierSlots.length < 2) {
@@ -900,182 +608,22 @@ cron.schedule('5 * * * *', async () => {
           continue;
         }
         
-        // Format suggested date for display (DD/MM/YYYY)
-        let formattedSuggestedDate = 'a data mencionada';
-        if (suggestedDate && /^\d{4}-\d{2}-\d{2}$/.test(suggestedDate)) {
-          const [year, month, day] = suggestedDate.split('-');
-          formattedSuggestedDate = `${day}/${month}/${year}`;
-        }
-        
-        // Send WhatsApp template: earlier_appointment_offer
-        // Template: "Olá {{1}}! 😊\nAqui é a {{2}} da clínica {{3}}.\nConseguimos horários antes do dia {{4}}:\n\n👉 {{5}}\n👉 {{6}}\n\nAlgum desses funciona para você?"
-        const templateResult = await whatsappBusinessService.sendTemplateMessage(
-          ownerId,
-          normalizedPhone,
-          'earlier_appointment_offer', // Template name
-          'pt_BR',
-          [
-            {
-              type: 'body',
-              parameters: [
-                { type: 'text', text: firstName },                           // {{1}} - Client name
-                { type: 'text', text: chatAgent.agent_name || 'Assistente' }, // {{2}} - Agent name
-                { type: 'text', text: ownerData?.name || 'Clínica' }, // {{3}} - Clinic name
-                { type: 'text', text: formattedSuggestedDate },               // {{4}} - Date user mentioned
-                { type: 'text', text: earlierSlots[0].formatted },            // {{5}} - First available slot
-                { type: 'text', text: earlierSlots[1].formatted }             // {{6}} - Second available slot
-              ]
-            }
-          ]
+        // Hold both offered slots so other conversations don't take them before the lead replies
+        await slotHoldService.holdSlots(
+          { resourceType, resourceId, ownerId },
+          earlierSlots,
+          { leadId: lead.id, source: 'earlier_appointment_offer', minutes: HOLD_MINUTES.template }
         );
         
-        // Create whatsapp_chats record with real available slots
-        const chatMetadata = {
-          chat_type: 'real_available_time',
-          suggested_date: suggestedDate,
-          offered_slots: earlierSlots, // Store the actual slots offered
-          resource_type: resourceType,
-          resource_id: resourceId,
-          resource_name: resourceName,
-          initiated_by: 'scheduler_scarity'
-        };
-        
-        // Format available slots for agent context
-        const availableSlotsText = earlierSlots.map(s => s.formatted).join('\n');
-        
-        // Get all appointments for this phone number (aggregates across all leads with same phone)
-        const appointmentsData = await getAllAppointmentsForPhone(toPhone);
-        
-        // Check for existing active chat for this phone number
-        const { data: existingChat } = await supa
-          .from('whatsapp_chats')
-          .select('id, retell_chat_id')
-          .eq('wa_phone', normalizedPhone)
-          .in('status', ['open', 'pending_response'])
-          .maybeSingle();
-
-        const agentVariablesForAvailableTime = {
-                ...agentVariables,
-                name: firstName,
-                client_name: lead.name,
-                resource_name: resourceName,
-                resource_type: resourceType,
-                business_name: ownerData?.name || 'Clínica',
-                agent_name: chatAgent.agent_name || 'Assistente',
-                suggested_date: formattedSuggestedDate,
-                available_slots: availableSlotsText,
-                slot_1: earlierSlots[0]?.formatted || '',
-                slot_1_date: earlierSlots[0]?.date || '',
-                slot_1_time: earlierSlots[0]?.time || '',
-                slot_2: earlierSlots[1]?.formatted || '',
-                slot_2_date: earlierSlots[1]?.date || '',
-          slot_2_time: earlierSlots[1]?.time || '',
-          // Include all appointments for rescheduling context
-          all_appointments: appointmentsData.all_appointments,
-          appointments_count: appointmentsData.appointments_count || 0
-        };
-
-        let newChat;
-        if (existingChat) {
-          // Update existing active chat
-          const { data: updatedChat, error: updateError } = await supa
-            .from('whatsapp_chats')
-            .update({
-              lead_id: lead.id,
-              agent_id: chatAgent.id,
-              status: 'pending_response',
-              metadata: chatMetadata,
-              agent_variables: agentVariablesForAvailableTime,
-              last_message_at: new Date().toISOString()
-            })
-            .eq('id', existingChat.id)
-            .select()
-            .single();
-
-          if (updateError) {
-            log.error('Error updating whatsapp_chats record:', updateError);
-          } else {
-            newChat = updatedChat;
-
-            // Update Retell chat if it exists and is ongoing
-            if (existingChat.retell_chat_id) {
-              try {
-                const retellChatInfo = await retellGetChat(existingChat.retell_chat_id);
-                
-                if (retellChatInfo.chat_status === 'ongoing') {
-                  // Convert agent_variables to string format for Retell
-                  const retellDynamicVariables = {};
-                  Object.keys(agentVariablesForAvailableTime).forEach(key => {
-                    if (agentVariablesForAvailableTime[key] !== null && agentVariablesForAvailableTime[key] !== undefined) {
-                      retellDynamicVariables[key] = String(agentVariablesForAvailableTime[key]);
-                    }
-                  });
-
-                  await retellUpdateChat(existingChat.retell_chat_id, {
-                    override_dynamic_variables: retellDynamicVariables
-                  });
-
-                  log.info('Updated existing Retell chat with available time variables:', {
-                    retellChatId: existingChat.retell_chat_id,
-                    leadId: lead.id
-                  });
-                }
-              } catch (retellError) {
-                log.warn('Failed to update Retell chat for available time:', retellError.message);
-                // Don't fail if Retell update fails
-              }
-            }
-          }
-        } else {
-          // Insert new chat record
-          const { data: insertedChat, error: chatError } = await supa
-          .from('whatsapp_chats')
-          .insert({
-            owner_id: ownerId,
-            lead_id: lead.id,
-            wa_phone: normalizedPhone,
-            agent_id: chatAgent.id,
-            status: 'pending_response', // Waiting for user to reply
-            metadata: chatMetadata,
-            agent_variables: agentVariablesForAvailableTime,
-            last_message_at: new Date().toISOString()
-          })
-          .select()
-          .single();
-        
-        if (chatError) {
-          log.error('Error creating whatsapp_chats record:', chatError);
-        } else {
-            newChat = insertedChat;
-          }
-        }
-        
-        if (newChat) {
-          // Store the outbound template message
-          await supa
-            .from('whatsapp_messages')
-            .insert({
-              chat_id: newChat.id,
-              direction: 'outbound',
-              sender: 'system',
-              wa_message_id: templateResult?.messageId || null,
-              body: `Template: earlier_appointment_offer - ${firstName}, ${chatAgent.agent_name || 'Assistente'}, ${ownerData?.name || 'Clínica'}, ${formattedSuggestedDate}, ${earlierSlots[0].formatted}, ${earlierSlots[1].formatted}`,
-              message_type: 'template',
-              is_template: true,
-              payload: {
-                template_name: 'earlier_appointment_offer',
-                slots_offered: earlierSlots
-              }
-            });
-          
-          log.info('WhatsApp earlier slot offer sent successfully:', {
-            leadId: lead.id,
-            chatId: newChat.id,
-            phone: normalizedPhone,
-            suggestedDate: formattedSuggestedDate,
-            slotsOffered: earlierSlots.map(s => s.formatted)
-          });
-        }
+        await waitlistService.sendEarlierOffer(lead, earlierSlots, {
+          chatAgent,
+          ownerData,
+          resourceName,
+          resourceType,
+          resourceId,
+          suggestedDate,
+          initiatedBy: 'scheduler_scarity'
+        });
         
         // Update lead status
         await supa
@@ -1099,3 +647,68 @@ cron.schedule('5 * * * *', async () => {
   }
 });
 
+// Retry pending outbound webhook deliveries (runs around the clock)
+cron.schedule('* * * * *', async () => {
+  try {
+    const processed = await webhooksService.processDueDeliveries();
+    if (processed > 0) {
+      log.info(`Webhook retry scheduler processed ${processed} deliveries`);
+    }
+  } catch (error) {
+    log.error('Webhook retry scheduler error:', error.message);
+  }
+});
+
+// Expire slot holds nobody booked and put waitlisted leads whose offer lapsed back in line (runs around the clock)
+cron.schedule('* * * * *', async () => {
+  try {
+    const expired = await slotHoldService.expireHolds();
+    if (expired > 0) {
+      log.info(`Slot hold scheduler expired ${expired} holds`);
+    }
+
+    const reopened = await waitlistService.reopenUnansweredOffers();
+    if (reopened > 0) {
+      log.info(`Slot hold scheduler returned ${reopened} waitlisted leads to waiting`);
+    }
+  } catch (error) {
+    log.error('Slot hold scheduler error:', error.message);
+  }
+});
+
+// Appointment reminders (24h / 2h before by default, runs around the clock)
+cron.schedule('*/5 * * * *', async () => {
+  try {
+    const sent = await appointmentRemindersService.processDueReminders();
+    if (sent > 0) {
+      log.info(`Appointment reminder scheduler sent ${sent} reminders`);
+    }
+  } catch (error) {
+    log.error('Appointment reminder scheduler error:', error.message);
+  }
+});
+
+// Ask owners to mark attendance once appointments end (runs around the clock)
+cron.schedule('*/15 * * * *', async () => {
+  try {
+    const requested = await noShowService.requestAttendanceChecks();
+    if (requested > 0) {
+      log.info(`Attendance check requested for ${requested} appointments`);
+    }
+  } catch (error) {
+    log.error('Attendance check scheduler error:', error.message);
+  }
+});
+
+// Re-engage no-shows: WhatsApp first, then a call if there is no reply
+cron.schedule('*/10 * * * *', async () => {
+  try {
+    // Calling windows are checked per lead (owner policy, holidays, lead timezone)
+    const processed = await noShowService.processReengagement();
+    if (processed > 0) {
+      log.info(`No-show re-engagement processed ${processed} leads`);
+    }
+  } catch (error) {
+    log.error('No-show re-engagement scheduler error:', error.message);
+  }
+});
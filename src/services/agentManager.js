@@ -5,6 +5,10 @@ import { Retell } from 'retell-sdk';
 import { env } from '../config/env.js';
 import { log } from '../config/logger.js';
 import { pickDoctorForLead } from './doctors.js';
+import { availabilityService } from './availability.js';
+import { returnConsultationService } from './returnConsultations.js';
+import { normalizeExceptions } from '../utils/availabilityExceptions.js';
+import { zonedTimeToUtc, addDaysToDateString } from '../utils/timezone.js';
 import { getServiceTerminology } from '../config/serviceConfig.js';
 import { 
   createTwilioSubAccount, 
@@ -17,29 +21,6 @@ import axios from 'axios';
 
 const retellClient = new Retell({ apiKey: env.RETELL_API_KEY });
 
-/**
- * Normalize date string to YYYY-MM-DD format
- * Handles both YYYY-MM-DD and MM/DD/YYYY formats
- * @param {string} dateStr - Date string in any format
- * @returns {string} - Date string in YYYY-MM-DD format
- */
-function normalizeDateString(dateStr) {
-  if (!dateStr) return dateStr;
-  // If already in YYYY-MM-DD format, return as is
-  if (/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) {
-    return dateStr;
-  }
-  // If in MM/DD/YYYY format, convert to YYYY-MM-DD
-  if (dateStr.includes('/')) {
-    const parts = dateStr.split('/');
-    if (parts.length === 3) {
-      const [month, day, year] = parts;
-      return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
-    }
-  }
-  return dateStr;
-}
-
 /**
  * Get date string in YYYY-MM-DD format for a given date in a specific timezone
  * @param {Date} date - The date object
@@ -562,64 +543,22 @@ class AgentManager {
           // Set to a reasonable time (e.g., 9 AM)
           oneMonthLater.setHours(9, 0, 0, 0);
           
-          // Get doctor's working hours and availability to check if suggested date is available
-          let workingHours = {};
-          let dateSpecificAvailability = [];
-          let resourceId = null;
-          let resourceType = 'doctor';
-          
-          if (serviceType === 'beauty_clinic') {
-            // For beauty clinics, use owner's working hours
-            const { data: ownerData } = await supa
-              .from('users')
-              .select('id, working_hours, date_specific_availability')
-              .eq('id', owner.id)
-              .single();
-            
-            workingHours = ownerData?.working_hours || {};
-            dateSpecificAvailability = ownerData?.date_specific_availability || [];
-            resourceId = owner.id;
-            resourceType = 'user';
-          } else {
-            // Medical clinic: use doctor's working hours
-            // Fetch latest doctor data to ensure we have date_specific_availability
-            const { data: latestDoctor } = await supa
-              .from('doctors')
-              .select('working_hours, date_specific_availability')
-              .eq('id', doctor.id)
-              .single();
-            
-            workingHours = latestDoctor?.working_hours || doctor.working_hours || {};
-            dateSpecificAvailability = latestDoctor?.date_specific_availability || doctor.date_specific_availability || [];
-            resourceId = doctor.id;
-            resourceType = 'doctor';
-            
-            log.debug(`Doctor ${doctor.id} date_specific_availability (copy style):`, JSON.stringify(dateSpecificAvailability));
-          }
+          // Beauty clinics book on the owner's calendar, clinics on the doctor's
+          const resource = await this.getSchedulingResource(serviceType, owner.id, doctor.id);
+          const timezone = resource.timezone;
           
           // Find the nearest available date starting from the calculated date (one month later)
           // This will return the calculated date if available, or the nearest available date if not
-          const targetDate = await this.findNextAvailableSlot(
-            workingHours,
-            dateSpecificAvailability,
-            oneMonthLater, // Start checking from the calculated date
-            resourceId,
-            resourceType
-          );
+          const targetDate = await this.findNextAvailableSlot(resource, oneMonthLater);
           
-          // Get the date string for the target date (YYYY-MM-DD) in São Paulo timezone
-          const targetDateString = getDateStringInTimezone(targetDate, 'America/Sao_Paulo');
+          // Get the date string for the target date (YYYY-MM-DD) in the resource's timezone
+          const targetDateString = getDateStringInTimezone(targetDate, timezone);
           suggestedDate = targetDate;
           suggestedDateISO = targetDateString;
           
           // Get ALL available slots for this specific date
-          const slotsForTargetDate = await this.findAvailableSlotsForDate(
-            workingHours,
-            dateSpecificAvailability,
-            targetDateString,
-            resourceId,
-            resourceType
-          );
+          const slotsForTargetDate = (await availabilityService.getSlotsForDate(resource, targetDateString))
+            .map(slot => slot.start);
           
           const currentYear = now.getFullYear();
           const slotYear = targetDate.getFullYear();
@@ -627,10 +566,10 @@ class AgentManager {
           
           if (slotsForTargetDate && slotsForTargetDate.length > 0) {
             const formattedSlots = slotsForTargetDate.map(slot => {
-              return formatHumanizedDateTime(slot, includeYear);
+              return formatHumanizedDateTime(slot, includeYear, timezone);
             });
             
-            const dateOnly = formatHumanizedDateTime(targetDate, includeYear).split(' às ')[0];
+            const dateOnly = formatHumanizedDateTime(targetDate, includeYear, timezone).split(' às ')[0];
           
             if (formattedSlots.length === 1) {
               availableTimeMessage = `Encontrei um horário disponível para você no dia ${formattedSlots[0]}. Posso confirmar esse horário para você?`;
@@ -639,7 +578,7 @@ class AgentManager {
             }
           } else {
             // Fallback if no slots found for that date (shouldn't happen, but just in case)
-            const humanizedDateTime = formatHumanizedDateTime(targetDate, includeYear);
+            const humanizedDateTime = formatHumanizedDateTime(targetDate, includeYear, timezone);
           availableTimeMessage = `Encontrei um horário disponível para você no dia ${humanizedDateTime}. Posso confirmar esse horário para você?`;
           }
         } catch (error) {
@@ -660,46 +599,12 @@ class AgentManager {
       } else {
         // For other script styles: use real availability
         try {
-          // For beauty clinics, working hours are stored at the owner level
-          let workingHours, dateSpecificAvailability, resourceId, resourceType;
-          
-          if (serviceType === 'beauty_clinic') {
-            // Get owner's working hours (shared across all treatments)
-            const { data: ownerData } = await supa
-              .from('users')
-              .select('id, working_hours, date_specific_availability, timezone')
-              .eq('id', owner.id)
-              .single();
-            
-            workingHours = ownerData?.working_hours || {};
-            dateSpecificAvailability = ownerData?.date_specific_availability || [];
-            resourceId = owner.id;
-            resourceType = 'user';
-          } else {
-            // Medical clinic: use doctor's working hours
-            // Fetch latest doctor data to ensure we have date_specific_availability
-            const { data: latestDoctor } = await supa
-              .from('doctors')
-              .select('working_hours, date_specific_availability')
-              .eq('id', doctor.id)
-              .single();
-            
-            workingHours = latestDoctor?.working_hours || doctor.working_hours || {};
-            dateSpecificAvailability = latestDoctor?.date_specific_availability || doctor.date_specific_availability || [];
-            resourceId = doctor.id;
-            resourceType = 'doctor';
-            
-            log.debug(`Doctor ${doctor.id} date_specific_availability:`, JSON.stringify(dateSpecificAvailability));
-          }
+          // Beauty clinics book on the owner's calendar, clinics on the doctor's
+          const resource = await this.getSchedulingResource(serviceType, owner.id, doctor.id);
+          const timezone = resource.timezone;
           
           // Calculate next available slot from the resource object
-          const nextSlot = await this.findNextAvailableSlot(
-            workingHours, 
-            dateSpecificAvailability, 
-            new Date(), 
-            resourceId,
-            resourceType
-          );
+          const nextSlot = await this.findNextAvailableSlot(resource, new Date());
           
           // Check if the slot is in a different year
           const currentYear = new Date().getFullYear();
@@ -707,7 +612,7 @@ class AgentManager {
           const includeYear = slotYear !== currentYear;
           
           // Format in humanized Portuguese (e.g., "14 de dezembro às 9 horas")
-          const humanizedDateTime = formatHumanizedDateTime(nextSlot, includeYear);
+          const humanizedDateTime = formatHumanizedDateTime(nextSlot, includeYear, timezone);
           
           // Persuasive and Rapport styles: use natural language
           availableTimeMessage = `Encontrei um horário disponível para você no dia ${humanizedDateTime}. Posso confirmar esse horário ou verificar outras opções que funcionem melhor para você.`;
@@ -721,44 +626,12 @@ class AgentManager {
       let availableSlotsFormatted = '';
       
       try {
-        let workingHours, dateSpecificAvailability, resourceId, resourceType;
-
-        if (serviceType === 'beauty_clinic') {
-          const { data: ownerData } = await supa
-            .from('users')
-            .select('working_hours, date_specific_availability')
-            .eq('id', owner.id)
-            .single();
-          
-          workingHours = ownerData?.working_hours || {};
-          dateSpecificAvailability = ownerData?.date_specific_availability || [];
-          resourceId = owner.id;
-          resourceType = 'user';
-        } else {
-          // Medical clinic: fetch latest doctor data to ensure we have date_specific_availability
-          const { data: latestDoctor } = await supa
-            .from('doctors')
-            .select('working_hours, date_specific_availability')
-            .eq('id', doctor.id)
-            .single();
-          
-          workingHours = latestDoctor?.working_hours || doctor.working_hours || {};
-          dateSpecificAvailability = latestDoctor?.date_specific_availability || doctor.date_specific_availability || [];
-          resourceId = doctor.id;
-          resourceType = 'doctor';
-          
-          log.debug(`Doctor ${doctor.id} date_specific_availability for availableSlots:`, JSON.stringify(dateSpecificAvailability));
-        }
+        const resource = await this.getSchedulingResource(serviceType, owner.id, doctor.id);
+        const timezone = resource.timezone;
 
         // Fetch up to 5 available slots
-        availableSlots = await this.findAvailableSlots(
-          workingHours,
-          dateSpecificAvailability,
-          new Date(),
-          resourceId,
-          resourceType,
-          5 // maxSlots
-        );
+        availableSlots = (await availabilityService.findSlots(resource, { maxSlots: 5 }))
+          .map(slot => slot.start);
 
         // Format slots in humanized Portuguese format
         if (availableSlots && availableSlots.length > 0) {
@@ -766,7 +639,7 @@ class AgentManager {
           const formatted = availableSlots.map((slot) => {
             const slotYear = slot.getFullYear();
             const includeYear = slotYear !== currentYear;
-            return formatHumanizedDateTime(slot, includeYear);
+            return formatHumanizedDateTime(slot, includeYear, timezone);
           });
 
           availableSlotsFormatted = formatted.join(', ');
@@ -972,54 +845,19 @@ class AgentManager {
     const serviceType = agent.service_type || 'clinic';
 
     try {
-      if (serviceType === 'beauty_clinic') {
-        // For beauty clinics, working hours are at the owner level (users table)
-        // All treatments share the same working hours
-        const { data: owner, error } = await supa
-          .from('users')
-          .select('working_hours, date_specific_availability, timezone')
-          .eq('id', lead.owner_id)
-          .single();
-
-        if (error || !owner) {
-          log.warn('Could not fetch owner availability for beauty clinic, falling back to scarcity method');
-          const fallbackDate = new Date(now);
-          fallbackDate.setMonth(fallbackDate.getMonth() + 1);
-          return fallbackDate;
-        }
-
-        return await this.findNextAvailableSlot(
-          owner.working_hours || {}, 
-          owner.date_specific_availability || [], 
-          now, 
-          lead.owner_id, // owner ID
-          'user' // resource type is 'user' for beauty clinic
-        );
-
-      } else {
-        // Get availability from doctors table (clinic service type)
-        const { data: doctor, error } = await supa
-          .from('doctors')
-          .select('working_hours, date_specific_availability, timezone')
-          .eq('id', lead.assigned_doctor_id)
-          .eq('is_active', true)
-          .single();
-
-        if (error || !doctor) {
-          log.warn('Could not fetch doctor availability, falling back to scarcity method');
-          const fallbackDate = new Date(now);
-          fallbackDate.setMonth(fallbackDate.getMonth() + 1);
-          return fallbackDate;
-        }
-
-        return await this.findNextAvailableSlot(
-          doctor.working_hours, 
-          doctor.date_specific_availability, 
-          now, 
-          lead.assigned_doctor_id, // doctor ID
-          'doctor'
-        );
+      // Beauty clinics share the owner's calendar across treatments
+      const resource = serviceType === 'beauty_clinic'
+        ? await availabilityService.getResource('user', lead.owner_id)
+        : await availabilityService.getResource('doctor', lead.assigned_doctor_id);
+
+      if (!resource) {
+        log.warn('Could not fetch resource availability, falling back to scarcity method');
+        const fallbackDate = new Date(now);
+        fallbackDate.setMonth(fallbackDate.getMonth() + 1);
+        return fallbackDate;
       }
+
+      return await this.findNextAvailableSlot(resource, now);
     } catch (error) {
       log.error('Error fetching availability:', error);
       // Fallback to scarcity method on error
@@ -1030,394 +868,28 @@ class AgentManager {
   }
 
   /**
-   * Find multiple available slots (up to maxSlots) from working hours, specific availability, and existing appointments
+   * Calendar the agent offers slots from: the owner's for beauty clinics, else the doctor's
    */
-  async findAvailableSlots(workingHours, dateSpecificAvailability, fromDate, resourceId, resourceType = 'doctor', maxSlots = 5) {
-    const slots = [];
-    const now = new Date(new Date(fromDate).toLocaleString('en-US', { timeZone: 'America/Sao_Paulo' }));
-    const maxDaysToCheck = 60; // Check up to 60 days ahead to find enough slots
-    // #region agent log
-    fetch('http://localhost:7243/ingest/fa704248-e3dd-4b0a-ab9f-643803e5688c',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'agentManager.js:findAvailableSlots:entry',message:'findAvailableSlots called',data:{fromDate:fromDate?.toISOString?.() || fromDate,nowParsed:now.toISOString(),resourceId,resourceType,maxSlots},timestamp:Date.now(),sessionId:'debug-session',hypothesisId:'B'})}).catch(()=>{});
-    // #endregion
-    
-    // Parse date-specific unavailability
-    const unavailableDates = new Set();
-    if (dateSpecificAvailability && Array.isArray(dateSpecificAvailability)) {
-      dateSpecificAvailability.forEach(item => {
-        if (item.type === 'unavailable' && item.date) {
-          // Normalize date to YYYY-MM-DD format
-          const normalizedDate = normalizeDateString(item.date);
-          unavailableDates.add(normalizedDate);
-          log.debug(`Marked date as unavailable: ${normalizedDate} (original: ${item.date})`);
-        }
-      });
-    }
-    
-    log.debug(`Unavailable dates: ${Array.from(unavailableDates).join(', ')}`);
+  async getSchedulingResource(serviceType, ownerId, doctorId) {
+    const resource = serviceType === 'beauty_clinic'
+      ? await availabilityService.getResource('user', ownerId)
+      : await availabilityService.getResource('doctor', doctorId);
 
-    // Get existing appointments for this resource
-    const endDate = new Date(now);
-    endDate.setDate(endDate.getDate() + maxDaysToCheck);
-    
-    let existingAppointments = [];
-    try {
-      let appointmentsQuery;
-      
-      if (resourceType === 'user') {
-        const { data: appointments, error } = await supa
-          .from('appointments')
-          .select('start_at, end_at')
-          .eq('owner_id', resourceId)
-          .gte('start_at', now.toISOString())
-          .lte('start_at', endDate.toISOString())
-          .eq('status', 'scheduled');
-        
-        if (!error && appointments) {
-          existingAppointments = appointments;
-        }
-      } else {
-        // For medical clinic (doctor-level) - use resource_type and resource_id (polymorphic fields)
-        // Query for appointments with resource_type/resource_id
-        const { data: appointments, error } = await supa
-          .from('appointments')
-          .select('start_at, end_at')
-          .eq('resource_type', resourceType)
-          .eq('resource_id', resourceId)
-          .gte('start_at', now.toISOString())
-          .lte('start_at', endDate.toISOString())
-          .eq('status', 'scheduled');
-        
-        if (!error && appointments) {
-          existingAppointments = appointments;
-          if (existingAppointments.length > 0) {
-            log.info(`Found ${existingAppointments.length} existing appointments for ${resourceType} ${resourceId}`, {
-              total: existingAppointments.length,
-              appointments: existingAppointments.map(a => ({
-                start: a.start_at,
-                end: a.end_at
-              }))
-            });
-          }
-        } else if (error) {
-          log.warn(`Error fetching appointments for ${resourceType} ${resourceId}:`, error.message);
-        }
-      }
-    } catch (error) {
-      log.warn('Could not fetch existing appointments:', error);
+    if (!resource) {
+      throw new Error('Scheduling resource not found');
     }
 
-    // Day names mapping
-    const dayNames = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-
-    // Check each day for the next maxDaysToCheck days (starting from TOMORROW, not today)
-    for (let i = 1; i < maxDaysToCheck && slots.length < maxSlots; i++) {
-      const checkDate = new Date(now);
-      checkDate.setDate(checkDate.getDate() + i);
-      
-      // Get date string in São Paulo timezone to match the format stored in unavailableDates
-      const dateString = getDateStringInTimezone(checkDate, 'America/Sao_Paulo');
-      
-      // Skip if date is specifically marked as unavailable
-      if (unavailableDates.has(dateString)) {
-        log.debug(`Skipping unavailable date: ${dateString}`);
-        continue;
-      }
-
-      const dayName = dayNames[checkDate.getDay()];
-      const daySchedule = workingHours?.[dayName];
-
-      // Check if the day is enabled and has time slots
-      if (daySchedule && daySchedule.enabled && daySchedule.timeSlots && daySchedule.timeSlots.length > 0) {
-        // Check each time slot for availability
-        for (const slot of daySchedule.timeSlots) {
-          if (slots.length >= maxSlots) break;
-          
-          const [hours, minutes] = (slot.start || '09:00').split(':');
-          // Create slot time in São Paulo timezone
-          const slotStartTime = new Date(dateString + `T${hours.padStart(2, '0')}:${minutes.padStart(2, '0')}:00-03:00`);
-          // #region agent log
-          const isPastSlot = slotStartTime <= now;
-          fetch('http://localhost:7243/ingest/fa704248-e3dd-4b0a-ab9f-643803e5688c',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'agentManager.js:findAvailableSlots:slotCheck',message:'Checking slot',data:{dateString,slotTime:slotStartTime.toISOString(),nowTime:now.toISOString(),isPastSlot,dayIndex:i},timestamp:Date.now(),sessionId:'debug-session',hypothesisId:'B'})}).catch(()=>{});
-          // #endregion
-
-          // Skip past slots (even if date is tomorrow, slot time might be in the past)
-          if (slotStartTime <= now) {
-            continue;
-          }
-
-          // Check if this time slot conflicts with existing appointments
-          // We need to check if the slot would overlap with any appointment
-          // A slot conflicts if: slotStartTime is within appointment OR appointment overlaps with slot
-          const hasConflict = existingAppointments.some(appointment => {
-            const appointmentStart = new Date(appointment.start_at);
-            const appointmentEnd = new Date(appointment.end_at);
-            
-            // Calculate slot end time (assuming 30-minute default, but we should use actual duration)
-            // For now, check if slot start time falls within appointment OR if appointment overlaps slot start
-            const conflicts = (slotStartTime >= appointmentStart && slotStartTime < appointmentEnd) ||
-                   (appointmentStart < slotStartTime && appointmentEnd > slotStartTime);
-            
-            if (conflicts) {
-              log.debug(`Slot ${slotStartTime.toISOString()} conflicts with appointment ${appointmentStart.toISOString()} - ${appointmentEnd.toISOString()}`);
-            }
-            
-            return conflicts;
-          });
-
-          if (!hasConflict) {
-            // #region agent log
-            fetch('http://localhost:7243/ingest/fa704248-e3dd-4b0a-ab9f-643803e5688c',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'agentManager.js:findAvailableSlots:slotAdded',message:'Slot added to available list',data:{dateString,slotTime:slotStartTime.toISOString(),isPastSlot,totalSlots:slots.length+1},timestamp:Date.now(),sessionId:'debug-session',hypothesisId:'B'})}).catch(()=>{});
-            // #endregion
-            // Found an available slot!
-            slots.push(slotStartTime);
-          } else {
-            log.debug(`Slot ${slotStartTime.toISOString()} on ${dateString} is not available (conflicts with existing appointment)`);
-          }
-        }
-      }
-    }
-
-    return slots;
+    return resource;
   }
 
   /**
-   * Find all available slots for a specific date
+   * Next free slot after fromDate; two weeks out at 9 AM when the next 30 days are full
    */
-  async findAvailableSlotsForDate(workingHours, dateSpecificAvailability, targetDateString, resourceId, resourceType = 'doctor') {
-    const slots = [];
-    
-    // Parse date-specific unavailability
-    const unavailableDates = new Set();
-    if (dateSpecificAvailability && Array.isArray(dateSpecificAvailability)) {
-      dateSpecificAvailability.forEach(item => {
-        if (item.type === 'unavailable' && item.date) {
-          const normalizedDate = normalizeDateString(item.date);
-          unavailableDates.add(normalizedDate);
-        }
-      });
-    }
-    
-    // Check if target date is unavailable
-    const normalizedTargetDate = normalizeDateString(targetDateString);
-    if (unavailableDates.has(normalizedTargetDate)) {
-      log.debug(`Target date ${normalizedTargetDate} is marked as unavailable`);
-      return slots; // Return empty array
-    }
-    
-    // Parse the target date in São Paulo timezone
-    const targetDate = new Date(normalizedTargetDate + 'T00:00:00-03:00');
-    const dayNames = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-    const dayName = dayNames[targetDate.getDay()];
-    const daySchedule = workingHours?.[dayName];
-    
-    // Check if the day is enabled and has time slots
-    if (!daySchedule || !daySchedule.enabled || !daySchedule.timeSlots || daySchedule.timeSlots.length === 0) {
-      log.debug(`No working hours configured for ${dayName} on ${normalizedTargetDate}`);
-      return slots; // Return empty array
-    }
-    
-    // Get existing appointments for this resource on the target date
-    // Use São Paulo timezone for start and end of day
-    const startOfDay = new Date(normalizedTargetDate + 'T00:00:00-03:00');
-    const endOfDay = new Date(normalizedTargetDate + 'T23:59:59-03:00');
-    
-    let existingAppointments = [];
-    try {
-      let appointmentsQuery;
-      
-      if (resourceType === 'user') {
-        appointmentsQuery = supa
-          .from('appointments')
-          .select('start_at, end_at')
-          .eq('owner_id', resourceId)
-          .gte('start_at', startOfDay.toISOString())
-          .lte('start_at', endOfDay.toISOString())
-          .eq('status', 'scheduled');
-      } else {
-        // For medical clinic (doctor-level) - use resource_type and resource_id (polymorphic fields)
-        // Query for appointments with resource_type/resource_id
-        const { data: appointments, error } = await supa
-          .from('appointments')
-          .select('start_at, end_at')
-          .eq('resource_type', resourceType)
-          .eq('resource_id', resourceId)
-          .gte('start_at', startOfDay.toISOString())
-          .lte('start_at', endOfDay.toISOString())
-          .eq('status', 'scheduled');
-        
-        if (!error && appointments) {
-          existingAppointments = appointments;
-          log.info(`Found ${existingAppointments.length} existing appointments for ${resourceType} ${resourceId} on ${normalizedTargetDate}`, {
-            total: existingAppointments.length
-          });
-        } else if (error) {
-          log.warn(`Error fetching appointments for ${resourceType} ${resourceId} on ${normalizedTargetDate}:`, error.message);
-        }
-      }
-    } catch (error) {
-      log.warn('Could not fetch existing appointments for target date:', error);
-    }
-    
-    // Check each time slot for availability on the target date
-    for (const slot of daySchedule.timeSlots) {
-      const [hours, minutes] = (slot.start || '09:00').split(':');
-      // Create slot time in São Paulo timezone
-      const slotStartTime = new Date(normalizedTargetDate + `T${hours.padStart(2, '0')}:${minutes.padStart(2, '0')}:00-03:00`);
-      
-      // Check if this time slot conflicts with existing appointments
-      const hasConflict = existingAppointments.some(appointment => {
-        const appointmentStart = new Date(appointment.start_at);
-        const appointmentEnd = new Date(appointment.end_at);
-        
-        // Check if the slot time falls within an existing appointment
-        // Also check if appointment starts before slot but ends after slot start (overlap)
-        return (slotStartTime >= appointmentStart && slotStartTime < appointmentEnd) ||
-               (appointmentStart < slotStartTime && appointmentEnd > slotStartTime);
-      });
-      
-      if (hasConflict) {
-        log.debug(`Slot ${slotStartTime.toISOString()} conflicts with existing appointment`);
-      }
-      
-      if (!hasConflict) {
-        // Found an available slot!
-        slots.push(slotStartTime);
-      }
-    }
+  async findNextAvailableSlot(resource, fromDate) {
+    const slot = await availabilityService.findNextSlot(resource, { from: fromDate, days: 30 });
+    if (slot) return slot.start;
 
-    return slots;
-  }
-
-  /**
-   * Find next available slot from working hours, specific availability, and existing appointments
-   */
-  async findNextAvailableSlot(workingHours, dateSpecificAvailability, fromDate, resourceId, resourceType = 'doctor') {
-    // Use São Paulo timezone for all date/time calculations
-    const now = new Date(new Date(fromDate).toLocaleString('en-US', { timeZone: 'America/Sao_Paulo' }));
-    const maxDaysToCheck = 30; // Check up to 30 days ahead
-    
-    // Parse date-specific unavailability
-    const unavailableDates = new Set();
-    if (dateSpecificAvailability && Array.isArray(dateSpecificAvailability)) {
-      dateSpecificAvailability.forEach(item => {
-        if (item.type === 'unavailable' && item.date) {
-          // Normalize date to YYYY-MM-DD format
-          const normalizedDate = normalizeDateString(item.date);
-          unavailableDates.add(normalizedDate);
-          log.debug(`Marked date as unavailable: ${normalizedDate} (original: ${item.date})`);
-        }
-      });
-    }
-    
-    log.debug(`Unavailable dates: ${Array.from(unavailableDates).join(', ')}`);
-
-    // Get existing appointments for this resource (doctor, treatment, or user)
-    const endDate = new Date(now);
-    endDate.setDate(endDate.getDate() + maxDaysToCheck);
-    
-    let existingAppointments = [];
-    try {
-      if (resourceType === 'user') {
-        // For beauty clinic (user-level), get all appointments for this owner
-        const { data: appointments, error } = await supa
-          .from('appointments')
-          .select('start_at, end_at')
-          .eq('owner_id', resourceId)
-          .gte('start_at', now.toISOString())
-          .lte('start_at', endDate.toISOString())
-          .eq('status', 'scheduled');
-        
-        if (!error && appointments) {
-          existingAppointments = appointments;
-        }
-      } else {
-        // For medical clinic (doctor-level) - use resource_type and resource_id (polymorphic fields)
-        // Query for appointments with resource_type/resource_id
-        const { data: appointments, error } = await supa
-          .from('appointments')
-          .select('start_at, end_at')
-          .eq('resource_type', resourceType)
-          .eq('resource_id', resourceId)
-          .gte('start_at', now.toISOString())
-          .lte('start_at', endDate.toISOString())
-          .eq('status', 'scheduled');
-        
-        if (!error && appointments) {
-          existingAppointments = appointments;
-          if (existingAppointments.length > 0) {
-            log.info(`Found ${existingAppointments.length} existing appointments for ${resourceType} ${resourceId}`, {
-              total: existingAppointments.length,
-              appointments: existingAppointments.map(a => ({
-                start: a.start_at,
-                end: a.end_at
-              }))
-            });
-          }
-        } else if (error) {
-          log.warn(`Error fetching appointments for ${resourceType} ${resourceId}:`, error.message);
-        }
-      }
-    } catch (error) {
-      log.warn('Could not fetch existing appointments:', error);
-    }
-
-    // Day names mapping
-    const dayNames = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-
-    // Check each day for the next maxDaysToCheck days (starting from TOMORROW, not today)
-    for (let i = 1; i < maxDaysToCheck; i++) {
-      const checkDate = new Date(now);
-      checkDate.setDate(checkDate.getDate() + i);
-      
-      // Get date string in São Paulo timezone to match the format stored in unavailableDates
-      const dateString = getDateStringInTimezone(checkDate, 'America/Sao_Paulo');
-      
-      // Skip if date is specifically marked as unavailable
-      if (unavailableDates.has(dateString)) {
-        log.debug(`Skipping unavailable date: ${dateString}`);
-        continue;
-      }
-
-      const dayName = dayNames[checkDate.getDay()];
-      const daySchedule = workingHours?.[dayName];
-
-      // Check if the day is enabled and has time slots
-      if (daySchedule && daySchedule.enabled && daySchedule.timeSlots && daySchedule.timeSlots.length > 0) {
-        // Check each time slot for availability
-        for (const slot of daySchedule.timeSlots) {
-          const [hours, minutes] = (slot.start || '09:00').split(':');
-          // Create slot time in São Paulo timezone
-          const slotStartTime = new Date(dateString + `T${hours.padStart(2, '0')}:${minutes.padStart(2, '0')}:00-03:00`);
-
-          // Skip past slots (even if date is tomorrow, slot time might be in the past)
-          if (slotStartTime <= now) {
-            continue;
-          }
-
-          // Check if this time slot conflicts with existing appointments
-          const hasConflict = existingAppointments.some(appointment => {
-            const appointmentStart = new Date(appointment.start_at);
-            const appointmentEnd = new Date(appointment.end_at);
-            
-            // Check if the slot time falls within an existing appointment
-            // Also check if appointment starts before slot but ends after slot start (overlap)
-            return (slotStartTime >= appointmentStart && slotStartTime < appointmentEnd) ||
-                   (appointmentStart < slotStartTime && appointmentEnd > slotStartTime);
-          });
-
-          if (!hasConflict) {
-            // Found an available slot!
-            return slotStartTime;
-          }
-        }
-      }
-    }
-
-    // If no available slot found in the next 30 days, default to 2 weeks from now
-    const defaultDate = new Date(now);
-    defaultDate.setDate(defaultDate.getDate() + 14);
-    defaultDate.setHours(9, 0, 0, 0);
-    return defaultDate;
+    return zonedTimeToUtc(addDaysToDateString(getDateStringInTimezone(fromDate, resource.timezone), 14), '09:00', resource.timezone);
   }
 
   /**
@@ -1477,6 +949,9 @@ class AgentManager {
       // Always ensure 'name' is set to first name only (override any agent_variables.name)
       callVariables.name = firstName;
 
+      // Tell the agent when the next consultation would be a return
+      Object.assign(callVariables, await returnConsultationService.getAgentVariables(lead));
+
 
       // Validate required fields
       if (!agent.retell_agent_id) {
@@ -1656,7 +1131,7 @@ class AgentManager {
           consultation_duration: parseInt(consultation_duration),
           telemedicine_available: Boolean(telemedicine_available),
           working_hours,
-          date_specific_availability: Array.isArray(date_specific_availability) ? date_specific_availability : [],
+          date_specific_availability: Array.isArray(date_specific_availability) ? normalizeExceptions(date_specific_availability) : [],
           timezone,
           office_address,
           city,
@@ -1,5 +1,170 @@
 import { gcalCreateEvent } from '../lib/gcal.js';
+import { supa } from '../lib/supabase.js';
+import { log } from '../config/logger.js';
+import { getZonedParts, resolveTimezone } from '../utils/timezone.js';
+
 export async function bookAppointment({ start, durationMin=30, timezone='America/Sao_Paulo', doctorName='' }){
   const end = new Date(new Date(start).getTime() + durationMin*60000).toISOString();
   return gcalCreateEvent({ start, end, timezone, summary: `Consulta Geniumed${doctorName? ' - '+doctorName : ''}` });
 }
+
+/**
+ * Get all appointments for a phone number (aggregates across all leads with that phone)
+ * @param {string} phoneNumber - The phone number (can be with or without +)
+ * @returns {Object} - Formatted appointments data for agent_variables
+ */
+export async function getAllAppointmentsForPhone(phoneNumber) {
+  try {
+    if (!phoneNumber) {
+      return { all_appointments: '', appointments_list: [], appointments_count: 0 };
+    }
+
+    // Normalize phone number (remove + and non-digits for comparison)
+    const normalizedPhone = phoneNumber.replace(/[^\d]/g, '');
+    
+    // Find all leads with this phone number
+    // Try multiple patterns to catch different phone formats
+    const phonePatterns = [
+      normalizedPhone,
+      `+${normalizedPhone}`,
+      `55${normalizedPhone}`,
+      `+55${normalizedPhone}`
+    ];
+    
+    // Build query to find leads matching any of these patterns
+    let leadsQuery = supa
+      .from('leads')
+      .select('id');
+    
+    // Use ilike for pattern matching (case-insensitive)
+    const conditions = phonePatterns.map(pattern => `phone.ilike.%${pattern}%`).join(',');
+    leadsQuery = leadsQuery.or(conditions);
+    
+    const { data: leads, error: leadsError } = await leadsQuery;
+
+    if (leadsError || !leads || leads.length === 0) {
+      log.debug('No leads found for phone number:', { phoneNumber, normalizedPhone });
+      return { all_appointments: '', appointments_list: [], appointments_count: 0 };
+    }
+
+    const leadIds = leads.map(lead => lead.id);
+
+    // Fetch all appointments for these leads
+    const { data: appointments, error } = await supa
+      .from('appointments')
+      .select(`
+        id,
+        start_at,
+        end_at,
+        timezone,
+        resource_type,
+        resource_id,
+        status
+      `)
+      .in('lead_id', leadIds)
+      .eq('status', 'scheduled')
+      .order('start_at', { ascending: true });
+
+    if (error) {
+      log.error('Error querying appointments by phone:', { error, phoneNumber, errorMessage: error.message });
+      return { all_appointments: '', appointments_list: [], appointments_count: 0 };
+    }
+
+    if (!appointments || appointments.length === 0) {
+      log.debug('No appointments found for phone number:', { phoneNumber, leadIds });
+      return { all_appointments: '', appointments_list: [], appointments_count: 0 };
+    }
+
+    // Collect resource IDs by type
+    const resourceIds = {
+      doctor: new Set(),
+      treatment: new Set()
+    };
+
+    appointments.forEach(apt => {
+      if (apt.resource_type === 'doctor' && apt.resource_id) {
+        resourceIds.doctor.add(apt.resource_id);
+      } else if (apt.resource_type === 'treatment' && apt.resource_id) {
+        resourceIds.treatment.add(apt.resource_id);
+      }
+    });
+
+    // Fetch all doctors
+    const doctorsMap = new Map();
+    if (resourceIds.doctor.size > 0) {
+      const { data: doctors } = await supa
+        .from('doctors')
+        .select('id, name')
+        .in('id', Array.from(resourceIds.doctor));
+
+      doctors?.forEach(doctor => {
+        doctorsMap.set(doctor.id, doctor);
+      });
+    }
+
+    // Fetch all treatments
+    const treatmentsMap = new Map();
+    if (resourceIds.treatment.size > 0) {
+      const { data: treatments } = await supa
+        .from('treatments')
+        .select('id, treatment_name')
+        .in('id', Array.from(resourceIds.treatment));
+
+      treatments?.forEach(treatment => {
+        treatmentsMap.set(treatment.id, treatment);
+      });
+    }
+
+    // Format appointments for display
+    const formattedAppointments = appointments.map((apt, index) => {
+      // Read date and time in the appointment's timezone, not the server's
+      const parts = getZonedParts(new Date(apt.start_at), resolveTimezone(apt.timezone));
+      
+      // Format date in Brazilian format
+      const day = String(parts.day).padStart(2, '0');
+      const month = String(parts.month).padStart(2, '0');
+      const year = parts.year;
+      const dateStr = `${day}/${month}/${year}`;
+      
+      // Format time
+      const hours = String(parts.hour).padStart(2, '0');
+      const minutes = String(parts.minute).padStart(2, '0');
+      const timeStr = `${hours}:${minutes}`;
+      
+      // Get resource name from maps
+      let resourceName = 'Consulta';
+      if (apt.resource_type === 'doctor' && apt.resource_id) {
+        const doctor = doctorsMap.get(apt.resource_id);
+        resourceName = doctor?.name || 'Médico';
+      } else if (apt.resource_type === 'treatment' && apt.resource_id) {
+        const treatment = treatmentsMap.get(apt.resource_id);
+        resourceName = treatment?.treatment_name || 'Tratamento';
+      }
+
+      return {
+        id: apt.id,
+        date: dateStr,
+        time: timeStr,
+        date_iso: `${year}-${month}-${day}`,
+        time_24h: timeStr,
+        resource_name: resourceName,
+        resource_type: apt.resource_type,
+        formatted: `${dateStr} às ${timeStr} com ${resourceName}`
+      };
+    });
+
+    // Create a readable text list for the agent (include appointment ID for reference)
+    const appointmentsText = formattedAppointments
+      .map((apt, index) => `${index + 1}. [ID: ${apt.id}] ${apt.formatted}`)
+      .join('\n');
+
+    return {
+      all_appointments: appointmentsText,
+      appointments_list: formattedAppointments,
+      appointments_count: formattedAppointments.length
+    };
+  } catch (error) {
+    log.error('Error fetching appointments for phone:', error);
+    return { all_appointments: '', appointments_list: [], appointments_count: 0 };
+  }
+}
@@ -0,0 +1,485 @@
+import { supa } from '../lib/supabase.js';
+import { log } from '../config/logger.js';
+import { holidayService } from './holidays.js';
+import { googleCalendarService } from './googleCalendar.js';
+import { slotHoldService } from './slotHolds.js';
+import { zonedTimeToUtc, getDateStringInTimezone, getZonedParts, addDaysToDateString, resolveTimezone } from '../utils/timezone.js';
+import { readExceptions, exceptionOccursOn, mergeWindows, subtractWindows } from '../utils/availabilityExceptions.js';
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+// Appointments in these statuses hold their time
+const BOOKED_STATUSES = ['scheduled', 'confirmed'];
+const DEFAULT_DOCTOR_DURATION = 90;
+const DEFAULT_SESSION_DURATION = 60;
+
+// Per doctor/treatment; stored in booking_rules, NULL keeps these
+export const DEFAULT_BOOKING_RULES = {
+  buffer_before_minutes: 0,
+  buffer_after_minutes: 0,
+  min_notice_minutes: 60,
+  horizon_days: 60,
+  max_per_day: null,
+  // Minutes between offered start times; null means duration plus buffers
+  slot_interval_minutes: null
+};
+
+/**
+ * Availability Service
+ * The single slot engine behind voice, chat, the scheduler and the dashboard.
+ * Merges working hours, date-specific overrides, holidays, booked
+ * appointments, other leads' slot holds and Google Calendar busy times for
+ * a resource:
+ * - 'doctor': the doctor's own hours and calendar
+ * - 'treatment' / 'user': the owner's shared clinic calendar (beauty clinics)
+ *
+ * Slots are consultations inside each working window, read in the
+ * resource's timezone, spaced by the booking rules' slot interval. A slot is
+ * free when it, padded by its buffers, overlaps no busy interval
+ * (start < busy.end && end > busy.start); booked appointments and holds carry
+ * the same buffers. Minimum notice, booking horizon and the daily cap apply both to
+ * offered slots and to checkSlot, which the booking paths call.
+ * getDaySchedule and generateSlots are pure; every input, `now` included, is
+ * passed in. The async methods only load those inputs.
+ */
+class AvailabilityService {
+  /**
+   * Scheduling config for a resource
+   * @returns {Object|null} - null when the resource doesn't exist
+   */
+  async getResource(resourceType, resourceId) {
+    if (!resourceId) return null;
+
+    if (resourceType === 'doctor') {
+      const { data: doctor, error } = await supa
+        .from('doctors')
+        .select('id, owner_id, name, working_hours, date_specific_availability, consultation_duration, timezone, booking_rules')
+        .eq('id', resourceId)
+        .maybeSingle();
+
+      if (error) throw new Error(error.message);
+      if (!doctor) return null;
+
+      return {
+        resourceType: 'doctor',
+        resourceId: doctor.id,
+        ownerId: doctor.owner_id,
+        name: doctor.name || '',
+        workingHours: doctor.working_hours || {},
+        dateSpecificAvailability: readExceptions(doctor.date_specific_availability),
+        duration: doctor.consultation_duration || DEFAULT_DOCTOR_DURATION,
+        timezone: resolveTimezone(doctor.timezone),
+        rules: this.normalizeRules(doctor.booking_rules),
+        calendar: { owner: 'doctor', id: doctor.id }
+      };
+    }
+
+    if (resourceType === 'treatment' || resourceType === 'user') {
+      let treatment = null;
+      let ownerId = resourceId;
+
+      if (resourceType === 'treatment') {
+        const { data, error } = await supa
+          .from('treatments')
+          .select('id, owner_id, treatment_name, session_duration, booking_rules')
+          .eq('id', resourceId)
+          .maybeSingle();
+
+        if (error) throw new Error(error.message);
+        if (!data) return null;
+        treatment = data;
+        ownerId = data.owner_id;
+      }
+
+      const { data: owner, error: ownerError } = await supa
+        .from('users')
+        .select('id, working_hours, date_specific_availability, timezone')
+        .eq('id', ownerId)
+        .maybeSingle();
+
+      if (ownerError) throw new Error(ownerError.message);
+      if (!owner) return null;
+
+      return {
+        resourceType,
+        resourceId,
+        ownerId,
+        name: treatment?.treatment_name || '',
+        workingHours: owner.working_hours || {},
+        dateSpecificAvailability: readExceptions(owner.date_specific_availability),
+        duration: treatment?.session_duration || DEFAULT_SESSION_DURATION,
+        timezone: resolveTimezone(owner.timezone),
+        rules: this.normalizeRules(treatment?.booking_rules),
+        calendar: { owner: 'owner', id: ownerId }
+      };
+    }
+
+    throw new Error(`Unsupported resource type: ${resourceType}`);
+  }
+
+  normalizeRules(rules) {
+    return { ...DEFAULT_BOOKING_RULES, ...(rules || {}) };
+  }
+
+  /**
+   * @returns {string|null} - error message when the rules are invalid
+   */
+  validateRules(rules) {
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+      return 'booking_rules must be an object';
+    }
+
+    const limits = {
+      buffer_before_minutes: [0, 240],
+      buffer_after_minutes: [0, 240],
+      min_notice_minutes: [0, 30 * 24 * 60],
+      horizon_days: [1, 365],
+      max_per_day: [1, 100],
+      slot_interval_minutes: [5, 480]
+    };
+
+    for (const [field, value] of Object.entries(rules)) {
+      if (!limits[field]) {
+        return `Unknown booking rule: ${field}`;
+      }
+      // Cap and interval can be cleared
+      if (value === null && (field === 'max_per_day' || field === 'slot_interval_minutes')) continue;
+
+      const [min, max] = limits[field];
+      if (!Number.isInteger(value) || value < min || value > max) {
+        return `${field} must be a whole number between ${min} and ${max}`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Working windows on a date, from the weekday hours and the date's
+   * exceptions (see utils/availabilityExceptions.js). An 'unavailable' entry
+   * closes the date; 'modified_hours' replaces the weekday hours and
+   * 'extra_hours' adds to them, both also opening holidays and days off;
+   * 'blocked' windows are taken out last.
+   * @param {string} dateString - YYYY-MM-DD in the resource's timezone
+   * @returns {Object} - { windows: [{ start, end }], reason: null|'unavailable'|'holiday'|'closed', holiday }
+   */
+  getDaySchedule(resource, dateString, holidays = []) {
+    const entries = (resource.dateSpecificAvailability || []).filter(entry => exceptionOccursOn(entry, dateString));
+    const windowsOf = type => entries.filter(entry => entry.type === type).flatMap(entry => entry.windows);
+
+    if (entries.some(entry => entry.type === 'unavailable')) {
+      return { windows: [], reason: 'unavailable', holiday: null };
+    }
+
+    const modified = windowsOf('modified_hours');
+    const extra = windowsOf('extra_hours');
+    const blocked = windowsOf('blocked');
+
+    let base = modified;
+    let reason = null;
+    let holiday = null;
+
+    if (modified.length === 0) {
+      holiday = holidayService.getHoliday(dateString, holidays);
+      const daySchedule = resource.workingHours?.[DAY_NAMES[new Date(`${dateString}T12:00:00Z`).getUTCDay()]];
+
+      if (holiday) {
+        reason = 'holiday';
+      } else if (!daySchedule?.enabled || !daySchedule.timeSlots?.length) {
+        reason = 'closed';
+      } else {
+        base = daySchedule.timeSlots.filter(window =>
+          /^\d{1,2}:\d{2}$/.test(window.start || '') && /^\d{1,2}:\d{2}$/.test(window.end || '')
+        );
+      }
+    }
+
+    if (entries.length === 0) {
+      return { windows: base, reason, holiday: reason === 'holiday' ? holiday : null };
+    }
+
+    const windows = subtractWindows(mergeWindows([...base, ...extra]), blocked);
+    if (windows.length === 0) {
+      return { windows, reason: reason || 'unavailable', holiday: reason === 'holiday' ? holiday : null };
+    }
+
+    return { windows, reason: null, holiday: null };
+  }
+
+  overlapsBusy(start, end, busy) {
+    return busy.some(interval => start < interval.end && end > interval.start);
+  }
+
+  /**
+   * Busy times as millisecond intervals; booked appointments and holds are
+   * padded by the resource's buffers, external Google events are taken as they are
+   */
+  toBusyIntervals(resource, busy) {
+    const beforeMs = resource.rules.buffer_before_minutes * 60 * 1000;
+    const afterMs = resource.rules.buffer_after_minutes * 60 * 1000;
+
+    return busy.map(interval => {
+      const padded = interval.source !== 'google';
+      return {
+        start: new Date(interval.start).getTime() - (padded ? beforeMs : 0),
+        end: new Date(interval.end).getTime() + (padded ? afterMs : 0)
+      };
+    });
+  }
+
+  /**
+   * Booked (or held) appointments per local date, for the daily cap
+   */
+  countBookedPerDay(resource, busy) {
+    const counts = {};
+    for (const interval of busy) {
+      if (interval.source === 'google') continue;
+      const dateString = getDateStringInTimezone(new Date(interval.start), resource.timezone);
+      counts[dateString] = (counts[dateString] || 0) + 1;
+    }
+    return counts;
+  }
+
+  /**
+   * Last date slots may be offered or booked on
+   */
+  getHorizonDate(resource, now) {
+    return addDaysToDateString(getDateStringInTimezone(now, resource.timezone), resource.rules.horizon_days);
+  }
+
+  /**
+   * Free slots between two dates (inclusive)
+   * @param {Object} options - { startDate, endDate, busy: [{ start, end }], holidays, now, maxSlots, before }
+   * @returns {Array} - [{ start: Date, end: Date, date, time, timeSlot }] in chronological order
+   */
+  generateSlots(resource, { startDate, endDate, busy = [], holidays = [], now = new Date(), maxSlots = Infinity, before = null }) {
+    const { rules } = resource;
+    const durationMs = resource.duration * 60 * 1000;
+    const beforeMs = rules.buffer_before_minutes * 60 * 1000;
+    const afterMs = rules.buffer_after_minutes * 60 * 1000;
+    const stepMs = (rules.slot_interval_minutes || resource.duration + rules.buffer_before_minutes + rules.buffer_after_minutes) * 60 * 1000;
+    const earliest = now.getTime() + rules.min_notice_minutes * 60 * 1000;
+    const latest = before ? new Date(before).getTime() : Infinity;
+    const horizonDate = this.getHorizonDate(resource, now);
+    const lastDate = endDate < horizonDate ? endDate : horizonDate;
+    const busyIntervals = this.toBusyIntervals(resource, busy);
+    const bookedPerDay = this.countBookedPerDay(resource, busy);
+    const slots = [];
+
+    for (let dateString = startDate; dateString <= lastDate; dateString = addDaysToDateString(dateString, 1)) {
+      if (rules.max_per_day && (bookedPerDay[dateString] || 0) >= rules.max_per_day) continue;
+
+      const windows = [...this.getDaySchedule(resource, dateString, holidays).windows]
+        .filter(window => /^\d{1,2}:\d{2}$/.test(window.start || '') && /^\d{1,2}:\d{2}$/.test(window.end || ''))
+        .sort((a, b) => a.start.padStart(5, '0').localeCompare(b.start.padStart(5, '0')));
+
+      for (const window of windows) {
+        const windowEnd = zonedTimeToUtc(dateString, window.end, resource.timezone).getTime();
+
+        for (let start = zonedTimeToUtc(dateString, window.start, resource.timezone).getTime(); start + durationMs <= windowEnd; start += stepMs) {
+          if (start >= latest || slots.length >= maxSlots) return slots;
+
+          const end = start + durationMs;
+          if (start < earliest || this.overlapsBusy(start - beforeMs, end + afterMs, busyIntervals)) continue;
+
+          const parts = getZonedParts(new Date(start), resource.timezone);
+          slots.push({
+            start: new Date(start),
+            end: new Date(end),
+            date: dateString,
+            time: `${String(parts.hour).padStart(2, '0')}:${String(parts.minute).padStart(2, '0')}`,
+            timeSlot: { start: window.start, end: window.end }
+          });
+        }
+      }
+    }
+
+    return slots;
+  }
+
+  /**
+   * Booked appointments, slot holds and Google Calendar busy times overlapping [from, to)
+   * @param {Object} options - { leadId, excludeAppointmentId } - the lead's own holds and the
+   *   appointment being rescheduled are left out
+   * @returns {Array} - [{ start, end, source: 'appointment'|'hold'|'google' }]
+   */
+  async getBusyTimes(resource, from, to, { leadId = null, excludeAppointmentId = null } = {}) {
+    // Look back a day so appointments that started earlier but still run are included
+    let query = supa
+      .from('appointments')
+      .select('start_at, end_at')
+      .in('status', BOOKED_STATUSES)
+      .gte('start_at', new Date(from.getTime() - 24 * 60 * 60 * 1000).toISOString())
+      .lt('start_at', to.toISOString());
+
+    query = resource.resourceType === 'doctor'
+      ? query.eq('resource_type', 'doctor').eq('resource_id', resource.resourceId)
+      : query.eq('resource_type', 'treatment').eq('owner_id', resource.ownerId);
+    if (excludeAppointmentId) {
+      query = query.neq('id', excludeAppointmentId);
+    }
+
+    const { data: appointments, error } = await query;
+    if (error) {
+      log.warn(`Error fetching appointments for ${resource.resourceType} ${resource.resourceId}:`, error.message);
+    }
+
+    const busy = (appointments || []).map(appointment => ({
+      start: appointment.start_at,
+      end: appointment.end_at || new Date(new Date(appointment.start_at).getTime() + resource.duration * 60 * 1000).toISOString(),
+      source: 'appointment'
+    }));
+
+    const [holds, googleBusy] = await Promise.all([
+      slotHoldService.getActiveHolds(resource, from, to, { excludeLeadId: leadId }),
+      googleCalendarService.getBusyTimes(resource.calendar.owner, resource.calendar.id, from, to, resource.timezone)
+    ]);
+
+    return [
+      ...busy,
+      ...holds,
+      ...googleBusy.map(interval => ({ start: interval.start, end: interval.end, source: 'google' }))
+    ].filter(interval => new Date(interval.end) > from);
+  }
+
+  /**
+   * Free slots and busy times between two dates (inclusive, resource timezone)
+   * @returns {Object} - { slots, busy }
+   */
+  async getAvailability(resource, { startDate, endDate, now = new Date(), maxSlots, before, leadId } = {}) {
+    const from = zonedTimeToUtc(startDate, '00:00', resource.timezone);
+    const to = zonedTimeToUtc(addDaysToDateString(endDate, 1), '00:00', resource.timezone);
+
+    const [busy, holidays] = await Promise.all([
+      this.getBusyTimes(resource, from, to, { leadId }),
+      holidayService.getOwnerHolidays(resource.ownerId)
+    ]);
+
+    return {
+      slots: this.generateSlots(resource, { startDate, endDate, busy, holidays, now, maxSlots, before }),
+      busy
+    };
+  }
+
+  /**
+   * Free slots and busy times between two instants (dashboard calendar)
+   */
+  async getAvailabilityBetween(resource, start, end, { now = new Date() } = {}) {
+    const { slots, busy } = await this.getAvailability(resource, {
+      startDate: getDateStringInTimezone(start, resource.timezone),
+      endDate: getDateStringInTimezone(end, resource.timezone),
+      now
+    });
+
+    return {
+      slots: slots.filter(slot => slot.start >= start && slot.end <= end),
+      busy: busy.filter(interval => new Date(interval.start) < end && new Date(interval.end) > start)
+    };
+  }
+
+  /**
+   * API shape of a slot
+   */
+  serializeSlot(resource, slot) {
+    return {
+      start: slot.start.toISOString(),
+      end: slot.end.toISOString(),
+      duration: resource.duration,
+      date: slot.date,
+      time: slot.time,
+      timeSlot: slot.timeSlot
+    };
+  }
+
+  async getSlotsForDate(resource, dateString, { now = new Date(), leadId } = {}) {
+    const { slots } = await this.getAvailability(resource, { startDate: dateString, endDate: dateString, now, leadId });
+    return slots;
+  }
+
+  /**
+   * First free slots from the date of `from`, up to the booking horizon
+   * @param {Object} options - { from, maxSlots, days, before, now, leadId }
+   */
+  async findSlots(resource, { from = new Date(), maxSlots = 5, days = resource.rules.horizon_days, before = null, now = new Date(), leadId } = {}) {
+    const startDate = getDateStringInTimezone(from, resource.timezone);
+    let endDate = addDaysToDateString(startDate, days - 1);
+
+    if (before) {
+      const lastDate = getDateStringInTimezone(new Date(before), resource.timezone);
+      if (lastDate < startDate) return [];
+      if (lastDate < endDate) endDate = lastDate;
+    }
+
+    const { slots } = await this.getAvailability(resource, { startDate, endDate, now, maxSlots, before, leadId });
+    return slots;
+  }
+
+  /**
+   * Whether an exact time can be booked; the booking paths call this before inserting.
+   * Pass the booking lead's id so the slot they were offered and hold isn't a conflict,
+   * and excludeAppointmentId when moving an appointment so it doesn't conflict with itself.
+   * @returns {Object|null} - { reason, message } or null when the time is free. Reasons:
+   *   too_soon, too_far, holiday, outside_working_hours, off_grid, day_full, conflict
+   */
+  async checkSlot(resource, start, end, { now = new Date(), leadId, excludeAppointmentId } = {}) {
+    const { rules } = resource;
+    const dateString = getDateStringInTimezone(start, resource.timezone);
+
+    if (start.getTime() < now.getTime() + rules.min_notice_minutes * 60 * 1000) {
+      return { reason: 'too_soon', message: `Appointments need at least ${rules.min_notice_minutes} minutes notice` };
+    }
+
+    if (dateString > this.getHorizonDate(resource, now)) {
+      return { reason: 'too_far', message: `Appointments can be booked up to ${rules.horizon_days} days ahead` };
+    }
+
+    // The whole day is loaded for the daily cap
+    const [busy, holidays] = await Promise.all([
+      this.getBusyTimes(
+        resource,
+        zonedTimeToUtc(dateString, '00:00', resource.timezone),
+        zonedTimeToUtc(addDaysToDateString(dateString, 1), '00:00', resource.timezone),
+        { leadId, excludeAppointmentId }
+      ),
+      holidayService.getOwnerHolidays(resource.ownerId)
+    ]);
+
+    const { windows, reason, holiday } = this.getDaySchedule(resource, dateString, holidays);
+    const window = windows.find(candidate =>
+      start >= zonedTimeToUtc(dateString, candidate.start, resource.timezone) &&
+      end <= zonedTimeToUtc(dateString, candidate.end, resource.timezone)
+    );
+
+    if (!window) {
+      return reason === 'holiday'
+        ? { reason: 'holiday', message: `${dateString} is a holiday (${holiday.name})` }
+        : { reason: 'outside_working_hours', message: 'The requested time is outside working hours' };
+    }
+
+    // Only an explicitly configured interval restricts start times
+    if (rules.slot_interval_minutes) {
+      const offset = start.getTime() - zonedTimeToUtc(dateString, window.start, resource.timezone).getTime();
+      if (offset % (rules.slot_interval_minutes * 60 * 1000) !== 0) {
+        return { reason: 'off_grid', message: `Appointments start every ${rules.slot_interval_minutes} minutes from ${window.start}` };
+      }
+    }
+
+    if (rules.max_per_day && (this.countBookedPerDay(resource, busy)[dateString] || 0) >= rules.max_per_day) {
+      return { reason: 'day_full', message: `No more appointments can be booked on ${dateString}` };
+    }
+
+    const beforeMs = rules.buffer_before_minutes * 60 * 1000;
+    const afterMs = rules.buffer_after_minutes * 60 * 1000;
+    if (this.overlapsBusy(start.getTime() - beforeMs, end.getTime() + afterMs, this.toBusyIntervals(resource, busy))) {
+      return { reason: 'conflict', message: 'The requested time slot conflicts with existing appointments' };
+    }
+
+    return null;
+  }
+
+  async findNextSlot(resource, options = {}) {
+    const [slot] = await this.findSlots(resource, { ...options, maxSlots: 1 });
+    return slot || null;
+  }
+}
+
+export const availabilityService = new AvailabilityService();
@@ -0,0 +1,288 @@
+import crypto from 'crypto';
+import { supa } from '../lib/supabase.js';
+import { log } from '../config/logger.js';
+import { env } from '../config/env.js';
+import { resolveTimezone } from '../utils/timezone.js';
+
+// Past appointments kept in the feed, so today's and recently changed ones stay visible
+const FEED_LOOKBACK_DAYS = 7;
+const FEED_MAX_EVENTS = 1000;
+// Clients that honour it poll this often (Apple Calendar, Outlook)
+const REFRESH_INTERVAL = 'PT15M';
+const LAST_ACCESS_UPDATE_MS = 60 * 60 * 1000;
+
+/**
+ * Calendar Feed Service
+ * Tokenized, read-only iCalendar (RFC 5545) feeds of upcoming appointments,
+ * one per doctor and one per owner (every appointment of the owner), for
+ * professionals on Apple Calendar, Outlook or any client that subscribes to
+ * a URL. Events carry the patient's first name only. Each appointment keeps
+ * its UID, so a cancelled one is published as STATUS:CANCELLED and clients
+ * take it off instead of leaving a stale event.
+ */
+class CalendarFeedService {
+  generateToken() {
+    return crypto.randomBytes(24).toString('hex');
+  }
+
+  getFeedUrl(token) {
+    return `${env.APP_BASE_URL}/api/calendar-feed/${token}.ics`;
+  }
+
+  /**
+   * The owner's feed (doctorId null) or a doctor's feed, created on first use
+   */
+  async getFeed(ownerId, doctorId = null) {
+    let query = supa
+      .from('calendar_feeds')
+      .select('*')
+      .eq('owner_id', ownerId);
+
+    query = doctorId ? query.eq('doctor_id', doctorId) : query.is('doctor_id', null);
+
+    const { data: existing, error } = await query.maybeSingle();
+    if (error) throw new Error(error.message);
+    if (existing) return existing;
+
+    const { data: feed, error: insertError } = await supa
+      .from('calendar_feeds')
+      .insert({ owner_id: ownerId, doctor_id: doctorId, token: this.generateToken() })
+      .select()
+      .single();
+
+    if (insertError) throw new Error(insertError.message);
+
+    log.info('Calendar feed created:', { ownerId, doctorId });
+    return feed;
+  }
+
+  /**
+   * Replace the feed's token; the previous URL stops working
+   */
+  async regenerateToken(ownerId, doctorId = null) {
+    const feed = await this.getFeed(ownerId, doctorId);
+
+    const { data: updated, error } = await supa
+      .from('calendar_feeds')
+      .update({ token: this.generateToken(), last_accessed_at: null })
+      .eq('id', feed.id)
+      .select()
+      .single();
+
+    if (error) throw new Error(error.message);
+
+    log.info('Calendar feed token regenerated:', { ownerId, doctorId });
+    return updated;
+  }
+
+  serializeFeed(feed) {
+    return {
+      url: this.getFeedUrl(feed.token),
+      doctor_id: feed.doctor_id,
+      last_accessed_at: feed.last_accessed_at,
+      created_at: feed.created_at,
+      updated_at: feed.updated_at
+    };
+  }
+
+  /**
+   * iCalendar text for a feed token
+   * @returns {string|null} - null when no feed has this token
+   */
+  async renderFeed(token) {
+    const { data: feed } = await supa
+      .from('calendar_feeds')
+      .select('*')
+      .eq('token', token)
+      .maybeSingle();
+
+    if (!feed) return null;
+
+    const { data: owner } = await supa
+      .from('users')
+      .select('name, timezone')
+      .eq('id', feed.owner_id)
+      .single();
+
+    let doctor = null;
+    if (feed.doctor_id) {
+      const { data } = await supa
+        .from('doctors')
+        .select('id, name, timezone, office_address')
+        .eq('id', feed.doctor_id)
+        .single();
+      doctor = data;
+    }
+
+    let query = supa
+      .from('appointments')
+      .select('id, resource_type, resource_id, appointment_type, start_at, end_at, status, is_telemedicine, meeting_link, office_address, session_number, created_at, updated_at, leads(name), treatment_packages(sessions_total)')
+      .gte('start_at', new Date(Date.now() - FEED_LOOKBACK_DAYS * 24 * 60 * 60 * 1000).toISOString())
+      .not('start_at', 'is', null)
+      .order('start_at', { ascending: true })
+      .limit(FEED_MAX_EVENTS);
+
+    query = feed.doctor_id
+      ? query.eq('resource_type', 'doctor').eq('resource_id', feed.doctor_id)
+      : query.eq('owner_id', feed.owner_id);
+
+    const { data: appointments, error } = await query;
+    if (error) throw new Error(error.message);
+
+    const resourceNames = await this.getResourceNames(appointments || []);
+
+    // Touch at most hourly; clients poll every few minutes
+    if (!feed.last_accessed_at || Date.now() - new Date(feed.last_accessed_at).getTime() > LAST_ACCESS_UPDATE_MS) {
+      await supa.from('calendar_feeds').update({ last_accessed_at: new Date().toISOString() }).eq('id', feed.id);
+    }
+
+    return this.buildCalendar({
+      name: doctor ? `${doctor.name} - ${owner?.name || 'Agenda'}` : (owner?.name || 'Agenda'),
+      timezone: resolveTimezone(doctor?.timezone, owner?.timezone),
+      defaultLocation: doctor?.office_address || '',
+      appointments: appointments || [],
+      resourceNames,
+      showResource: !feed.doctor_id
+    });
+  }
+
+  /**
+   * Doctor and treatment names by id
+   */
+  async getResourceNames(appointments) {
+    const names = new Map();
+    const idsOf = type => [...new Set(appointments.filter(apt => apt.resource_type === type && apt.resource_id).map(apt => apt.resource_id))];
+
+    const doctorIds = idsOf('doctor');
+    if (doctorIds.length > 0) {
+      const { data: doctors } = await supa.from('doctors').select('id, name').in('id', doctorIds);
+      doctors?.forEach(doctor => names.set(doctor.id, doctor.name));
+    }
+
+    const treatmentIds = idsOf('treatment');
+    if (treatmentIds.length > 0) {
+      const { data: treatments } = await supa.from('treatments').select('id, treatment_name').in('id', treatmentIds);
+      treatments?.forEach(treatment => names.set(treatment.id, treatment.treatment_name));
+    }
+
+    return names;
+  }
+
+  /**
+   * VCALENDAR text (CRLF lines, folded at 75 octets)
+   * @param {Object} calendar - { name, timezone, defaultLocation, appointments, resourceNames, showResource }
+   */
+  buildCalendar({ name, timezone, defaultLocation = '', appointments = [], resourceNames = new Map(), showResource = false }) {
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Geniumed//Agenda//PT-BR',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${this.escapeText(name)}`,
+      `X-WR-TIMEZONE:${timezone}`,
+      `REFRESH-INTERVAL;VALUE=DURATION:${REFRESH_INTERVAL}`,
+      `X-PUBLISHED-TTL:${REFRESH_INTERVAL}`
+    ];
+
+    for (const appointment of appointments) {
+      lines.push(...this.buildEvent(appointment, { defaultLocation, resourceNames, showResource }));
+    }
+
+    lines.push('END:VCALENDAR');
+    return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+  }
+
+  buildEvent(appointment, { defaultLocation, resourceNames, showResource }) {
+    const firstName = String(appointment.leads?.name || '').trim().split(/\s+/)[0] || 'Paciente';
+    const resourceName = resourceNames.get(appointment.resource_id) || '';
+    const start = new Date(appointment.start_at);
+    const end = appointment.end_at ? new Date(appointment.end_at) : new Date(start.getTime() + 60 * 60 * 1000);
+    const cancelled = appointment.status === 'cancelled';
+
+    let kind = 'Consulta';
+    if (appointment.appointment_type === 'follow_up') {
+      kind = 'Retorno';
+    } else if (appointment.resource_type === 'treatment') {
+      kind = resourceName || 'Tratamento';
+    }
+    if (appointment.session_number && appointment.treatment_packages?.sessions_total) {
+      kind += ` (sessão ${appointment.session_number}/${appointment.treatment_packages.sessions_total})`;
+    }
+
+    const withResource = showResource && appointment.resource_type === 'doctor' && resourceName ? ` com ${resourceName}` : '';
+    const location = appointment.is_telemedicine && appointment.meeting_link
+      ? appointment.meeting_link
+      : (appointment.office_address || defaultLocation);
+
+    const description = [
+      `Paciente: ${firstName}`,
+      `${kind}${withResource}`,
+      appointment.is_telemedicine && appointment.meeting_link ? `Link: ${appointment.meeting_link}` : null,
+      cancelled ? 'Cancelado' : null
+    ].filter(Boolean).join('\n');
+
+    const modified = new Date(appointment.updated_at || appointment.created_at || start);
+
+    return [
+      'BEGIN:VEVENT',
+      `UID:${appointment.id}@geniumed`,
+      `DTSTAMP:${this.formatDateTime(modified)}`,
+      `LAST-MODIFIED:${this.formatDateTime(modified)}`,
+      // Bumped on cancellation so clients replace the event they already have
+      `SEQUENCE:${cancelled ? 1 : 0}`,
+      `DTSTART:${this.formatDateTime(start)}`,
+      `DTEND:${this.formatDateTime(end)}`,
+      `SUMMARY:${this.escapeText(`${cancelled ? 'Cancelado: ' : ''}${kind} - ${firstName}${withResource}`)}`,
+      `DESCRIPTION:${this.escapeText(description)}`,
+      ...(location ? [`LOCATION:${this.escapeText(location)}`] : []),
+      ...(appointment.is_telemedicine && appointment.meeting_link ? [`URL:${appointment.meeting_link}`] : []),
+      `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+      `TRANSP:${cancelled ? 'TRANSPARENT' : 'OPAQUE'}`,
+      'END:VEVENT'
+    ];
+  }
+
+  /**
+   * UTC date-time form, e.g. 20250115T130000Z
+   */
+  formatDateTime(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  /**
+   * TEXT value escaping (RFC 5545 3.3.11)
+   */
+  escapeText(text) {
+    return String(text || '')
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  /**
+   * Split lines longer than 75 octets, continuing with a space (RFC 5545 3.1)
+   */
+  foldLine(line) {
+    if (Buffer.byteLength(line, 'utf8') <= 75) return line;
+
+    const parts = [];
+    let current = '';
+    let limit = 75;
+
+    for (const char of line) {
+      if (Buffer.byteLength(current + char, 'utf8') > limit) {
+        parts.push(current);
+        current = '';
+        limit = 74; // continuation lines start with a space
+      }
+      current += char;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+  }
+}
+
+export const calendarFeedService = new CalendarFeedService();
@@ -0,0 +1,249 @@
+import { supa } from '../lib/supabase.js';
+import { log } from '../config/logger.js';
+import { holidayService } from './holidays.js';
+import { zonedTimeToUtc, getDateStringInTimezone, getDayOfWeekInTimezone, resolveTimezone, addDaysToDateString } from '../utils/timezone.js';
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const VOICEMAIL_ACTIONS = ['retry_soon', 'follow_schedule', 'switch_to_whatsapp'];
+const AFTER_MAX_ATTEMPTS_ACTIONS = ['whatsapp', 'stop'];
+const CACHE_TTL_MS = 60 * 1000;
+
+const businessDay = { enabled: true, timeSlots: [{ start: '08:00', end: '20:00' }] };
+
+// Matches the behaviour before policies were configurable
+export const DEFAULT_CALL_POLICY = {
+  timezone: 'America/Sao_Paulo',
+  calling_windows: {
+    sunday: { enabled: false, timeSlots: [] },
+    monday: businessDay,
+    tuesday: businessDay,
+    wednesday: businessDay,
+    thursday: businessDay,
+    friday: businessDay,
+    saturday: businessDay
+  },
+  max_attempts: 3,
+  // Wait before attempt 2, 3, ...; the last value repeats
+  retry_intervals_minutes: [120],
+  voicemail: { action: 'retry_soon', min_minutes: 15, max_minutes: 25 },
+  after_max_attempts: 'whatsapp'
+};
+
+/**
+ * Call Policy Service
+ * Per-owner calling windows, attempt cap, retry spacing and voicemail
+ * behaviour, used by the Retell webhook and the retry cron. National and
+ * owner holidays have no calling window. Windows are read in the lead's
+ * local time when the lead has a timezone, else in the policy timezone.
+ */
+class CallPolicyService {
+  constructor() {
+    this.cache = new Map();
+  }
+
+  /**
+   * Stored policy merged over the defaults
+   */
+  normalize(policy) {
+    if (!policy) return { ...DEFAULT_CALL_POLICY, is_default: true };
+
+    return {
+      ...DEFAULT_CALL_POLICY,
+      ...policy,
+      calling_windows: { ...DEFAULT_CALL_POLICY.calling_windows, ...(policy.calling_windows || {}) },
+      voicemail: { ...DEFAULT_CALL_POLICY.voicemail, ...(policy.voicemail || {}) },
+      is_default: false
+    };
+  }
+
+  /**
+   * @returns {string|null} - error message when the policy is invalid
+   */
+  validate(policy) {
+    if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+      return 'call_policy must be an object';
+    }
+
+    if (policy.timezone !== undefined) {
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: policy.timezone });
+      } catch {
+        return `Invalid timezone: ${policy.timezone}`;
+      }
+    }
+
+    if (policy.calling_windows !== undefined) {
+      for (const [day, schedule] of Object.entries(policy.calling_windows || {})) {
+        if (!DAY_NAMES.includes(day)) {
+          return `Invalid weekday in calling_windows: ${day}`;
+        }
+        for (const slot of schedule?.timeSlots || []) {
+          if (!/^\d{2}:\d{2}$/.test(slot.start || '') || !/^\d{2}:\d{2}$/.test(slot.end || '') || slot.start >= slot.end) {
+            return `Invalid calling window on ${day}: start and end must be HH:mm with start before end`;
+          }
+        }
+      }
+    }
+
+    if (policy.max_attempts !== undefined && (!Number.isInteger(policy.max_attempts) || policy.max_attempts < 1 || policy.max_attempts > 20)) {
+      return 'max_attempts must be a whole number between 1 and 20';
+    }
+
+    if (policy.retry_intervals_minutes !== undefined) {
+      const intervals = policy.retry_intervals_minutes;
+      if (!Array.isArray(intervals) || intervals.length === 0 || intervals.some(minutes => !Number.isInteger(minutes) || minutes < 1 || minutes > 10080)) {
+        return 'retry_intervals_minutes must be a list of minutes between 1 and 10080';
+      }
+    }
+
+    if (policy.voicemail !== undefined) {
+      const { action, min_minutes, max_minutes } = policy.voicemail || {};
+      if (action !== undefined && !VOICEMAIL_ACTIONS.includes(action)) {
+        return `voicemail.action must be one of: ${VOICEMAIL_ACTIONS.join(', ')}`;
+      }
+      const min = min_minutes ?? DEFAULT_CALL_POLICY.voicemail.min_minutes;
+      const max = max_minutes ?? DEFAULT_CALL_POLICY.voicemail.max_minutes;
+      if (!Number.isInteger(min) || !Number.isInteger(max) || min < 1 || max < min) {
+        return 'voicemail.min_minutes and max_minutes must be whole minutes with min <= max';
+      }
+    }
+
+    if (policy.after_max_attempts !== undefined && !AFTER_MAX_ATTEMPTS_ACTIONS.includes(policy.after_max_attempts)) {
+      return `after_max_attempts must be one of: ${AFTER_MAX_ATTEMPTS_ACTIONS.join(', ')}`;
+    }
+
+    return null;
+  }
+
+  async getPolicy(ownerId) {
+    if (!ownerId) return this.normalize(null);
+
+    const cached = this.cache.get(ownerId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.policy;
+    }
+
+    const { data: owner, error } = await supa
+      .from('users')
+      .select('call_policy')
+      .eq('id', ownerId)
+      .maybeSingle();
+
+    if (error) {
+      log.warn('Failed to load call policy, using defaults:', { ownerId, error: error.message });
+    }
+
+    const policy = {
+      ...this.normalize(owner?.call_policy),
+      holidays: await holidayService.getOwnerHolidays(ownerId)
+    };
+    this.cache.set(ownerId, { policy, expiresAt: Date.now() + CACHE_TTL_MS });
+    return policy;
+  }
+
+  invalidate(ownerId) {
+    this.cache.delete(ownerId);
+  }
+
+  /**
+   * Owner cap; the lead's own max_attempts only applies without a stored policy
+   */
+  getMaxAttempts(policy, lead = null) {
+    if (policy.is_default && lead?.max_attempts) return lead.max_attempts;
+    return policy.max_attempts;
+  }
+
+  /**
+   * Minutes to wait before making the given attempt (2 = first retry)
+   */
+  getRetryInterval(policy, attemptNo) {
+    const intervals = policy.retry_intervals_minutes;
+    return intervals[Math.min(Math.max(attemptNo - 2, 0), intervals.length - 1)];
+  }
+
+  /**
+   * Shortest allowed gap before the given attempt, as a safety net against
+   * double dialing (voicemail retries may come sooner than the schedule)
+   */
+  getMinimumGap(policy, attemptNo) {
+    const interval = this.getRetryInterval(policy, attemptNo);
+    return policy.voicemail.action === 'retry_soon'
+      ? Math.min(interval, policy.voicemail.min_minutes)
+      : interval;
+  }
+
+  /**
+   * Timezone calling windows are evaluated in for a lead
+   */
+  getCallingTimezone(policy, lead = null) {
+    return resolveTimezone(lead?.timezone, policy.timezone);
+  }
+
+  getWindowsForDate(policy, date, timezone = policy.timezone) {
+    const schedule = policy.calling_windows[DAY_NAMES[getDayOfWeekInTimezone(date, timezone)]];
+    if (!schedule?.enabled) return [];
+
+    const dateString = getDateStringInTimezone(date, timezone);
+    if (holidayService.getHoliday(dateString, policy.holidays)) return [];
+
+    return (schedule.timeSlots || []).map(slot => ({
+      start: zonedTimeToUtc(dateString, slot.start, timezone),
+      end: zonedTimeToUtc(dateString, slot.end, timezone)
+    }));
+  }
+
+  isWithinCallingWindow(policy, date = new Date(), timezone = policy.timezone) {
+    return this.getWindowsForDate(policy, date, timezone).some(window => date >= window.start && date < window.end);
+  }
+
+  /**
+   * First instant at or after `from` inside a calling window
+   * @returns {Date|null} - null when the policy has no windows
+   */
+  getNextWindowTime(policy, from = new Date(), timezone = policy.timezone) {
+    // Two weeks covers a closed weekday plus holiday runs like Carnaval
+    for (let day = 0; day < 15; day++) {
+      const probe = new Date(from.getTime() + day * 24 * 60 * 60 * 1000);
+      const windows = this.getWindowsForDate(policy, probe, timezone).sort((a, b) => a.start - b.start);
+
+      for (const window of windows) {
+        if (from < window.end) {
+          return from >= window.start ? new Date(from) : window.start;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Next retry instant for a failed call
+   * @param {Object} options - { attemptNo (the attempt to be made), inVoicemail, appointmentTime, timezone }
+   * @returns {Date|null} - null when no calling window is configured
+   */
+  computeNextRetry(policy, { attemptNo, inVoicemail = false, appointmentTime = null, timezone = policy.timezone } = {}) {
+    const now = new Date();
+    let delayMinutes = this.getRetryInterval(policy, attemptNo);
+
+    if (inVoicemail && policy.voicemail.action === 'retry_soon') {
+      const { min_minutes, max_minutes } = policy.voicemail;
+      delayMinutes = min_minutes + Math.floor(Math.random() * (max_minutes - min_minutes + 1));
+    }
+
+    let nextRetry = this.getNextWindowTime(policy, new Date(now.getTime() + delayMinutes * 60 * 1000), timezone);
+
+    // Don't call within 2 hours of the lead's upcoming appointment; try the next day instead
+    if (nextRetry && appointmentTime && Math.abs(appointmentTime.getTime() - nextRetry.getTime()) < 2 * 60 * 60 * 1000) {
+      const nextDay = zonedTimeToUtc(
+        addDaysToDateString(getDateStringInTimezone(nextRetry, timezone), 1),
+        '00:00',
+        timezone
+      );
+      nextRetry = this.getNextWindowTime(policy, nextDay, timezone);
+    }
+
+    return nextRetry;
+  }
+}
+
+export const callPolicyService = new CallPolicyService();
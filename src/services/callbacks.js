@@ -0,0 +1,147 @@
+import { supa } from '../lib/supabase.js';
+import { log } from '../config/logger.js';
+import { eventBus } from './events.js';
+import { callPolicyService } from './callPolicy.js';
+import { zonedTimeToUtc, formatInTimezone, DEFAULT_TIMEZONE } from '../utils/timezone.js';
+
+// Callbacks must leave the current call time to end
+const MIN_LEAD_TIME_MINUTES = 5;
+const MAX_DAYS_AHEAD = 30;
+
+/**
+ * Callback Service
+ * Schedules the call back a lead asked for ("me liga amanhã às 15h").
+ * The lead gets status 'callback_scheduled' and next_retry_at at the exact
+ * requested instant; the retry cron dials it without the usual retry gap.
+ */
+class CallbackService {
+  /**
+   * Parse the requested time in the lead's timezone
+   * @param {Object} args - { when_iso } or { date: 'YYYY-MM-DD', time: 'HH:mm' }
+   * @returns {Date|null}
+   */
+  parseRequestedTime({ when_iso, date, time } = {}, timezone = DEFAULT_TIMEZONE) {
+    if (when_iso) {
+      // An ISO string with offset is an exact instant; without one it's the lead's wall clock
+      if (/(Z|[+-]\d{2}:?\d{2})$/.test(when_iso)) {
+        const instant = new Date(when_iso);
+        return isNaN(instant.getTime()) ? null : instant;
+      }
+
+      const match = String(when_iso).match(/^(\d{4}-\d{2}-\d{2})[T ](\d{1,2}:\d{2})/);
+      return match ? zonedTimeToUtc(match[1], match[2], timezone) : null;
+    }
+
+    if (date && time && /^\d{4}-\d{2}-\d{2}$/.test(date) && /^\d{1,2}:\d{2}$/.test(time)) {
+      return zonedTimeToUtc(date, time, timezone);
+    }
+
+    return null;
+  }
+
+  formatForLead(date, timezone) {
+    return formatInTimezone(date, timezone, {
+      weekday: 'long',
+      day: '2-digit',
+      month: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  }
+
+  /**
+   * Check that the callback can be dialed at that time under the owner's call policy
+   * @param {string} timezone - the lead's timezone; calling windows are read in it
+   * @returns {Object|null} - { reason, message, suggested } when it can't
+   */
+  validate(callAt, policy, timezone = policy.timezone) {
+    const now = Date.now();
+
+    if (callAt.getTime() < now + MIN_LEAD_TIME_MINUTES * 60 * 1000) {
+      return { reason: 'in_past', message: 'Requested time is in the past or too soon' };
+    }
+
+    if (callAt.getTime() > now + MAX_DAYS_AHEAD * 24 * 60 * 60 * 1000) {
+      return { reason: 'too_far', message: `Callbacks can be scheduled up to ${MAX_DAYS_AHEAD} days ahead` };
+    }
+
+    if (!callPolicyService.isWithinCallingWindow(policy, callAt, timezone)) {
+      return {
+        reason: 'outside_business_hours',
+        message: 'Requested time is outside the clinic calling hours',
+        suggested: callPolicyService.getNextWindowTime(policy, callAt, timezone)
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Schedule the callback and record it on the current call attempt
+   * @param {Object} options - { leadId, callAt, reason, callId }
+   * @returns {Object} - the updated lead
+   */
+  async schedule({ leadId, callAt, reason, callId }) {
+    const { data: lead } = await supa
+      .from('leads')
+      .select('id, owner_id, status, agent_variables')
+      .eq('id', leadId)
+      .maybeSingle();
+
+    if (!lead) {
+      throw new Error('Lead not found');
+    }
+
+    const callback = {
+      callback_at: callAt.toISOString(),
+      callback_reason: reason || null,
+      requested_at: new Date().toISOString()
+    };
+
+    const { data: updatedLead, error } = await supa
+      .from('leads')
+      .update({
+        status: 'callback_scheduled',
+        preferred_channel: 'call',
+        next_retry_at: callAt.toISOString(),
+        agent_variables: {
+          ...(lead.agent_variables || {}),
+          callback_at: callback.callback_at,
+          callback_reason: callback.callback_reason || ''
+        },
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', lead.id)
+      .select('*')
+      .single();
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    if (callId) {
+      const { data: attempt } = await supa
+        .from('call_attempts')
+        .select('id, meta')
+        .eq('retell_call_id', callId)
+        .maybeSingle();
+
+      if (attempt) {
+        await supa
+          .from('call_attempts')
+          .update({
+            disposition: 'callback',
+            meta: { ...(attempt.meta || {}), callback }
+          })
+          .eq('id', attempt.id);
+      }
+    }
+
+    eventBus.publishLeadStatus(lead.owner_id, lead.id, 'callback_scheduled', lead.status);
+
+    log.info('Callback scheduled:', { leadId, callId, callAt: callback.callback_at, reason });
+    return updatedLead;
+  }
+}
+
+export const callbackService = new CallbackService();
@@ -0,0 +1,304 @@
+import { supa } from '../lib/supabase.js';
+import { log } from '../config/logger.js';
+import { retellCreateChat, retellEndChat } from '../lib/retell.js';
+import { whatsappBusinessService } from './whatsappBusiness.js';
+import { chatMessageService } from './chatMessages.js';
+
+// Phrases patients use to ask for a person instead of the assistant
+const HUMAN_REQUEST_PATTERNS = [
+  /\b(falar|conversar|atendimento)\s+(com\s+)?(um|uma|o|a|algum|alguma)?\s*(humano|humana|pessoa|atendente|secret[aá]ria|recep[cç][aã]o|algu[eé]m)\b/i,
+  /\batendente\s+humano\b/i,
+  /\b(voc[eê]|vc)\s+[eé]\s+(um\s+)?(rob[oô]|bot)\b/i,
+  /\bn[aã]o\s+quero\s+(falar\s+com\s+)?(rob[oô]|bot|m[aá]quina)\b/i,
+  /\b(talk|speak)\s+to\s+(a\s+)?(human|person|agent|someone)\b/i
+];
+
+/**
+ * Chat Handoff Service
+ * Moves WhatsApp chats between the Retell chat agent and a human operator
+ */
+class ChatHandoffService {
+  /**
+   * Whether an inbound message asks for a human
+   */
+  isHumanRequest(text) {
+    if (!text) return false;
+    return HUMAN_REQUEST_PATTERNS.some(pattern => pattern.test(text));
+  }
+
+  /**
+   * Load a chat owned by the given business owner
+   */
+  async getOwnerChat(ownerId, chatId) {
+    const { data: chat, error } = await supa
+      .from('whatsapp_chats')
+      .select('*')
+      .eq('id', chatId)
+      .eq('owner_id', ownerId)
+      .single();
+
+    if (error || !chat) {
+      throw new Error('Chat not found');
+    }
+
+    return chat;
+  }
+
+  /**
+   * Find the chat currently held by a human for a WhatsApp phone
+   */
+  async findHandoffChatByPhone(waPhone) {
+    const waPhoneWithoutPlus = waPhone.replace(/^\+/, '');
+    const { data: chat } = await supa
+      .from('whatsapp_chats')
+      .select('*')
+      .or(`wa_phone.eq.${waPhone},wa_phone.eq.${waPhoneWithoutPlus}`)
+      .eq('status', 'pending_handoff')
+      .order('updated_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    return chat || null;
+  }
+
+  /**
+   * Insert a system note in the chat timeline
+   */
+  async addSystemMessage(chat, body, payload = null) {
+    await chatMessageService.addMessage(chat.owner_id, chat.id, {
+      direction: 'outbound',
+      sender: 'system',
+      body,
+      payload,
+      message_type: 'text',
+      is_template: false
+    }, { publish: false });
+  }
+
+  /**
+   * Put a chat in pending_handoff, then stop the Retell chat.
+   * Used both by the owner (takeover) and by automatic escalation.
+   */
+  async startHandoff(chat, { reason, takenBy = null, notifyPatient = false }) {
+    try {
+      if (chat.status === 'pending_handoff') {
+        return chat;
+      }
+
+      const now = new Date().toISOString();
+
+      const { data: updatedChat, error } = await supa
+        .from('whatsapp_chats')
+        .update({
+          status: 'pending_handoff',
+          handoff_reason: reason,
+          handoff_at: now,
+          handoff_by: takenBy,
+          metadata: {
+            ...(chat.metadata || {}),
+            previous_status: chat.status,
+            ended_retell_chat_id: chat.retell_chat_id || null
+          },
+          updated_at: now
+        })
+        .eq('id', chat.id)
+        .select('*')
+        .single();
+
+      if (error) {
+        throw new Error(error.message);
+      }
+
+      // Ended only once the chat is marked, so inbound messages never reach an ended AI chat
+      if (chat.retell_chat_id) {
+        try {
+          await retellEndChat(chat.retell_chat_id);
+        } catch (endError) {
+          // The Retell chat may already be ended; the handoff stands either way
+          log.warn('Failed to end Retell chat on handoff:', { chatId: chat.id, error: endError.message });
+        }
+      }
+
+      await this.addSystemMessage(
+        chat,
+        takenBy ? 'Conversa assumida por um atendente' : `Conversa transferida para atendimento humano (${reason})`,
+        { event: 'handoff_started', reason, taken_by: takenBy }
+      );
+
+      if (notifyPatient) {
+        try {
+          await whatsappBusinessService.sendTextMessage(
+            chat.owner_id,
+            chat.wa_phone,
+            'Certo! Vou transferir você para um de nossos atendentes. Em breve alguém da equipe continua a conversa por aqui. 😊'
+          );
+        } catch (notifyError) {
+          log.warn('Failed to notify patient about handoff:', notifyError.message);
+        }
+      }
+
+      log.info('Chat handed off to human:', { chatId: chat.id, reason, takenBy });
+
+      return updatedChat;
+    } catch (error) {
+      log.error('Error starting chat handoff:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Owner takes over a chat from the dashboard
+   */
+  async takeOver(ownerId, chatId, { userId, reason = 'owner_takeover' } = {}) {
+    const chat = await this.getOwnerChat(ownerId, chatId);
+    return this.startHandoff(chat, { reason, takenBy: userId });
+  }
+
+  /**
+   * Automatic escalation (patient asked for a human, or the agent requested it)
+   */
+  async escalate(chat, reason) {
+    return this.startHandoff(chat, { reason, notifyPatient: true });
+  }
+
+  /**
+   * Send a message typed by a human operator
+   */
+  async sendManualMessage(ownerId, chatId, text, { userId } = {}) {
+    try {
+      const chat = await this.getOwnerChat(ownerId, chatId);
+
+      if (chat.status !== 'pending_handoff') {
+        throw new Error('Chat must be taken over before sending manual messages');
+      }
+
+      const sendResult = await whatsappBusinessService.sendTextMessage(ownerId, chat.wa_phone, text);
+
+      const message = await chatMessageService.addMessage(ownerId, chat.id, {
+        direction: 'outbound',
+        sender: 'human',
+        wa_message_id: sendResult?.messageId || null,
+        body: text,
+        payload: { sent_by: userId || null },
+        message_type: 'text',
+        is_template: false
+      });
+
+      if (!message) {
+        throw new Error('Failed to store manual message');
+      }
+
+      return message;
+    } catch (error) {
+      log.error('Error sending manual WhatsApp message:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Format the chat transcript for the agent's previous_chat_history variable
+   */
+  async buildTranscript(chatId, limit = 30) {
+    const { data: messages } = await supa
+      .from('whatsapp_messages')
+      .select('body, sender, created_at')
+      .eq('chat_id', chatId)
+      .neq('sender', 'system')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (!messages || messages.length === 0) return '';
+
+    const labels = { user: 'Cliente', agent: 'Assistente', human: 'Atendente' };
+    const formatted = messages
+      .reverse()
+      .map(msg => `${labels[msg.sender] || 'Assistente'}: ${msg.body}`)
+      .join('\n');
+
+    return `Histórico da conversa anterior (inclui atendimento humano):\n${formatted}`;
+  }
+
+  /**
+   * Return the chat to the AI agent with the transcript as context
+   */
+  async handBack(ownerId, chatId, { userId } = {}) {
+    try {
+      const chat = await this.getOwnerChat(ownerId, chatId);
+
+      if (chat.status !== 'pending_handoff') {
+        throw new Error('Chat is not in human handoff');
+      }
+
+      const previousChatHistory = await this.buildTranscript(chat.id);
+
+      let lead = null;
+      if (chat.lead_id) {
+        const { data } = await supa.from('leads').select('id, name, agent_variables').eq('id', chat.lead_id).single();
+        lead = data;
+      }
+
+      const chatVariables = {
+        ...(lead?.agent_variables || {}),
+        ...(chat.agent_variables || {}),
+        chat_type: 'followup',
+        name: String(lead?.name || chat.agent_variables?.name || 'Cliente'),
+        lead_id: String(lead?.id || ''),
+        previous_chat_history: previousChatHistory
+      };
+
+      Object.keys(chatVariables).forEach(key => {
+        if (chatVariables[key] === null || chatVariables[key] === undefined) {
+          delete chatVariables[key];
+        } else {
+          chatVariables[key] = String(chatVariables[key]);
+        }
+      });
+
+      const retellChat = await retellCreateChat({
+        agent_id: chat.agent_id,
+        retell_llm_dynamic_variables: chatVariables,
+        metadata: {
+          lead_id: lead?.id || null,
+          owner_id: ownerId,
+          chat_type: 'followup',
+          wa_phone: chat.wa_phone,
+          handed_back_from_human: true
+        }
+      });
+
+      const now = new Date().toISOString();
+
+      const { data: updatedChat, error } = await supa
+        .from('whatsapp_chats')
+        .update({
+          status: 'open',
+          retell_chat_id: retellChat.chat_id,
+          agent_variables: { ...(chat.agent_variables || {}), previous_chat_history: previousChatHistory },
+          metadata: { ...(chat.metadata || {}), chat_type: 'followup', handed_back_at: now },
+          updated_at: now
+        })
+        .eq('id', chat.id)
+        .select('*')
+        .single();
+
+      if (error) {
+        throw new Error(error.message);
+      }
+
+      await this.addSystemMessage(chat, 'Conversa devolvida ao assistente virtual', {
+        event: 'handoff_ended',
+        handed_back_by: userId || null,
+        retell_chat_id: retellChat.chat_id
+      });
+
+      log.info('Chat handed back to AI agent:', { chatId: chat.id, retellChatId: retellChat.chat_id });
+
+      return updatedChat;
+    } catch (error) {
+      log.error('Error handing chat back to agent:', error);
+      throw error;
+    }
+  }
+}
+
+export const chatHandoffService = new ChatHandoffService();
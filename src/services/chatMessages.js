@@ -0,0 +1,54 @@
+import { supa } from '../lib/supabase.js';
+import { log } from '../config/logger.js';
+import { eventBus } from './events.js';
+
+/**
+ * Chat Message Service
+ * Stores messages in a WhatsApp chat's timeline. Each stored message moves
+ * the chat's last_message_at, which orders the inbox and tells it which
+ * chats have unread messages (inbound after owner_last_read_at).
+ */
+class ChatMessageService {
+  /**
+   * Mark a chat as having activity at `at`
+   */
+  async touchChat(chatId, at = new Date().toISOString()) {
+    const { error } = await supa
+      .from('whatsapp_chats')
+      .update({ last_message_at: at })
+      .eq('id', chatId);
+
+    if (error) {
+      log.warn('Failed to update chat last_message_at:', { chatId, error: error.message });
+    }
+  }
+
+  /**
+   * Insert a message in a chat, touch the chat and publish the message event
+   * @param {Object} message - whatsapp_messages fields except chat_id
+   * @param {Object} options - { publish } - system notes are not published
+   * @returns {Object|null} - the stored row, or null when it could not be stored
+   */
+  async addMessage(ownerId, chatId, message, { publish = true } = {}) {
+    const { data: stored, error } = await supa
+      .from('whatsapp_messages')
+      .insert({ ...message, chat_id: chatId })
+      .select('*')
+      .single();
+
+    if (error) {
+      log.warn('Failed to store chat message:', { chatId, waMessageId: message.wa_message_id || null, error: error.message });
+      return null;
+    }
+
+    await this.touchChat(chatId, stored.created_at);
+
+    if (publish) {
+      eventBus.publishMessage(ownerId, chatId, stored);
+    }
+
+    return stored;
+  }
+}
+
+export const chatMessageService = new ChatMessageService();
@@ -0,0 +1,135 @@
+import { EventEmitter } from 'events';
+import { supa } from '../lib/supabase.js';
+import { log } from '../config/logger.js';
+
+export const EVENT_TYPES = [
+  'lead.created',
+  'lead.status_changed',
+  'call.started',
+  'call.ended',
+  'call.analyzed',
+  'message.received',
+  'message.sent',
+  'message.status_updated',
+  'chat.closed',
+  'appointment.booked',
+  'appointment.confirmed',
+  'appointment.rescheduled',
+  'appointment.cancelled',
+  'appointment.updated',
+  'appointment.attendance_pending',
+  'appointment.completed',
+  'appointment.no_show'
+];
+
+/**
+ * In-process event bus for per-owner events (SSE stream, outbound webhooks).
+ * The API runs as a single process (see ecosystem.config.cjs), so an
+ * EventEmitter is enough to fan events out to every listener.
+ * See EVENT_TYPES for the published event types.
+ */
+class EventBus {
+  constructor() {
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+    this.sequence = 0;
+  }
+
+  /**
+   * Listen to events of one owner
+   * @returns {Function} - unsubscribe
+   */
+  subscribe(ownerId, listener) {
+    const channel = `owner:${ownerId}`;
+    this.emitter.on(channel, listener);
+    return () => this.emitter.off(channel, listener);
+  }
+
+  /**
+   * Listen to events of every owner (listener receives (ownerId, event))
+   * @returns {Function} - unsubscribe
+   */
+  subscribeAll(listener) {
+    this.emitter.on('*', listener);
+    return () => this.emitter.off('*', listener);
+  }
+
+  /**
+   * Publish an event for an owner. Never throws: events are best effort and
+   * must not break the request that produced them.
+   */
+  publish(ownerId, type, data = {}) {
+    if (!ownerId || !type) return null;
+
+    const event = {
+      id: ++this.sequence,
+      type,
+      data,
+      created_at: new Date().toISOString()
+    };
+
+    try {
+      this.emitter.emit(`owner:${ownerId}`, event);
+      this.emitter.emit('*', ownerId, event);
+    } catch (error) {
+      log.warn('Event listener error:', { type, error: error.message });
+    }
+
+    return event;
+  }
+
+  /**
+   * Publish an event for the owner of a lead
+   */
+  async publishForLead(leadId, type, data = {}) {
+    try {
+      if (!leadId) return null;
+      const { data: lead } = await supa.from('leads').select('owner_id').eq('id', leadId).maybeSingle();
+      return this.publish(lead?.owner_id, type, { lead_id: leadId, ...data });
+    } catch (error) {
+      log.warn('Failed to publish lead event:', { type, leadId, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Publish lead.created for a newly inserted lead row
+   */
+  publishLeadCreated(lead) {
+    return this.publish(lead.owner_id, 'lead.created', {
+      lead_id: lead.id,
+      name: lead.name,
+      phone: lead.phone,
+      email: lead.email || null,
+      source: lead.source || null,
+      status: lead.status
+    });
+  }
+
+  /**
+   * Publish lead.status_changed when the status actually changed
+   */
+  publishLeadStatus(ownerId, leadId, status, previousStatus = null) {
+    if (!status || status === previousStatus) return null;
+    return this.publish(ownerId, 'lead.status_changed', {
+      lead_id: leadId,
+      status,
+      previous_status: previousStatus
+    });
+  }
+
+  /**
+   * Publish message.received / message.sent for a WhatsApp message row
+   */
+  publishMessage(ownerId, chatId, message) {
+    return this.publish(ownerId, message.direction === 'inbound' ? 'message.received' : 'message.sent', {
+      chat_id: chatId,
+      sender: message.sender,
+      message_type: message.message_type || 'text',
+      body: message.body,
+      wa_message_id: message.wa_message_id || null
+    });
+  }
+}
+
+export const eventBus = new EventBus();
@@ -838,219 +838,39 @@ class GoogleCalendarService {
   }
 
   /**
-   * Get available time slots for a doctor
+   * Busy intervals from a connected Google Calendar
+   * @param {string} calendarOwner - 'doctor' or 'owner' (beauty clinics use the owner's calendar)
+   * @returns {Array} - [{ start, end }]; empty when not connected or Google fails
    */
-  async getAvailableSlots(doctorId, startDate, endDate) {
-    try {
-      // Validate input parameters
-      if (!doctorId || !startDate || !endDate) {
-        throw new Error('Missing required parameters: doctorId, startDate, endDate');
-      }
-
-      // Validate date format
-      const start = new Date(startDate);
-      const end = new Date(endDate);
-      
-      if (isNaN(start.getTime()) || isNaN(end.getTime())) {
-        throw new Error('Invalid date format. Use ISO 8601 format');
-      }
-
-      if (start >= end) {
-        throw new Error('startDate must be before endDate');
-      }
-
-      const calendar = await this.getCalendarClient(doctorId);
-
-      const { data: doctor, error: doctorError } = await supa
-        .from('doctors')
-        .select('google_calendar_id, working_hours, date_specific_availability, consultation_duration, timezone')
-        .eq('id', doctorId)
-        .single();
-
-      if (doctorError) {
-        log.error('Database error fetching doctor:', doctorError);
-        throw new Error(`Database error: ${doctorError.message}`);
-      }
-
-      if (!doctor) {
-        throw new Error('Doctor not found');
-      }
-
-      if (!doctor.google_calendar_id) {
-        throw new Error('Google Calendar not connected for this doctor');
-      }
-
-      // Get busy times from Google Calendar
-      let busySlots = [];
-      if (doctor.google_calendar_id) {
-        try {
-          const response = await calendar.freebusy.query({
-            resource: {
-              timeMin: startDate,
-              timeMax: endDate,
-              timeZone: doctor.timezone || 'America/Sao_Paulo',
-              items: [{ id: doctor.google_calendar_id }]
-            }
-          });
-
-          busySlots = response.data.calendars[doctor.google_calendar_id]?.busy || [];
-        } catch (calendarError) {
-          log.warn(`Failed to get Google Calendar busy slots for doctor ${doctorId}:`, calendarError);
-          // Continue without Google Calendar data
-        }
-      }
-
-      // Process working hours and date-specific availability to generate available slots
-      const availableSlots = this.generateAvailableSlots(
-        startDate,
-        endDate,
-        doctor.working_hours || {},
-        doctor.date_specific_availability || [],
-        busySlots,
-        doctor.consultation_duration || 90,
-        doctor.timezone || 'America/Sao_Paulo'
-      );
-
-      log.info(`Generated ${availableSlots.length} available slots for doctor ${doctorId}`);
-
-      return {
-        availableSlots,
-        busySlots,
-        workingHours: doctor.working_hours,
-        dateSpecificAvailability: doctor.date_specific_availability || [],
-        consultationDuration: doctor.consultation_duration || 90,
-        timezone: doctor.timezone || 'America/Sao_Paulo'
-      };
-
-    } catch (error) {
-      log.error('Error getting available slots:', error);
-      throw error;
+  async getBusyTimes(calendarOwner, id, timeMin, timeMax, timezone = 'America/Sao_Paulo') {
+    const table = calendarOwner === 'owner' ? 'users' : 'doctors';
+    const { data: record } = await supa
+      .from(table)
+      .select('google_calendar_id, google_refresh_token')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (!record?.google_calendar_id || !record.google_refresh_token) {
+      return [];
     }
-  }
 
-  /**
-   * Generate available time slots based on working hours, date-specific availability, and busy slots
-   */
-  generateAvailableSlots(startDate, endDate, workingHours, dateSpecificAvailability, busySlots, consultationDuration, timezone) {
     try {
-      const availableSlots = [];
-      const start = new Date(startDate);
-      const end = new Date(endDate);
-      
-      // Validate inputs
-      if (!workingHours || typeof workingHours !== 'object') {
-        log.warn('Invalid working hours format, using empty object');
-        workingHours = {};
-      }
-
-      if (!Array.isArray(dateSpecificAvailability)) {
-        log.warn('Invalid date specific availability format, using empty array');
-        dateSpecificAvailability = [];
-      }
-
-      if (!Array.isArray(busySlots)) {
-        log.warn('Invalid busy slots format, using empty array');
-        busySlots = [];
-      }
-
-      if (!consultationDuration || consultationDuration <= 0) {
-        log.warn('Invalid consultation duration, using default 90 minutes');
-        consultationDuration = 90;
-      }
-    
-    // Convert busy slots to a more usable format
-    const busyTimes = busySlots.map(slot => ({
-      start: new Date(slot.start),
-      end: new Date(slot.end)
-    }));
-
-    // Create a map of date-specific availability for quick lookup
-    const dateSpecificMap = {};
-    dateSpecificAvailability.forEach(entry => {
-      const dateKey = entry.date.split('T')[0]; // Get YYYY-MM-DD part
-      dateSpecificMap[dateKey] = entry;
-    });
-
-    // Generate slots for each day in the range
-    for (let currentDate = new Date(start); currentDate <= end; currentDate.setDate(currentDate.getDate() + 1)) {
-      const dateKey = currentDate.toISOString().split('T')[0];
-      const dayName = currentDate.toLocaleDateString('en-US', { weekday: 'lowercase' });
-      
-      // Check if this date has specific availability rules
-      const dateSpecific = dateSpecificMap[dateKey];
-      
-      if (dateSpecific && dateSpecific.type === 'unavailable') {
-        // Skip this date entirely
-        continue;
-      }
-
-      // Get working hours for this day
-      let dayWorkingHours = [];
-      
-      if (dateSpecific && dateSpecific.type === 'modified_hours') {
-        // Use modified hours for this specific date
-        if (dateSpecific.start && dateSpecific.end) {
-          dayWorkingHours = [{
-            start: dateSpecific.start,
-            end: dateSpecific.end
-          }];
-        }
-      } else if (workingHours[dayName] && workingHours[dayName].enabled) {
-        // Use regular working hours for this day
-        dayWorkingHours = workingHours[dayName].timeSlots || [];
-      }
-
-      // Generate time slots for this day
-      dayWorkingHours.forEach(timeSlot => {
-        const slotStart = new Date(currentDate);
-        const slotEnd = new Date(currentDate);
-        
-        // Parse time strings (HH:MM format)
-        const [startHour, startMinute] = timeSlot.start.split(':').map(Number);
-        const [endHour, endMinute] = timeSlot.end.split(':').map(Number);
-        
-        slotStart.setHours(startHour, startMinute, 0, 0);
-        slotEnd.setHours(endHour, endMinute, 0, 0);
-
-        // Generate consultation slots within this time range
-        let currentSlotStart = new Date(slotStart);
-        
-        while (currentSlotStart < slotEnd) {
-          const currentSlotEnd = new Date(currentSlotStart.getTime() + consultationDuration * 60000);
-          
-          // Check if this slot would exceed the working hours
-          if (currentSlotEnd > slotEnd) {
-            break;
-          }
-
-          // Check if this slot conflicts with any busy times
-          const isBusy = busyTimes.some(busyTime => {
-            return (currentSlotStart < busyTime.end && currentSlotEnd > busyTime.start);
-          });
-
-          if (!isBusy) {
-            availableSlots.push({
-              start: currentSlotStart.toISOString(),
-              end: currentSlotEnd.toISOString(),
-              duration: consultationDuration,
-              date: dateKey,
-              timeSlot: {
-                start: timeSlot.start,
-                end: timeSlot.end
-              }
-            });
-          }
-
-          // Move to next slot (default 30-minute increments)
-          currentSlotStart.setMinutes(currentSlotStart.getMinutes() + 30);
+      const calendar = calendarOwner === 'owner'
+        ? await this.getCalendarClientForOwner(id)
+        : await this.getCalendarClient(id);
+
+      const response = await calendar.freebusy.query({
+        resource: {
+          timeMin: new Date(timeMin).toISOString(),
+          timeMax: new Date(timeMax).toISOString(),
+          timeZone: timezone,
+          items: [{ id: record.google_calendar_id }]
         }
       });
-    }
 
-    return availableSlots;
-    } catch (error) {
-      log.error('Error generating available slots:', error);
-      // Return empty array if slot generation fails
+      return response.data.calendars[record.google_calendar_id]?.busy || [];
+    } catch (calendarError) {
+      log.warn(`Failed to get Google Calendar busy slots for ${calendarOwner} ${id}:`, calendarError.message);
       return [];
     }
   }
@@ -0,0 +1,113 @@
+import { supa } from '../lib/supabase.js';
+import { log } from '../config/logger.js';
+import { getNationalHoliday, getNationalHolidays } from '../utils/holidays.js';
+import { getDateStringInTimezone } from '../utils/timezone.js';
+
+const CACHE_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * Holiday Service
+ * National holidays plus the state/city holidays each owner registers in
+ * owner_holidays. Used to block outbound calls and drop slots on those dates.
+ */
+class HolidayService {
+  constructor() {
+    this.cache = new Map();
+  }
+
+  async getOwnerHolidays(ownerId) {
+    if (!ownerId) return [];
+
+    const cached = this.cache.get(ownerId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.holidays;
+    }
+
+    const { data: holidays, error } = await supa
+      .from('owner_holidays')
+      .select('id, holiday_date, name, scope, recurring')
+      .eq('owner_id', ownerId)
+      .order('holiday_date', { ascending: true });
+
+    if (error) {
+      log.warn('Failed to load owner holidays:', { ownerId, error: error.message });
+      return [];
+    }
+
+    this.cache.set(ownerId, { holidays: holidays || [], expiresAt: Date.now() + CACHE_TTL_MS });
+    return holidays || [];
+  }
+
+  invalidate(ownerId) {
+    this.cache.delete(ownerId);
+  }
+
+  /**
+   * Owner whose holidays apply to a scheduling resource
+   */
+  async getOwnerIdForResource(resourceType, resourceId) {
+    if (!resourceId) return null;
+    if (resourceType === 'user') return resourceId;
+
+    const table = resourceType === 'treatment' ? 'treatments' : 'doctors';
+    const { data: resource } = await supa
+      .from(table)
+      .select('owner_id')
+      .eq('id', resourceId)
+      .maybeSingle();
+
+    return resource?.owner_id || null;
+  }
+
+  async getHolidaysForResource(resourceType, resourceId) {
+    const ownerId = await this.getOwnerIdForResource(resourceType, resourceId);
+    return this.getOwnerHolidays(ownerId);
+  }
+
+  /**
+   * Holiday on a date, national first
+   * @param {string} dateString - YYYY-MM-DD
+   * @param {Array} ownerHolidays - rows from getOwnerHolidays
+   * @returns {Object|null} - { date, name, scope }
+   */
+  getHoliday(dateString, ownerHolidays = []) {
+    const national = getNationalHoliday(dateString);
+    if (national) return national;
+
+    const owner = ownerHolidays.find(holiday =>
+      holiday.holiday_date === dateString ||
+      (holiday.recurring && holiday.holiday_date.slice(5) === dateString.slice(5))
+    );
+
+    return owner ? { date: dateString, name: owner.name, scope: owner.scope } : null;
+  }
+
+  /**
+   * Holiday at an instant, using the calendar date in the given timezone
+   */
+  getHolidayAt(date, ownerHolidays = [], timezone = 'America/Sao_Paulo') {
+    return this.getHoliday(getDateStringInTimezone(date, timezone), ownerHolidays);
+  }
+
+  /**
+   * Every holiday an owner observes in a year
+   * @returns {Array} - [{ date, name, scope, id? }] sorted by date
+   */
+  async listForYear(ownerId, year) {
+    const ownerHolidays = await this.getOwnerHolidays(ownerId);
+
+    const owned = ownerHolidays
+      .filter(holiday => holiday.recurring || holiday.holiday_date.startsWith(`${year}-`))
+      .map(holiday => ({
+        id: holiday.id,
+        date: holiday.recurring ? `${year}-${holiday.holiday_date.slice(5)}` : holiday.holiday_date,
+        name: holiday.name,
+        scope: holiday.scope,
+        recurring: holiday.recurring
+      }));
+
+    return [...getNationalHolidays(year), ...owned].sort((a, b) => a.date.localeCompare(b.date));
+  }
+}
+
+export const holidayService = new HolidayService();
@@ -0,0 +1,642 @@
+import { supa } from '../lib/supabase.js';
+import { log } from '../config/logger.js';
+import { agentManager } from './agentManager.js';
+import { whatsappBusinessService } from './whatsappBusiness.js';
+import { eventBus } from './events.js';
+import { callPolicyService } from './callPolicy.js';
+import { normalizePhoneNumber } from '../lib/retell.js';
+import { getDateStringInTimezone, getIsoStringNow } from '../utils/timezone.js';
+
+// Appointments without end_at are considered over this long after start_at
+const DEFAULT_DURATION_MINUTES = 60;
+// Grace period after the end before the owner is asked about attendance
+const ATTENDANCE_CHECK_DELAY_MINUTES = 15;
+// How long the WhatsApp message may go unanswered before the lead is called
+const WHATSAPP_REPLY_WAIT_HOURS = 24;
+// Window offered when the lead asks to reschedule (available_time flow)
+const RESCHEDULE_WINDOW_DAYS = 14;
+
+// Markers an owner can put in the Google Calendar event title
+const CALENDAR_NO_SHOW_PATTERN = /\b(faltou|no[\s-]?show|n[aã]o compareceu|ausente)\b/i;
+const CALENDAR_COMPLETED_PATTERN = /\b(compareceu|atendid[oa]|realizad[oa])\b/i;
+
+const REENGAGEMENT_STATUSES = ['no_show', 'no_show_whatsapp_sent'];
+
+/**
+ * No-Show Service
+ * Closes appointments after they end (attended / no-show) and re-engages
+ * no-shows: WhatsApp first, then a call, and finally back into the
+ * available_time flow once the lead asks to reschedule.
+ */
+class NoShowService {
+  constructor() {
+    this.processing = false;
+  }
+
+  getEndTime(appointment) {
+    if (appointment.end_at) return new Date(appointment.end_at);
+    return new Date(new Date(appointment.start_at).getTime() + DEFAULT_DURATION_MINUTES * 60 * 1000);
+  }
+
+  /**
+   * Mark an appointment as attended or no-show
+   * @param {string} outcome - 'completed' | 'no_show'
+   * @param {Object} options - { source: 'owner' | 'google_calendar', notes }
+   * @returns {Object} - the updated appointment
+   */
+  async markAttendance(ownerId, appointmentId, outcome, { source = 'owner', notes } = {}) {
+    if (!['completed', 'no_show'].includes(outcome)) {
+      throw new Error('Invalid attendance outcome');
+    }
+
+    const { data: appointment } = await supa
+      .from('appointments')
+      .select('*')
+      .eq('id', appointmentId)
+      .eq('owner_id', ownerId)
+      .maybeSingle();
+
+    if (!appointment) {
+      throw new Error('Appointment not found');
+    }
+
+    if (appointment.status === 'cancelled') {
+      throw new Error('Cancelled appointments cannot be marked');
+    }
+
+    if (new Date(appointment.start_at) > new Date()) {
+      throw new Error('Appointment has not started yet');
+    }
+
+    if (appointment.status === outcome) {
+      return appointment;
+    }
+
+    const update = {
+      status: outcome,
+      attendance_marked_at: new Date().toISOString(),
+      attendance_source: source,
+      updated_at: new Date().toISOString()
+    };
+    if (notes) {
+      update.notes = appointment.notes ? `${appointment.notes}\n${notes}` : notes;
+    }
+
+    const { data: updated, error } = await supa
+      .from('appointments')
+      .update(update)
+      .eq('id', appointment.id)
+      .select('*')
+      .single();
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    eventBus.publish(ownerId, `appointment.${outcome}`, {
+      appointment_id: appointment.id,
+      lead_id: appointment.lead_id,
+      start_at: appointment.start_at,
+      previous_status: appointment.status,
+      source
+    });
+
+    log.info('Appointment attendance marked:', { appointmentId, outcome, source });
+
+    if (outcome === 'no_show' && appointment.lead_id) {
+      await this.startReengagement(updated);
+    } else if (outcome === 'completed' && appointment.status === 'no_show' && appointment.lead_id) {
+      await this.stopReengagement(appointment.lead_id);
+    }
+
+    return updated;
+  }
+
+  /**
+   * Put the lead into the re-engagement sequence
+   */
+  async startReengagement(appointment) {
+    const { data: owner } = await supa
+      .from('users')
+      .select('no_show_reengagement_enabled, no_show_reengagement_delay_minutes')
+      .eq('id', appointment.owner_id)
+      .single();
+
+    const { data: lead } = await supa
+      .from('leads')
+      .select('id, owner_id, status, no_show_count, agent_variables')
+      .eq('id', appointment.lead_id)
+      .maybeSingle();
+
+    if (!lead) return null;
+
+    const leadUpdate = {
+      no_show_count: (lead.no_show_count || 0) + 1,
+      updated_at: new Date().toISOString()
+    };
+
+    if (owner?.no_show_reengagement_enabled !== false) {
+      const delayMinutes = owner?.no_show_reengagement_delay_minutes ?? 60;
+      Object.assign(leadUpdate, {
+        status: 'no_show',
+        next_retry_at: new Date(Date.now() + delayMinutes * 60 * 1000).toISOString(),
+        agent_variables: {
+          ...(lead.agent_variables || {}),
+          no_show_appointment_id: appointment.id,
+          no_show_date: getDateStringInTimezone(new Date(appointment.start_at), appointment.timezone || 'America/Sao_Paulo')
+        }
+      });
+    }
+
+    await supa
+      .from('leads')
+      .update(leadUpdate)
+      .eq('id', lead.id);
+
+    if (leadUpdate.status) {
+      eventBus.publishLeadStatus(lead.owner_id, lead.id, leadUpdate.status, lead.status);
+    }
+
+    return leadUpdate;
+  }
+
+  /**
+   * Take the lead out of the sequence (attendance corrected to completed)
+   */
+  async stopReengagement(leadId) {
+    const { data: lead } = await supa
+      .from('leads')
+      .select('id, owner_id, status')
+      .eq('id', leadId)
+      .maybeSingle();
+
+    if (!lead || !REENGAGEMENT_STATUSES.includes(lead.status)) return;
+
+    await supa
+      .from('leads')
+      .update({ status: 'appointment_scheduled', next_retry_at: null, updated_at: new Date().toISOString() })
+      .eq('id', lead.id);
+
+    eventBus.publishLeadStatus(lead.owner_id, lead.id, 'appointment_scheduled', lead.status);
+  }
+
+  /**
+   * Ask owners to mark attendance for appointments that ended, and apply
+   * Google Calendar markers seen by the calendar sync
+   * @returns {number} - appointments the owner was asked about
+   */
+  async requestAttendanceChecks() {
+    const cutoff = new Date(Date.now() - ATTENDANCE_CHECK_DELAY_MINUTES * 60 * 1000);
+
+    const { data: appointments, error } = await supa
+      .from('appointments')
+      .select('id, owner_id, lead_id, start_at, end_at, status, resource_type, resource_id, leads(name)')
+      .in('status', ['scheduled', 'confirmed'])
+      .is('attendance_check_sent_at', null)
+      .lte('start_at', cutoff.toISOString())
+      .order('start_at', { ascending: true })
+      .limit(200);
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    let requested = 0;
+    for (const appointment of appointments || []) {
+      if (this.getEndTime(appointment) > cutoff) continue;
+
+      await supa
+        .from('appointments')
+        .update({ attendance_check_sent_at: new Date().toISOString() })
+        .eq('id', appointment.id);
+
+      eventBus.publish(appointment.owner_id, 'appointment.attendance_pending', {
+        appointment_id: appointment.id,
+        lead_id: appointment.lead_id,
+        lead_name: appointment.leads?.name || null,
+        start_at: appointment.start_at,
+        end_at: appointment.end_at,
+        resource_type: appointment.resource_type,
+        resource_id: appointment.resource_id
+      });
+      requested++;
+    }
+
+    return requested;
+  }
+
+  /**
+   * Attendance marked by the owner in the Google Calendar event title
+   * (e.g. "[FALTOU] Consulta - Maria" or "Consulta - Maria (compareceu)")
+   * @returns {string|null} - 'no_show' | 'completed'
+   */
+  getCalendarAttendance(googleEvent) {
+    const summary = googleEvent?.summary || '';
+    if (CALENDAR_NO_SHOW_PATTERN.test(summary)) return 'no_show';
+    if (CALENDAR_COMPLETED_PATTERN.test(summary)) return 'completed';
+    return null;
+  }
+
+  /**
+   * Apply a calendar marker to an appointment that already ended
+   */
+  async applyCalendarSignal(appointment, googleEvent) {
+    if (!['scheduled', 'confirmed'].includes(appointment.status)) return null;
+    if (this.getEndTime(appointment) > new Date()) return null;
+
+    const outcome = this.getCalendarAttendance(googleEvent);
+    if (!outcome) return null;
+
+    return this.markAttendance(appointment.owner_id, appointment.id, outcome, { source: 'google_calendar' });
+  }
+
+  /**
+   * Advance leads in the re-engagement sequence:
+   * no_show -> WhatsApp template (or a call without WhatsApp)
+   * no_show_whatsapp_sent (no reply) -> call
+   * @returns {number} - leads processed
+   */
+  async processReengagement() {
+    if (this.processing) return 0;
+    this.processing = true;
+
+    try {
+      const { data: leads, error } = await supa
+        .from('leads')
+        .select('*')
+        .in('status', REENGAGEMENT_STATUSES)
+        .lte('next_retry_at', getIsoStringNow());
+
+      if (error) {
+        throw new Error(error.message);
+      }
+
+      let processed = 0;
+      for (const lead of leads || []) {
+        try {
+          // Only inside the owner's calling window, in the lead's own time
+          const policy = await callPolicyService.getPolicy(lead.owner_id);
+          if (!callPolicyService.isWithinCallingWindow(policy, new Date(), callPolicyService.getCallingTimezone(policy, lead))) {
+            continue;
+          }
+
+          if (lead.status === 'no_show' && await this.sendWhatsAppReengagement(lead)) {
+            processed++;
+            continue;
+          }
+          await this.callLead(lead);
+          processed++;
+        } catch (leadError) {
+          log.error('Error re-engaging no-show lead:', { leadId: lead.id, error: leadError.message });
+        }
+      }
+
+      return processed;
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Send the no_show_reengagement template
+   * @returns {boolean} - false when the owner has no WhatsApp Business connected
+   */
+  async sendWhatsAppReengagement(lead) {
+    const toPhone = lead.whatsapp || lead.phone;
+    const appointmentId = lead.agent_variables?.no_show_appointment_id;
+    if (!toPhone || !appointmentId) return false;
+
+    const { data: owner } = await supa
+      .from('users')
+      .select('name, whatsapp_connected')
+      .eq('id', lead.owner_id)
+      .single();
+
+    if (!owner?.whatsapp_connected) return false;
+
+    const { data: appointment } = await supa
+      .from('appointments')
+      .select('id, start_at, timezone, resource_type, resource_id, doctor_id')
+      .eq('id', appointmentId)
+      .maybeSingle();
+
+    if (!appointment) return false;
+
+    const resourceName = await this.getResourceName(appointment);
+    const firstName = String(lead.name || '').split(' ')[0] || 'Cliente';
+    const normalizedPhone = normalizePhoneNumber(toPhone);
+    const missedDate = new Date(appointment.start_at).toLocaleDateString('pt-BR', {
+      timeZone: appointment.timezone || 'America/Sao_Paulo',
+      day: '2-digit',
+      month: '2-digit'
+    });
+
+    const templateResult = await whatsappBusinessService.sendTemplateMessage(
+      lead.owner_id,
+      normalizedPhone,
+      'no_show_reengagement',
+      'pt_BR',
+      [
+        {
+          type: 'body',
+          parameters: [
+            { type: 'text', text: firstName },
+            { type: 'text', text: resourceName },
+            { type: 'text', text: missedDate }
+          ]
+        }
+      ]
+    );
+
+    await supa
+      .from('appointments')
+      .update({ reengagement_message_id: templateResult?.messageId || null })
+      .eq('id', appointment.id);
+
+    await this.logTemplateMessage(lead, normalizedPhone, templateResult?.messageId, `Template: no_show_reengagement - ${firstName}, ${resourceName}, ${missedDate}`);
+
+    await supa
+      .from('leads')
+      .update({
+        status: 'no_show_whatsapp_sent',
+        next_retry_at: new Date(Date.now() + WHATSAPP_REPLY_WAIT_HOURS * 60 * 60 * 1000).toISOString()
+      })
+      .eq('id', lead.id);
+
+    eventBus.publishLeadStatus(lead.owner_id, lead.id, 'no_show_whatsapp_sent', lead.status);
+
+    log.info('No-show re-engagement WhatsApp sent:', { leadId: lead.id, appointmentId: appointment.id });
+    return true;
+  }
+
+  /**
+   * Store the template on the owner's latest chat with the lead's phone (a
+   * new one when there is none) so it shows in the inbox
+   */
+  async logTemplateMessage(lead, normalizedPhone, waMessageId, body) {
+    let { data: chat } = await supa
+      .from('whatsapp_chats')
+      .select('id')
+      .eq('owner_id', lead.owner_id)
+      .eq('wa_phone', normalizedPhone)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (!chat) {
+      const insertChat = status => supa
+        .from('whatsapp_chats')
+        .insert({
+          owner_id: lead.owner_id,
+          lead_id: lead.id,
+          wa_phone: normalizedPhone,
+          status,
+          last_message_at: new Date().toISOString()
+        })
+        .select('id')
+        .single();
+
+      let { data: newChat, error } = await insertChat('pending_response');
+      // A phone has one active chat across owners; another clinic's may be open
+      if (error?.code === '23505') {
+        ({ data: newChat, error } = await insertChat('closed'));
+      }
+
+      if (error) {
+        log.error('Error creating chat for no-show template:', { leadId: lead.id, error: error.message });
+        return;
+      }
+      chat = newChat;
+    }
+
+    const { data: message } = await supa
+      .from('whatsapp_messages')
+      .insert({
+        chat_id: chat.id,
+        direction: 'outbound',
+        sender: 'system',
+        wa_message_id: waMessageId || null,
+        body,
+        message_type: 'template',
+        is_template: true,
+        payload: { template_name: 'no_show_reengagement' }
+      })
+      .select('*')
+      .single();
+
+    await supa
+      .from('whatsapp_chats')
+      .update({ lead_id: lead.id, last_message_at: new Date().toISOString() })
+      .eq('id', chat.id);
+
+    if (message) {
+      eventBus.publishMessage(lead.owner_id, chat.id, message);
+    }
+  }
+
+  /**
+   * Call the lead with the no-show context. Runs outside the retry cron so
+   * the lead's earlier booking attempts don't count against max_attempts.
+   */
+  async callLead(lead) {
+    if (!lead.assigned_agent_id) {
+      await supa
+        .from('leads')
+        .update({ status: 'no_show_unresponsive', next_retry_at: null })
+        .eq('id', lead.id);
+
+      eventBus.publishLeadStatus(lead.owner_id, lead.id, 'no_show_unresponsive', lead.status);
+      return;
+    }
+
+    const callResponse = await agentManager.makeOutboundCall({
+      ...lead,
+      agent_variables: { ...(lead.agent_variables || {}), call_reason: 'no_show_reengagement' }
+    });
+
+    const { data: attempts } = await supa
+      .from('call_attempts')
+      .select('attempt_no')
+      .eq('lead_id', lead.id)
+      .order('attempt_no', { ascending: false })
+      .limit(1);
+
+    const now = getIsoStringNow();
+    await supa.from('call_attempts').insert({
+      lead_id: lead.id,
+      agent_id: lead.assigned_agent_id,
+      resource_type: lead.assigned_resource_type,
+      resource_id: lead.assigned_resource_id,
+      owner_id: lead.owner_id,
+      direction: 'outbound',
+      attempt_no: (attempts?.[0]?.attempt_no || 0) + 1,
+      scheduled_at: now,
+      started_at: now,
+      retell_call_id: callResponse.call_id,
+      outcome: 'initiated',
+      meta: { reason: 'no_show_reengagement' }
+    });
+
+    await supa
+      .from('leads')
+      .update({ status: 'calling', next_retry_at: null })
+      .eq('id', lead.id);
+
+    eventBus.publishLeadStatus(lead.owner_id, lead.id, 'calling', lead.status);
+
+    log.info('No-show re-engagement call initiated:', { leadId: lead.id, callId: callResponse.call_id });
+  }
+
+  /**
+   * REMARCAR on the no_show_reengagement template: send the lead through
+   * the available_time flow, which offers real open slots
+   * @returns {boolean} - whether the button belonged to a re-engagement message
+   */
+  async handleReengagementButton(originalMessageId, phoneNumber) {
+    const { data: appointment } = await supa
+      .from('appointments')
+      .select('id, owner_id, lead_id, timezone')
+      .eq('reengagement_message_id', originalMessageId)
+      .maybeSingle();
+
+    if (!appointment) return false;
+
+    const { data: lead } = await supa
+      .from('leads')
+      .select('id, owner_id, status, agent_variables')
+      .eq('id', appointment.lead_id)
+      .maybeSingle();
+
+    if (!lead) return true;
+
+    const windowEnd = new Date(Date.now() + RESCHEDULE_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+    await supa
+      .from('leads')
+      .update({
+        status: 'available_time',
+        next_retry_at: getIsoStringNow(),
+        agent_variables: {
+          ...(lead.agent_variables || {}),
+          suggested_date: getDateStringInTimezone(windowEnd, appointment.timezone || 'America/Sao_Paulo')
+        }
+      })
+      .eq('id', lead.id);
+
+    eventBus.publishLeadStatus(lead.owner_id, lead.id, 'available_time', lead.status);
+
+    try {
+      await whatsappBusinessService.sendTextMessage(
+        appointment.owner_id,
+        phoneNumber,
+        'Perfeito! Já estamos buscando os próximos horários disponíveis e em instantes te enviamos as opções. 📅'
+      );
+    } catch (msgError) {
+      log.error('Error sending no-show reschedule acknowledgment:', msgError);
+    }
+
+    log.info('No-show lead asked to reschedule:', { leadId: lead.id, appointmentId: appointment.id });
+    return true;
+  }
+
+  async getResourceName(appointment) {
+    const resourceType = appointment.resource_type || 'doctor';
+    const resourceId = appointment.resource_id || appointment.doctor_id;
+
+    if (resourceType === 'doctor' && resourceId) {
+      const { data: doctor } = await supa.from('doctors').select('name').eq('id', resourceId).maybeSingle();
+      return doctor?.name || 'nossa equipe';
+    }
+    if (resourceType === 'treatment' && resourceId) {
+      const { data: treatment } = await supa.from('treatments').select('treatment_name').eq('id', resourceId).maybeSingle();
+      return treatment?.treatment_name || 'nossa equipe';
+    }
+    return 'nossa equipe';
+  }
+
+  /**
+   * No-show rates per doctor/treatment for appointments that started in the range
+   * @returns {Object} - { totals, by_resource: [...] }
+   */
+  async getAnalytics(ownerId, { from, to }) {
+    const { data: appointments, error } = await supa
+      .from('appointments')
+      .select('id, lead_id, status, start_at, attendance_marked_at, resource_type, resource_id, doctor_id')
+      .eq('owner_id', ownerId)
+      .gte('start_at', from.toISOString())
+      .lte('start_at', to.toISOString())
+      .neq('status', 'cancelled');
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    const now = new Date();
+    const past = (appointments || []).filter(appointment => new Date(appointment.start_at) <= now);
+    const emptyStats = () => ({ total: 0, completed: 0, no_show: 0, pending: 0, no_show_rate: 0 });
+
+    const totals = emptyStats();
+    const byResource = new Map();
+
+    for (const appointment of past) {
+      const resourceType = appointment.resource_type || 'doctor';
+      const resourceId = appointment.resource_id || appointment.doctor_id || null;
+      const key = `${resourceType}:${resourceId}`;
+      if (!byResource.has(key)) {
+        byResource.set(key, { resource_type: resourceType, resource_id: resourceId, ...emptyStats() });
+      }
+
+      const bucketStatus = ['completed', 'no_show'].includes(appointment.status) ? appointment.status : 'pending';
+      for (const stats of [totals, byResource.get(key)]) {
+        stats.total++;
+        stats[bucketStatus]++;
+      }
+    }
+
+    // Rate over appointments with a known outcome
+    const withRate = stats => {
+      const marked = stats.completed + stats.no_show;
+      return { ...stats, no_show_rate: marked > 0 ? Math.round((stats.no_show / marked) * 1000) / 10 : 0 };
+    };
+
+    // Re-engaged: no-shows whose lead booked again afterwards
+    const noShows = past.filter(appointment => appointment.status === 'no_show' && appointment.lead_id);
+    let reengaged = 0;
+    if (noShows.length > 0) {
+      const { data: rebooked } = await supa
+        .from('appointments')
+        .select('lead_id, created_at')
+        .eq('owner_id', ownerId)
+        .in('lead_id', [...new Set(noShows.map(appointment => appointment.lead_id))])
+        .neq('status', 'cancelled');
+
+      reengaged = noShows.filter(noShow => (rebooked || []).some(appointment =>
+        appointment.lead_id === noShow.lead_id
+        && new Date(appointment.created_at) > new Date(noShow.attendance_marked_at || noShow.start_at)
+      )).length;
+    }
+
+    const resources = [...byResource.values()];
+    const doctorIds = resources.filter(r => r.resource_type === 'doctor' && r.resource_id).map(r => r.resource_id);
+    const treatmentIds = resources.filter(r => r.resource_type === 'treatment' && r.resource_id).map(r => r.resource_id);
+    const names = new Map();
+
+    if (doctorIds.length > 0) {
+      const { data: doctors } = await supa.from('doctors').select('id, name').in('id', doctorIds);
+      (doctors || []).forEach(doctor => names.set(doctor.id, doctor.name));
+    }
+    if (treatmentIds.length > 0) {
+      const { data: treatments } = await supa.from('treatments').select('id, treatment_name').in('id', treatmentIds);
+      (treatments || []).forEach(treatment => names.set(treatment.id, treatment.treatment_name));
+    }
+
+    return {
+      totals: { ...withRate(totals), reengaged },
+      by_resource: resources
+        .map(stats => ({ ...withRate(stats), resource_name: names.get(stats.resource_id) || null }))
+        .sort((a, b) => b.no_show_rate - a.no_show_rate)
+    };
+  }
+}
+
+export const noShowService = new NoShowService();
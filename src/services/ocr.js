@@ -0,0 +1,120 @@
+import { log } from '../config/logger.js';
+import { env } from '../config/env.js';
+import { ProviderRegistry } from '../utils/providerRegistry.js';
+
+/**
+ * Parse a Brazilian formatted amount ("R$ 1.234,56", "252,00", "252.00")
+ */
+export function parseBrazilianAmount(text) {
+  if (!text) return null;
+
+  const match = String(text).match(/R\$\s*([\d.]+,\d{2})|([\d.]+,\d{2})\b|(\d+\.\d{2})\b/);
+  if (!match) return null;
+
+  if (match[3]) return Number(match[3]);
+
+  const raw = (match[1] || match[2]).replace(/\./g, '').replace(',', '.');
+  const amount = Number(raw);
+  return Number.isFinite(amount) ? amount : null;
+}
+
+/**
+ * Mindee expense receipt API provider
+ */
+class MindeeOcrProvider {
+  constructor(apiKey) {
+    this.name = 'mindee';
+    this.apiKey = apiKey;
+    this.endpoint = 'https://api.mindee.net/v1/products/mindee/expense_receipts/v5/predict';
+  }
+
+  async extract(buffer, { mimeType, fileName } = {}) {
+    const form = new FormData();
+    form.append('document', new Blob([buffer], { type: mimeType || 'application/octet-stream' }), fileName || 'receipt');
+
+    const response = await fetch(this.endpoint, {
+      method: 'POST',
+      headers: { 'Authorization': `Token ${this.apiKey}` },
+      body: form
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(`Mindee API error: ${data.api_request?.error?.message || response.status}`);
+    }
+
+    const prediction = data.document?.inference?.prediction || {};
+
+    return {
+      amount: prediction.total_amount?.value ?? null,
+      currency: prediction.locale?.currency || null,
+      date: prediction.date?.value || null,
+      confidence: prediction.total_amount?.confidence ?? null,
+      raw: prediction
+    };
+  }
+}
+
+/**
+ * Local provider used in development and tests.
+ * Reads an amount from text-based files (e.g. a .txt fixture with "R$ 252,00")
+ * and otherwise returns the configured amount.
+ */
+export class FakeOcrProvider {
+  constructor({ amount = null } = {}) {
+    this.name = 'fake';
+    this.amount = amount;
+  }
+
+  async extract(buffer, { mimeType } = {}) {
+    let amount = this.amount;
+
+    if (amount === null && buffer && (!mimeType || mimeType.startsWith('text/'))) {
+      amount = parseBrazilianAmount(buffer.toString('utf8'));
+    }
+
+    return {
+      amount,
+      currency: 'BRL',
+      date: null,
+      confidence: amount === null ? 0 : 1,
+      raw: { provider: 'fake', mimeType }
+    };
+  }
+}
+
+/**
+ * OCR Service
+ * Providers implement `extract(buffer, { mimeType, fileName })` and resolve
+ * to { amount, currency, date, confidence, raw }.
+ */
+class OcrService {
+  constructor() {
+    this.providers = new ProviderRegistry('OCR', env.OCR_PROVIDER || (env.MINDEE_API_KEY ? 'mindee' : 'fake'));
+
+    if (env.MINDEE_API_KEY) {
+      this.providers.register(new MindeeOcrProvider(env.MINDEE_API_KEY));
+    }
+    this.providers.register(new FakeOcrProvider({
+      amount: env.OCR_FAKE_AMOUNT ? Number(env.OCR_FAKE_AMOUNT) : null
+    }));
+  }
+
+  /**
+   * Extract the paid amount from a receipt image/PDF
+   */
+  async extractReceipt(buffer, options = {}) {
+    const provider = this.providers.get(options.provider);
+    try {
+      const result = await provider.extract(buffer, options);
+      log.info('Receipt OCR completed', { provider: provider.name, amount: result.amount });
+      return { provider: provider.name, ...result };
+    } catch (error) {
+      log.error(`OCR provider ${provider.name} failed:`, error);
+      throw error;
+    }
+  }
+}
+
+export const ocrService = new OcrService();
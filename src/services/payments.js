@@ -1 +1,842 @@
-export async function expectedAmountForLead(_leadId){ return 280; }
+import Stripe from 'stripe';
+import { supa } from '../lib/supabase.js';
+import { log } from '../config/logger.js';
+import { env } from '../config/env.js';
+import { buildPixPayload, sanitizePixTxid } from '../lib/pix.js';
+import { whatsappBusinessService } from './whatsappBusiness.js';
+import { ocrService } from './ocr.js';
+
+const RECEIPTS_BUCKET = 'payment-receipts';
+// Receipts within one cent of the expected amount are auto-verified
+const RECEIPT_AMOUNT_TOLERANCE = 0.01;
+
+class PaymentsService {
+  constructor() {
+    this.stripe = env.STRIPE_SECRET_KEY ? new Stripe(env.STRIPE_SECRET_KEY) : null;
+    this.currency = env.CURRENCY || 'brl';
+  }
+
+  /**
+   * Get the Stripe client, failing loudly when Stripe is not configured
+   */
+  getStripe() {
+    if (!this.stripe) {
+      throw new Error('Stripe is not configured (missing STRIPE_SECRET_KEY)');
+    }
+    return this.stripe;
+  }
+
+  /**
+   * Convert a decimal amount (e.g. 280.50) to Stripe minor units (28050)
+   */
+  toMinorUnits(amount) {
+    return Math.round(Number(amount) * 100);
+  }
+
+  /**
+   * Convert Stripe minor units back to a decimal amount
+   */
+  fromMinorUnits(amount) {
+    return Number(amount || 0) / 100;
+  }
+
+  /**
+   * Resolve the price of an appointment from its resource.
+   * Doctors use consultation_price; treatments use package_price when the
+   * package offer is requested (or is the treatment's offer type), otherwise
+   * single_session_price. Returns (appointment_type 'follow_up') use the
+   * price they were booked at. Falls back to appointments.price.
+   * Also returns the Pix discount configured on the resource.
+   */
+  async resolveAppointmentPrice(appointment, { offer } = {}) {
+    try {
+      let amount = null;
+      let description = 'Consulta';
+      let pixDiscountPercentage = 0;
+
+      if (appointment.resource_type === 'treatment' && appointment.resource_id) {
+        const { data: treatment } = await supa
+          .from('treatments')
+          .select('treatment_name, offer_type, single_session_price, package_price, package_sessions_count, pix_discount_percentage')
+          .eq('id', appointment.resource_id)
+          .single();
+
+        if (treatment) {
+          pixDiscountPercentage = treatment.pix_discount_percentage || 0;
+          const usePackage = offer
+            ? offer === 'package'
+            : treatment.offer_type === 'package';
+
+          if (usePackage && treatment.package_price) {
+            amount = Number(treatment.package_price);
+            description = treatment.package_sessions_count
+              ? `${treatment.treatment_name} - Pacote ${treatment.package_sessions_count} sessões`
+              : `${treatment.treatment_name} - Pacote`;
+          } else if (treatment.single_session_price) {
+            amount = Number(treatment.single_session_price);
+            description = `${treatment.treatment_name} - Sessão avulsa`;
+          } else {
+            description = treatment.treatment_name;
+          }
+        }
+      } else {
+        const doctorId = appointment.resource_id || appointment.doctor_id;
+        if (doctorId) {
+          const { data: doctor } = await supa
+            .from('doctors')
+            .select('name, consultation_price, discount_percentage_pix')
+            .eq('id', doctorId)
+            .single();
+
+          if (doctor) {
+            pixDiscountPercentage = doctor.discount_percentage_pix || 0;
+            if (appointment.appointment_type === 'follow_up' && appointment.price !== null && appointment.price !== undefined) {
+              // Returns are booked at the doctor's return price, 0 when free
+              amount = Number(appointment.price);
+              description = `Retorno - ${doctor.name}`;
+            } else {
+              if (doctor.consultation_price) {
+                amount = Number(doctor.consultation_price);
+              }
+              description = `Consulta - ${doctor.name}`;
+            }
+          }
+        }
+      }
+
+      if (!amount && appointment.price) {
+        amount = Number(appointment.price);
+      }
+
+      return { amount, description, pixDiscountPercentage };
+    } catch (error) {
+      log.error('Error resolving appointment price:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load an appointment owned by the given business owner
+   */
+  async getOwnerAppointment(ownerId, appointmentId) {
+    const { data: appointment, error } = await supa
+      .from('appointments')
+      .select('*, leads(id, name, email, phone)')
+      .eq('id', appointmentId)
+      .eq('owner_id', ownerId)
+      .single();
+
+    if (error || !appointment) {
+      throw new Error('Appointment not found');
+    }
+
+    return appointment;
+  }
+
+  /**
+   * Create a Stripe payment for an appointment.
+   * mode 'link' creates a hosted Checkout Session (URL to send to the lead),
+   * mode 'intent' creates a PaymentIntent (client_secret for an embedded form).
+   */
+  async createAppointmentPayment(ownerId, appointmentId, { mode = 'link', offer } = {}) {
+    try {
+      const stripe = this.getStripe();
+      const appointment = await this.getOwnerAppointment(ownerId, appointmentId);
+
+      if (appointment.payment_status === 'paid') {
+        throw new Error('Appointment is already paid');
+      }
+
+      const { amount, description } = await this.resolveAppointmentPrice(appointment, { offer });
+
+      if (!amount || amount <= 0) {
+        throw new Error('No price configured for this appointment');
+      }
+
+      const { data: payment, error: insertError } = await supa
+        .from('payments')
+        .insert({
+          owner_id: ownerId,
+          lead_id: appointment.lead_id,
+          appointment_id: appointment.id,
+          expected_amount: amount,
+          currency: this.currency.toUpperCase(),
+          payment_method: 'credit_card',
+          status: 'pending',
+          description
+        })
+        .select('*')
+        .single();
+
+      if (insertError) {
+        throw new Error(insertError.message);
+      }
+
+      const metadata = {
+        payment_id: payment.id,
+        appointment_id: appointment.id,
+        owner_id: ownerId,
+        lead_id: appointment.lead_id || ''
+      };
+
+      let update;
+      let clientSecret = null;
+
+      // The row is created first so Stripe metadata can carry its id; a failed
+      // Stripe call marks it failed instead of leaving a pending charge behind
+      try {
+        if (mode === 'intent') {
+          const intent = await stripe.paymentIntents.create({
+            amount: this.toMinorUnits(amount),
+            currency: this.currency,
+            description,
+            receipt_email: appointment.leads?.email || undefined,
+            metadata
+          });
+
+          clientSecret = intent.client_secret;
+          update = { stripe_payment_intent_id: intent.id };
+        } else {
+          const session = await stripe.checkout.sessions.create({
+            mode: 'payment',
+            line_items: [{
+              quantity: 1,
+              price_data: {
+                currency: this.currency,
+                unit_amount: this.toMinorUnits(amount),
+                product_data: { name: description }
+              }
+            }],
+            customer_email: appointment.leads?.email || undefined,
+            success_url: `${env.FRONTEND_URL}/payments/success?payment_id=${payment.id}`,
+            cancel_url: `${env.FRONTEND_URL}/payments/cancel?payment_id=${payment.id}`,
+            metadata,
+            payment_intent_data: { metadata }
+          });
+
+          update = {
+            stripe_checkout_session_id: session.id,
+            stripe_payment_intent_id: typeof session.payment_intent === 'string' ? session.payment_intent : null,
+            payment_link_url: session.url
+          };
+        }
+      } catch (stripeError) {
+        await supa.from('payments').update({ status: 'failed' }).eq('id', payment.id);
+        throw stripeError;
+      }
+
+      const { data: updatedPayment, error: updateError } = await supa
+        .from('payments')
+        .update(update)
+        .eq('id', payment.id)
+        .select('*')
+        .single();
+
+      if (updateError) {
+        throw new Error(updateError.message);
+      }
+
+      if (!appointment.price) {
+        await supa.from('appointments').update({ price: amount }).eq('id', appointment.id);
+      }
+
+      log.info('Stripe payment created:', { paymentId: payment.id, appointmentId, mode, amount });
+
+      return {
+        payment: updatedPayment,
+        url: updatedPayment.payment_link_url || null,
+        clientSecret
+      };
+    } catch (error) {
+      log.error('Error creating appointment payment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a Pix charge for an appointment.
+   * Applies the resource's Pix discount and stores the BR Code in payments.
+   * Reuses the pending Pix charge for the appointment when one already exists.
+   */
+  async createPixPayment(ownerId, appointmentId, { offer } = {}) {
+    try {
+      const appointment = await this.getOwnerAppointment(ownerId, appointmentId);
+
+      if (appointment.payment_status === 'paid') {
+        throw new Error('Appointment is already paid');
+      }
+
+      const { data: existing } = await supa
+        .from('payments')
+        .select('*')
+        .eq('appointment_id', appointment.id)
+        .eq('payment_method', 'pix')
+        .eq('status', 'pending')
+        .not('pix_payload', 'is', null)
+        .order('created_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+      if (existing && !offer) {
+        return { payment: existing, appointment, reused: true };
+      }
+
+      const { data: owner, error: ownerError } = await supa
+        .from('users')
+        .select('name, pix_key, pix_merchant_name, pix_merchant_city')
+        .eq('id', ownerId)
+        .single();
+
+      if (ownerError || !owner) {
+        throw new Error('Owner not found');
+      }
+
+      if (!owner.pix_key || !owner.pix_merchant_city) {
+        throw new Error('Pix is not configured for this account');
+      }
+
+      const { amount, description, pixDiscountPercentage } = await this.resolveAppointmentPrice(appointment, { offer });
+
+      if (!amount || amount <= 0) {
+        throw new Error('No price configured for this appointment');
+      }
+
+      const discount = Math.min(Math.max(Number(pixDiscountPercentage) || 0, 0), 100);
+      const pixAmount = Math.round(amount * (100 - discount)) / 100;
+
+      const { data: payment, error: insertError } = await supa
+        .from('payments')
+        .insert({
+          owner_id: ownerId,
+          lead_id: appointment.lead_id,
+          appointment_id: appointment.id,
+          base_amount: amount,
+          discount_percentage: discount,
+          expected_amount: pixAmount,
+          currency: 'BRL',
+          payment_method: 'pix',
+          status: 'pending',
+          description
+        })
+        .select('*')
+        .single();
+
+      if (insertError) {
+        throw new Error(insertError.message);
+      }
+
+      const txid = sanitizePixTxid(payment.id);
+      const pixPayload = buildPixPayload({
+        key: owner.pix_key,
+        merchantName: owner.pix_merchant_name || owner.name,
+        merchantCity: owner.pix_merchant_city,
+        amount: pixAmount,
+        txid
+      });
+
+      const { data: updatedPayment, error: updateError } = await supa
+        .from('payments')
+        .update({ pix_txid: txid, pix_payload: pixPayload })
+        .eq('id', payment.id)
+        .select('*')
+        .single();
+
+      if (updateError) {
+        throw new Error(updateError.message);
+      }
+
+      if (existing) {
+        await supa.from('payments').update({ status: 'failed' }).eq('id', existing.id);
+      }
+
+      log.info('Pix payment created:', { paymentId: payment.id, appointmentId, amount, discount, pixAmount });
+
+      return { payment: updatedPayment, appointment, reused: false };
+    } catch (error) {
+      log.error('Error creating Pix payment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send a Pix charge to the lead over WhatsApp.
+   * The BR Code goes in its own message so it can be copied in one tap.
+   */
+  async sendPixViaWhatsApp(ownerId, payment, phone) {
+    try {
+      const formatBRL = (value) => `R$ ${Number(value).toFixed(2).replace('.', ',')}`;
+
+      let summary = `Segue o Pix para pagamento de ${payment.description || 'seu atendimento'}: ${formatBRL(payment.expected_amount)}`;
+      if (payment.discount_percentage > 0 && payment.base_amount) {
+        summary += ` (${payment.discount_percentage}% de desconto sobre ${formatBRL(payment.base_amount)})`;
+      }
+      summary += '.\n\nCopie o código abaixo e cole na opção "Pix copia e cola" do app do seu banco.';
+
+      await whatsappBusinessService.sendTextMessage(ownerId, phone, summary);
+      const result = await whatsappBusinessService.sendTextMessage(ownerId, phone, payment.pix_payload);
+
+      log.info('Pix payment sent via WhatsApp:', { paymentId: payment.id, messageId: result.messageId });
+
+      return result;
+    } catch (error) {
+      log.error('Error sending Pix via WhatsApp:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * The Pix charge a lead's receipt should be attached to: the latest pending
+   * Pix payment of this owner's lead. Returns null when no charge is awaiting
+   * payment, so unrelated media is never taken as a receipt.
+   */
+  async findPendingPixPayment(ownerId, leadId) {
+    const { data: pending, error } = await supa
+      .from('payments')
+      .select('*')
+      .eq('owner_id', ownerId)
+      .eq('lead_id', leadId)
+      .eq('payment_method', 'pix')
+      .eq('status', 'pending')
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    return pending;
+  }
+
+  /**
+   * Store a receipt, read it with OCR and match it against the expected amount.
+   * Matching receipts mark the payment as paid; anything else is queued for
+   * owner review.
+   */
+  async processReceipt({ ownerId, leadId, buffer, mimeType, fileName, waMessageId }) {
+    try {
+      const payment = await this.findPendingPixPayment(ownerId, leadId);
+
+      if (!payment) {
+        log.info('No pending payment for receipt:', { ownerId, leadId });
+        return null;
+      }
+
+      const extension = (fileName && fileName.includes('.'))
+        ? fileName.split('.').pop()
+        : (mimeType?.split('/')[1] || 'bin');
+      const storagePath = `${ownerId}/${payment.id}/${Date.now()}.${extension}`;
+
+      const { error: uploadError } = await supa.storage
+        .from(RECEIPTS_BUCKET)
+        .upload(storagePath, buffer, { contentType: mimeType, upsert: false });
+
+      if (uploadError) {
+        throw new Error(`Failed to store receipt: ${uploadError.message}`);
+      }
+
+      let ocr = null;
+      let reviewReason = null;
+      try {
+        ocr = await ocrService.extractReceipt(buffer, { mimeType, fileName });
+      } catch (ocrError) {
+        reviewReason = 'ocr_failed';
+      }
+
+      const acceptedAmounts = [payment.expected_amount, payment.base_amount]
+        .filter(value => value !== null && value !== undefined)
+        .map(Number);
+
+      const ocrAmount = ocr?.amount ?? null;
+      const matched = ocrAmount !== null &&
+        acceptedAmounts.some(value => Math.abs(value - Number(ocrAmount)) <= RECEIPT_AMOUNT_TOLERANCE);
+
+      if (!matched && !reviewReason) {
+        reviewReason = ocrAmount === null ? 'amount_not_detected' : 'amount_mismatch';
+      }
+
+      const now = new Date().toISOString();
+
+      const { data: updatedPayment, error: updateError } = await supa
+        .from('payments')
+        .update({
+          receipt_storage_path: storagePath,
+          receipt_mime_type: mimeType,
+          receipt_wa_message_id: waMessageId || null,
+          ocr_provider: ocr?.provider || null,
+          ocr_amount: ocrAmount,
+          ocr_raw: ocr?.raw || null,
+          receipt_verified: matched,
+          verified_at: matched ? now : null,
+          review_status: matched ? 'not_required' : 'needs_review',
+          review_reason: reviewReason
+        })
+        .eq('id', payment.id)
+        .select('*')
+        .single();
+
+      if (updateError) {
+        throw new Error(updateError.message);
+      }
+
+      if (matched) {
+        await this.markPaid(updatedPayment, { paidAmount: Number(ocrAmount), paymentMethod: updatedPayment.payment_method || 'pix' });
+      }
+
+      log.info('Receipt processed:', { paymentId: payment.id, ocrAmount, expected: payment.expected_amount, matched, reviewReason });
+
+      return {
+        payment: { ...updatedPayment, status: matched ? 'paid' : updatedPayment.status },
+        matched,
+        ocrAmount,
+        expectedAmount: Number(payment.expected_amount),
+        reviewReason
+      };
+    } catch (error) {
+      log.error('Error processing receipt:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Owner decision on a receipt flagged for review
+   */
+  async reviewReceipt(ownerId, paymentId, { approved, reviewerId, paidAmount, reason }) {
+    try {
+      const { data: payment, error } = await supa
+        .from('payments')
+        .select('*')
+        .eq('id', paymentId)
+        .eq('owner_id', ownerId)
+        .single();
+
+      if (error || !payment) {
+        throw new Error('Payment not found');
+      }
+
+      if (payment.review_status !== 'needs_review') {
+        throw new Error('Payment is not awaiting review');
+      }
+
+      const now = new Date().toISOString();
+
+      await supa
+        .from('payments')
+        .update({
+          review_status: approved ? 'approved' : 'rejected',
+          review_reason: reason || payment.review_reason,
+          receipt_verified: !!approved,
+          verified_at: now,
+          verified_by: reviewerId
+        })
+        .eq('id', payment.id);
+
+      if (approved) {
+        await this.markPaid(payment, { paidAmount: paidAmount ?? payment.ocr_amount ?? payment.expected_amount });
+      }
+
+      log.info('Receipt reviewed:', { paymentId, approved, reviewerId });
+
+      const { data: updated } = await supa.from('payments').select('*').eq('id', payment.id).single();
+      return updated;
+    } catch (error) {
+      log.error('Error reviewing receipt:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Short-lived URL for viewing a stored receipt
+   */
+  async getReceiptUrl(ownerId, paymentId, expiresIn = 300) {
+    const { data: payment, error } = await supa
+      .from('payments')
+      .select('receipt_storage_path, receipt_url')
+      .eq('id', paymentId)
+      .eq('owner_id', ownerId)
+      .single();
+
+    if (error || !payment) {
+      throw new Error('Payment not found');
+    }
+
+    if (!payment.receipt_storage_path) {
+      return payment.receipt_url || null;
+    }
+
+    const { data, error: signError } = await supa.storage
+      .from(RECEIPTS_BUCKET)
+      .createSignedUrl(payment.receipt_storage_path, expiresIn);
+
+    if (signError) {
+      throw new Error(signError.message);
+    }
+
+    return data.signedUrl;
+  }
+
+  /**
+   * Verify and parse a Stripe webhook payload
+   */
+  constructWebhookEvent(rawBody, signature) {
+    if (!env.STRIPE_WEBHOOK_SECRET) {
+      throw new Error('Stripe webhook secret is not configured');
+    }
+    return this.getStripe().webhooks.constructEvent(rawBody, signature, env.STRIPE_WEBHOOK_SECRET);
+  }
+
+  /**
+   * Find the payment a Stripe object refers to (metadata first, then Stripe IDs)
+   */
+  async findPaymentForStripeObject({ paymentId, paymentIntentId, checkoutSessionId }) {
+    const lookups = [
+      paymentId && ['id', paymentId],
+      checkoutSessionId && ['stripe_checkout_session_id', checkoutSessionId],
+      paymentIntentId && ['stripe_payment_intent_id', paymentIntentId]
+    ].filter(Boolean);
+
+    for (const [column, value] of lookups) {
+      const { data } = await supa
+        .from('payments')
+        .select('*')
+        .eq(column, value)
+        .maybeSingle();
+
+      if (data) return data;
+    }
+
+    return null;
+  }
+
+  /**
+   * Mark a payment as paid and propagate to the appointment
+   */
+  async markPaid(payment, { paidAmount, paymentIntentId, chargeId, receiptUrl, paymentMethod }) {
+    const now = new Date().toISOString();
+
+    await supa
+      .from('payments')
+      .update({
+        status: 'paid',
+        paid_amount: paidAmount ?? payment.expected_amount,
+        stripe_payment_intent_id: paymentIntentId || payment.stripe_payment_intent_id,
+        stripe_charge_id: chargeId || payment.stripe_charge_id,
+        receipt_url: receiptUrl || payment.receipt_url,
+        payment_method: paymentMethod || payment.payment_method,
+        paid_at: now
+      })
+      .eq('id', payment.id);
+
+    if (payment.appointment_id) {
+      await supa
+        .from('appointments')
+        .update({ payment_status: 'paid', updated_at: now })
+        .eq('id', payment.appointment_id);
+    }
+
+    log.info('Payment marked as paid:', { paymentId: payment.id, appointmentId: payment.appointment_id });
+  }
+
+  /**
+   * Handle a verified Stripe webhook event
+   */
+  async handleStripeEvent(event) {
+    try {
+      const object = event.data?.object || {};
+
+      switch (event.type) {
+        case 'checkout.session.completed':
+        case 'checkout.session.async_payment_succeeded': {
+          if (object.payment_status !== 'paid') {
+            log.info('Checkout session completed without payment yet:', { sessionId: object.id });
+            return { handled: false };
+          }
+
+          const payment = await this.findPaymentForStripeObject({
+            paymentId: object.metadata?.payment_id,
+            checkoutSessionId: object.id,
+            paymentIntentId: object.payment_intent
+          });
+
+          if (!payment) {
+            log.warn('No payment found for checkout session:', object.id);
+            return { handled: false };
+          }
+
+          await this.markPaid(payment, {
+            paidAmount: this.fromMinorUnits(object.amount_total),
+            paymentIntentId: typeof object.payment_intent === 'string' ? object.payment_intent : null
+          });
+          return { handled: true, paymentId: payment.id };
+        }
+
+        case 'payment_intent.succeeded': {
+          const payment = await this.findPaymentForStripeObject({
+            paymentId: object.metadata?.payment_id,
+            paymentIntentId: object.id
+          });
+
+          if (!payment) {
+            log.warn('No payment found for payment intent:', object.id);
+            return { handled: false };
+          }
+
+          const charge = object.latest_charge && typeof object.latest_charge === 'object'
+            ? object.latest_charge
+            : null;
+
+          await this.markPaid(payment, {
+            paidAmount: this.fromMinorUnits(object.amount_received),
+            paymentIntentId: object.id,
+            chargeId: charge?.id || (typeof object.latest_charge === 'string' ? object.latest_charge : null),
+            receiptUrl: charge?.receipt_url,
+            paymentMethod: object.payment_method_types?.[0] === 'card' ? 'credit_card' : object.payment_method_types?.[0]
+          });
+          return { handled: true, paymentId: payment.id };
+        }
+
+        case 'payment_intent.payment_failed': {
+          const payment = await this.findPaymentForStripeObject({
+            paymentId: object.metadata?.payment_id,
+            paymentIntentId: object.id
+          });
+
+          if (!payment || payment.status === 'paid') {
+            return { handled: false };
+          }
+
+          await supa
+            .from('payments')
+            .update({ status: 'failed', stripe_payment_intent_id: object.id })
+            .eq('id', payment.id);
+
+          log.info('Payment marked as failed:', { paymentId: payment.id });
+          return { handled: true, paymentId: payment.id };
+        }
+
+        case 'charge.refunded': {
+          const payment = await this.findPaymentForStripeObject({
+            paymentId: object.metadata?.payment_id,
+            paymentIntentId: object.payment_intent
+          });
+
+          if (!payment) {
+            log.warn('No payment found for refunded charge:', object.id);
+            return { handled: false };
+          }
+
+          const now = new Date().toISOString();
+          const fullyRefunded = object.refunded === true || object.amount_refunded >= object.amount;
+
+          await supa
+            .from('payments')
+            .update({
+              status: fullyRefunded ? 'refunded' : payment.status,
+              refunded_amount: this.fromMinorUnits(object.amount_refunded),
+              stripe_charge_id: object.id,
+              refunded_at: now
+            })
+            .eq('id', payment.id);
+
+          if (fullyRefunded && payment.appointment_id) {
+            await supa
+              .from('appointments')
+              .update({ payment_status: 'refunded', updated_at: now })
+              .eq('id', payment.appointment_id);
+          }
+
+          log.info('Payment refund recorded:', { paymentId: payment.id, fullyRefunded });
+          return { handled: true, paymentId: payment.id };
+        }
+
+        default:
+          log.debug('Ignoring Stripe event:', event.type);
+          return { handled: false };
+      }
+    } catch (error) {
+      log.error('Error handling Stripe event:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List payments for a business owner
+   */
+  async listOwnerPayments(ownerId, { status, reviewStatus, appointmentId, leadId, limit = 50, offset = 0 } = {}) {
+    try {
+      let query = supa
+        .from('payments')
+        .select('*, leads(id, name, phone, email), appointments(id, start_at, resource_type, resource_id, status, payment_status)', { count: 'exact' })
+        .eq('owner_id', ownerId)
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (status) query = query.eq('status', status);
+      if (reviewStatus) query = query.eq('review_status', reviewStatus);
+      if (appointmentId) query = query.eq('appointment_id', appointmentId);
+      if (leadId) query = query.eq('lead_id', leadId);
+
+      const { data, error, count } = await query;
+
+      if (error) {
+        throw new Error(error.message);
+      }
+
+      return { payments: data || [], total: count || 0 };
+    } catch (error) {
+      log.error('Error listing payments:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Totals per status for a business owner
+   */
+  async getOwnerSummary(ownerId) {
+    try {
+      const { data, error } = await supa
+        .from('payments')
+        .select('status, expected_amount, paid_amount, refunded_amount')
+        .eq('owner_id', ownerId);
+
+      if (error) {
+        throw new Error(error.message);
+      }
+
+      const summary = { pending: 0, paid: 0, failed: 0, refunded: 0, total_received: 0, total_refunded: 0 };
+      (data || []).forEach(payment => {
+        summary[payment.status] = (summary[payment.status] || 0) + 1;
+        if (payment.status === 'paid' || payment.status === 'refunded') {
+          summary.total_received += Number(payment.paid_amount || 0);
+        }
+        summary.total_refunded += Number(payment.refunded_amount || 0);
+      });
+
+      return summary;
+    } catch (error) {
+      log.error('Error building payments summary:', error);
+      throw error;
+    }
+  }
+}
+
+export const paymentsService = new PaymentsService();
+
+/**
+ * Expected amount for the lead's most recent scheduled appointment
+ */
+export async function expectedAmountForLead(leadId) {
+  const { data: appointment } = await supa
+    .from('appointments')
+    .select('*')
+    .eq('lead_id', leadId)
+    .in('status', ['scheduled', 'confirmed'])
+    .order('start_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (!appointment) return null;
+
+  const { amount } = await paymentsService.resolveAppointmentPrice(appointment);
+  return amount;
+}
@@ -0,0 +1,249 @@
+import { supa } from '../lib/supabase.js';
+import { log } from '../config/logger.js';
+import { RDStationClient } from '../lib/rdstation.js';
+import { eventBus } from './events.js';
+
+// Retell disconnection reasons reported as the call disposition
+const DISPOSITION_BY_DISCONNECTION = {
+  voicemail_reached: 'caixa_postal',
+  dial_no_answer: 'nao_atendeu',
+  dial_busy: 'ocupado',
+  dial_failed: 'falha_discagem',
+  user_declined: 'recusou'
+};
+
+const DISPOSITION_BY_LEAD_STATUS = {
+  appointment_scheduled: 'agendado',
+  whatsapp_confirmation_sent: 'agendado',
+  qualified: 'qualificado',
+  available_time: 'quer_data_antecipada',
+  whatsapp_outreach: 'contato_whatsapp',
+  other: 'retornar_ligacao'
+};
+
+const APPOINTMENT_EVENTS = ['appointment.booked', 'appointment.rescheduled', 'appointment.cancelled'];
+
+/**
+ * RD Station Service
+ * Pushes call outcomes and appointments back to the owner's RD Station
+ * account as conversion events, custom fields and lifecycle stage.
+ */
+class RDStationService {
+  constructor() {
+    this.started = false;
+  }
+
+  /**
+   * Sync appointments as they are booked/rescheduled/cancelled
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    eventBus.subscribeAll((ownerId, event) => {
+      if (!APPOINTMENT_EVENTS.includes(event.type)) return;
+      this.syncAppointmentEvent(ownerId, event).catch(error => {
+        log.error('RD Station appointment sync error:', { ownerId, type: event.type, error: error.message });
+      });
+    });
+  }
+
+  async getIntegration(ownerId) {
+    const { data: integration } = await supa
+      .from('rd_station_integrations')
+      .select('*')
+      .eq('owner_id', ownerId)
+      .maybeSingle();
+
+    return integration || null;
+  }
+
+  /**
+   * Client for an integration row; refreshed OAuth tokens are persisted
+   */
+  clientFor(integration) {
+    return new RDStationClient({
+      apiKey: integration.api_key,
+      clientId: integration.client_id,
+      clientSecret: integration.client_secret,
+      refreshToken: integration.refresh_token,
+      accessToken: integration.access_token,
+      accessTokenExpiresAt: integration.access_token_expires_at,
+      onTokenRefresh: async ({ accessToken, refreshToken, accessTokenExpiresAt }) => {
+        await supa
+          .from('rd_station_integrations')
+          .update({
+            access_token: accessToken,
+            refresh_token: refreshToken,
+            access_token_expires_at: accessTokenExpiresAt.toISOString(),
+            updated_at: new Date().toISOString()
+          })
+          .eq('owner_id', integration.owner_id);
+      }
+    });
+  }
+
+  async recordResult(ownerId, error = null) {
+    await supa
+      .from('rd_station_integrations')
+      .update(error
+        ? { last_error: error.message, updated_at: new Date().toISOString() }
+        : { last_synced_at: new Date().toISOString(), last_error: null, updated_at: new Date().toISOString() })
+      .eq('owner_id', ownerId);
+  }
+
+  /**
+   * Contact fields shared by every conversion
+   */
+  contactFields(lead) {
+    const fields = {
+      email: lead.email,
+      name: lead.name || undefined,
+      mobile_phone: lead.whatsapp || lead.phone || undefined
+    };
+    if (lead.city) fields.city = lead.city;
+    return fields;
+  }
+
+  getDisposition({ status, disconnectionReason }) {
+    // A booking wins over how the call was disconnected
+    if (DISPOSITION_BY_LEAD_STATUS[status] === 'agendado') return 'agendado';
+    return DISPOSITION_BY_DISCONNECTION[disconnectionReason]
+      || DISPOSITION_BY_LEAD_STATUS[status]
+      || status
+      || 'atendida';
+  }
+
+  /**
+   * Load the integration and lead, skipping owners without an active
+   * integration and leads without email (RD identifies contacts by email)
+   */
+  async prepare(ownerId, leadId, settingKey) {
+    const integration = await this.getIntegration(ownerId);
+    if (!integration?.is_active || !integration[settingKey]) return null;
+    if (!integration.api_key && !integration.refresh_token) return null;
+
+    const { data: lead } = await supa
+      .from('leads')
+      .select('id, owner_id, name, email, phone, whatsapp, city, status')
+      .eq('id', leadId)
+      .maybeSingle();
+
+    if (!lead || lead.owner_id !== ownerId) return null;
+
+    if (!lead.email) {
+      log.info('RD Station sync skipped, lead has no email:', { leadId });
+      return null;
+    }
+
+    return { integration, lead, client: this.clientFor(integration) };
+  }
+
+  /**
+   * Push the result of an analyzed AI call
+   * @param {Object} outcome - { callId, disconnectionReason, status }
+   */
+  async syncCallOutcome(ownerId, leadId, { callId, disconnectionReason, status } = {}) {
+    const context = await this.prepare(ownerId, leadId, 'sync_call_outcomes');
+    if (!context) return null;
+
+    const { integration, lead, client } = context;
+
+    try {
+      const { data: appointment } = await supa
+        .from('appointments')
+        .select('start_at')
+        .eq('lead_id', lead.id)
+        .in('status', ['scheduled', 'confirmed'])
+        .order('created_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+      const disposition = this.getDisposition({ status: status || lead.status, disconnectionReason });
+      const fields = {
+        ...this.contactFields(lead),
+        [integration.disposition_field]: disposition,
+        tags: ['ligacao-ia']
+      };
+      if (appointment) {
+        fields[integration.appointment_date_field] = appointment.start_at;
+      }
+
+      await client.sendConversion(`${integration.conversion_prefix}-ligacao-ia`, fields);
+      await this.recordResult(ownerId);
+
+      log.info('RD Station call outcome synced:', { leadId, callId, disposition });
+      return { disposition };
+    } catch (error) {
+      log.error('RD Station call outcome sync failed:', { leadId, callId, error: error.message });
+      await this.recordResult(ownerId, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Push an appointment event (booked, rescheduled or cancelled)
+   */
+  async syncAppointmentEvent(ownerId, event) {
+    const leadId = event.data?.lead_id;
+    if (!leadId) return null;
+
+    const context = await this.prepare(ownerId, leadId, 'sync_appointments');
+    if (!context) return null;
+
+    const { integration, lead, client } = context;
+    const action = event.type.split('.')[1]; // booked | rescheduled | cancelled
+
+    const identifiers = {
+      booked: 'consulta-agendada',
+      rescheduled: 'consulta-remarcada',
+      cancelled: 'consulta-cancelada'
+    };
+
+    try {
+      await client.sendConversion(`${integration.conversion_prefix}-${identifiers[action]}`, {
+        ...this.contactFields(lead),
+        [integration.appointment_date_field]: action === 'cancelled' ? '' : event.data.start_at,
+        [integration.disposition_field]: action === 'cancelled' ? 'consulta_cancelada' : 'agendado',
+        tags: [`consulta-${action}`]
+      });
+
+      // Funnel updates require OAuth; API-key-only integrations only send conversions
+      if (action === 'booked' && integration.lifecycle_stage_on_booking && client.hasOAuth()) {
+        await client.updateLifecycleStage(lead.email, integration.lifecycle_stage_on_booking, { opportunity: true });
+      }
+
+      await this.recordResult(ownerId);
+
+      log.info('RD Station appointment synced:', { leadId, appointmentId: event.data.appointment_id, action });
+      return { action };
+    } catch (error) {
+      log.error('RD Station appointment sync failed:', { leadId, action, error: error.message });
+      await this.recordResult(ownerId, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check the stored credentials
+   * @returns {Object} - { conversions, oauth, account }
+   */
+  async testConnection(ownerId) {
+    const integration = await this.getIntegration(ownerId);
+    if (!integration) {
+      throw new Error('RD Station integration not configured');
+    }
+
+    const client = this.clientFor(integration);
+    const result = { conversions: !!(integration.api_key || client.hasOAuth()), oauth: false, account: null };
+
+    if (client.hasOAuth()) {
+      result.account = await client.getAccountInfo();
+      result.oauth = true;
+    }
+
+    return result;
+  }
+}
+
+export const rdStationService = new RDStationService();
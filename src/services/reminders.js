@@ -0,0 +1,213 @@
+import { supa } from '../lib/supabase.js';
+import { log } from '../config/logger.js';
+import { whatsappBusinessService } from './whatsappBusiness.js';
+
+const DEFAULT_OFFSETS_MINUTES = [1440, 120];
+
+/**
+ * Appointment Reminders Service
+ * Sends the appointment_reminder WhatsApp template ahead of scheduled
+ * appointments. Each (appointment, offset) pair is claimed in
+ * appointment_reminders before sending, so overlapping runs never send twice.
+ */
+class AppointmentRemindersService {
+  constructor() {
+    this.processing = false;
+  }
+
+  getOffsets(owner) {
+    const offsets = (owner.reminder_offsets_minutes?.length ? owner.reminder_offsets_minutes : DEFAULT_OFFSETS_MINUTES)
+      .map(Number)
+      .filter(offset => Number.isInteger(offset) && offset > 0);
+
+    return [...new Set(offsets)].sort((a, b) => b - a);
+  }
+
+  /**
+   * Send every reminder that is due now
+   * @returns {number} - reminders sent
+   */
+  async processDueReminders() {
+    if (this.processing) return 0;
+    this.processing = true;
+
+    try {
+      const { data: owners, error } = await supa
+        .from('users')
+        .select('id, location, reminder_offsets_minutes')
+        .eq('reminders_enabled', true)
+        .eq('whatsapp_connected', true);
+
+      if (error) {
+        throw new Error(error.message);
+      }
+
+      let sent = 0;
+      for (const owner of owners || []) {
+        try {
+          sent += await this.processOwner(owner);
+        } catch (ownerError) {
+          log.error('Error processing appointment reminders for owner:', { ownerId: owner.id, error: ownerError.message });
+        }
+      }
+
+      return sent;
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  async processOwner(owner) {
+    const offsets = this.getOffsets(owner);
+    if (offsets.length === 0) return 0;
+
+    const now = new Date();
+    const windowEnd = new Date(now.getTime() + offsets[0] * 60 * 1000);
+
+    // Confirmed and cancelled appointments don't need a reminder
+    const { data: appointments, error } = await supa
+      .from('appointments')
+      .select('id, owner_id, lead_id, doctor_id, resource_type, resource_id, start_at, timezone, office_address, meeting_link, is_telemedicine, created_at, leads(name, phone, whatsapp), appointment_reminders(offset_minutes)')
+      .eq('owner_id', owner.id)
+      .eq('status', 'scheduled')
+      .gt('start_at', now.toISOString())
+      .lte('start_at', windowEnd.toISOString());
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    let sent = 0;
+    for (const appointment of appointments || []) {
+      try {
+        if (await this.processAppointment(owner, appointment, offsets, now)) {
+          sent++;
+        }
+      } catch (appointmentError) {
+        log.error('Error sending appointment reminder:', { appointmentId: appointment.id, error: appointmentError.message });
+      }
+    }
+
+    return sent;
+  }
+
+  /**
+   * Send the closest due reminder. Offsets that were already passed when the
+   * appointment was booked (e.g. booked 3h before, 24h reminder) are skipped.
+   */
+  async processAppointment(owner, appointment, offsets, now) {
+    const startAt = new Date(appointment.start_at);
+    const createdAt = new Date(appointment.created_at);
+    const handled = new Set((appointment.appointment_reminders || []).map(reminder => reminder.offset_minutes));
+
+    const due = offsets.filter(offset =>
+      !handled.has(offset) && startAt.getTime() - offset * 60 * 1000 <= now.getTime()
+    );
+    if (due.length === 0) return false;
+
+    // Only the smallest due offset is sent; the larger ones are stale
+    const offset = due[due.length - 1];
+    const stale = due.slice(0, -1);
+    const bookedInsideWindow = createdAt.getTime() > startAt.getTime() - offset * 60 * 1000;
+
+    if (stale.length > 0) {
+      await supa
+        .from('appointment_reminders')
+        .upsert(
+          stale.map(staleOffset => ({
+            appointment_id: appointment.id,
+            owner_id: owner.id,
+            offset_minutes: staleOffset,
+            status: 'skipped'
+          })),
+          { onConflict: 'appointment_id,offset_minutes', ignoreDuplicates: true }
+        );
+    }
+
+    // Claim the reminder; a conflict means another run already took it
+    const { data: reminder, error: claimError } = await supa
+      .from('appointment_reminders')
+      .insert({
+        appointment_id: appointment.id,
+        owner_id: owner.id,
+        offset_minutes: offset,
+        status: bookedInsideWindow ? 'skipped' : 'pending'
+      })
+      .select('id')
+      .single();
+
+    if (claimError || !reminder || bookedInsideWindow) return false;
+
+    const phone = appointment.leads?.whatsapp || appointment.leads?.phone;
+    if (!phone) {
+      await this.markReminder(reminder.id, { status: 'failed', error: 'Lead has no phone number' });
+      return false;
+    }
+
+    try {
+      const details = await this.buildDetails(owner, appointment);
+      const result = await whatsappBusinessService.sendAppointmentReminderTemplate(owner.id, phone, details);
+      const sentAt = new Date().toISOString();
+
+      await this.markReminder(reminder.id, { status: 'sent', wa_message_id: result.messageId || null, sent_at: sentAt });
+      await supa
+        .from('appointments')
+        .update({ reminder_sent_at: sentAt })
+        .eq('id', appointment.id);
+
+      log.info('Appointment reminder sent:', { appointmentId: appointment.id, offsetMinutes: offset, waMessageId: result.messageId });
+      return true;
+    } catch (sendError) {
+      await this.markReminder(reminder.id, { status: 'failed', error: sendError.message });
+      throw sendError;
+    }
+  }
+
+  async markReminder(reminderId, updates) {
+    await supa
+      .from('appointment_reminders')
+      .update(updates)
+      .eq('id', reminderId);
+  }
+
+  /**
+   * Template parameters, with date and time in the appointment's timezone
+   */
+  async buildDetails(owner, appointment) {
+    const timeZone = appointment.timezone || 'America/Sao_Paulo';
+    const startAt = new Date(appointment.start_at);
+    const resourceType = appointment.resource_type || 'doctor';
+    const resourceId = appointment.resource_id || appointment.doctor_id;
+
+    let resourceName = 'nossa equipe';
+    if (resourceType === 'doctor' && resourceId) {
+      const { data: doctor } = await supa
+        .from('doctors')
+        .select('name')
+        .eq('id', resourceId)
+        .maybeSingle();
+      resourceName = doctor?.name || resourceName;
+    } else if (resourceType === 'treatment' && resourceId) {
+      const { data: treatment } = await supa
+        .from('treatments')
+        .select('treatment_name')
+        .eq('id', resourceId)
+        .maybeSingle();
+      resourceName = treatment?.treatment_name || resourceName;
+    }
+
+    const location = appointment.is_telemedicine
+      ? appointment.meeting_link || appointment.office_address || owner.location
+      : appointment.office_address || owner.location || appointment.meeting_link;
+
+    return {
+      patientName: String(appointment.leads?.name || '').split(' ')[0] || 'Cliente',
+      doctorName: resourceName,
+      appointmentDate: startAt.toLocaleDateString('pt-BR', { timeZone, day: '2-digit', month: '2-digit', year: 'numeric' }),
+      appointmentTime: startAt.toLocaleTimeString('pt-BR', { timeZone, hour: '2-digit', minute: '2-digit' }),
+      location: location || 'Nossa clínica'
+    };
+  }
+}
+
+export const appointmentRemindersService = new AppointmentRemindersService();
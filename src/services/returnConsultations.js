@@ -0,0 +1,150 @@
+import { supa } from '../lib/supabase.js';
+import { log } from '../config/logger.js';
+import { addDaysToDateString, getDateStringInTimezone, resolveTimezone } from '../utils/timezone.js';
+
+// doctors.return_policy_days defaults to 30; 0 means the doctor gives no returns
+const DEFAULT_RETURN_POLICY_DAYS = 30;
+
+const NOT_ELIGIBLE = { eligible: false };
+
+/**
+ * Return Consultation Service
+ * A patient's consultation with a doctor gives one return within the
+ * doctor's return_policy_days, counted from the consultation date. Bookings
+ * in that window are made as appointment_type 'follow_up' at the doctor's
+ * return_consultation_price (free when unset), linked to the consultation by
+ * follow_up_of. Leads sharing the patient's phone count as the same patient.
+ */
+class ReturnConsultationService {
+  /**
+   * Whether a consultation with the doctor at `at` would be a return
+   * @param {Object} params - { leadId, doctorId, at } - at defaults to now
+   * @returns {Object} - { eligible, follow_up_of, previous_date, deadline, price, free, doctor_name, timezone } or { eligible: false }
+   */
+  async getEligibility({ leadId, doctorId, at = new Date() }) {
+    if (!leadId || !doctorId) return NOT_ELIGIBLE;
+
+    try {
+      const { data: doctor } = await supa
+        .from('doctors')
+        .select('id, name, timezone, return_policy_days, return_consultation_price')
+        .eq('id', doctorId)
+        .maybeSingle();
+
+      if (!doctor) return NOT_ELIGIBLE;
+
+      const policyDays = doctor.return_policy_days ?? DEFAULT_RETURN_POLICY_DAYS;
+      if (policyDays <= 0) return NOT_ELIGIBLE;
+
+      const leadIds = await this.getPatientLeadIds(leadId);
+
+      const { data: previous } = await supa
+        .from('appointments')
+        .select('id, start_at')
+        .in('lead_id', leadIds)
+        .eq('resource_type', 'doctor')
+        .eq('resource_id', doctorId)
+        .eq('status', 'completed')
+        .neq('appointment_type', 'follow_up')
+        .lt('start_at', new Date(at).toISOString())
+        .order('start_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+      if (!previous) return NOT_ELIGIBLE;
+
+      const timezone = resolveTimezone(doctor.timezone);
+      const previousDate = getDateStringInTimezone(new Date(previous.start_at), timezone);
+      const deadline = addDaysToDateString(previousDate, policyDays);
+      if (getDateStringInTimezone(new Date(at), timezone) > deadline) return NOT_ELIGIBLE;
+
+      // Each consultation gives a single return; a cancelled one can be rebooked
+      const { data: used } = await supa
+        .from('appointments')
+        .select('id')
+        .eq('follow_up_of', previous.id)
+        .neq('status', 'cancelled')
+        .limit(1);
+
+      if (used?.length) return NOT_ELIGIBLE;
+
+      const price = doctor.return_consultation_price ? Number(doctor.return_consultation_price) : 0;
+
+      return {
+        eligible: true,
+        follow_up_of: previous.id,
+        previous_date: previousDate,
+        deadline,
+        price,
+        free: price === 0,
+        doctor_name: doctor.name || '',
+        timezone
+      };
+    } catch (error) {
+      log.warn('Failed to check return consultation eligibility:', { leadId, doctorId, error: error.message });
+      return NOT_ELIGIBLE;
+    }
+  }
+
+  /**
+   * The lead and the owner's other leads with the same phone
+   */
+  async getPatientLeadIds(leadId) {
+    const { data: lead } = await supa
+      .from('leads')
+      .select('id, owner_id, phone')
+      .eq('id', leadId)
+      .maybeSingle();
+
+    if (!lead?.phone) return [leadId];
+
+    const { data: samePhone } = await supa
+      .from('leads')
+      .select('id')
+      .eq('owner_id', lead.owner_id)
+      .eq('phone', lead.phone);
+
+    return [...new Set([leadId, ...(samePhone || []).map(other => other.id)])];
+  }
+
+  /**
+   * Appointment fields for a booking with the given eligibility ({} when it isn't a return)
+   */
+  getBookingFields(eligibility) {
+    if (!eligibility?.eligible) return {};
+
+    return {
+      appointment_type: 'follow_up',
+      price: eligibility.price,
+      follow_up_of: eligibility.follow_up_of
+    };
+  }
+
+  /**
+   * Dynamic variables telling the agent whether the lead's next consultation with
+   * their assigned doctor is a return
+   * @param {Object} lead - { id, assigned_resource_type, assigned_resource_id }
+   * @returns {Object} - { return_consultation_eligible, return_consultation_info }
+   */
+  async getAgentVariables(lead) {
+    const eligibility = lead?.assigned_resource_type === 'doctor'
+      ? await this.getEligibility({ leadId: lead.id, doctorId: lead.assigned_resource_id })
+      : NOT_ELIGIBLE;
+
+    if (!eligibility.eligible) {
+      return { return_consultation_eligible: 'false', return_consultation_info: '' };
+    }
+
+    const [year, month, day] = eligibility.deadline.split('-');
+    const price = eligibility.free
+      ? 'sem custo'
+      : `pelo valor de retorno de R$ ${eligibility.price.toFixed(2).replace('.', ',')}`;
+
+    return {
+      return_consultation_eligible: 'true',
+      return_consultation_info: `O paciente tem direito a um retorno com ${eligibility.doctor_name} ${price} se a consulta for marcada até ${day}/${month}/${year}.`
+    };
+  }
+}
+
+export const returnConsultationService = new ReturnConsultationService();
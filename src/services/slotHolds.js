@@ -0,0 +1,194 @@
+import { supa } from '../lib/supabase.js';
+import { log } from '../config/logger.js';
+
+// Postgres exclusion_violation, raised by appointments_no_overlap and slot_holds_no_overlap
+const OVERLAP_ERROR_CODE = '23P01';
+
+// How long offered slots stay held, in minutes
+export const HOLD_MINUTES = {
+  // Offered during a call or chat; the lead answers right away
+  conversation: 10,
+  // Sent in the earlier_appointment_offer template; the lead may take a while to reply
+  template: 120
+};
+
+/**
+ * Slot Hold Service
+ * Holds the slots an agent offers so other conversations neither offer nor
+ * book them until the lead answers. A lead holds the slots of their latest
+ * offer on a resource: a new offer releases the previous holds, booking marks
+ * the chosen one booked and releases the rest, and unanswered holds expire.
+ * A freed slot offered to several waitlisted leads is one shared hold
+ * (lead_id NULL, offered_to listing them); whoever books first gets it.
+ * The availability engine counts other leads' active holds as busy.
+ *
+ * Holds are a courtesy to the lead; the appointments_no_overlap constraint is
+ * what rejects double bookings, so creating them never fails a request.
+ */
+class SlotHoldService {
+  /**
+   * Whether a Supabase error is an overlap rejected by the database
+   */
+  isOverlapError(error) {
+    return error?.code === OVERLAP_ERROR_CODE;
+  }
+
+  /**
+   * Restrict a query to the resource's calendar: the doctor's own, or the
+   * owner's shared one for treatments
+   */
+  scopeToCalendar(query, resource) {
+    return resource.resourceType === 'doctor'
+      ? query.eq('resource_type', 'doctor').eq('resource_id', resource.resourceId)
+      : query.neq('resource_type', 'doctor').eq('owner_id', resource.ownerId);
+  }
+
+  /**
+   * Hold offered slots for a lead, replacing the lead's earlier holds on the resource
+   * @param {Object} resource - { resourceType, resourceId, ownerId }
+   * @param {Array} slots - [{ start, end }]
+   * @param {Object} options - { leadId, offeredTo, source, minutes, now } - offeredTo
+   *   (lead ids) makes a shared hold instead of one for leadId
+   * @returns {Array} - the holds created; slots held by another conversation are skipped
+   */
+  async holdSlots(resource, slots, { leadId = null, offeredTo = null, source, minutes = HOLD_MINUTES.conversation, now = new Date() } = {}) {
+    if (!slots?.length) return [];
+
+    try {
+      await this.expireHolds(now);
+      if (leadId) {
+        await this.releaseForLead(leadId, resource);
+      }
+
+      const expiresAt = new Date(now.getTime() + minutes * 60 * 1000).toISOString();
+      const holds = [];
+
+      for (const slot of slots) {
+        const { data: hold, error } = await supa
+          .from('slot_holds')
+          .insert({
+            owner_id: resource.ownerId,
+            resource_type: resource.resourceType,
+            resource_id: resource.resourceId,
+            lead_id: leadId,
+            offered_to: offeredTo,
+            start_at: new Date(slot.start).toISOString(),
+            end_at: new Date(slot.end).toISOString(),
+            expires_at: expiresAt,
+            source
+          })
+          .select()
+          .single();
+
+        if (error) {
+          if (this.isOverlapError(error)) {
+            log.info('Slot already held, not holding it again:', { leadId, start: slot.start, source });
+          } else {
+            log.warn('Error creating slot hold:', error.message);
+          }
+          continue;
+        }
+
+        holds.push(hold);
+      }
+
+      return holds;
+    } catch (error) {
+      log.warn('Failed to hold offered slots:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Release the lead's active holds on the resource's calendar
+   */
+  async releaseForLead(leadId, resource) {
+    const { error } = await this.scopeToCalendar(
+      supa
+        .from('slot_holds')
+        .update({ status: 'released' })
+        .eq('lead_id', leadId)
+        .eq('status', 'active'),
+      resource
+    );
+
+    if (error) {
+      log.warn('Error releasing slot holds:', error.message);
+    }
+  }
+
+  /**
+   * The lead booked: mark the hold on the booked time (their own or a shared
+   * one offered to them) booked and release the others
+   */
+  async completeForLead(leadId, resource, appointmentId, start) {
+    try {
+      const { error } = await this.scopeToCalendar(
+        supa
+          .from('slot_holds')
+          .update({ status: 'booked', appointment_id: appointmentId })
+          .or(`lead_id.eq.${leadId},offered_to.cs.{${leadId}}`)
+          .eq('status', 'active')
+          .eq('start_at', new Date(start).toISOString()),
+        resource
+      );
+
+      if (error) {
+        log.warn('Error marking slot hold as booked:', error.message);
+      }
+
+      await this.releaseForLead(leadId, resource);
+    } catch (error) {
+      log.warn('Failed to complete slot holds:', error.message);
+    }
+  }
+
+  /**
+   * Mark holds past their expiry as expired
+   * @returns {number} - holds expired
+   */
+  async expireHolds(now = new Date()) {
+    const { data, error } = await supa
+      .from('slot_holds')
+      .update({ status: 'expired' })
+      .eq('status', 'active')
+      .lte('expires_at', now.toISOString())
+      .select('id');
+
+    if (error) {
+      log.warn('Error expiring slot holds:', error.message);
+      return 0;
+    }
+
+    return data?.length || 0;
+  }
+
+  /**
+   * Active holds on the resource's calendar overlapping [from, to)
+   * @param {Object} options - { excludeLeadId, now } - holds of or offered to that lead don't block them
+   * @returns {Array} - [{ start, end, source: 'hold' }]
+   */
+  async getActiveHolds(resource, from, to, { excludeLeadId = null, now = new Date() } = {}) {
+    const { data: holds, error } = await this.scopeToCalendar(
+      supa
+        .from('slot_holds')
+        .select('lead_id, offered_to, start_at, end_at')
+        .eq('status', 'active')
+        .gt('expires_at', now.toISOString())
+        .lt('start_at', to.toISOString())
+        .gt('end_at', from.toISOString()),
+      resource
+    );
+
+    if (error) {
+      log.warn(`Error fetching slot holds for ${resource.resourceType} ${resource.resourceId}:`, error.message);
+      return [];
+    }
+
+    return (holds || [])
+      .filter(hold => !excludeLeadId || (hold.lead_id !== excludeLeadId && !(hold.offered_to || []).includes(excludeLeadId)))
+      .map(hold => ({ start: hold.start_at, end: hold.end_at, source: 'hold' }));
+  }
+}
+
+export const slotHoldService = new SlotHoldService();
@@ -0,0 +1,97 @@
+import { log } from '../config/logger.js';
+import { env } from '../config/env.js';
+import { ProviderRegistry } from '../utils/providerRegistry.js';
+
+/**
+ * OpenAI speech-to-text provider (Whisper)
+ */
+class OpenAITranscriptionProvider {
+  constructor(apiKey, model = 'whisper-1') {
+    this.name = 'openai';
+    this.apiKey = apiKey;
+    this.model = model;
+    this.endpoint = 'https://api.openai.com/v1/audio/transcriptions';
+  }
+
+  async transcribe(buffer, { mimeType, language } = {}) {
+    // WhatsApp voice notes are ogg/opus; the extension tells the API how to decode
+    const extension = (mimeType?.split('/')[1] || 'ogg').split(';')[0];
+
+    const form = new FormData();
+    form.append('file', new Blob([buffer], { type: mimeType || 'audio/ogg' }), `audio.${extension}`);
+    form.append('model', this.model);
+    if (language) form.append('language', language);
+
+    const response = await fetch(this.endpoint, {
+      method: 'POST',
+      headers: { 'Authorization': `Bearer ${this.apiKey}` },
+      body: form
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(`OpenAI transcription error: ${data.error?.message || response.status}`);
+    }
+
+    return {
+      text: (data.text || '').trim(),
+      language: language || null,
+      raw: data
+    };
+  }
+}
+
+/**
+ * Local stub used in development and tests.
+ * Returns the configured text (or none, so the placeholder is kept).
+ */
+export class StubTranscriptionProvider {
+  constructor({ text = null } = {}) {
+    this.name = 'stub';
+    this.text = text;
+  }
+
+  async transcribe(buffer, { language } = {}) {
+    return {
+      text: this.text,
+      language: language || null,
+      raw: { provider: 'stub', size: buffer?.length || 0 }
+    };
+  }
+}
+
+/**
+ * Transcription Service
+ * Providers implement `transcribe(buffer, { mimeType, language })` and resolve
+ * to { text, language, raw }.
+ */
+class TranscriptionService {
+  constructor() {
+    this.providers = new ProviderRegistry('Transcription', env.TRANSCRIPTION_PROVIDER || (env.OPENAI_API_KEY ? 'openai' : 'stub'));
+
+    if (env.OPENAI_API_KEY) {
+      this.providers.register(new OpenAITranscriptionProvider(env.OPENAI_API_KEY));
+    }
+    this.providers.register(new StubTranscriptionProvider({
+      text: env.TRANSCRIPTION_STUB_TEXT || null
+    }));
+  }
+
+  /**
+   * Transcribe an audio buffer (defaults to Brazilian Portuguese)
+   */
+  async transcribe(buffer, options = {}) {
+    const provider = this.providers.get(options.provider);
+    try {
+      const result = await provider.transcribe(buffer, { language: 'pt', ...options });
+      log.info('Audio transcription completed', { provider: provider.name, length: result.text?.length || 0 });
+      return { provider: provider.name, ...result };
+    } catch (error) {
+      log.error(`Transcription provider ${provider.name} failed:`, error);
+      throw error;
+    }
+  }
+}
+
+export const transcriptionService = new TranscriptionService();
@@ -0,0 +1,487 @@
+import { supa } from '../lib/supabase.js';
+import { log } from '../config/logger.js';
+import { eventBus } from './events.js';
+import { availabilityService } from './availability.js';
+import { googleCalendarService } from './googleCalendar.js';
+import { slotHoldService } from './slotHolds.js';
+import { zonedTimeToUtc, addDaysToDateString, getDateStringInTimezone, getZonedParts, toIsoStringInTimezone } from '../utils/timezone.js';
+
+// Used when a treatment has no readable interval_between_sessions
+const DEFAULT_INTERVAL_DAYS = 7;
+// Sessions that used up their place in the package
+const USED_STATUSES = ['completed', 'no_show'];
+const BOOKED_STATUSES = ['scheduled', 'confirmed'];
+// Attempts per session when the planned slot is taken before it's inserted
+const MAX_BOOKING_ATTEMPTS = 3;
+
+const UNIT_DAYS = {
+  d: 1, day: 1, days: 1, dia: 1, dias: 1,
+  w: 7, week: 7, weeks: 7, semana: 7, semanas: 7,
+  month: 30, months: 30, 'mês': 30, mes: 30, meses: 30
+};
+
+/**
+ * Treatment Package Service
+ * A package purchase gives a client sessions_total sessions of a treatment.
+ * Sessions are appointments linked by package_id, numbered by
+ * session_number, each with its own status. The whole remaining series can
+ * be booked at once: the first session at the requested time, every next one
+ * at least the treatment's interval_between_sessions after the previous,
+ * at the same time of day when that slot is free.
+ */
+class TreatmentPackageService {
+  constructor() {
+    this.started = false;
+  }
+
+  /**
+   * Complete packages as their last session is marked attended (or missed)
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    eventBus.subscribeAll((ownerId, event) => {
+      if (event.type !== 'appointment.completed' && event.type !== 'appointment.no_show') return;
+      this.refreshStatusForAppointment(event.data.appointment_id).catch(error => {
+        log.error('Treatment package status update error:', { ownerId, appointmentId: event.data.appointment_id, error: error.message });
+      });
+    });
+  }
+
+  /**
+   * Minimum and maximum days between sessions from the treatment's free text
+   * ("7 days", "2 semanas", "1 - 7 dias", "15-30 days", "1 mês")
+   * @returns {Object|null} - { minDays, maxDays }
+   */
+  parseSessionInterval(text) {
+    const match = String(text || '').toLowerCase().match(/(\d+)\s*(?:(?:-|a|to|até)\s*(\d+))?\s*([a-zêç]+)?/);
+    if (!match) return null;
+
+    const multiplier = match[3] ? UNIT_DAYS[match[3]] : 1;
+    if (!multiplier) return null;
+
+    const minDays = parseInt(match[1], 10) * multiplier;
+    const maxDays = match[2] ? parseInt(match[2], 10) * multiplier : minDays;
+    return { minDays, maxDays: Math.max(minDays, maxDays) };
+  }
+
+  /**
+   * Session counts of a package from its appointments
+   */
+  summarize(pkg, sessions = []) {
+    const used = sessions.filter(session => USED_STATUSES.includes(session.status)).length;
+    const upcoming = sessions
+      .filter(session => BOOKED_STATUSES.includes(session.status))
+      .sort((a, b) => new Date(a.start_at) - new Date(b.start_at));
+
+    return {
+      sessions_total: pkg.sessions_total,
+      sessions_used: used,
+      sessions_scheduled: upcoming.length,
+      sessions_remaining: Math.max(pkg.sessions_total - used, 0),
+      sessions_to_book: Math.max(pkg.sessions_total - used - upcoming.length, 0),
+      next_session: upcoming[0] || null
+    };
+  }
+
+  async getSessions(packageId) {
+    const { data: sessions, error } = await supa
+      .from('appointments')
+      .select('id, session_number, start_at, end_at, timezone, status')
+      .eq('package_id', packageId)
+      .order('session_number', { ascending: true })
+      .order('start_at', { ascending: true });
+
+    if (error) throw new Error(error.message);
+    return sessions || [];
+  }
+
+  /**
+   * Package with its sessions and counts
+   * @returns {Object|null}
+   */
+  async getPackage(ownerId, packageId) {
+    const { data: pkg } = await supa
+      .from('treatment_packages')
+      .select('*, treatments(id, treatment_name, interval_between_sessions), leads(id, name, phone)')
+      .eq('id', packageId)
+      .eq('owner_id', ownerId)
+      .maybeSingle();
+
+    if (!pkg) return null;
+
+    const sessions = await this.getSessions(pkg.id);
+    return { ...pkg, sessions, ...this.summarize(pkg, sessions) };
+  }
+
+  async listPackages(ownerId, { leadId, status } = {}) {
+    let query = supa
+      .from('treatment_packages')
+      .select('*, treatments(id, treatment_name), leads(id, name, phone), appointments(id, status)')
+      .eq('owner_id', ownerId)
+      .order('created_at', { ascending: false });
+
+    if (leadId) query = query.eq('lead_id', leadId);
+    if (status) query = query.eq('status', status);
+
+    const { data: packages, error } = await query;
+    if (error) throw new Error(error.message);
+
+    return (packages || []).map(({ appointments, ...pkg }) => {
+      // Only id and status are loaded here, so the list carries counts, not the next session
+      const counts = this.summarize(pkg, appointments || []);
+      delete counts.next_session;
+      return { ...pkg, ...counts };
+    });
+  }
+
+  /**
+   * Record a package purchase; session count and price default to the treatment's package offer
+   * @param {Object} purchase - { ownerId, leadId, treatmentId, sessionsTotal, price, source, notes }
+   */
+  async createPackage({ ownerId, leadId, treatmentId, sessionsTotal, price, source = 'dashboard', notes = null }) {
+    const { data: treatment } = await supa
+      .from('treatments')
+      .select('id, owner_id, package_sessions_count, recommended_sessions, package_price')
+      .eq('id', treatmentId)
+      .eq('owner_id', ownerId)
+      .maybeSingle();
+
+    if (!treatment) {
+      throw new Error('Treatment not found');
+    }
+
+    const total = sessionsTotal ? parseInt(sessionsTotal, 10) : (treatment.package_sessions_count || treatment.recommended_sessions);
+    if (!Number.isInteger(total) || total < 1 || total > 100) {
+      throw new Error('sessions_total must be a whole number between 1 and 100');
+    }
+
+    const { data: pkg, error } = await supa
+      .from('treatment_packages')
+      .insert({
+        owner_id: ownerId,
+        lead_id: leadId,
+        treatment_id: treatmentId,
+        sessions_total: total,
+        price: price !== undefined && price !== null ? parseFloat(price) : treatment.package_price,
+        source,
+        notes
+      })
+      .select()
+      .single();
+
+    if (error) throw new Error(error.message);
+
+    log.info('Treatment package created:', { packageId: pkg.id, leadId, treatmentId, sessionsTotal: total });
+    return pkg;
+  }
+
+  /**
+   * The lead's active package for a treatment (the oldest with sessions left)
+   */
+  async findActivePackage(leadId, treatmentId) {
+    const { data: packages } = await supa
+      .from('treatment_packages')
+      .select('*')
+      .eq('lead_id', leadId)
+      .eq('treatment_id', treatmentId)
+      .eq('status', 'active')
+      .order('created_at', { ascending: true });
+
+    return packages?.[0] || null;
+  }
+
+  /**
+   * Package fields for a single appointment booked on the treatment, when
+   * the lead has a package with sessions left to book
+   * @returns {Object} - { package_id, session_number } or {}
+   */
+  async getSessionLink(leadId, treatmentId) {
+    if (!leadId || !treatmentId) return {};
+
+    const pkg = await this.findActivePackage(leadId, treatmentId);
+    if (!pkg) return {};
+
+    const sessions = await this.getSessions(pkg.id);
+    if (this.summarize(pkg, sessions).sessions_to_book === 0) return {};
+
+    return { package_id: pkg.id, session_number: this.nextSessionNumber(sessions) };
+  }
+
+  nextSessionNumber(sessions) {
+    return sessions
+      .filter(session => session.status !== 'cancelled')
+      .reduce((max, session) => Math.max(max, session.session_number || 0), 0) + 1;
+  }
+
+  /**
+   * Slot for the next session: the same time of day on the first date the
+   * interval allows, else the first free slot from that date
+   */
+  async findNextSessionSlot(resource, previousStart, intervalDays, leadId) {
+    const previousDate = getDateStringInTimezone(previousStart, resource.timezone);
+    const parts = getZonedParts(previousStart, resource.timezone);
+    const previousTime = `${String(parts.hour).padStart(2, '0')}:${String(parts.minute).padStart(2, '0')}`;
+    const targetDate = addDaysToDateString(previousDate, intervalDays);
+
+    const sameDay = await availabilityService.getSlotsForDate(resource, targetDate, { leadId });
+    const sameTime = sameDay.find(slot => slot.time === previousTime);
+    if (sameTime) return sameTime;
+
+    return availabilityService.findNextSlot(resource, {
+      from: zonedTimeToUtc(targetDate, '00:00', resource.timezone),
+      leadId
+    });
+  }
+
+  /**
+   * Book the package's sessions still to book, the first at firstStart
+   * @param {Object} options - { source } - reported on appointment.booked
+   * @returns {Object} - { booked: [appointment], unavailable: { reason, message } | null, notBooked }
+   */
+  async bookSeries(pkg, firstStart, { source = 'package' } = {}) {
+    const resource = await availabilityService.getResource('treatment', pkg.treatment_id);
+    if (!resource) {
+      throw new Error('Treatment not found');
+    }
+
+    const { data: treatment } = await supa
+      .from('treatments')
+      .select('treatment_name, interval_between_sessions')
+      .eq('id', pkg.treatment_id)
+      .single();
+
+    const { data: owner } = await supa
+      .from('users')
+      .select('location, google_calendar_id, google_refresh_token')
+      .eq('id', pkg.owner_id)
+      .single();
+
+    const { data: lead } = await supa
+      .from('leads')
+      .select('id, name, status')
+      .eq('id', pkg.lead_id)
+      .single();
+
+    const sessions = await this.getSessions(pkg.id);
+    const { sessions_to_book: toBook } = this.summarize(pkg, sessions);
+    if (toBook === 0) {
+      return { booked: [], unavailable: null, notBooked: 0 };
+    }
+
+    const firstEnd = new Date(firstStart.getTime() + resource.duration * 60 * 1000);
+    const unavailable = await availabilityService.checkSlot(resource, firstStart, firstEnd, { leadId: pkg.lead_id });
+    if (unavailable) {
+      return { booked: [], unavailable, notBooked: toBook };
+    }
+
+    const intervalDays = this.parseSessionInterval(treatment?.interval_between_sessions)?.minDays || DEFAULT_INTERVAL_DAYS;
+    let sessionNumber = this.nextSessionNumber(sessions);
+    let slot = { start: firstStart, end: firstEnd };
+    const booked = [];
+
+    while (booked.length < toBook && slot) {
+      let appointment = null;
+
+      for (let attempt = 0; attempt < MAX_BOOKING_ATTEMPTS && slot && !appointment; attempt++) {
+        const { data, error } = await supa
+          .from('appointments')
+          .insert({
+            owner_id: pkg.owner_id,
+            lead_id: pkg.lead_id,
+            resource_type: 'treatment',
+            resource_id: pkg.treatment_id,
+            appointment_type: 'treatment',
+            start_at: slot.start.toISOString(),
+            end_at: slot.end.toISOString(),
+            timezone: resource.timezone,
+            status: 'scheduled',
+            office_address: owner?.location || 'Nossa clínica',
+            is_telemedicine: false,
+            meeting_link: null,
+            package_id: pkg.id,
+            session_number: sessionNumber
+          })
+          .select('*')
+          .single();
+
+        if (!error) {
+          appointment = data;
+        } else if (slotHoldService.isOverlapError(error) && booked.length > 0) {
+          // Taken in the meantime; later sessions move to the next free slot
+          slot = await availabilityService.findNextSlot(resource, { from: slot.end, leadId: pkg.lead_id });
+        } else if (slotHoldService.isOverlapError(error)) {
+          return { booked, unavailable: { reason: 'conflict', message: 'The requested time slot was just booked by someone else' }, notBooked: toBook };
+        } else {
+          throw new Error(error.message);
+        }
+      }
+
+      if (!appointment) break;
+
+      booked.push(appointment);
+      await this.afterSessionBooked(pkg, appointment, { resource, treatment, owner, lead, source });
+
+      sessionNumber++;
+      if (booked.length < toBook) {
+        slot = await this.findNextSessionSlot(resource, new Date(appointment.start_at), intervalDays, pkg.lead_id);
+      }
+    }
+
+    if (booked.length > 0 && lead && lead.status !== 'appointment_scheduled') {
+      await supa.from('leads').update({ status: 'appointment_scheduled' }).eq('id', lead.id);
+      eventBus.publishLeadStatus(pkg.owner_id, lead.id, 'appointment_scheduled', lead.status);
+    }
+
+    log.info('Treatment package sessions booked:', { packageId: pkg.id, booked: booked.length, notBooked: toBook - booked.length });
+    return { booked, unavailable: null, notBooked: toBook - booked.length };
+  }
+
+  /**
+   * Release the lead's holds, add the session to the owner's Google Calendar and announce it
+   */
+  async afterSessionBooked(pkg, appointment, { resource, treatment, owner, lead, source }) {
+    const start = new Date(appointment.start_at);
+    await slotHoldService.completeForLead(pkg.lead_id, resource, appointment.id, start);
+
+    if (owner?.google_calendar_id && owner?.google_refresh_token) {
+      try {
+        const googleEvent = await googleCalendarService.createTreatmentAppointment(pkg.owner_id, {
+          summary: `Tratamento - ${lead?.name || 'Cliente'} (sessão ${appointment.session_number}/${pkg.sessions_total})`,
+          description: `Tratamento: ${treatment?.treatment_name || resource.name}\nPacote de ${pkg.sessions_total} sessões`,
+          start: { dateTime: toIsoStringInTimezone(start, resource.timezone), timeZone: resource.timezone },
+          end: { dateTime: toIsoStringInTimezone(new Date(appointment.end_at), resource.timezone), timeZone: resource.timezone },
+          location: owner.location || undefined
+        });
+
+        if (googleEvent?.id) {
+          await supa.from('appointments').update({ gcal_event_id: googleEvent.id }).eq('id', appointment.id);
+        }
+      } catch (calendarError) {
+        log.warn('Failed to create Google Calendar event for package session:', calendarError.message);
+      }
+    }
+
+    eventBus.publish(pkg.owner_id, 'appointment.booked', {
+      appointment_id: appointment.id,
+      lead_id: pkg.lead_id,
+      start_at: appointment.start_at,
+      package_id: pkg.id,
+      session_number: appointment.session_number,
+      source
+    });
+  }
+
+  /**
+   * Cancel a package and its upcoming sessions
+   * @returns {Object|null} - the package, null when it isn't the owner's
+   */
+  async cancelPackage(ownerId, packageId) {
+    const pkg = await this.getPackage(ownerId, packageId);
+    if (!pkg) return null;
+
+    const upcoming = pkg.sessions.filter(session =>
+      BOOKED_STATUSES.includes(session.status) && new Date(session.start_at) > new Date()
+    );
+
+    for (const session of upcoming) {
+      const { error } = await supa
+        .from('appointments')
+        .update({ status: 'cancelled', updated_at: new Date().toISOString() })
+        .eq('id', session.id);
+
+      if (error) {
+        log.warn('Error cancelling package session:', { appointmentId: session.id, error: error.message });
+        continue;
+      }
+
+      eventBus.publish(ownerId, 'appointment.cancelled', {
+        appointment_id: session.id,
+        lead_id: pkg.lead_id,
+        start_at: session.start_at,
+        source: 'package_cancelled'
+      });
+    }
+
+    const { data: cancelled, error } = await supa
+      .from('treatment_packages')
+      .update({ status: 'cancelled' })
+      .eq('id', packageId)
+      .select()
+      .single();
+
+    if (error) throw new Error(error.message);
+    return cancelled;
+  }
+
+  /**
+   * Mark the appointment's package completed once every session is used up
+   */
+  async refreshStatusForAppointment(appointmentId) {
+    const { data: appointment } = await supa
+      .from('appointments')
+      .select('package_id')
+      .eq('id', appointmentId)
+      .maybeSingle();
+
+    if (!appointment?.package_id) return;
+
+    const { data: pkg } = await supa
+      .from('treatment_packages')
+      .select('*')
+      .eq('id', appointment.package_id)
+      .maybeSingle();
+
+    if (!pkg || pkg.status !== 'active') return;
+
+    const sessions = await this.getSessions(pkg.id);
+    if (this.summarize(pkg, sessions).sessions_remaining === 0) {
+      await supa.from('treatment_packages').update({ status: 'completed' }).eq('id', pkg.id);
+      log.info('Treatment package completed:', { packageId: pkg.id });
+    }
+  }
+
+  /**
+   * Dynamic variables telling the chat agent about the lead's active packages
+   * @returns {Object} - { package_summary, package_sessions_remaining, package_sessions_to_book }
+   */
+  async getAgentVariables(leadId) {
+    const empty = { package_summary: '', package_sessions_remaining: 0, package_sessions_to_book: 0 };
+    if (!leadId) return empty;
+
+    try {
+      const { data: packages } = await supa
+        .from('treatment_packages')
+        .select('*, treatments(treatment_name), appointments(id, status, start_at, timezone)')
+        .eq('lead_id', leadId)
+        .eq('status', 'active')
+        .order('created_at', { ascending: true });
+
+      if (!packages?.length) return empty;
+
+      const summaries = packages.map(pkg => ({ pkg, counts: this.summarize(pkg, pkg.appointments || []) }));
+      const lines = summaries.map(({ pkg, counts }) => {
+        let line = `Pacote ${pkg.treatments?.treatment_name || 'de tratamento'}: ${counts.sessions_remaining} de ${counts.sessions_total} sessões restantes`;
+        line += counts.sessions_to_book > 0 ? `, ${counts.sessions_to_book} ainda para agendar` : ', todas agendadas';
+        if (counts.next_session) {
+          const timezone = counts.next_session.timezone || undefined;
+          const parts = getZonedParts(new Date(counts.next_session.start_at), timezone);
+          line += ` (próxima sessão em ${String(parts.day).padStart(2, '0')}/${String(parts.month).padStart(2, '0')}/${parts.year} às ${String(parts.hour).padStart(2, '0')}:${String(parts.minute).padStart(2, '0')})`;
+        }
+        return line;
+      });
+
+      return {
+        package_summary: lines.join('\n'),
+        package_sessions_remaining: summaries.reduce((sum, { counts }) => sum + counts.sessions_remaining, 0),
+        package_sessions_to_book: summaries.reduce((sum, { counts }) => sum + counts.sessions_to_book, 0)
+      };
+    } catch (error) {
+      log.warn('Failed to load treatment packages for agent variables:', error.message);
+      return empty;
+    }
+  }
+}
+
+export const treatmentPackageService = new TreatmentPackageService();
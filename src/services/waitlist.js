@@ -0,0 +1,599 @@
+import { supa } from '../lib/supabase.js';
+import { log } from '../config/logger.js';
+import { eventBus } from './events.js';
+import { agentManager } from './agentManager.js';
+import { whatsappBusinessService } from './whatsappBusiness.js';
+import { availabilityService } from './availability.js';
+import { slotHoldService, HOLD_MINUTES } from './slotHolds.js';
+import { getAllAppointmentsForPhone } from './appointments.js';
+import { normalizePhoneNumber, retellUpdateChat, retellGetChat } from '../lib/retell.js';
+import { normalizeDateString, zonedTimeToUtc, getDateStringInTimezone, getZonedParts } from '../utils/timezone.js';
+
+// Waitlisted leads a freed slot is offered to at once
+const OFFER_BATCH_SIZE = 3;
+const WAITLIST_RESOURCE_TYPES = ['doctor', 'treatment'];
+const OPEN_STATUSES = ['waiting', 'offered'];
+
+/**
+ * Waitlist Service
+ * Leads waiting for an earlier date on a doctor or treatment, first come
+ * first served. When an appointment is cancelled the freed slot is held for
+ * the first waiting leads who want a date after it and offered to them with
+ * the earlier_appointment_offer template; the first to book it gets it, and
+ * the others go back to waiting once the hold is booked or expires.
+ * Also sends that template for the scheduler's scarcity outreach.
+ */
+class WaitlistService {
+  constructor() {
+    this.started = false;
+  }
+
+  /**
+   * Offer slots freed by cancellations and take leads who booked off the list
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    eventBus.subscribeAll((ownerId, event) => {
+      if (event.type === 'appointment.cancelled') {
+        this.offerFreedSlot(event.data.appointment_id, event.data).catch(error => {
+          log.error('Waitlist offer error:', { ownerId, appointmentId: event.data.appointment_id, error: error.message });
+        });
+      } else if (event.type === 'appointment.booked') {
+        this.markBooked(event.data.appointment_id).catch(error => {
+          log.error('Waitlist booking update error:', { ownerId, appointmentId: event.data.appointment_id, error: error.message });
+        });
+      }
+    });
+  }
+
+  /**
+   * Add a lead to a resource's waitlist; a lead already waiting keeps their
+   * place and gets the new date
+   * @param {Object} entry - { ownerId, leadId, resourceType, resourceId, wantedBefore, source }
+   * @returns {Object} - the waitlist entry
+   */
+  async addEntry({ ownerId, leadId, resourceType, resourceId, wantedBefore = null, source = 'request' }) {
+    if (!WAITLIST_RESOURCE_TYPES.includes(resourceType) || !resourceId) {
+      throw new Error('A doctor or treatment is required to join the waitlist');
+    }
+
+    const wantedBeforeDate = wantedBefore ? normalizeDateString(wantedBefore) : null;
+    if (wantedBefore && !/^\d{4}-\d{2}-\d{2}$/.test(wantedBeforeDate || '')) {
+      throw new Error(`Invalid date: ${wantedBefore}`);
+    }
+
+    const { data: existing } = await supa
+      .from('waitlist_entries')
+      .select('*')
+      .eq('lead_id', leadId)
+      .eq('resource_type', resourceType)
+      .eq('resource_id', resourceId)
+      .in('status', OPEN_STATUSES)
+      .maybeSingle();
+
+    if (existing) {
+      const { data: updated, error } = await supa
+        .from('waitlist_entries')
+        .update({ wanted_before: wantedBeforeDate })
+        .eq('id', existing.id)
+        .select()
+        .single();
+
+      if (error) throw new Error(error.message);
+      return updated;
+    }
+
+    const { data: entry, error } = await supa
+      .from('waitlist_entries')
+      .insert({
+        owner_id: ownerId,
+        lead_id: leadId,
+        resource_type: resourceType,
+        resource_id: resourceId,
+        wanted_before: wantedBeforeDate,
+        source
+      })
+      .select()
+      .single();
+
+    if (error) throw new Error(error.message);
+
+    log.info('Lead added to waitlist:', { leadId, resourceType, resourceId, wantedBefore: wantedBeforeDate, source });
+    return entry;
+  }
+
+  async listEntries(ownerId, { resourceType, resourceId, status } = {}) {
+    let query = supa
+      .from('waitlist_entries')
+      .select('*, leads(id, name, phone)')
+      .eq('owner_id', ownerId)
+      .in('status', status ? [status] : OPEN_STATUSES)
+      .order('created_at', { ascending: true });
+
+    if (resourceType) query = query.eq('resource_type', resourceType);
+    if (resourceId) query = query.eq('resource_id', resourceId);
+
+    const { data: entries, error } = await query;
+    if (error) throw new Error(error.message);
+
+    return entries || [];
+  }
+
+  /**
+   * @returns {Object|null} - the removed entry, null when it isn't the owner's or no longer open
+   */
+  async removeEntry(ownerId, entryId) {
+    const { data: entry, error } = await supa
+      .from('waitlist_entries')
+      .update({ status: 'removed' })
+      .eq('id', entryId)
+      .eq('owner_id', ownerId)
+      .in('status', OPEN_STATUSES)
+      .select()
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    return entry || null;
+  }
+
+  /**
+   * Slot as offered in the template and stored on the chat
+   * Format: "13/11/2025 às 10:00"
+   */
+  formatSlot(slot) {
+    const [year, month, day] = slot.date.split('-');
+    return {
+      date: slot.date,
+      time: slot.time,
+      formatted: `${day}/${month}/${year} às ${slot.time}`,
+      start: slot.start.toISOString(),
+      end: slot.end.toISOString()
+    };
+  }
+
+  /**
+   * Hold a cancelled appointment's time and offer it to the first waiting leads
+   * @param {Object} eventData - the appointment.cancelled payload; its resource
+   *   and times stand in for an appointment deleted from the dashboard
+   * @returns {number} - leads the slot was offered to
+   */
+  async offerFreedSlot(appointmentId, eventData = {}) {
+    const { data: stored } = await supa
+      .from('appointments')
+      .select('id, owner_id, lead_id, resource_type, resource_id, start_at, end_at')
+      .eq('id', appointmentId)
+      .maybeSingle();
+
+    const appointment = stored || {
+      id: appointmentId,
+      lead_id: eventData.lead_id || null,
+      resource_type: eventData.resource_type,
+      resource_id: eventData.resource_id,
+      start_at: eventData.start_at,
+      end_at: eventData.end_at
+    };
+
+    if (!appointment.resource_id || !WAITLIST_RESOURCE_TYPES.includes(appointment.resource_type) || !appointment.start_at || !appointment.end_at) {
+      return 0;
+    }
+
+    const resource = await availabilityService.getResource(appointment.resource_type, appointment.resource_id);
+    if (!resource) return 0;
+
+    const start = new Date(appointment.start_at);
+    const end = new Date(appointment.end_at);
+
+    // Too close, already rebooked or held by someone else: nothing to offer
+    const unavailable = await availabilityService.checkSlot(resource, start, end);
+    if (unavailable) {
+      log.info('Freed slot not offered to the waitlist:', { appointmentId, reason: unavailable.reason });
+      return 0;
+    }
+
+    const slotDate = getDateStringInTimezone(start, resource.timezone);
+    const { data: entries, error } = await supa
+      .from('waitlist_entries')
+      .select('*')
+      .eq('resource_type', appointment.resource_type)
+      .eq('resource_id', appointment.resource_id)
+      .eq('status', 'waiting')
+      .or(`wanted_before.is.null,wanted_before.gt.${slotDate}`)
+      .order('created_at', { ascending: true })
+      .limit(OFFER_BATCH_SIZE + 1);
+
+    if (error) throw new Error(error.message);
+
+    const batch = (entries || [])
+      .filter(entry => entry.lead_id !== appointment.lead_id)
+      .slice(0, OFFER_BATCH_SIZE);
+    if (batch.length === 0) return 0;
+
+    const [hold] = await slotHoldService.holdSlots(resource, [{ start, end }], {
+      offeredTo: batch.map(entry => entry.lead_id),
+      source: 'waitlist',
+      minutes: HOLD_MINUTES.template
+    });
+    if (!hold) return 0;
+
+    const parts = getZonedParts(start, resource.timezone);
+    const freedSlot = this.formatSlot({
+      start,
+      end,
+      date: slotDate,
+      time: `${String(parts.hour).padStart(2, '0')}:${String(parts.minute).padStart(2, '0')}`
+    });
+
+    let offered = 0;
+    for (const entry of batch) {
+      try {
+        if (await this.offerToEntry(entry, resource, freedSlot, hold)) {
+          offered++;
+        }
+      } catch (offerError) {
+        log.error('Error offering freed slot to waitlisted lead:', { entryId: entry.id, error: offerError.message });
+      }
+    }
+
+    log.info('Freed slot offered to the waitlist:', { appointmentId, slot: freedSlot.formatted, offered });
+    return offered;
+  }
+
+  /**
+   * Send the freed slot, plus the next free one, to a waitlisted lead
+   */
+  async offerToEntry(entry, resource, freedSlot, hold) {
+    const { data: lead } = await supa
+      .from('leads')
+      .select('*')
+      .eq('id', entry.lead_id)
+      .maybeSingle();
+    if (!lead) return false;
+
+    const context = await this.loadOfferContext(lead, entry.resource_type, entry.resource_id);
+    if (!context) return false;
+
+    // The template offers two times; the second is the next free one before the lead's date, or any
+    const before = entry.wanted_before ? zonedTimeToUtc(entry.wanted_before, '00:00', resource.timezone) : null;
+    const isOtherSlot = slot => slot.start.toISOString() !== freedSlot.start;
+    let secondSlot = (await availabilityService.findSlots(resource, { maxSlots: 2, before, leadId: lead.id })).find(isOtherSlot);
+    if (!secondSlot && before) {
+      secondSlot = (await availabilityService.findSlots(resource, { maxSlots: 2, leadId: lead.id })).find(isOtherSlot);
+    }
+    if (!secondSlot) {
+      log.info('No second slot to offer with the freed one, skipping waitlisted lead:', { entryId: entry.id });
+      return false;
+    }
+
+    // The freed slot is on the shared hold; the second one is held for this lead alone
+    await slotHoldService.holdSlots(resource, [secondSlot], {
+      leadId: lead.id,
+      source: 'waitlist',
+      minutes: HOLD_MINUTES.template
+    });
+
+    const chat = await this.sendEarlierOffer(lead, [freedSlot, this.formatSlot(secondSlot)], {
+      ...context,
+      resourceType: entry.resource_type,
+      resourceId: entry.resource_id,
+      suggestedDate: entry.wanted_before,
+      initiatedBy: 'waitlist'
+    });
+    if (!chat) return false;
+
+    await supa
+      .from('waitlist_entries')
+      .update({ status: 'offered', offered_hold_id: hold.id, offered_at: new Date().toISOString() })
+      .eq('id', entry.id);
+
+    // The scheduler's scarcity outreach would offer them other times on top of this one
+    if (lead.status === 'available_time') {
+      await supa
+        .from('leads')
+        .update({ status: 'whatsapp_scarity_sent', next_retry_at: null })
+        .eq('id', lead.id);
+      eventBus.publishLeadStatus(lead.owner_id, lead.id, 'whatsapp_scarity_sent', lead.status);
+    }
+
+    return true;
+  }
+
+  /**
+   * A waitlisted lead booked the resource: they leave the waitlist
+   */
+  async markBooked(appointmentId) {
+    const { data: appointment } = await supa
+      .from('appointments')
+      .select('lead_id, resource_type, resource_id')
+      .eq('id', appointmentId)
+      .maybeSingle();
+
+    if (!appointment?.lead_id || !appointment.resource_id) return;
+
+    const { error } = await supa
+      .from('waitlist_entries')
+      .update({ status: 'booked' })
+      .eq('lead_id', appointment.lead_id)
+      .eq('resource_type', appointment.resource_type)
+      .eq('resource_id', appointment.resource_id)
+      .in('status', OPEN_STATUSES);
+
+    if (error) {
+      log.warn('Error updating waitlist after booking:', error.message);
+    }
+  }
+
+  /**
+   * Leads whose offer was booked by someone else or expired wait again, in their original place
+   * @returns {number} - entries reopened
+   */
+  async reopenUnansweredOffers() {
+    const { data: entries, error } = await supa
+      .from('waitlist_entries')
+      .select('id, offered_hold_id')
+      .eq('status', 'offered');
+
+    if (error) {
+      log.warn('Error fetching offered waitlist entries:', error.message);
+      return 0;
+    }
+    if (!entries?.length) return 0;
+
+    const holdIds = [...new Set(entries.map(entry => entry.offered_hold_id).filter(Boolean))];
+    const { data: activeHolds } = holdIds.length
+      ? await supa.from('slot_holds').select('id').in('id', holdIds).eq('status', 'active')
+      : { data: [] };
+    const activeHoldIds = new Set((activeHolds || []).map(hold => hold.id));
+
+    const staleIds = entries
+      .filter(entry => !activeHoldIds.has(entry.offered_hold_id))
+      .map(entry => entry.id);
+    if (staleIds.length === 0) return 0;
+
+    const { error: updateError } = await supa
+      .from('waitlist_entries')
+      .update({ status: 'waiting', offered_hold_id: null })
+      .in('id', staleIds)
+      .eq('status', 'offered');
+
+    if (updateError) {
+      log.warn('Error reopening waitlist entries:', updateError.message);
+      return 0;
+    }
+
+    return staleIds.length;
+  }
+
+  /**
+   * Chat agent, owner and resource name needed to send an offer
+   * @returns {Object|null} - { chatAgent, ownerData, resourceName }; null when
+   *   the owner has no chat agent or WhatsApp Business connected
+   */
+  async loadOfferContext(lead, resourceType, resourceId) {
+    const chatAgent = await agentManager.getChatAgentForOwner(lead.owner_id, resourceType === 'treatment' ? 'beauty_clinic' : 'clinic');
+    if (!chatAgent) {
+      log.warn('No chat agent found for owner, not sending offer:', { ownerId: lead.owner_id, leadId: lead.id });
+      return null;
+    }
+
+    const { data: ownerData } = await supa
+      .from('users')
+      .select('name, whatsapp_connected, whatsapp_phone_id, whatsapp_access_token')
+      .eq('id', lead.owner_id)
+      .single();
+
+    if (!ownerData?.whatsapp_connected || !ownerData?.whatsapp_phone_id || !ownerData?.whatsapp_access_token) {
+      log.warn('Owner has no WhatsApp Business connected, not sending offer:', { ownerId: lead.owner_id, leadId: lead.id });
+      return null;
+    }
+
+    let resourceName = 'nossa equipe';
+    if (resourceType === 'doctor') {
+      const { data: doctor } = await supa.from('doctors').select('name').eq('id', resourceId).maybeSingle();
+      if (doctor) resourceName = doctor.name;
+    } else if (resourceType === 'treatment') {
+      const { data: treatment } = await supa.from('treatments').select('treatment_name').eq('id', resourceId).maybeSingle();
+      if (treatment) resourceName = treatment.treatment_name;
+    }
+
+    return { chatAgent, ownerData, resourceName };
+  }
+
+  /**
+   * Send the earlier_appointment_offer template with two slots and point the
+   * lead's WhatsApp chat at them, so the chat agent can book the one they pick
+   * @param {Array} slots - two formatted slots (see formatSlot)
+   * @param {Object} options - { chatAgent, ownerData, resourceName, resourceType, resourceId, suggestedDate, initiatedBy }
+   * @returns {Object|null} - the whatsapp_chats row
+   */
+  async sendEarlierOffer(lead, slots, { chatAgent, ownerData, resourceName, resourceType, resourceId, suggestedDate, initiatedBy }) {
+    const ownerId = lead.owner_id;
+    const toPhone = lead.whatsapp || lead.phone;
+    const normalizedPhone = normalizePhoneNumber(toPhone);
+    const firstName = String(lead.name || '').split(' ')[0] || 'Cliente';
+    const agentVariables = lead.agent_variables || {};
+
+    // Format suggested date for display (DD/MM/YYYY)
+    let formattedSuggestedDate = 'a data mencionada';
+    if (suggestedDate && /^\d{4}-\d{2}-\d{2}$/.test(suggestedDate)) {
+      const [year, month, day] = suggestedDate.split('-');
+      formattedSuggestedDate = `${day}/${month}/${year}`;
+    }
+
+    // Send WhatsApp template: earlier_appointment_offer
+    // Template: "Olá {{1}}! 😊\nAqui é a {{2}} da clínica {{3}}.\nConseguimos horários antes do dia {{4}}:\n\n👉 {{5}}\n👉 {{6}}\n\nAlgum desses funciona para você?"
+    const templateResult = await whatsappBusinessService.sendTemplateMessage(
+      ownerId,
+      normalizedPhone,
+      'earlier_appointment_offer', // Template name
+      'pt_BR',
+      [
+        {
+          type: 'body',
+          parameters: [
+            { type: 'text', text: firstName },                           // {{1}} - Client name
+            { type: 'text', text: chatAgent.agent_name || 'Assistente' }, // {{2}} - Agent name
+            { type: 'text', text: ownerData?.name || 'Clínica' }, // {{3}} - Clinic name
+            { type: 'text', text: formattedSuggestedDate },               // {{4}} - Date user mentioned
+            { type: 'text', text: slots[0].formatted },                   // {{5}} - First available slot
+            { type: 'text', text: slots[1].formatted }                    // {{6}} - Second available slot
+          ]
+        }
+      ]
+    );
+
+    // Create whatsapp_chats record with real available slots
+    const chatMetadata = {
+      chat_type: 'real_available_time',
+      suggested_date: suggestedDate,
+      offered_slots: slots, // Store the actual slots offered
+      resource_type: resourceType,
+      resource_id: resourceId,
+      resource_name: resourceName,
+      initiated_by: initiatedBy
+    };
+
+    // Format available slots for agent context
+    const availableSlotsText = slots.map(s => s.formatted).join('\n');
+
+    // Get all appointments for this phone number (aggregates across all leads with same phone)
+    const appointmentsData = await getAllAppointmentsForPhone(toPhone);
+
+    // Check for existing active chat for this phone number
+    const { data: existingChat } = await supa
+      .from('whatsapp_chats')
+      .select('id, retell_chat_id')
+      .eq('wa_phone', normalizedPhone)
+      .in('status', ['open', 'pending_response'])
+      .maybeSingle();
+
+    const agentVariablesForAvailableTime = {
+      ...agentVariables,
+      name: firstName,
+      client_name: lead.name,
+      resource_name: resourceName,
+      resource_type: resourceType,
+      business_name: ownerData?.name || 'Clínica',
+      agent_name: chatAgent.agent_name || 'Assistente',
+      suggested_date: formattedSuggestedDate,
+      available_slots: availableSlotsText,
+      slot_1: slots[0]?.formatted || '',
+      slot_1_date: slots[0]?.date || '',
+      slot_1_time: slots[0]?.time || '',
+      slot_2: slots[1]?.formatted || '',
+      slot_2_date: slots[1]?.date || '',
+      slot_2_time: slots[1]?.time || '',
+      // Include all appointments for rescheduling context
+      all_appointments: appointmentsData.all_appointments,
+      appointments_count: appointmentsData.appointments_count || 0
+    };
+
+    let newChat;
+    if (existingChat) {
+      // Update existing active chat
+      const { data: updatedChat, error: updateError } = await supa
+        .from('whatsapp_chats')
+        .update({
+          lead_id: lead.id,
+          agent_id: chatAgent.id,
+          status: 'pending_response',
+          metadata: chatMetadata,
+          agent_variables: agentVariablesForAvailableTime,
+          last_message_at: new Date().toISOString()
+        })
+        .eq('id', existingChat.id)
+        .select()
+        .single();
+
+      if (updateError) {
+        log.error('Error updating whatsapp_chats record:', updateError);
+      } else {
+        newChat = updatedChat;
+
+        // Update Retell chat if it exists and is ongoing
+        if (existingChat.retell_chat_id) {
+          try {
+            const retellChatInfo = await retellGetChat(existingChat.retell_chat_id);
+
+            if (retellChatInfo.chat_status === 'ongoing') {
+              // Convert agent_variables to string format for Retell
+              const retellDynamicVariables = {};
+              Object.keys(agentVariablesForAvailableTime).forEach(key => {
+                if (agentVariablesForAvailableTime[key] !== null && agentVariablesForAvailableTime[key] !== undefined) {
+                  retellDynamicVariables[key] = String(agentVariablesForAvailableTime[key]);
+                }
+              });
+
+              await retellUpdateChat(existingChat.retell_chat_id, {
+                override_dynamic_variables: retellDynamicVariables
+              });
+
+              log.info('Updated existing Retell chat with available time variables:', {
+                retellChatId: existingChat.retell_chat_id,
+                leadId: lead.id
+              });
+            }
+          } catch (retellError) {
+            log.warn('Failed to update Retell chat for available time:', retellError.message);
+            // Don't fail if Retell update fails
+          }
+        }
+      }
+    } else {
+      // Insert new chat record
+      const { data: insertedChat, error: chatError } = await supa
+        .from('whatsapp_chats')
+        .insert({
+          owner_id: ownerId,
+          lead_id: lead.id,
+          wa_phone: normalizedPhone,
+          agent_id: chatAgent.id,
+          status: 'pending_response', // Waiting for user to reply
+          metadata: chatMetadata,
+          agent_variables: agentVariablesForAvailableTime,
+          last_message_at: new Date().toISOString()
+        })
+        .select()
+        .single();
+
+      if (chatError) {
+        log.error('Error creating whatsapp_chats record:', chatError);
+      } else {
+        newChat = insertedChat;
+      }
+    }
+
+    if (newChat) {
+      // Store the outbound template message
+      await supa
+        .from('whatsapp_messages')
+        .insert({
+          chat_id: newChat.id,
+          direction: 'outbound',
+          sender: 'system',
+          wa_message_id: templateResult?.messageId || null,
+          body: `Template: earlier_appointment_offer - ${firstName}, ${chatAgent.agent_name || 'Assistente'}, ${ownerData?.name || 'Clínica'}, ${formattedSuggestedDate}, ${slots[0].formatted}, ${slots[1].formatted}`,
+          message_type: 'template',
+          is_template: true,
+          payload: {
+            template_name: 'earlier_appointment_offer',
+            slots_offered: slots
+          }
+        });
+
+      log.info('WhatsApp earlier slot offer sent successfully:', {
+        leadId: lead.id,
+        chatId: newChat.id,
+        phone: normalizedPhone,
+        suggestedDate: formattedSuggestedDate,
+        slotsOffered: slots.map(s => s.formatted),
+        initiatedBy
+      });
+    }
+
+    return newChat || null;
+  }
+}
+
+export const waitlistService = new WaitlistService();
@@ -0,0 +1,372 @@
+import crypto from 'crypto';
+import dns from 'dns/promises';
+import net from 'net';
+import { supa } from '../lib/supabase.js';
+import { log } from '../config/logger.js';
+import { eventBus, EVENT_TYPES } from './events.js';
+
+// Delay before each retry, in minutes (attempt 2, 3, ...)
+const RETRY_BACKOFF_MINUTES = [1, 5, 30, 120, 360, 1440];
+const MAX_ATTEMPTS = RETRY_BACKOFF_MINUTES.length + 1;
+const DELIVERY_TIMEOUT_MS = 10000;
+const DUE_BATCH_SIZE = 50;
+
+// Deliveries never go to the server's own network: loopback, private,
+// link-local (cloud metadata), carrier-grade NAT, multicast and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+function isBlockedAddress(address) {
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as the IPv4 address
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+
+  return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Outbound Webhooks Service
+ * Delivers owner events to subscribed URLs with an HMAC-SHA256 signature.
+ *
+ * Every delivery is POSTed as JSON with the headers:
+ *   X-Webhook-Id         delivery id (stable across retries)
+ *   X-Webhook-Event      event type
+ *   X-Webhook-Signature  t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+ */
+class WebhooksService {
+  constructor() {
+    this.processing = false;
+    this.started = false;
+  }
+
+  /**
+   * Listen to the event bus and enqueue deliveries for matching subscriptions
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    eventBus.subscribeAll((ownerId, event) => {
+      this.dispatch(ownerId, event).catch(error => {
+        log.error('Error dispatching webhook event:', { type: event.type, error: error.message });
+      });
+    });
+  }
+
+  generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  /**
+   * Signature header value for a raw body
+   */
+  sign(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+    const digest = crypto
+      .createHmac('sha256', secret)
+      .update(`${timestamp}.${body}`)
+      .digest('hex');
+    return `t=${timestamp},v1=${digest}`;
+  }
+
+  /**
+   * Check that a URL may receive deliveries: https, and every address its
+   * host resolves to is public. Runs on subscribe and before each attempt,
+   * since DNS can change in between.
+   * @returns {string|null} - error message, or null when allowed
+   */
+  async checkDestination(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return 'url must be a valid URL';
+    }
+    if (parsed.protocol !== 'https:') {
+      return 'url must use https';
+    }
+
+    const hostname = parsed.hostname.replace(/^\[(.*)\]$/, '$1');
+    let addresses;
+    try {
+      addresses = await dns.lookup(hostname, { all: true, verbatim: true });
+    } catch {
+      return `url host ${hostname} could not be resolved`;
+    }
+
+    if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+      return 'url must point to a public address';
+    }
+
+    return null;
+  }
+
+  /**
+   * Validate a subscription URL and event type list
+   * @returns {string|null} - error message, or null when valid
+   */
+  async validateSubscription({ url, event_types }) {
+    if (url !== undefined) {
+      const destinationError = await this.checkDestination(url);
+      if (destinationError) {
+        return destinationError;
+      }
+    }
+
+    if (event_types !== undefined) {
+      if (!Array.isArray(event_types) || event_types.length === 0) {
+        return 'event_types must be a non-empty array';
+      }
+      const unknown = event_types.filter(type => type !== '*' && !EVENT_TYPES.includes(type));
+      if (unknown.length > 0) {
+        return `Unknown event types: ${unknown.join(', ')}`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Create one delivery per active subscription listening to the event
+   */
+  async dispatch(ownerId, event) {
+    const { data: subscriptions, error } = await supa
+      .from('webhook_subscriptions')
+      .select('*')
+      .eq('owner_id', ownerId)
+      .eq('is_active', true);
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    const matching = (subscriptions || []).filter(sub =>
+      (sub.event_types || []).includes('*') || (sub.event_types || []).includes(event.type)
+    );
+
+    for (const subscription of matching) {
+      const delivery = await this.createDelivery(subscription, event.type, {
+        id: crypto.randomUUID(),
+        type: event.type,
+        created_at: event.created_at,
+        data: event.data
+      });
+      await this.attemptDelivery(delivery, subscription);
+    }
+  }
+
+  /**
+   * Store a pending delivery. next_attempt_at is pushed past the first attempt
+   * so the scheduler does not pick it up while it is being sent.
+   */
+  async createDelivery(subscription, eventType, payload, { redeliveryOf = null } = {}) {
+    const { data: delivery, error } = await supa
+      .from('webhook_deliveries')
+      .insert({
+        subscription_id: subscription.id,
+        owner_id: subscription.owner_id,
+        event_type: eventType,
+        payload,
+        status: 'pending',
+        next_attempt_at: new Date(Date.now() + RETRY_BACKOFF_MINUTES[0] * 60000).toISOString(),
+        redelivery_of: redeliveryOf
+      })
+      .select('*')
+      .single();
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    return delivery;
+  }
+
+  /**
+   * POST the delivery payload and record the outcome.
+   * Failed attempts are rescheduled with backoff until MAX_ATTEMPTS.
+   */
+  async attemptDelivery(delivery, subscription) {
+    const body = JSON.stringify(delivery.payload);
+    const attemptCount = (delivery.attempt_count || 0) + 1;
+    const attemptedAt = new Date();
+
+    let responseStatus = null;
+    let responseBody = null;
+    let errorMessage = null;
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), DELIVERY_TIMEOUT_MS);
+
+    try {
+      const destinationError = await this.checkDestination(subscription.url);
+      if (destinationError) {
+        throw new Error(`Destination not allowed: ${destinationError}`);
+      }
+
+      // Redirects are not followed, so they can't lead to a blocked address
+      const response = await fetch(subscription.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'Geniumed-Webhooks/1.0',
+          'X-Webhook-Id': delivery.id,
+          'X-Webhook-Event': delivery.event_type,
+          'X-Webhook-Signature': this.sign(subscription.secret, body)
+        },
+        body,
+        redirect: 'manual',
+        signal: controller.signal
+      });
+
+      // Only the status line is kept; receivers' response bodies are never stored
+      responseStatus = response.status;
+      responseBody = `${response.status} ${response.statusText}`.trim();
+      await response.body?.cancel();
+
+      if (!response.ok) {
+        errorMessage = `HTTP ${response.status}`;
+      }
+    } catch (error) {
+      errorMessage = error.name === 'AbortError' ? `Timed out after ${DELIVERY_TIMEOUT_MS}ms` : error.message;
+    } finally {
+      clearTimeout(timeout);
+    }
+
+    const succeeded = !errorMessage;
+    const exhausted = attemptCount >= MAX_ATTEMPTS;
+
+    const update = {
+      attempt_count: attemptCount,
+      last_attempt_at: attemptedAt.toISOString(),
+      response_status: responseStatus,
+      response_body: responseBody,
+      error: errorMessage
+    };
+
+    if (succeeded) {
+      Object.assign(update, { status: 'succeeded', delivered_at: attemptedAt.toISOString(), next_attempt_at: null });
+    } else if (exhausted) {
+      Object.assign(update, { status: 'failed', next_attempt_at: null });
+    } else {
+      const delayMinutes = RETRY_BACKOFF_MINUTES[attemptCount - 1];
+      Object.assign(update, {
+        status: 'pending',
+        next_attempt_at: new Date(attemptedAt.getTime() + delayMinutes * 60000).toISOString()
+      });
+    }
+
+    const { data: updated, error } = await supa
+      .from('webhook_deliveries')
+      .update(update)
+      .eq('id', delivery.id)
+      .select('*')
+      .single();
+
+    if (error) {
+      log.error('Error recording webhook delivery attempt:', { deliveryId: delivery.id, error: error.message });
+    }
+
+    if (succeeded) {
+      log.info('Webhook delivered:', { deliveryId: delivery.id, eventType: delivery.event_type, attempt: attemptCount });
+    } else {
+      log.warn('Webhook delivery failed:', {
+        deliveryId: delivery.id,
+        eventType: delivery.event_type,
+        attempt: attemptCount,
+        error: errorMessage,
+        willRetry: !exhausted
+      });
+    }
+
+    return updated || { ...delivery, ...update };
+  }
+
+  /**
+   * Retry pending deliveries whose next_attempt_at is due (called by the scheduler)
+   */
+  async processDueDeliveries() {
+    if (this.processing) return 0;
+    this.processing = true;
+
+    try {
+      const { data: deliveries, error } = await supa
+        .from('webhook_deliveries')
+        .select('*, webhook_subscriptions(*)')
+        .eq('status', 'pending')
+        .lte('next_attempt_at', new Date().toISOString())
+        .order('next_attempt_at', { ascending: true })
+        .limit(DUE_BATCH_SIZE);
+
+      if (error) {
+        throw new Error(error.message);
+      }
+
+      for (const delivery of deliveries || []) {
+        const subscription = delivery.webhook_subscriptions;
+
+        if (!subscription?.is_active) {
+          await supa
+            .from('webhook_deliveries')
+            .update({ status: 'failed', error: 'Subscription is inactive', next_attempt_at: null })
+            .eq('id', delivery.id);
+          continue;
+        }
+
+        await this.attemptDelivery(delivery, subscription);
+      }
+
+      return deliveries?.length || 0;
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Send a copy of a past delivery now, as a new delivery row
+   */
+  async redeliver(ownerId, deliveryId) {
+    const { data: original, error } = await supa
+      .from('webhook_deliveries')
+      .select('*, webhook_subscriptions(*)')
+      .eq('id', deliveryId)
+      .eq('owner_id', ownerId)
+      .single();
+
+    if (error || !original) {
+      throw new Error('Delivery not found');
+    }
+
+    const subscription = original.webhook_subscriptions;
+    if (!subscription) {
+      throw new Error('Subscription not found');
+    }
+
+    const delivery = await this.createDelivery(subscription, original.event_type, original.payload, {
+      redeliveryOf: original.id
+    });
+
+    return this.attemptDelivery(delivery, subscription);
+  }
+
+  /**
+   * Send a webhook.test event to a single subscription
+   */
+  async sendTest(subscription) {
+    const delivery = await this.createDelivery(subscription, 'webhook.test', {
+      id: crypto.randomUUID(),
+      type: 'webhook.test',
+      created_at: new Date().toISOString(),
+      data: { subscription_id: subscription.id }
+    });
+
+    return this.attemptDelivery(delivery, subscription);
+  }
+}
+
+export const webhooksService = new WebhooksService();
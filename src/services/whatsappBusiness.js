@@ -120,6 +120,76 @@ class WhatsAppBusinessService {
     }
   }
 
+  /**
+   * Download inbound media (image, document, audio...) from the Graph API.
+   * Media URLs are short-lived and require the owner's access token.
+   */
+  async downloadMedia(userId, mediaId) {
+    try {
+      const credentials = await this.getWhatsAppCredentials(userId);
+
+      const metaResponse = await fetch(
+        `${this.baseUrl}/${this.apiVersion}/${mediaId}`,
+        {
+          headers: { 'Authorization': `Bearer ${credentials.accessToken}` }
+        }
+      );
+
+      const meta = await metaResponse.json();
+
+      if (!metaResponse.ok || !meta.url) {
+        throw new Error(`WhatsApp API error: (${meta.error?.code}) ${meta.error?.message || 'Media not found'}`);
+      }
+
+      const fileResponse = await fetch(meta.url, {
+        headers: { 'Authorization': `Bearer ${credentials.accessToken}` }
+      });
+
+      if (!fileResponse.ok) {
+        throw new Error(`Failed to download WhatsApp media: HTTP ${fileResponse.status}`);
+      }
+
+      const buffer = Buffer.from(await fileResponse.arrayBuffer());
+
+      log.info('WhatsApp media downloaded', { mediaId, mimeType: meta.mime_type, size: buffer.length });
+
+      return {
+        buffer,
+        mimeType: meta.mime_type,
+        sha256: meta.sha256,
+        fileSize: meta.file_size
+      };
+    } catch (error) {
+      log.error('Error downloading WhatsApp media:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Download inbound media and keep a copy in the whatsapp-media storage bucket
+   */
+  async storeInboundMedia(userId, mediaId, pathPrefix) {
+    try {
+      const { buffer, mimeType } = await this.downloadMedia(userId, mediaId);
+
+      const extension = (mimeType?.split('/')[1] || 'bin').split(';')[0];
+      const storagePath = `${pathPrefix}/${mediaId}.${extension}`;
+
+      const { error } = await supa.storage
+        .from('whatsapp-media')
+        .upload(storagePath, buffer, { contentType: mimeType, upsert: true });
+
+      if (error) {
+        throw new Error(`Failed to store WhatsApp media: ${error.message}`);
+      }
+
+      return { storagePath, mimeType, size: buffer.length, buffer };
+    } catch (error) {
+      log.error('Error storing WhatsApp media:', error);
+      throw error;
+    }
+  }
+
   /**
    * Send a template message via WhatsApp Business API
    */
@@ -300,6 +370,43 @@ class WhatsAppBusinessService {
     }
   }
 
+  /**
+   * Send the appointment_reminder template (CONFIRMAR / REMARCAR buttons)
+   * Template format: 'Olá, {{1}}! 🔔\nLembrete: seu atendimento com {{2}} está marcado para {{3}}, às {{4}}.\n\n📍 Endereço / Link: {{5}}...'
+   */
+  async sendAppointmentReminderTemplate(userId, patientPhone, reminderDetails) {
+    try {
+      const {
+        patientName,
+        doctorName,
+        appointmentDate,
+        appointmentTime,
+        location,
+        templateName = 'appointment_reminder',
+        languageCode = 'pt_BR'
+      } = reminderDetails;
+
+      const components = [
+        {
+          type: 'body',
+          parameters: [
+            { type: 'text', text: patientName || 'Cliente' },
+            { type: 'text', text: doctorName || 'nossa equipe' },
+            { type: 'text', text: appointmentDate || '' },
+            { type: 'text', text: appointmentTime || '' },
+            { type: 'text', text: location || 'Nossa clínica' }
+          ]
+        }
+      ];
+
+      return await this.sendTemplateMessage(userId, patientPhone, templateName, languageCode, components);
+
+    } catch (error) {
+      log.error('Error sending appointment reminder template:', error);
+      throw error;
+    }
+  }
+
   /**
    * Send telemedicine meeting link via WhatsApp
    */
@@ -0,0 +1,270 @@
+import { supa } from '../lib/supabase.js';
+import { log } from '../config/logger.js';
+import { env } from '../config/env.js';
+import { twilio } from '../lib/twilio.js';
+import { eventBus } from './events.js';
+import { callPolicyService } from './callPolicy.js';
+
+// Statuses never move backwards (Meta may deliver callbacks out of order)
+const STATUS_RANK = { sent: 1, delivered: 2, read: 3 };
+
+const TIMESTAMP_COLUMN = {
+  sent: 'sent_at',
+  delivered: 'delivered_at',
+  read: 'read_at',
+  failed: 'failed_at'
+};
+
+// Rate-limit errors: the number is fine, so no fallback is triggered
+const TRANSIENT_ERROR_CODES = [130429, 131048, 131056];
+
+/**
+ * WhatsApp Delivery Service
+ * Applies delivery status callbacks to messages/appointments and moves the
+ * lead to its fallback channel when a template cannot be delivered.
+ */
+class WhatsAppDeliveryService {
+  /**
+   * Error details of a failed status callback
+   */
+  parseError(status) {
+    const error = status.errors?.[0];
+    if (!error) return null;
+
+    return {
+      code: error.code ?? null,
+      title: error.title || null,
+      message: error.message || null,
+      details: error.error_data?.details || null
+    };
+  }
+
+  /**
+   * Whether a status may replace the current one
+   */
+  canTransition(current, next) {
+    if (next === 'failed') return current !== 'failed';
+    if (current === 'failed') return false;
+    return (STATUS_RANK[next] || 0) > (STATUS_RANK[current] || 0);
+  }
+
+  /**
+   * Handle one entry of `value.statuses` from the WhatsApp webhook
+   */
+  async handleStatus(status) {
+    if (!status?.id || !TIMESTAMP_COLUMN[status.status]) return;
+
+    const at = status.timestamp
+      ? new Date(Number(status.timestamp) * 1000).toISOString()
+      : new Date().toISOString();
+    const error = status.status === 'failed' ? this.parseError(status) : null;
+
+    const message = await this.updateMessage(status, at, error);
+    const appointment = await this.updateAppointment(status, at, error);
+
+    if (status.status === 'failed') {
+      await this.markReminderFailed(status.id, error);
+    }
+
+    if (status.status !== 'failed') return;
+
+    log.warn('WhatsApp message failed to deliver:', {
+      waMessageId: status.id,
+      recipient: status.recipient_id,
+      error
+    });
+
+    if (error && TRANSIENT_ERROR_CODES.includes(error.code)) return;
+
+    const isTemplate = message?.is_template || !!appointment;
+    if (!isTemplate || (message && message.fallback_triggered_at)) return;
+
+    try {
+      await this.triggerFallback({ message, appointment, error });
+    } catch (fallbackError) {
+      log.error('Error triggering WhatsApp fallback channel:', { waMessageId: status.id, error: fallbackError.message });
+    }
+  }
+
+  /**
+   * Update the whatsapp_messages row for the WhatsApp message id
+   * @returns {Object|null} - the message row (with its chat) when found
+   */
+  async updateMessage(status, at, error) {
+    const { data: message } = await supa
+      .from('whatsapp_messages')
+      .select('*, whatsapp_chats(id, owner_id, lead_id)')
+      .eq('wa_message_id', status.id)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (!message) return null;
+
+    // Still record the timestamp of a late callback even if the status doesn't change
+    const update = { [TIMESTAMP_COLUMN[status.status]]: message[TIMESTAMP_COLUMN[status.status]] || at };
+    if (this.canTransition(message.delivery_status, status.status)) {
+      update.delivery_status = status.status;
+    }
+    if (error) {
+      update.delivery_error = error;
+    }
+
+    await supa
+      .from('whatsapp_messages')
+      .update(update)
+      .eq('id', message.id);
+
+    if (update.delivery_status && message.whatsapp_chats?.owner_id) {
+      eventBus.publish(message.whatsapp_chats.owner_id, 'message.status_updated', {
+        chat_id: message.chat_id,
+        message_id: message.id,
+        wa_message_id: status.id,
+        status: status.status,
+        error
+      });
+    }
+
+    return { ...message, ...update };
+  }
+
+  /**
+   * Update the appointment whose confirmation template has this message id
+   * @returns {Object|null} - the appointment when its status changed, so a
+   *   failure triggers the fallback only once
+   */
+  async updateAppointment(status, at, error) {
+    const { data: appointment } = await supa
+      .from('appointments')
+      .select('id, owner_id, lead_id, start_at, timezone, whatsapp_confirmation_status')
+      .eq('whatsapp_confirmation_message_id', status.id)
+      .maybeSingle();
+
+    if (!appointment || !this.canTransition(appointment.whatsapp_confirmation_status, status.status)) {
+      return null;
+    }
+
+    await supa
+      .from('appointments')
+      .update({
+        whatsapp_confirmation_status: status.status,
+        whatsapp_confirmation_status_at: at,
+        whatsapp_confirmation_error: error
+      })
+      .eq('id', appointment.id);
+
+    return appointment;
+  }
+
+  /**
+   * Record a reminder template that could not be delivered
+   */
+  async markReminderFailed(waMessageId, error) {
+    await supa
+      .from('appointment_reminders')
+      .update({ status: 'failed', error: error?.message || error?.title || 'Message failed to deliver' })
+      .eq('wa_message_id', waMessageId);
+  }
+
+  isSmsConfigured() {
+    return !!(env.TWILIO_ACCOUNT_SID && (env.TWILIO_MESSAGING_SERVICE_SID || env.TWILIO_FROM_NUMBER));
+  }
+
+  async sendSms(to, body) {
+    return twilio.messages.create({
+      to,
+      body,
+      ...(env.TWILIO_MESSAGING_SERVICE_SID
+        ? { messagingServiceSid: env.TWILIO_MESSAGING_SERVICE_SID }
+        : { from: env.TWILIO_FROM_NUMBER })
+    });
+  }
+
+  /**
+   * Move the lead to its fallback channel:
+   * - failed appointment confirmation -> SMS with the appointment details
+   * - failed outreach template -> phone call while attempts remain, then SMS
+   */
+  async triggerFallback({ message, appointment, error }) {
+    const leadId = appointment?.lead_id || message?.whatsapp_chats?.lead_id;
+    if (!leadId) return null;
+
+    const { data: lead } = await supa
+      .from('leads')
+      .select('*')
+      .eq('id', leadId)
+      .maybeSingle();
+
+    if (!lead) return null;
+
+    const firstName = String(lead.name || '').split(' ')[0] || 'Cliente';
+    const phone = lead.phone || lead.whatsapp;
+    let channel = 'none';
+    // Booked patients keep their lead status; the appointment carries the failure
+    let newStatus = appointment ? null : 'whatsapp_failed';
+
+    if (!appointment && lead.assigned_agent_id) {
+      const { count } = await supa
+        .from('call_attempts')
+        .select('id', { count: 'exact', head: true })
+        .eq('lead_id', lead.id);
+
+      const policy = await callPolicyService.getPolicy(lead.owner_id);
+      if ((count || 0) < callPolicyService.getMaxAttempts(policy, lead)) {
+        channel = 'call';
+        newStatus = 'reschedule';
+      }
+    }
+
+    if (channel === 'none' && phone && this.isSmsConfigured()) {
+      let body = `Olá ${firstName}! Tentamos falar com você pelo WhatsApp, mas a mensagem não foi entregue. Responda este SMS para continuarmos seu atendimento.`;
+
+      if (appointment) {
+        const when = new Date(appointment.start_at).toLocaleString('pt-BR', {
+          timeZone: appointment.timezone || 'America/Sao_Paulo',
+          day: '2-digit',
+          month: '2-digit',
+          hour: '2-digit',
+          minute: '2-digit'
+        });
+        body = `Olá ${firstName}! Sua consulta está agendada para ${when}. Não conseguimos enviar a confirmação pelo WhatsApp; responda este SMS se precisar remarcar.`;
+      }
+
+      await this.sendSms(phone, body);
+      channel = 'sms';
+      if (!appointment) newStatus = 'sms_fallback_sent';
+    }
+
+    if (newStatus) {
+      const leadUpdate = { status: newStatus, updated_at: new Date().toISOString() };
+      if (channel === 'call') {
+        Object.assign(leadUpdate, { preferred_channel: 'call', next_retry_at: new Date().toISOString() });
+      }
+
+      await supa
+        .from('leads')
+        .update(leadUpdate)
+        .eq('id', lead.id);
+
+      eventBus.publishLeadStatus(lead.owner_id, lead.id, newStatus, lead.status);
+    }
+
+    if (message?.id) {
+      await supa
+        .from('whatsapp_messages')
+        .update({ fallback_channel: channel, fallback_triggered_at: new Date().toISOString() })
+        .eq('id', message.id);
+    }
+
+    log.info('WhatsApp fallback channel triggered:', {
+      leadId: lead.id,
+      appointmentId: appointment?.id || null,
+      channel,
+      errorCode: error?.code ?? null
+    });
+
+    return { channel, status: newStatus || lead.status };
+  }
+}
+
+export const whatsappDeliveryService = new WhatsAppDeliveryService();
@@ -0,0 +1,380 @@
+import { addDaysToDateString } from './timezone.js';
+
+/**
+ * Availability exceptions
+ * Entries of doctors' and owners' date_specific_availability. Each applies
+ * to a date, a date range or the dates of an RRULE-style recurrence:
+ *   { id, type, start_date, end_date?, recurrence?, windows?, reason }
+ *
+ * type:
+ * - 'unavailable': closed all day
+ * - 'modified_hours': windows replace the day's working hours
+ * - 'extra_hours': windows are added to the day's working hours
+ * - 'blocked': windows are taken out of the day's working hours
+ * 'modified_hours' and 'extra_hours' also open holidays and days off.
+ *
+ * recurrence: { freq: 'daily'|'weekly'|'monthly', interval, by_day, by_month_day, until, count }
+ * counted from start_date; weeks start on Monday. Also accepted as an RRULE
+ * string, e.g. "FREQ=WEEKLY;INTERVAL=2;BYDAY=FR" for every other Friday.
+ * by_day takes MO..SU, with an ordinal for monthly rules ("1MO", "-1FR").
+ *
+ * Dates are YYYY-MM-DD; MM/DD/YYYY, as the dashboard sends and older
+ * entries stored them, is accepted too.
+ *
+ * Legacy single-date entries ({ date, type, start, end } and
+ * { date, type: 'available', timeSlots }) are read as well.
+ */
+
+export const EXCEPTION_TYPES = ['unavailable', 'modified_hours', 'extra_hours', 'blocked'];
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const SLASH_DATE_PATTERN = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/;
+const TIME_PATTERN = /^(\d{1,2}):(\d{2})$/;
+const BY_DAY_PATTERN = /^([+-]?\d)?(SU|MO|TU|WE|TH|FR|SA)$/;
+
+function isValidDate(dateString) {
+  if (!DATE_PATTERN.test(dateString || '')) return false;
+  const [year, month, day] = dateString.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+/**
+ * YYYY-MM-DD from YYYY-MM-DD, MM/DD/YYYY or an ISO date-time
+ */
+function normalizeEntryDate(value) {
+  const text = String(value ?? '').trim();
+  const slash = text.match(SLASH_DATE_PATTERN);
+  if (slash) {
+    const [, month, day, year] = slash;
+    return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+  }
+  return text.split('T')[0];
+}
+
+function toMinutes(time) {
+  const [, hours, minutes] = time.match(TIME_PATTERN);
+  return parseInt(hours, 10) * 60 + parseInt(minutes, 10);
+}
+
+function fromMinutes(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+function dayNumber(dateString) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return Date.UTC(year, month - 1, day) / DAY_MS;
+}
+
+function weekday(dateString) {
+  return new Date(`${dateString}T12:00:00Z`).getUTCDay();
+}
+
+/**
+ * Parse an RRULE string ("RRULE:" prefix optional)
+ * @returns {Object} - recurrence object
+ * @throws {Error} - on unsupported or malformed parts
+ */
+export function parseRRule(text) {
+  const recurrence = {};
+
+  for (const part of String(text).replace(/^RRULE:/i, '').split(';').filter(Boolean)) {
+    const [key, value] = part.split('=');
+    if (!value) throw new Error(`Invalid recurrence rule part: ${part}`);
+
+    switch (key.toUpperCase()) {
+      case 'FREQ': recurrence.freq = value.toLowerCase(); break;
+      case 'INTERVAL': recurrence.interval = Number(value); break;
+      case 'COUNT': recurrence.count = Number(value); break;
+      case 'UNTIL': recurrence.until = value.replace(/^(\d{4})(\d{2})(\d{2}).*$/, '$1-$2-$3'); break;
+      case 'BYDAY': recurrence.by_day = value.toUpperCase().split(','); break;
+      case 'BYMONTHDAY': recurrence.by_month_day = value.split(',').map(Number); break;
+      default: throw new Error(`Unsupported recurrence rule part: ${key}`);
+    }
+  }
+
+  return recurrence;
+}
+
+function normalizeRecurrence(input, startDate) {
+  const recurrence = typeof input === 'string' ? parseRRule(input) : { ...input };
+  const freq = String(recurrence.freq || '').toLowerCase();
+
+  if (!FREQUENCIES.includes(freq)) {
+    throw new Error(`recurrence.freq must be one of: ${FREQUENCIES.join(', ')}`);
+  }
+
+  const interval = recurrence.interval ?? 1;
+  if (!Number.isInteger(interval) || interval < 1 || interval > 99) {
+    throw new Error('recurrence.interval must be a whole number between 1 and 99');
+  }
+
+  if (recurrence.count != null && recurrence.until != null) {
+    throw new Error('recurrence can have count or until, not both');
+  }
+
+  if (recurrence.count != null && (!Number.isInteger(recurrence.count) || recurrence.count < 1 || recurrence.count > 500)) {
+    throw new Error('recurrence.count must be a whole number between 1 and 500');
+  }
+
+  const until = recurrence.until != null ? normalizeEntryDate(recurrence.until) : null;
+  if (until !== null && (!isValidDate(until) || until < startDate)) {
+    throw new Error('recurrence.until must be a YYYY-MM-DD date on or after start_date');
+  }
+
+  let byDay = null;
+  if (recurrence.by_day != null) {
+    byDay = (Array.isArray(recurrence.by_day) ? recurrence.by_day : [recurrence.by_day]).map(code => String(code).toUpperCase());
+    for (const code of byDay) {
+      const match = code.match(BY_DAY_PATTERN);
+      if (!match || match[1] === '0' || match[1] === '+0') {
+        throw new Error(`Invalid recurrence.by_day value: ${code}`);
+      }
+      if (match[1] && freq !== 'monthly') {
+        throw new Error('recurrence.by_day ordinals (e.g. "1MO") are only allowed in monthly rules');
+      }
+    }
+  }
+
+  let byMonthDay = null;
+  if (recurrence.by_month_day != null) {
+    if (freq !== 'monthly') {
+      throw new Error('recurrence.by_month_day is only allowed in monthly rules');
+    }
+    byMonthDay = Array.isArray(recurrence.by_month_day) ? recurrence.by_month_day : [recurrence.by_month_day];
+    if (byMonthDay.some(day => !Number.isInteger(day) || day === 0 || day < -31 || day > 31)) {
+      throw new Error('recurrence.by_month_day values must be whole numbers between -31 and 31, not 0');
+    }
+  }
+
+  return {
+    freq,
+    interval,
+    ...(byDay && { by_day: byDay }),
+    ...(byMonthDay && { by_month_day: byMonthDay }),
+    ...(until && { until }),
+    ...(recurrence.count != null && { count: recurrence.count })
+  };
+}
+
+function normalizeWindows(windows) {
+  if (!Array.isArray(windows) || windows.length === 0) {
+    throw new Error('windows must be a non-empty array of { start, end }');
+  }
+
+  return windows.map(window => {
+    if (!TIME_PATTERN.test(window?.start || '') || !TIME_PATTERN.test(window?.end || '')) {
+      throw new Error('Each window needs start and end times as HH:MM');
+    }
+    const start = toMinutes(window.start);
+    const end = toMinutes(window.end);
+    if (start >= end || end > 24 * 60) {
+      throw new Error(`Window ${window.start}-${window.end} must start before it ends, within the day`);
+    }
+    return { start: fromMinutes(start), end: fromMinutes(end) };
+  });
+}
+
+/**
+ * Id for a new entry; ids are assigned when entries are written, never on read
+ */
+export function newExceptionId() {
+  return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Validate an entry and bring it to the current format (legacy entries included)
+ * @returns {Object} - normalized entry, keeping its id when it has one
+ * @throws {Error} - with a message fit for a 400 response
+ */
+export function normalizeException(entry) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    throw new Error('Each availability exception must be an object');
+  }
+
+  // Legacy entries opened a date with 'available' + timeSlots
+  const type = entry.type === 'available' ? 'modified_hours' : entry.type;
+  if (!EXCEPTION_TYPES.includes(type)) {
+    throw new Error(`type must be one of: ${EXCEPTION_TYPES.join(', ')}`);
+  }
+
+  const startDate = normalizeEntryDate(entry.start_date || entry.date);
+  if (!isValidDate(startDate)) {
+    throw new Error('start_date must be a YYYY-MM-DD date');
+  }
+
+  const endDate = entry.end_date ? normalizeEntryDate(entry.end_date) : null;
+  if (endDate !== null && (!isValidDate(endDate) || endDate < startDate)) {
+    throw new Error('end_date must be a YYYY-MM-DD date on or after start_date');
+  }
+
+  if (endDate && endDate !== startDate && entry.recurrence) {
+    throw new Error('An exception can span a date range or recur, not both');
+  }
+
+  let windows = null;
+  if (type !== 'unavailable') {
+    windows = normalizeWindows(
+      entry.windows
+        || entry.timeSlots
+        || (entry.start && entry.end ? [{ start: entry.start, end: entry.end }] : null)
+    );
+  }
+
+  return {
+    ...(entry.id && { id: String(entry.id) }),
+    type,
+    start_date: startDate,
+    ...(endDate && endDate !== startDate && { end_date: endDate }),
+    ...(entry.recurrence && { recurrence: normalizeRecurrence(entry.recurrence, startDate) }),
+    ...(windows && { windows }),
+    reason: entry.reason || ''
+  };
+}
+
+/**
+ * Normalize a whole date_specific_availability array for storage; entries
+ * without an id get one
+ * @throws {Error} - naming the first invalid entry
+ */
+export function normalizeExceptions(entries) {
+  if (!Array.isArray(entries)) {
+    throw new Error('date_specific_availability must be an array');
+  }
+
+  return entries.map((entry, index) => {
+    try {
+      const normalized = normalizeException(entry);
+      return normalized.id ? normalized : { id: newExceptionId(), ...normalized };
+    } catch (error) {
+      throw new Error(`Entry ${index + 1}: ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Stored entries as the slot engine reads them; invalid ones are skipped
+ */
+export function readExceptions(entries) {
+  if (!Array.isArray(entries)) return [];
+
+  return entries.flatMap(entry => {
+    try {
+      return [normalizeException(entry)];
+    } catch {
+      return [];
+    }
+  });
+}
+
+function matchesByDay(byDay, dateString, monthly) {
+  const day = weekday(dateString);
+  const [year, month, dayOfMonth] = dateString.split('-').map(Number);
+  const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+  return byDay.some(code => {
+    const [, ordinal, dayCode] = code.match(BY_DAY_PATTERN);
+    if (WEEKDAY_CODES[day] !== dayCode) return false;
+    if (!ordinal || !monthly) return true;
+
+    const n = parseInt(ordinal, 10);
+    return n > 0
+      ? Math.ceil(dayOfMonth / 7) === n
+      : Math.ceil((daysInMonth - dayOfMonth + 1) / 7) === -n;
+  });
+}
+
+function matchesRecurrence(recurrence, startDate, dateString) {
+  const diff = dayNumber(dateString) - dayNumber(startDate);
+  const { interval } = recurrence;
+
+  if (recurrence.freq === 'daily') {
+    return diff % interval === 0 && (!recurrence.by_day || matchesByDay(recurrence.by_day, dateString, false));
+  }
+
+  if (recurrence.freq === 'weekly') {
+    const startOffset = (weekday(startDate) + 6) % 7; // days since Monday
+    if (Math.floor((diff + startOffset) / 7) % interval !== 0) return false;
+    return matchesByDay(recurrence.by_day || [WEEKDAY_CODES[weekday(startDate)]], dateString, false);
+  }
+
+  const [startYear, startMonth, startDay] = startDate.split('-').map(Number);
+  const [year, month, day] = dateString.split('-').map(Number);
+  if (((year - startYear) * 12 + month - startMonth) % interval !== 0) return false;
+
+  if (recurrence.by_month_day) {
+    const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    return recurrence.by_month_day.some(monthDay => (monthDay > 0 ? monthDay : daysInMonth + monthDay + 1) === day);
+  }
+  if (recurrence.by_day) {
+    return matchesByDay(recurrence.by_day, dateString, true);
+  }
+  return day === startDay;
+}
+
+/**
+ * Whether a normalized entry applies to a date
+ * @param {string} dateString - YYYY-MM-DD
+ */
+export function exceptionOccursOn(entry, dateString) {
+  if (dateString < entry.start_date) return false;
+
+  const { recurrence } = entry;
+  if (!recurrence) return dateString <= (entry.end_date || entry.start_date);
+  if (recurrence.until && dateString > recurrence.until) return false;
+  if (!matchesRecurrence(recurrence, entry.start_date, dateString)) return false;
+  if (!recurrence.count) return true;
+
+  // Only the first `count` occurrences apply
+  let seen = 0;
+  for (let date = entry.start_date; date < dateString; date = addDaysToDateString(date, 1)) {
+    if (matchesRecurrence(recurrence, entry.start_date, date) && ++seen >= recurrence.count) return false;
+  }
+  return true;
+}
+
+/**
+ * Sorted windows with overlapping or touching ones joined
+ */
+export function mergeWindows(windows) {
+  const sorted = windows
+    .map(window => ({ start: toMinutes(window.start), end: toMinutes(window.end) }))
+    .sort((a, b) => a.start - b.start);
+
+  const merged = [];
+  for (const window of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && window.start <= last.end) {
+      last.end = Math.max(last.end, window.end);
+    } else {
+      merged.push({ ...window });
+    }
+  }
+
+  return merged.map(window => ({ start: fromMinutes(window.start), end: fromMinutes(window.end) }));
+}
+
+/**
+ * Windows with the blocked ranges taken out
+ */
+export function subtractWindows(windows, blocked) {
+  let remaining = windows.map(window => ({ start: toMinutes(window.start), end: toMinutes(window.end) }));
+
+  for (const block of blocked) {
+    const blockStart = toMinutes(block.start);
+    const blockEnd = toMinutes(block.end);
+    remaining = remaining.flatMap(window => {
+      if (blockEnd <= window.start || blockStart >= window.end) return [window];
+      return [
+        ...(blockStart > window.start ? [{ start: window.start, end: blockStart }] : []),
+        ...(blockEnd < window.end ? [{ start: blockEnd, end: window.end }] : [])
+      ];
+    });
+  }
+
+  return remaining.map(window => ({ start: fromMinutes(window.start), end: fromMinutes(window.end) }));
+}
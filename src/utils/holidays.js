@@ -0,0 +1,87 @@
+/**
+ * Brazilian National Holidays
+ * Fixed-date holidays plus the movable ones derived from Easter.
+ */
+
+const FIXED_HOLIDAYS = [
+  { monthDay: '01-01', name: 'Confraternização Universal' },
+  { monthDay: '04-21', name: 'Tiradentes' },
+  { monthDay: '05-01', name: 'Dia do Trabalho' },
+  { monthDay: '09-07', name: 'Independência do Brasil' },
+  { monthDay: '10-12', name: 'Nossa Senhora Aparecida' },
+  { monthDay: '11-02', name: 'Finados' },
+  { monthDay: '11-15', name: 'Proclamação da República' },
+  { monthDay: '11-20', name: 'Dia Nacional de Zumbi e da Consciência Negra', since: 2024 },
+  { monthDay: '12-25', name: 'Natal' }
+];
+
+// Days relative to Easter Sunday
+const MOVABLE_HOLIDAYS = [
+  { offset: -48, name: 'Carnaval' },
+  { offset: -47, name: 'Carnaval' },
+  { offset: -2, name: 'Sexta-feira Santa' },
+  { offset: 60, name: 'Corpus Christi' }
+];
+
+const cache = new Map();
+
+function toDateString(date) {
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Easter Sunday (Gregorian calendar, anonymous algorithm)
+ * @param {number} year
+ * @returns {Date} - UTC midnight of Easter Sunday
+ */
+export function getEasterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+/**
+ * National holidays for a year
+ * @param {number} year
+ * @returns {Array} - [{ date: 'YYYY-MM-DD', name, scope: 'national' }] sorted by date
+ */
+export function getNationalHolidays(year) {
+  if (cache.has(year)) return cache.get(year);
+
+  const holidays = FIXED_HOLIDAYS
+    .filter(holiday => !holiday.since || year >= holiday.since)
+    .map(holiday => ({ date: `${year}-${holiday.monthDay}`, name: holiday.name, scope: 'national' }));
+
+  const easter = getEasterSunday(year);
+  MOVABLE_HOLIDAYS.forEach(holiday => {
+    const date = new Date(easter.getTime() + holiday.offset * 24 * 60 * 60 * 1000);
+    holidays.push({ date: toDateString(date), name: holiday.name, scope: 'national' });
+  });
+
+  holidays.sort((a, b) => a.date.localeCompare(b.date));
+  cache.set(year, holidays);
+  return holidays;
+}
+
+/**
+ * @param {string} dateString - YYYY-MM-DD
+ * @returns {Object|null} - the national holiday on that date
+ */
+export function getNationalHoliday(dateString) {
+  const year = parseInt(String(dateString).slice(0, 4), 10);
+  if (!year) return null;
+  return getNationalHolidays(year).find(holiday => holiday.date === dateString) || null;
+}
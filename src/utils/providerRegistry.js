@@ -0,0 +1,41 @@
+/**
+ * Provider Registry
+ * Named, swappable implementations of an external integration (OCR, transcription).
+ * Providers are looked up by their `name`; one of them is the default.
+ */
+export class ProviderRegistry {
+  /**
+   * @param {string} label - used in error messages, e.g. 'OCR'
+   * @param {string} defaultName - only checked when it is first used, so it may be registered later
+   */
+  constructor(label, defaultName = null) {
+    this.label = label;
+    this.providers = new Map();
+    this.defaultName = defaultName;
+  }
+
+  /**
+   * Register (or replace) a provider by its name
+   */
+  register(provider) {
+    this.providers.set(provider.name, provider);
+  }
+
+  /**
+   * Switch the provider used when none is asked for
+   */
+  use(name) {
+    if (!this.providers.has(name)) {
+      throw new Error(`${this.label} provider not registered: ${name}`);
+    }
+    this.defaultName = name;
+  }
+
+  get(name = this.defaultName) {
+    const provider = this.providers.get(name);
+    if (!provider) {
+      throw new Error(`${this.label} provider not registered: ${name}`);
+    }
+    return provider;
+  }
+}
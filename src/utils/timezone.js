@@ -1,98 +1,155 @@
 /**
  * Timezone Utilities
- * Centralized timezone handling for São Paulo (GMT-3)
+ * IANA-timezone aware helpers. Dates are always exact instants; wall-clock
+ * values are read and built per timezone (São Paulo by default), so leads
+ * in Manaus or Rio Branco and any future DST rule are handled by Intl.
  */
 
+import { getNationalHoliday } from './holidays.js';
+
+export const DEFAULT_TIMEZONE = 'America/Sao_Paulo';
+
+const WEEKDAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * Check that a string is a timezone Intl understands (e.g. 'America/Manaus')
+ * @param {string} timezone
+ * @returns {boolean}
+ */
+export function isValidTimezone(timezone) {
+  if (!timezone || typeof timezone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
 /**
- * Get current time in São Paulo timezone
+ * First valid timezone among the candidates (e.g. lead, resource, owner)
+ * @returns {string} - falls back to São Paulo
  */
-export function getNowInSaoPaulo() {
-  return new Date(new Date().toLocaleString('en-US', { timeZone: 'America/Sao_Paulo' }));
+export function resolveTimezone(...candidates) {
+  return candidates.find(isValidTimezone) || DEFAULT_TIMEZONE;
 }
 
 /**
- * Convert a date to São Paulo timezone
+ * Wall-clock components of an instant in a timezone
+ * @param {Date} date - Instant (defaults to now)
+ * @param {string} timezone - IANA timezone
+ * @returns {Object} - { year, month (1-12), day, hour, minute, second, dayOfWeek (0 = Sunday) }
  */
-export function toSaoPauloTime(date) {
-  return new Date(new Date(date).toLocaleString('en-US', { timeZone: 'America/Sao_Paulo' }));
+export function getZonedParts(date = new Date(), timezone = DEFAULT_TIMEZONE) {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    weekday: 'short',
+    hourCycle: 'h23'
+  });
+
+  const parts = formatter.formatToParts(date);
+  const get = type => parts.find(p => p.type === type).value;
+
+  return {
+    year: Number(get('year')),
+    month: Number(get('month')),
+    day: Number(get('day')),
+    hour: Number(get('hour')),
+    minute: Number(get('minute')),
+    second: Number(get('second')),
+    dayOfWeek: WEEKDAY_INDEX[get('weekday')]
+  };
 }
 
 /**
- * Check if current time is within business hours (8 AM - 8 PM, Monday - Saturday)
+ * Check if a time is within business hours (8 AM - 8 PM, Monday - Saturday, except national holidays)
+ * @param {Date} date - Instant to check (defaults to now)
+ * @param {string} timezone - Whose local time to check (defaults to São Paulo)
  * @returns {boolean}
  */
-export function isWithinBusinessHours() {
-  const now = getNowInSaoPaulo();
-  const currentDay = now.getDay(); // 0 = Sunday, 1 = Monday, ..., 6 = Saturday
-  const currentHour = now.getHours();
-  
-  // Business hours: Monday to Saturday, 8 AM to 8 PM (São Paulo time)
-  return currentDay >= 1 && currentDay <= 6 && currentHour >= 8 && currentHour < 20;
+export function isWithinBusinessHours(date = null, timezone = DEFAULT_TIMEZONE) {
+  const instant = date || new Date();
+  const { dayOfWeek, hour } = getZonedParts(instant, timezone);
+
+  if (getNationalHoliday(getDateStringInTimezone(instant, timezone))) {
+    return false;
+  }
+
+  // Business hours: Monday to Saturday, 8 AM to 8 PM local time
+  return dayOfWeek >= 1 && dayOfWeek <= 6 && hour >= 8 && hour < 20;
 }
 
 /**
  * Get the start of day in São Paulo timezone
  * @param {Date} date - Date to get start of day for (defaults to today)
- * @returns {Date}
+ * @returns {Date} - the exact instant of local midnight
  */
 export function getStartOfDaySaoPaulo(date = null) {
-  const d = date ? toSaoPauloTime(date) : getNowInSaoPaulo();
-  d.setHours(0, 0, 0, 0);
-  return d;
+  return zonedTimeToUtc(getDateStringInTimezone(date || new Date(), DEFAULT_TIMEZONE), '00:00', DEFAULT_TIMEZONE);
 }
 
 /**
  * Get the end of day in São Paulo timezone
  * @param {Date} date - Date to get end of day for (defaults to today)
- * @returns {Date}
+ * @returns {Date} - the last millisecond before the next local midnight
  */
 export function getEndOfDaySaoPaulo(date = null) {
-  const d = date ? toSaoPauloTime(date) : getNowInSaoPaulo();
-  d.setHours(23, 59, 59, 999);
-  return d;
+  const dateString = getDateStringInTimezone(date || new Date(), DEFAULT_TIMEZONE);
+  return new Date(zonedTimeToUtc(addDaysToDateString(dateString, 1), '00:00', DEFAULT_TIMEZONE).getTime() - 1);
+}
+
+/**
+ * Offset of a timezone at an instant, formatted for ISO strings
+ * @returns {string} - e.g. "-03:00" for São Paulo, "-04:00" for Manaus
+ */
+export function getTimezoneOffsetString(date, timezone = DEFAULT_TIMEZONE) {
+  const offsetMinutes = Math.round(getTimezoneOffsetMs(date, timezone) / 60000);
+  const sign = offsetMinutes >= 0 ? '+' : '-';
+  const hours = String(Math.floor(Math.abs(offsetMinutes) / 60)).padStart(2, '0');
+  const minutes = String(Math.abs(offsetMinutes) % 60).padStart(2, '0');
+  return `${sign}${hours}:${minutes}`;
+}
+
+/**
+ * Format an instant as ISO string in a timezone, with that timezone's offset
+ * @param {Date} date - Instant to format
+ * @param {string} timezone - IANA timezone
+ * @returns {string} - e.g. "2025-12-25T09:34:00-04:00" for America/Manaus
+ */
+export function toIsoStringInTimezone(date, timezone = DEFAULT_TIMEZONE) {
+  const { year, month, day, hour, minute, second } = getZonedParts(date, timezone);
+  const pad = value => String(value).padStart(2, '0');
+
+  return `${year}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}:${pad(second)}${getTimezoneOffsetString(date, timezone)}`;
+}
+
+/**
+ * Human-readable date/time in Portuguese for a timezone (WhatsApp templates, agent variables)
+ * @param {Date|string} date - Instant to format
+ * @param {string} timezone - IANA timezone
+ * @param {Object} options - Intl.DateTimeFormat options (defaults to dd/mm/yyyy hh:mm)
+ * @returns {string}
+ */
+export function formatInTimezone(date, timezone = DEFAULT_TIMEZONE, options = null) {
+  return new Date(date).toLocaleString('pt-BR', {
+    timeZone: timezone,
+    ...(options || { day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit' })
+  });
 }
 
 /**
- * Format date in São Paulo timezone as ISO string with timezone offset
- * This preserves the São Paulo local time when saving to TIMESTAMPTZ columns
- * The date parameter should represent a time calculated in São Paulo timezone context
- * @param {Date} date - Date object representing a time in São Paulo timezone context
+ * Format an instant as ISO string with São Paulo offset
+ * @param {Date} date - Instant to format
  * @returns {string} - ISO string with São Paulo timezone offset (e.g., "2025-12-25T09:34:00-03:00")
  */
 export function toIsoStringSaoPaulo(date) {
-  // Format the date components as they appear in São Paulo timezone
-  const formatter = new Intl.DateTimeFormat('en-CA', {
-    timeZone: 'America/Sao_Paulo',
-    year: 'numeric',
-    month: '2-digit',
-    day: '2-digit',
-    hour: '2-digit',
-    minute: '2-digit',
-    second: '2-digit',
-    hour12: false
-  });
-  
-  const parts = formatter.formatToParts(date);
-  const year = parts.find(p => p.type === 'year').value;
-  const month = parts.find(p => p.type === 'month').value;
-  const day = parts.find(p => p.type === 'day').value;
-  const hour = parts.find(p => p.type === 'hour').value;
-  const minute = parts.find(p => p.type === 'minute').value;
-  const second = parts.find(p => p.type === 'second').value;
-  
-  // Calculate São Paulo timezone offset for this specific date
-  // Create a date in UTC and in São Paulo timezone, then calculate the difference
-  const utcTime = new Date(date.toLocaleString('en-US', { timeZone: 'UTC' }));
-  const saoPauloTime = new Date(date.toLocaleString('en-US', { timeZone: 'America/Sao_Paulo' }));
-  const offsetMs = saoPauloTime.getTime() - utcTime.getTime();
-  const offsetHours = Math.floor(Math.abs(offsetMs) / (1000 * 60 * 60));
-  const offsetMinutes = Math.floor((Math.abs(offsetMs) % (1000 * 60 * 60)) / (1000 * 60));
-  const offsetSign = offsetMs >= 0 ? '+' : '-';
-  const offset = `${offsetSign}${String(offsetHours).padStart(2, '0')}:${String(offsetMinutes).padStart(2, '0')}`;
-  
-  // Return ISO string with São Paulo timezone offset
-  // This tells PostgreSQL: "This timestamp represents 09:34:00 in São Paulo timezone"
-  return `${year}-${month}-${day}T${hour}:${minute}:${second}${offset}`;
+  return toIsoStringInTimezone(date, DEFAULT_TIMEZONE);
 }
 
 /**
@@ -100,7 +157,18 @@ export function toIsoStringSaoPaulo(date) {
  * @returns {string} - ISO string with São Paulo timezone offset
  */
 export function getIsoStringNow() {
-  return toIsoStringSaoPaulo(getNowInSaoPaulo());
+  return toIsoStringSaoPaulo(new Date());
+}
+
+/**
+ * Shift a YYYY-MM-DD date by whole calendar days
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ * @param {number} days - Days to add (negative to subtract)
+ * @returns {string}
+ */
+export function addDaysToDateString(dateString, days) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().split('T')[0];
 }
 
 /**
@@ -136,7 +204,7 @@ export function normalizeDateString(dateStr) {
  * @param {string} timezone - Timezone string (e.g., 'America/Sao_Paulo')
  * @returns {string} - Date string in YYYY-MM-DD format
  */
-export function getDateStringInTimezone(date, timezone = 'America/Sao_Paulo') {
+export function getDateStringInTimezone(date, timezone = DEFAULT_TIMEZONE) {
   // Use Intl.DateTimeFormat to get date components in the specified timezone
   const formatter = new Intl.DateTimeFormat('en-CA', {
     timeZone: timezone,
@@ -155,7 +223,7 @@ export function getDateStringInTimezone(date, timezone = 'America/Sao_Paulo') {
  * @param {string} timezone - Timezone string (e.g., 'America/Sao_Paulo')
  * @returns {number} - Day of the week (0 = Sunday, 1 = Monday, ..., 6 = Saturday)
  */
-export function getDayOfWeekInTimezone(date, timezone = 'America/Sao_Paulo') {
+export function getDayOfWeekInTimezone(date, timezone = DEFAULT_TIMEZONE) {
   // Use Intl.DateTimeFormat to get the day of the week in the specified timezone
   const formatter = new Intl.DateTimeFormat('en-US', {
     timeZone: timezone,
@@ -168,3 +236,44 @@ export function getDayOfWeekInTimezone(date, timezone = 'America/Sao_Paulo') {
   return dayMap[dayName] ?? new Date(date.toLocaleString('en-US', { timeZone: timezone })).getDay();
 }
 
+/**
+ * Offset of a timezone from UTC at a given instant, in milliseconds
+ * (e.g. -10800000 for São Paulo)
+ */
+function getTimezoneOffsetMs(date, timezone) {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  });
+
+  const parts = formatter.formatToParts(date);
+  const get = type => Number(parts.find(p => p.type === type).value);
+  const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Convert a wall-clock date and time in a timezone to the exact instant
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ * @param {string} timeString - Time in HH:mm format
+ * @param {string} timezone - Timezone string (e.g., 'America/Manaus')
+ * @returns {Date}
+ */
+export function zonedTimeToUtc(dateString, timeString, timezone = DEFAULT_TIMEZONE) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const [hour, minute = 0] = timeString.split(':').map(Number);
+  const wallClockAsUtc = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Second pass corrects the offset when the guess falls across a DST change
+  const firstOffset = getTimezoneOffsetMs(new Date(wallClockAsUtc), timezone);
+  const secondOffset = getTimezoneOffsetMs(new Date(wallClockAsUtc - firstOffset), timezone);
+
+  return new Date(wallClockAsUtc - secondOffset);
+}
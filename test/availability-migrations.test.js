@@ -0,0 +1,72 @@
+import './helpers/env.js';
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { PGlite } from '@electric-sql/pglite';
+import { readExceptions } from '../src/utils/availabilityExceptions.js';
+
+const MIGRATIONS = new URL('../src/db/migrations/', import.meta.url);
+const legacyEntries = JSON.parse(await readFile(new URL('./fixtures/legacy-availability.json', import.meta.url), 'utf8'));
+
+const withoutIds = entries => entries.map(({ id, ...entry }) => entry);
+
+describe('date_specific_availability migrations', () => {
+  let db;
+  let migrated;
+
+  before(async () => {
+    db = new PGlite();
+    await db.exec(`
+      CREATE TABLE doctors (id SERIAL PRIMARY KEY, date_specific_availability JSONB DEFAULT '[]'::jsonb);
+      CREATE TABLE users (id SERIAL PRIMARY KEY, date_specific_availability JSONB DEFAULT '[]'::jsonb);
+    `);
+    await db.query('INSERT INTO doctors (date_specific_availability) VALUES ($1::jsonb)', [JSON.stringify(legacyEntries)]);
+    await db.query('INSERT INTO users (date_specific_availability) VALUES ($1::jsonb)', [JSON.stringify(legacyEntries)]);
+
+    for (const file of ['042_migrate_date_specific_availability.sql', '046_backfill_availability_exception_ids.sql']) {
+      await db.exec(await readFile(new URL(file, MIGRATIONS), 'utf8'));
+    }
+
+    const { rows } = await db.query('SELECT date_specific_availability FROM doctors');
+    migrated = rows[0].date_specific_availability;
+  });
+
+  after(async () => {
+    await db.close();
+  });
+
+  it('reads slash dates as MM/DD/YYYY', () => {
+    assert.equal(migrated[0].start_date, '2025-03-04');
+    assert.equal(migrated[1].start_date, '2025-12-25');
+    assert.equal(migrated[2].start_date, '2025-07-09');
+  });
+
+  it('converts legacy hours to windows', () => {
+    assert.deepEqual(migrated[1].windows, [{ start: '08:00', end: '12:00' }]);
+    assert.equal(migrated[2].type, 'modified_hours');
+    assert.deepEqual(migrated[2].windows, [{ start: '14:00', end: '18:00' }]);
+    assert.equal(migrated[3].start_date, '2025-08-01');
+  });
+
+  it('keeps current entries and leaves invalid dates as they were', () => {
+    assert.deepEqual(migrated[4], legacyEntries[4]);
+    assert.equal(migrated[5].date, '13/45/2025');
+    assert.equal(migrated[5].start_date, undefined);
+  });
+
+  it('gives every entry an id, keeping existing ones', () => {
+    assert.equal(migrated[0].id, 'legacy-1');
+    assert.ok(migrated.every(entry => typeof entry.id === 'string' && entry.id.length > 0));
+    assert.equal(new Set(migrated.map(entry => entry.id)).size, migrated.length);
+  });
+
+  it('migrates owner entries the same way', async () => {
+    const { rows } = await db.query('SELECT date_specific_availability FROM users');
+
+    assert.deepEqual(rows[0].date_specific_availability, migrated);
+  });
+
+  it('reads the same exceptions before and after migrating', () => {
+    assert.deepEqual(withoutIds(readExceptions(migrated)), withoutIds(readExceptions(legacyEntries)));
+  });
+});
@@ -0,0 +1,288 @@
+import './helpers/env.js';
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { availabilityService, DEFAULT_BOOKING_RULES } from '../src/services/availability.js';
+import { holidayService } from '../src/services/holidays.js';
+
+// 2026-11-09 is a Monday with no national holiday; Sao Paulo is UTC-3
+const MONDAY = '2026-11-09';
+const TIMEZONE = 'America/Sao_Paulo';
+
+const at = (date, time) => new Date(`${date}T${time}:00-03:00`);
+const timesOf = slots => slots.map(slot => slot.time);
+
+function buildResource({ rules = {}, duration = 60, dateSpecificAvailability = [] } = {}) {
+  return {
+    resourceType: 'doctor',
+    resourceId: 'doctor-1',
+    ownerId: 'owner-1',
+    name: 'Dra. Ana',
+    workingHours: {
+      monday: {
+        enabled: true,
+        // 12:00-13:00 is the lunch break
+        timeSlots: [{ start: '08:00', end: '12:00' }, { start: '13:00', end: '17:00' }]
+      },
+      sunday: { enabled: false, timeSlots: [] }
+    },
+    dateSpecificAvailability,
+    duration,
+    timezone: TIMEZONE,
+    rules: { ...DEFAULT_BOOKING_RULES, min_notice_minutes: 0, ...rules },
+    calendar: { owner: null, id: null }
+  };
+}
+
+function slotsOn(resource, { busy = [], now = at('2026-11-08', '12:00') } = {}) {
+  return availabilityService.generateSlots(resource, { startDate: MONDAY, endDate: MONDAY, busy, now });
+}
+
+describe('availabilityService.getDaySchedule', () => {
+  it('returns the weekday working hours', () => {
+    const schedule = availabilityService.getDaySchedule(buildResource(), MONDAY);
+
+    assert.deepEqual(schedule.windows, [{ start: '08:00', end: '12:00' }, { start: '13:00', end: '17:00' }]);
+    assert.equal(schedule.reason, null);
+  });
+
+  it('closes days without working hours', () => {
+    const schedule = availabilityService.getDaySchedule(buildResource(), '2026-11-08');
+
+    assert.deepEqual(schedule.windows, []);
+    assert.equal(schedule.reason, 'closed');
+  });
+
+  it('closes national holidays', () => {
+    // 2026-11-02 (Finados) is a Monday
+    const schedule = availabilityService.getDaySchedule(buildResource(), '2026-11-02');
+
+    assert.equal(schedule.reason, 'holiday');
+    assert.deepEqual(schedule.windows, []);
+  });
+
+  it('takes blocked exception windows out of the working hours', () => {
+    const resource = buildResource({
+      dateSpecificAvailability: [{ id: 'e1', type: 'blocked', start_date: MONDAY, windows: [{ start: '09:00', end: '10:00' }] }]
+    });
+
+    assert.deepEqual(availabilityService.getDaySchedule(resource, MONDAY).windows, [
+      { start: '08:00', end: '09:00' },
+      { start: '10:00', end: '12:00' },
+      { start: '13:00', end: '17:00' }
+    ]);
+  });
+
+  it('opens a holiday with extra hours', () => {
+    // 2026-11-02 (Finados) is a Monday
+    const resource = buildResource({
+      dateSpecificAvailability: [{ id: 'e1', type: 'extra_hours', start_date: '2026-11-02', windows: [{ start: '09:00', end: '12:00' }] }]
+    });
+
+    assert.deepEqual(availabilityService.getDaySchedule(resource, '2026-11-02'), {
+      windows: [{ start: '09:00', end: '12:00' }],
+      reason: null,
+      holiday: null
+    });
+  });
+
+  it('adds extra hours to the working hours', () => {
+    const resource = buildResource({
+      dateSpecificAvailability: [{ id: 'e1', type: 'extra_hours', start_date: MONDAY, windows: [{ start: '12:00', end: '13:00' }, { start: '17:00', end: '19:00' }] }]
+    });
+
+    assert.deepEqual(availabilityService.getDaySchedule(resource, MONDAY).windows, [{ start: '08:00', end: '19:00' }]);
+  });
+
+  it('replaces the working hours with modified hours', () => {
+    const resource = buildResource({
+      dateSpecificAvailability: [{ id: 'e1', type: 'modified_hours', start_date: MONDAY, windows: [{ start: '10:00', end: '14:00' }] }]
+    });
+
+    assert.deepEqual(availabilityService.getDaySchedule(resource, MONDAY).windows, [{ start: '10:00', end: '14:00' }]);
+  });
+
+  it('closes every day of an unavailable date range', () => {
+    const resource = buildResource({
+      dateSpecificAvailability: [{ id: 'e1', type: 'unavailable', start_date: '2026-11-06', end_date: '2026-11-16' }]
+    });
+
+    assert.equal(availabilityService.getDaySchedule(resource, MONDAY).reason, 'unavailable');
+    assert.equal(availabilityService.getDaySchedule(resource, '2026-11-23').reason, null);
+  });
+
+  it('applies a recurring block on every other Monday', () => {
+    const resource = buildResource({
+      dateSpecificAvailability: [{ id: 'e1', type: 'blocked', start_date: MONDAY, recurrence: { freq: 'weekly', interval: 2 }, windows: [{ start: '08:00', end: '10:00' }] }]
+    });
+
+    assert.equal(availabilityService.getDaySchedule(resource, MONDAY).windows[0].start, '10:00');
+    assert.equal(availabilityService.getDaySchedule(resource, '2026-11-16').windows[0].start, '08:00');
+    assert.equal(availabilityService.getDaySchedule(resource, '2026-11-23').windows[0].start, '10:00');
+  });
+
+  it('closes the day when blocks take out every window', () => {
+    const resource = buildResource({
+      dateSpecificAvailability: [{ id: 'e1', type: 'blocked', start_date: MONDAY, windows: [{ start: '08:00', end: '17:00' }] }]
+    });
+
+    assert.deepEqual(availabilityService.getDaySchedule(resource, MONDAY), { windows: [], reason: 'unavailable', holiday: null });
+  });
+});
+
+describe('availabilityService.generateSlots', () => {
+  it('offers slots inside the working hours and skips the lunch break', () => {
+    assert.deepEqual(timesOf(slotsOn(buildResource())), ['08:00', '09:00', '10:00', '11:00', '13:00', '14:00', '15:00', '16:00']);
+  });
+
+  it('returns UTC instants for local times', () => {
+    const [first] = slotsOn(buildResource());
+
+    assert.equal(first.start.toISOString(), '2026-11-09T11:00:00.000Z');
+    assert.equal(first.end.toISOString(), '2026-11-09T12:00:00.000Z');
+    assert.deepEqual(first.timeSlot, { start: '08:00', end: '12:00' });
+  });
+
+  it('spaces slots by duration plus buffers', () => {
+    const resource = buildResource({ rules: { buffer_after_minutes: 15 } });
+
+    assert.deepEqual(timesOf(slotsOn(resource)), ['08:00', '09:15', '10:30', '13:00', '14:15', '15:30']);
+  });
+
+  it('leaves out slots overlapping busy times', () => {
+    const busy = [{ start: at(MONDAY, '09:00').toISOString(), end: at(MONDAY, '10:00').toISOString(), source: 'appointment' }];
+
+    assert.deepEqual(timesOf(slotsOn(buildResource(), { busy })), ['08:00', '10:00', '11:00', '13:00', '14:00', '15:00', '16:00']);
+  });
+
+  it('treats back-to-back busy times as free', () => {
+    const busy = [{ start: at(MONDAY, '08:30').toISOString(), end: at(MONDAY, '09:00').toISOString(), source: 'appointment' }];
+
+    assert.ok(timesOf(slotsOn(buildResource(), { busy })).includes('09:00'));
+  });
+
+  it('pads booked appointments by the buffers but not Google busy times', () => {
+    const resource = buildResource({ rules: { buffer_after_minutes: 30, slot_interval_minutes: 60 } });
+    const interval = { start: at(MONDAY, '09:00').toISOString(), end: at(MONDAY, '10:00').toISOString() };
+
+    const aroundAppointment = timesOf(slotsOn(resource, { busy: [{ ...interval, source: 'appointment' }] }));
+    const aroundGoogle = timesOf(slotsOn(resource, { busy: [{ ...interval, source: 'google' }] }));
+
+    // 08:00 plus its 30 minute buffer runs into 09:00; 10:00 starts inside the appointment's buffer
+    assert.deepEqual(aroundAppointment.slice(0, 2), ['11:00', '13:00']);
+    // Only the slot's own buffer counts against an external event
+    assert.deepEqual(aroundGoogle.slice(0, 2), ['10:00', '11:00']);
+  });
+
+  it('offers a slot exactly at the minimum notice', () => {
+    const resource = buildResource({ rules: { min_notice_minutes: 60 } });
+
+    assert.equal(slotsOn(resource, { now: at(MONDAY, '07:00') })[0].time, '08:00');
+  });
+
+  it('leaves out slots inside the minimum notice', () => {
+    const resource = buildResource({ rules: { min_notice_minutes: 60 } });
+
+    assert.equal(slotsOn(resource, { now: at(MONDAY, '07:01') })[0].time, '09:00');
+  });
+
+  it('never offers slots in the past', () => {
+    assert.equal(slotsOn(buildResource(), { now: at(MONDAY, '10:30') })[0].time, '11:00');
+    assert.deepEqual(slotsOn(buildResource(), { now: at(MONDAY, '17:00') }), []);
+  });
+
+  it('stops at the booking horizon', () => {
+    const resource = buildResource({ rules: { horizon_days: 1 } });
+    const slots = availabilityService.generateSlots(resource, {
+      startDate: MONDAY,
+      endDate: '2026-11-16',
+      now: at('2026-11-08', '12:00')
+    });
+
+    assert.ok(slots.every(slot => slot.date === MONDAY));
+  });
+
+  it('skips days that reached the daily cap', () => {
+    const resource = buildResource({ rules: { max_per_day: 1 } });
+    const busy = [{ start: at(MONDAY, '08:00').toISOString(), end: at(MONDAY, '09:00').toISOString(), source: 'appointment' }];
+
+    assert.deepEqual(slotsOn(resource, { busy }), []);
+  });
+});
+
+describe('availabilityService.checkSlot and findSlots', () => {
+  let busy;
+
+  beforeEach(() => {
+    busy = [];
+    mock.method(availabilityService, 'getBusyTimes', async () => busy);
+    mock.method(holidayService, 'getOwnerHolidays', async () => []);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('accepts a free slot', async () => {
+    const result = await availabilityService.checkSlot(buildResource(), at(MONDAY, '09:00'), at(MONDAY, '10:00'), { now: at('2026-11-08', '12:00') });
+
+    assert.equal(result, null);
+  });
+
+  it('checks the minimum notice boundary', async () => {
+    const resource = buildResource({ rules: { min_notice_minutes: 60 } });
+
+    assert.equal(await availabilityService.checkSlot(resource, at(MONDAY, '08:00'), at(MONDAY, '09:00'), { now: at(MONDAY, '07:00') }), null);
+
+    const result = await availabilityService.checkSlot(resource, at(MONDAY, '08:00'), at(MONDAY, '09:00'), { now: at(MONDAY, '07:01') });
+    assert.equal(result.reason, 'too_soon');
+  });
+
+  it('rejects times in the past', async () => {
+    const result = await availabilityService.checkSlot(buildResource(), at(MONDAY, '09:00'), at(MONDAY, '10:00'), { now: at(MONDAY, '09:30') });
+
+    assert.equal(result.reason, 'too_soon');
+  });
+
+  it('rejects the lunch break', async () => {
+    const result = await availabilityService.checkSlot(buildResource(), at(MONDAY, '12:00'), at(MONDAY, '13:00'), { now: at('2026-11-08', '12:00') });
+
+    assert.equal(result.reason, 'outside_working_hours');
+  });
+
+  it('rejects overlaps with busy times, buffers included', async () => {
+    const resource = buildResource({ rules: { buffer_before_minutes: 15 } });
+    busy = [{ start: at(MONDAY, '09:00').toISOString(), end: at(MONDAY, '10:00').toISOString(), source: 'appointment' }];
+
+    const overlapping = await availabilityService.checkSlot(resource, at(MONDAY, '09:30'), at(MONDAY, '10:30'), { now: at('2026-11-08', '12:00') });
+    const insideBuffer = await availabilityService.checkSlot(resource, at(MONDAY, '10:00'), at(MONDAY, '11:00'), { now: at('2026-11-08', '12:00') });
+    const clear = await availabilityService.checkSlot(resource, at(MONDAY, '10:15'), at(MONDAY, '11:15'), { now: at('2026-11-08', '12:00') });
+
+    assert.equal(overlapping.reason, 'conflict');
+    assert.equal(insideBuffer.reason, 'conflict');
+    assert.equal(clear, null);
+  });
+
+  it('leaves out the lead and the appointment being moved', async () => {
+    await availabilityService.checkSlot(buildResource(), at(MONDAY, '09:00'), at(MONDAY, '10:00'), {
+      now: at('2026-11-08', '12:00'),
+      leadId: 'lead-1',
+      excludeAppointmentId: 'appointment-1'
+    });
+
+    const [, from, to, options] = availabilityService.getBusyTimes.mock.calls[0].arguments;
+    assert.deepEqual([from, to], [at(MONDAY, '00:00'), at('2026-11-10', '00:00')]);
+    assert.deepEqual(options, { leadId: 'lead-1', excludeAppointmentId: 'appointment-1' });
+  });
+
+  it('finds the first free slots from now', async () => {
+    busy = [{ start: at(MONDAY, '11:00').toISOString(), end: at(MONDAY, '12:00').toISOString(), source: 'appointment' }];
+
+    const slots = await availabilityService.findSlots(buildResource(), {
+      from: at(MONDAY, '10:30'),
+      now: at(MONDAY, '10:30'),
+      maxSlots: 3
+    });
+
+    assert.deepEqual(timesOf(slots), ['13:00', '14:00', '15:00']);
+  });
+});
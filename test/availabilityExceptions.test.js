@@ -0,0 +1,190 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseRRule,
+  normalizeException,
+  normalizeExceptions,
+  readExceptions,
+  exceptionOccursOn,
+  mergeWindows,
+  subtractWindows
+} from '../src/utils/availabilityExceptions.js';
+
+const occurrences = (entry, dates) => dates.filter(date => exceptionOccursOn(normalizeException(entry), date));
+
+describe('parseRRule', () => {
+  it('reads an every other Friday rule', () => {
+    assert.deepEqual(parseRRule('FREQ=WEEKLY;INTERVAL=2;BYDAY=FR'), { freq: 'weekly', interval: 2, by_day: ['FR'] });
+  });
+
+  it('accepts the RRULE: prefix, ordinals and counts', () => {
+    assert.deepEqual(parseRRule('RRULE:FREQ=MONTHLY;BYDAY=-1FR;COUNT=2'), { freq: 'monthly', by_day: ['-1FR'], count: 2 });
+  });
+
+  it('reads UNTIL as a date', () => {
+    assert.equal(parseRRule('FREQ=DAILY;UNTIL=20261231T000000Z').until, '2026-12-31');
+  });
+
+  it('rejects unsupported parts', () => {
+    assert.throws(() => parseRRule('FREQ=MONTHLY;BYSETPOS=-1'), /Unsupported recurrence rule part: BYSETPOS/);
+    assert.throws(() => parseRRule('FREQ'), /Invalid recurrence rule part/);
+  });
+});
+
+describe('exceptionOccursOn', () => {
+  it('repeats every other Friday from the start date', () => {
+    // 2026-11-06 is a Friday
+    const entry = { type: 'unavailable', start_date: '2026-11-06', recurrence: 'FREQ=WEEKLY;INTERVAL=2;BYDAY=FR' };
+
+    assert.deepEqual(
+      occurrences(entry, ['2026-10-23', '2026-11-06', '2026-11-07', '2026-11-13', '2026-11-20', '2026-11-27', '2026-12-04']),
+      ['2026-11-06', '2026-11-20', '2026-12-04']
+    );
+  });
+
+  it('stops the last Friday of the month after count occurrences', () => {
+    // 2026-10-30 and 2026-11-27 are the last Fridays of their months
+    const entry = { type: 'unavailable', start_date: '2026-10-30', recurrence: { freq: 'monthly', by_day: ['-1FR'], count: 2 } };
+
+    assert.deepEqual(
+      occurrences(entry, ['2026-10-23', '2026-10-30', '2026-11-20', '2026-11-27', '2026-12-25']),
+      ['2026-10-30', '2026-11-27']
+    );
+  });
+
+  it('picks the first Monday of the month', () => {
+    const entry = { type: 'unavailable', start_date: '2026-11-02', recurrence: { freq: 'monthly', by_day: ['1MO'] } };
+
+    assert.deepEqual(occurrences(entry, ['2026-11-02', '2026-11-09', '2026-12-07', '2026-12-14']), ['2026-11-02', '2026-12-07']);
+  });
+
+  it('counts negative month days from the end of the month', () => {
+    const entry = { type: 'unavailable', start_date: '2027-01-31', recurrence: { freq: 'monthly', by_month_day: [-1] } };
+
+    assert.deepEqual(occurrences(entry, ['2027-01-31', '2027-02-27', '2027-02-28', '2027-04-30']), ['2027-01-31', '2027-02-28', '2027-04-30']);
+  });
+
+  it('ends on the until date', () => {
+    // Mondays from 2026-11-09
+    const entry = { type: 'unavailable', start_date: '2026-11-09', recurrence: { freq: 'weekly', until: '2026-11-23' } };
+
+    assert.deepEqual(occurrences(entry, ['2026-11-09', '2026-11-16', '2026-11-23', '2026-11-30']), ['2026-11-09', '2026-11-16', '2026-11-23']);
+  });
+
+  it('repeats daily at an interval', () => {
+    const entry = { type: 'unavailable', start_date: '2026-11-09', recurrence: { freq: 'daily', interval: 3 } };
+
+    assert.deepEqual(occurrences(entry, ['2026-11-09', '2026-11-10', '2026-11-11', '2026-11-12']), ['2026-11-09', '2026-11-12']);
+  });
+
+  it('covers every day of a date range', () => {
+    const entry = { type: 'unavailable', start_date: '2026-12-21', end_date: '2027-01-04', reason: 'Férias' };
+
+    assert.deepEqual(
+      occurrences(entry, ['2026-12-20', '2026-12-21', '2026-12-31', '2027-01-04', '2027-01-05']),
+      ['2026-12-21', '2026-12-31', '2027-01-04']
+    );
+  });
+});
+
+describe('normalizeException', () => {
+  it('rejects a range that also recurs', () => {
+    assert.throws(
+      () => normalizeException({ type: 'unavailable', start_date: '2026-11-06', end_date: '2026-11-10', recurrence: 'FREQ=WEEKLY' }),
+      /date range or recur, not both/
+    );
+  });
+
+  it('only allows by_day ordinals in monthly rules', () => {
+    assert.throws(() => normalizeException({ type: 'unavailable', start_date: '2026-11-06', recurrence: 'FREQ=WEEKLY;BYDAY=1FR' }), /only allowed in monthly rules/);
+  });
+
+  it('rejects count together with until', () => {
+    assert.throws(
+      () => normalizeException({ type: 'unavailable', start_date: '2026-11-06', recurrence: { freq: 'weekly', count: 2, until: '2026-12-31' } }),
+      /count or until, not both/
+    );
+  });
+
+  it('requires windows for hour exceptions', () => {
+    assert.throws(() => normalizeException({ type: 'blocked', start_date: '2026-11-09' }), /windows must be a non-empty array/);
+    assert.throws(() => normalizeException({ type: 'blocked', start_date: '2026-11-09', windows: [{ start: '14:00', end: '13:00' }] }), /must start before it ends/);
+  });
+
+  it('reads slash dates as MM/DD/YYYY', () => {
+    assert.equal(normalizeException({ type: 'unavailable', date: '03/04/2026' }).start_date, '2026-03-04');
+    assert.equal(normalizeException({ type: 'unavailable', start_date: '3/4/2026', end_date: '03/14/2026' }).end_date, '2026-03-14');
+    assert.throws(() => normalizeException({ type: 'unavailable', date: '14/03/2026' }), /start_date must be a YYYY-MM-DD date/);
+  });
+});
+
+describe('legacy entries', () => {
+  it('reads a {date} unavailable entry', () => {
+    assert.deepEqual(normalizeException({ id: 'a', date: '2026-11-09', type: 'unavailable' }), {
+      id: 'a',
+      type: 'unavailable',
+      start_date: '2026-11-09',
+      reason: ''
+    });
+  });
+
+  it('reads {date, start, end} as modified hours', () => {
+    assert.deepEqual(normalizeException({ date: '11/09/2026', type: 'modified_hours', start: '9:00', end: '13:00' }), {
+      type: 'modified_hours',
+      start_date: '2026-11-09',
+      windows: [{ start: '09:00', end: '13:00' }],
+      reason: ''
+    });
+  });
+
+  it("reads 'available' timeSlots as modified hours", () => {
+    const entry = normalizeException({ date: '2026-11-09', type: 'available', timeSlots: [{ start: '08:00', end: '10:00' }, { start: '14:00', end: '16:00' }] });
+
+    assert.equal(entry.type, 'modified_hours');
+    assert.deepEqual(entry.windows, [{ start: '08:00', end: '10:00' }, { start: '14:00', end: '16:00' }]);
+  });
+
+  it('skips invalid stored entries and never invents ids on read', () => {
+    const entries = readExceptions([
+      { date: '2026-11-09', type: 'unavailable' },
+      { date: '2026-11-10', type: 'vacation' },
+      null
+    ]);
+
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].id, undefined);
+  });
+
+  it('gives entries an id when they are written', () => {
+    const [written, kept] = normalizeExceptions([
+      { date: '2026-11-09', type: 'unavailable' },
+      { id: 'keep-me', date: '2026-11-10', type: 'unavailable' }
+    ]);
+
+    assert.ok(written.id);
+    assert.equal(kept.id, 'keep-me');
+  });
+});
+
+describe('window arithmetic', () => {
+  it('merges overlapping and touching windows', () => {
+    assert.deepEqual(
+      mergeWindows([{ start: '11:00', end: '12:00' }, { start: '09:00', end: '10:00' }, { start: '08:00', end: '09:30' }, { start: '12:00', end: '13:00' }]),
+      [{ start: '08:00', end: '10:00' }, { start: '11:00', end: '13:00' }]
+    );
+  });
+
+  it('cuts blocked ranges out of windows', () => {
+    const windows = [{ start: '08:00', end: '12:00' }, { start: '13:00', end: '17:00' }];
+
+    assert.deepEqual(subtractWindows(windows, [{ start: '09:00', end: '10:00' }, { start: '11:30', end: '13:30' }]), [
+      { start: '08:00', end: '09:00' },
+      { start: '10:00', end: '11:30' },
+      { start: '13:30', end: '17:00' }
+    ]);
+  });
+
+  it('removes windows a block fully covers', () => {
+    assert.deepEqual(subtractWindows([{ start: '08:00', end: '12:00' }], [{ start: '07:00', end: '12:00' }]), []);
+  });
+});
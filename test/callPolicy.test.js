@@ -0,0 +1,139 @@
+import './helpers/env.js';
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { callPolicyService } from '../src/services/callPolicy.js';
+
+// Sao Paulo is UTC-3, Manaus UTC-4 and Rio Branco UTC-5 (no DST)
+const at = (date, time, offset = '-03:00') => new Date(`${date}T${time}:00${offset}`);
+
+function buildPolicy(overrides = {}) {
+  return { ...callPolicyService.normalize(overrides.stored || null), holidays: overrides.holidays || [] };
+}
+
+function nextRetryAt(now, policy, options) {
+  mock.timers.enable({ apis: ['Date'], now });
+  return callPolicyService.computeNextRetry(policy, options);
+}
+
+afterEach(() => {
+  mock.timers.reset();
+  mock.restoreAll();
+});
+
+describe('callPolicyService.getNextWindowTime', () => {
+  it('keeps an instant inside a window', () => {
+    const from = at('2026-11-16', '10:00');
+
+    assert.deepEqual(callPolicyService.getNextWindowTime(buildPolicy(), from), from);
+  });
+
+  it('rolls over a closed Sunday to Monday morning', () => {
+    const next = callPolicyService.getNextWindowTime(buildPolicy(), at('2026-11-14', '21:00'));
+
+    assert.deepEqual(next, at('2026-11-16', '08:00'));
+  });
+
+  it('skips national holidays', () => {
+    // 2026-11-02 (Finados) is a Monday
+    const next = callPolicyService.getNextWindowTime(buildPolicy(), at('2026-10-31', '21:00'));
+
+    assert.deepEqual(next, at('2026-11-03', '08:00'));
+  });
+
+  it("skips the owner's city holidays", () => {
+    const policy = buildPolicy({ holidays: [{ holiday_date: '2026-11-16', name: 'Aniversário da cidade', scope: 'city', recurring: false }] });
+
+    assert.deepEqual(callPolicyService.getNextWindowTime(policy, at('2026-11-14', '21:00')), at('2026-11-17', '08:00'));
+  });
+
+  it("reads windows in the lead's timezone", () => {
+    const policy = buildPolicy();
+    const timezone = callPolicyService.getCallingTimezone(policy, { timezone: 'America/Manaus' });
+
+    // 07:30 in Sao Paulo is 06:30 in Manaus
+    assert.deepEqual(callPolicyService.getNextWindowTime(policy, at('2026-11-16', '07:30'), timezone), at('2026-11-16', '08:00', '-04:00'));
+  });
+
+  it('returns null without any calling window', () => {
+    const policy = buildPolicy({ stored: { calling_windows: Object.fromEntries(
+      ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'].map(day => [day, { enabled: false, timeSlots: [] }])
+    ) } });
+
+    assert.equal(callPolicyService.getNextWindowTime(policy, at('2026-11-16', '10:00')), null);
+  });
+});
+
+describe('callPolicyService.isWithinCallingWindow', () => {
+  it('uses the narrower window an owner configured', () => {
+    const policy = buildPolicy({ stored: { calling_windows: { monday: { enabled: true, timeSlots: [{ start: '09:00', end: '12:00' }] } } } });
+
+    assert.equal(callPolicyService.isWithinCallingWindow(policy, at('2026-11-16', '08:30')), false);
+    assert.equal(callPolicyService.isWithinCallingWindow(policy, at('2026-11-16', '11:59')), true);
+    assert.equal(callPolicyService.isWithinCallingWindow(policy, at('2026-11-16', '12:00')), false);
+  });
+
+  it('checks leads in Acre in their own time', () => {
+    const policy = buildPolicy();
+    const timezone = callPolicyService.getCallingTimezone(policy, { timezone: 'America/Rio_Branco' });
+
+    // 09:30 in Sao Paulo is 07:30 in Rio Branco
+    assert.equal(callPolicyService.isWithinCallingWindow(policy, at('2026-11-16', '09:30'), timezone), false);
+    assert.equal(callPolicyService.isWithinCallingWindow(policy, at('2026-11-16', '10:00'), timezone), true);
+  });
+});
+
+describe('callPolicyService.computeNextRetry', () => {
+  it('waits the retry interval', () => {
+    const next = nextRetryAt(at('2026-11-16', '10:00'), buildPolicy(), { attemptNo: 2 });
+
+    assert.deepEqual(next, at('2026-11-16', '12:00'));
+  });
+
+  it('moves a retry past closing time to the next open day', () => {
+    // Saturday 19:00 + 2h is after 20:00, Sunday is closed
+    const next = nextRetryAt(at('2026-11-14', '19:00'), buildPolicy(), { attemptNo: 2 });
+
+    assert.deepEqual(next, at('2026-11-16', '08:00'));
+  });
+
+  it('moves a retry over a holiday', () => {
+    const next = nextRetryAt(at('2026-10-31', '19:00'), buildPolicy(), { attemptNo: 2 });
+
+    assert.deepEqual(next, at('2026-11-03', '08:00'));
+  });
+
+  it('retries soon after voicemail, within the configured range', () => {
+    const policy = buildPolicy();
+
+    mock.method(Math, 'random', () => 0);
+    assert.deepEqual(nextRetryAt(at('2026-11-16', '10:00'), policy, { attemptNo: 2, inVoicemail: true }), at('2026-11-16', '10:15'));
+
+    mock.timers.reset();
+    mock.method(Math, 'random', () => 0.999);
+    assert.deepEqual(nextRetryAt(at('2026-11-16', '10:00'), policy, { attemptNo: 2, inVoicemail: true }), at('2026-11-16', '10:25'));
+  });
+
+  it('follows the schedule after voicemail when configured', () => {
+    const policy = buildPolicy({ stored: { voicemail: { action: 'follow_schedule' } } });
+
+    assert.deepEqual(nextRetryAt(at('2026-11-16', '10:00'), policy, { attemptNo: 2, inVoicemail: true }), at('2026-11-16', '12:00'));
+  });
+
+  it('stays 2 hours away from an upcoming appointment', () => {
+    const next = nextRetryAt(at('2026-11-16', '10:00'), buildPolicy(), {
+      attemptNo: 2,
+      appointmentTime: at('2026-11-16', '13:00')
+    });
+
+    assert.deepEqual(next, at('2026-11-17', '08:00'));
+  });
+
+  it('keeps the retry when the appointment is further away', () => {
+    const next = nextRetryAt(at('2026-11-16', '10:00'), buildPolicy(), {
+      attemptNo: 2,
+      appointmentTime: at('2026-11-16', '14:00')
+    });
+
+    assert.deepEqual(next, at('2026-11-16', '12:00'));
+  });
+});
@@ -0,0 +1,3 @@
+// Services build the Supabase client on import; tests never reach the network
+process.env.SUPABASE_URL ??= 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_ROLE_KEY ??= 'test-service-role-key';
@@ -0,0 +1,97 @@
+import './helpers/env.js';
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { getEasterSunday, getNationalHoliday, getNationalHolidays } from '../src/utils/holidays.js';
+import { holidayService } from '../src/services/holidays.js';
+
+const datesNamed = (year, name) => getNationalHolidays(year).filter(holiday => holiday.name === name).map(holiday => holiday.date);
+
+describe('national holidays', () => {
+  it('finds Easter Sunday', () => {
+    assert.equal(getEasterSunday(2025).toISOString().slice(0, 10), '2025-04-20');
+    assert.equal(getEasterSunday(2026).toISOString().slice(0, 10), '2026-04-05');
+  });
+
+  it('derives Carnaval, Sexta-feira Santa and Corpus Christi from Easter', () => {
+    assert.deepEqual(datesNamed(2025, 'Carnaval'), ['2025-03-03', '2025-03-04']);
+    assert.deepEqual(datesNamed(2025, 'Sexta-feira Santa'), ['2025-04-18']);
+    assert.deepEqual(datesNamed(2025, 'Corpus Christi'), ['2025-06-19']);
+
+    assert.deepEqual(datesNamed(2026, 'Carnaval'), ['2026-02-16', '2026-02-17']);
+    assert.deepEqual(datesNamed(2026, 'Sexta-feira Santa'), ['2026-04-03']);
+    assert.deepEqual(datesNamed(2026, 'Corpus Christi'), ['2026-06-04']);
+  });
+
+  it('lists the year sorted by date', () => {
+    const dates = getNationalHolidays(2026).map(holiday => holiday.date);
+
+    assert.equal(dates.length, 13);
+    assert.deepEqual(dates, [...dates].sort());
+  });
+
+  it('observes Consciência Negra from 2024 on', () => {
+    assert.equal(getNationalHoliday('2023-11-20'), null);
+    assert.equal(getNationalHoliday('2025-11-20').name, 'Dia Nacional de Zumbi e da Consciência Negra');
+  });
+
+  it('returns null on working days', () => {
+    assert.equal(getNationalHoliday('2026-11-09'), null);
+  });
+});
+
+describe('holidayService', () => {
+  const ownerHolidays = [
+    { id: 'h1', holiday_date: '2025-01-25', name: 'Aniversário de São Paulo', scope: 'city', recurring: true },
+    { id: 'h2', holiday_date: '2026-07-09', name: 'Revolução Constitucionalista', scope: 'state', recurring: false },
+    { id: 'h3', holiday_date: '2026-11-02', name: 'Feriado local', scope: 'city', recurring: false }
+  ];
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('matches recurring owner holidays in any year', () => {
+    assert.deepEqual(holidayService.getHoliday('2026-01-25', ownerHolidays), {
+      date: '2026-01-25',
+      name: 'Aniversário de São Paulo',
+      scope: 'city'
+    });
+  });
+
+  it('matches one-off owner holidays only on their date', () => {
+    assert.equal(holidayService.getHoliday('2026-07-09', ownerHolidays).scope, 'state');
+    assert.equal(holidayService.getHoliday('2027-07-09', ownerHolidays), null);
+  });
+
+  it('prefers the national holiday on the same date', () => {
+    assert.equal(holidayService.getHoliday('2026-11-02', ownerHolidays).name, 'Finados');
+  });
+
+  it('uses the calendar date in the given timezone', () => {
+    // 01:00 UTC on the 26th is still the 25th in Sao Paulo
+    const holiday = holidayService.getHolidayAt(new Date('2026-01-26T01:00:00Z'), ownerHolidays, 'America/Sao_Paulo');
+
+    assert.equal(holiday.name, 'Aniversário de São Paulo');
+  });
+
+  it("merges the owner's holidays into the national list", async () => {
+    mock.method(holidayService, 'getOwnerHolidays', async () => ownerHolidays);
+
+    const holidays = await holidayService.listForYear('owner-1', 2026);
+    const dates = holidays.map(holiday => holiday.date);
+
+    assert.equal(holidays.length, 13 + 3);
+    assert.deepEqual(dates, [...dates].sort());
+    assert.equal(holidays.find(holiday => holiday.id === 'h1').date, '2026-01-25');
+    assert.ok(holidays.some(holiday => holiday.date === '2026-07-09' && holiday.scope === 'state'));
+  });
+
+  it('leaves out one-off owner holidays from other years', async () => {
+    mock.method(holidayService, 'getOwnerHolidays', async () => ownerHolidays);
+
+    const holidays = await holidayService.listForYear('owner-1', 2027);
+
+    assert.ok(holidays.some(holiday => holiday.date === '2027-01-25'));
+    assert.ok(!holidays.some(holiday => holiday.id === 'h2' || holiday.id === 'h3'));
+  });
+});
@@ -0,0 +1,125 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildPixPayload, crc16, sanitizePixTxid } from '../src/lib/pix.js';
+
+// Example from the Banco Central do Brasil BR Code manual (static Pix, no amount)
+const BCB_EXAMPLE = '00020126580014br.gov.bcb.pix0136123e4567-e12b-12d1-a456-4266554400005204000053039865802BR5913Fulano de Tal6008BRASILIA62070503***63041D3D';
+
+/**
+ * Split a BR Code into { id: value }, checking every declared length
+ */
+function parseFields(payload) {
+  const fields = {};
+  let index = 0;
+  while (index < payload.length) {
+    const id = payload.slice(index, index + 2);
+    const length = Number(payload.slice(index + 2, index + 4));
+    const value = payload.slice(index + 4, index + 4 + length);
+    assert.equal(value.length, length, `field ${id} is shorter than its declared length`);
+    fields[id] = value;
+    index += 4 + length;
+  }
+  return fields;
+}
+
+const build = (overrides = {}) => buildPixPayload({
+  key: 'financeiro@clinica.com.br',
+  merchantName: 'Clinica Bela',
+  merchantCity: 'Sao Paulo',
+  amount: 150,
+  txid: 'a1b2c3',
+  ...overrides
+});
+
+describe('crc16', () => {
+  it('computes CRC16-CCITT (0x1021, init 0xFFFF)', () => {
+    assert.equal(crc16('123456789'), '29B1');
+  });
+
+  it('pads to 4 hex digits', () => {
+    assert.match(crc16(''), /^[0-9A-F]{4}$/);
+  });
+});
+
+describe('buildPixPayload', () => {
+  it('matches the Banco Central example', () => {
+    const payload = buildPixPayload({
+      key: '123e4567-e12b-12d1-a456-426655440000',
+      merchantName: 'Fulano de Tal',
+      merchantCity: 'BRASILIA'
+    });
+
+    assert.equal(payload, BCB_EXAMPLE);
+  });
+
+  it('ends with the CRC of everything before it', () => {
+    const payload = build();
+
+    assert.equal(payload.slice(-8, -4), '6304');
+    assert.equal(payload.slice(-4), crc16(payload.slice(0, -4)));
+  });
+
+  it('writes the amount with two decimals', () => {
+    assert.equal(parseFields(build({ amount: 99.9 }))['54'], '99.90');
+    assert.equal(parseFields(build({ amount: null }))['54'], undefined);
+  });
+
+  it('carries the key and txid in their templates', () => {
+    const fields = parseFields(build());
+
+    assert.deepEqual(parseFields(fields['26']), { '00': 'br.gov.bcb.pix', '01': 'financeiro@clinica.com.br' });
+    assert.deepEqual(parseFields(fields['62']), { '05': 'a1b2c3' });
+  });
+
+  it('strips accents from the merchant name and city', () => {
+    const fields = parseFields(build({ merchantName: 'Clínica Estética Ação', merchantCity: 'São João' }));
+
+    assert.equal(fields['59'], 'Clinica Estetica Acao');
+    assert.equal(fields['60'], 'Sao Joao');
+  });
+
+  it('cuts long names and cities to the field limits', () => {
+    const fields = parseFields(build({
+      merchantName: 'Clinica de Estetica Avancada Doutora Fernanda',
+      merchantCity: 'Sao Jose dos Campos'
+    }));
+
+    assert.equal(fields['59'].length, 25);
+    assert.equal(fields['60'].length, 15);
+  });
+
+  it('keeps every field length right with accents and long values', () => {
+    const payload = build({
+      merchantName: 'Consultório Odontológico São Sebastião',
+      merchantCity: 'Florianópolis',
+      description: 'Sessão de limpeza – pacote com 3 sessões',
+      txid: 'c0ffee00-1234-5678-9abc-def012345678'
+    });
+
+    const fields = parseFields(payload);
+    assert.equal(parseFields(fields['26'])['02'], 'Sessao de limpeza  pacote com 3 sessoes');
+    assert.equal(payload.slice(-4), crc16(payload.slice(0, -4)));
+  });
+
+  it('requires key, merchant name and city', () => {
+    assert.throws(() => build({ key: '' }), /Pix key is required/);
+    assert.throws(() => build({ merchantName: '' }), /merchant name is required/);
+    assert.throws(() => build({ merchantCity: '' }), /merchant city is required/);
+  });
+});
+
+describe('sanitizePixTxid', () => {
+  it('keeps alphanumerics only', () => {
+    assert.equal(sanitizePixTxid('c0ffee00-1234_5678'), 'c0ffee0012345678');
+  });
+
+  it('cuts to 25 characters', () => {
+    assert.equal(sanitizePixTxid('c0ffee00-1234-5678-9abc-def012345678'), 'c0ffee00123456789abcdef01');
+  });
+
+  it("falls back to '***' when empty", () => {
+    assert.equal(sanitizePixTxid(''), '***');
+    assert.equal(sanitizePixTxid('---'), '***');
+    assert.equal(sanitizePixTxid(null), '***');
+  });
+});
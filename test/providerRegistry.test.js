@@ -0,0 +1,42 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ProviderRegistry } from '../src/utils/providerRegistry.js';
+
+const provider = name => ({ name });
+
+describe('ProviderRegistry', () => {
+  it('returns the default provider or a named one', () => {
+    const registry = new ProviderRegistry('OCR', 'fake');
+    registry.register(provider('fake'));
+    registry.register(provider('mindee'));
+
+    assert.equal(registry.get().name, 'fake');
+    assert.equal(registry.get('mindee').name, 'mindee');
+  });
+
+  it('replaces a provider registered under the same name', () => {
+    const registry = new ProviderRegistry('OCR', 'fake');
+    const replacement = provider('fake');
+    registry.register(provider('fake'));
+    registry.register(replacement);
+
+    assert.equal(registry.get(), replacement);
+  });
+
+  it('switches the default to a registered provider only', () => {
+    const registry = new ProviderRegistry('Transcription', 'stub');
+    registry.register(provider('stub'));
+    registry.register(provider('openai'));
+
+    registry.use('openai');
+    assert.equal(registry.get().name, 'openai');
+    assert.throws(() => registry.use('whisper-local'), { message: 'Transcription provider not registered: whisper-local' });
+  });
+
+  it('reports a default that was never registered when it is used', () => {
+    const registry = new ProviderRegistry('OCR', 'mindee');
+    registry.register(provider('fake'));
+
+    assert.throws(() => registry.get(), { message: 'OCR provider not registered: mindee' });
+  });
+});
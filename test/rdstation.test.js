@@ -0,0 +1,226 @@
+import './helpers/env.js';
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { RDStationClient } from '../src/lib/rdstation.js';
+import { rdStationService } from '../src/services/rdStation.js';
+import { supa } from '../src/lib/supabase.js';
+
+const OAUTH = { clientId: 'client-1', clientSecret: 'secret-1', refreshToken: 'refresh-1' };
+const inOneHour = () => new Date(Date.now() + 60 * 60 * 1000);
+
+/**
+ * axios-compatible stub: answers requests in order and records them
+ * @param {Array} responses - { data } or { status, data } for an error response
+ */
+function stubHttp(responses = []) {
+  const http = {
+    requests: [],
+    async request(config) {
+      http.requests.push(config);
+      const response = responses.shift() || { data: {} };
+      if (response.status >= 400 || response.networkError) {
+        const error = new Error(response.networkError || `Request failed with status code ${response.status}`);
+        if (response.status) error.response = { status: response.status, data: response.data };
+        throw error;
+      }
+      return { status: 200, data: response.data };
+    }
+  };
+  return http;
+}
+
+describe('RDStationClient conversions', () => {
+  it('sends conversions with the API key when there is no OAuth', async () => {
+    const http = stubHttp([{ data: { event_uuid: 'e1' } }]);
+    const client = new RDStationClient({ apiKey: 'public-key', http });
+
+    const result = await client.sendConversion('geniumed-ligacao-ia', { email: 'ana@example.com', name: 'Ana' });
+
+    assert.deepEqual(result, { event_uuid: 'e1' });
+    assert.equal(http.requests.length, 1);
+    const [request] = http.requests;
+    assert.equal(request.method, 'post');
+    assert.equal(request.url, '/platform/conversions');
+    assert.deepEqual(request.params, { api_key: 'public-key' });
+    assert.equal(request.headers.Authorization, undefined);
+    assert.equal(request.data.payload.conversion_identifier, 'geniumed-ligacao-ia');
+    assert.equal(request.data.payload.email, 'ana@example.com');
+  });
+
+  it('sends conversions as OAuth events when credentials are set', async () => {
+    const http = stubHttp([{ data: {} }]);
+    const client = new RDStationClient({ apiKey: 'public-key', ...OAUTH, accessToken: 'token-1', accessTokenExpiresAt: inOneHour(), http });
+
+    await client.sendConversion('geniumed-ligacao-ia', { email: 'ana@example.com' });
+
+    const [request] = http.requests;
+    assert.equal(request.url, '/platform/events');
+    assert.deepEqual(request.params, { event_type: 'conversion' });
+    assert.equal(request.headers.Authorization, 'Bearer token-1');
+  });
+
+  it('gets an access token first when it has none', async () => {
+    const http = stubHttp([{ data: { access_token: 'token-2', expires_in: 86400 } }, { data: {} }]);
+    const client = new RDStationClient({ ...OAUTH, http });
+
+    await client.sendConversion('geniumed-ligacao-ia', { email: 'ana@example.com' });
+
+    assert.equal(http.requests[0].url, '/auth/token');
+    assert.equal(http.requests[0].headers.Authorization, undefined);
+    assert.deepEqual(http.requests[0].data, { client_id: 'client-1', client_secret: 'secret-1', refresh_token: 'refresh-1' });
+    assert.equal(http.requests[1].headers.Authorization, 'Bearer token-2');
+  });
+
+  it('requires an email and some credentials', async () => {
+    const client = new RDStationClient({ http: stubHttp() });
+
+    await assert.rejects(client.sendConversion('x', { name: 'Ana' }), /require an email/);
+    await assert.rejects(client.sendConversion('x', { email: 'ana@example.com' }), /API key is not configured/);
+  });
+});
+
+describe('RDStationClient token refresh', () => {
+  it('refreshes once after a 401 and retries the request', async () => {
+    const http = stubHttp([
+      { status: 401, data: { errors: { error_type: 'UNAUTHORIZED' } } },
+      { data: { access_token: 'token-2', refresh_token: 'refresh-2', expires_in: 86400 } },
+      { data: { name: 'Clinica' } }
+    ]);
+    const onTokenRefresh = mock.fn(async () => {});
+    const client = new RDStationClient({ ...OAUTH, accessToken: 'stale', accessTokenExpiresAt: inOneHour(), http, onTokenRefresh });
+
+    const account = await client.getAccountInfo();
+
+    assert.deepEqual(account, { name: 'Clinica' });
+    assert.deepEqual(http.requests.map(request => request.url), ['/marketing/account_info', '/auth/token', '/marketing/account_info']);
+    assert.equal(http.requests[2].headers.Authorization, 'Bearer token-2');
+
+    assert.equal(onTokenRefresh.mock.callCount(), 1);
+    const [{ accessToken, refreshToken, accessTokenExpiresAt }] = onTokenRefresh.mock.calls[0].arguments;
+    assert.equal(accessToken, 'token-2');
+    assert.equal(refreshToken, 'refresh-2');
+    assert.ok(accessTokenExpiresAt > new Date());
+  });
+
+  it('gives up after a second 401', async () => {
+    const http = stubHttp([
+      { status: 401, data: { error_message: 'invalid token' } },
+      { data: { access_token: 'token-2', expires_in: 86400 } },
+      { status: 401, data: { error_message: 'invalid token' } }
+    ]);
+    const client = new RDStationClient({ ...OAUTH, accessToken: 'stale', accessTokenExpiresAt: inOneHour(), http });
+
+    await assert.rejects(client.getAccountInfo(), { message: 'RD Station API error (401): invalid token' });
+    assert.equal(http.requests.length, 3);
+  });
+
+  it('does not refresh API key requests', async () => {
+    const http = stubHttp([{ status: 401, data: { errors: [{ error_message: 'invalid api_key' }] } }]);
+    const client = new RDStationClient({ apiKey: 'wrong', http });
+
+    await assert.rejects(client.sendConversion('x', { email: 'ana@example.com' }), /RD Station API error \(401\)/);
+    assert.equal(http.requests.length, 1);
+  });
+});
+
+describe('RDStationClient errors', () => {
+  it('formats structured errors as JSON', async () => {
+    const http = stubHttp([{ status: 422, data: { errors: { cf_data_consulta: [{ error_type: 'INVALID_FORMAT' }] } } }]);
+    const client = new RDStationClient({ apiKey: 'public-key', http });
+
+    await assert.rejects(
+      client.sendConversion('x', { email: 'ana@example.com' }),
+      { message: 'RD Station API error (422): {"cf_data_consulta":[{"error_type":"INVALID_FORMAT"}]}' }
+    );
+  });
+
+  it('reports network errors', async () => {
+    const http = stubHttp([{ networkError: 'connect ECONNREFUSED 127.0.0.1:4010' }]);
+    const client = new RDStationClient({ apiKey: 'public-key', http });
+
+    await assert.rejects(
+      client.sendConversion('x', { email: 'ana@example.com' }),
+      { message: 'RD Station API error (network): connect ECONNREFUSED 127.0.0.1:4010' }
+    );
+  });
+
+  it('rejects unknown lifecycle stages before calling the API', async () => {
+    const http = stubHttp();
+    const client = new RDStationClient({ ...OAUTH, accessToken: 'token-1', accessTokenExpiresAt: inOneHour(), http });
+
+    await assert.rejects(client.updateLifecycleStage('ana@example.com', 'Customer'), /Invalid RD Station lifecycle stage/);
+    assert.equal(http.requests.length, 0);
+  });
+});
+
+describe('rdStationService.syncCallOutcome', () => {
+  const integration = {
+    owner_id: 'owner-1',
+    conversion_prefix: 'geniumed',
+    disposition_field: 'cf_disposicao',
+    appointment_date_field: 'cf_data_consulta'
+  };
+  const lead = { id: 'lead-1', owner_id: 'owner-1', name: 'Ana', email: 'ana@example.com', phone: '+5511999990000', status: 'calling' };
+
+  function syncWith({ appointment = null } = {}) {
+    const http = stubHttp([{ data: {} }]);
+    const client = new RDStationClient({ apiKey: 'public-key', http });
+
+    mock.method(rdStationService, 'prepare', async () => ({ integration, lead, client }));
+    mock.method(rdStationService, 'recordResult', async () => {});
+
+    const query = {
+      select: () => query,
+      eq: () => query,
+      in: () => query,
+      order: () => query,
+      limit: () => query,
+      maybeSingle: async () => ({ data: appointment, error: null })
+    };
+    mock.method(supa, 'from', () => query);
+
+    return http;
+  }
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('reports a booking over the disconnection reason', async () => {
+    const http = syncWith({ appointment: { start_at: '2026-11-09T12:00:00.000Z' } });
+
+    const result = await rdStationService.syncCallOutcome('owner-1', 'lead-1', {
+      callId: 'call-1',
+      disconnectionReason: 'voicemail_reached',
+      status: 'appointment_scheduled'
+    });
+
+    assert.deepEqual(result, { disposition: 'agendado' });
+    const { payload } = http.requests[0].data;
+    assert.equal(payload.conversion_identifier, 'geniumed-ligacao-ia');
+    assert.equal(payload.cf_disposicao, 'agendado');
+    assert.equal(payload.cf_data_consulta, '2026-11-09T12:00:00.000Z');
+    assert.deepEqual(payload.tags, ['ligacao-ia']);
+  });
+
+  it('reports the disconnection reason when nothing was booked', async () => {
+    const http = syncWith();
+
+    const result = await rdStationService.syncCallOutcome('owner-1', 'lead-1', {
+      callId: 'call-1',
+      disconnectionReason: 'voicemail_reached',
+      status: 'retry_scheduled'
+    });
+
+    assert.deepEqual(result, { disposition: 'caixa_postal' });
+    assert.equal(http.requests[0].data.payload.cf_data_consulta, undefined);
+  });
+
+  it("falls back to the lead's status", async () => {
+    syncWith();
+
+    const result = await rdStationService.syncCallOutcome('owner-1', 'lead-1', { callId: 'call-1', status: 'available_time' });
+
+    assert.deepEqual(result, { disposition: 'quer_data_antecipada' });
+  });
+});
@@ -0,0 +1,45 @@
+import './helpers/env.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { webhooksService } from '../src/services/webhooks.js';
+
+describe('webhooksService.checkDestination', () => {
+  it('accepts https URLs on public addresses', async () => {
+    assert.equal(await webhooksService.checkDestination('https://93.184.216.34/hooks'), null);
+  });
+
+  it('requires https', async () => {
+    assert.equal(await webhooksService.checkDestination('http://93.184.216.34/hooks'), 'url must use https');
+  });
+
+  it('rejects invalid URLs', async () => {
+    assert.equal(await webhooksService.checkDestination('not a url'), 'url must be a valid URL');
+  });
+
+  for (const url of [
+    'https://localhost/hooks',
+    'https://127.0.0.1/hooks',
+    'https://10.0.0.5/hooks',
+    'https://172.20.1.1/hooks',
+    'https://192.168.1.10/hooks',
+    'https://169.254.169.254/latest/meta-data',
+    'https://100.64.0.1/hooks',
+    'https://0.0.0.0/hooks',
+    'https://[::1]/hooks',
+    'https://[fd00::1]/hooks',
+    'https://[fe80::1]/hooks',
+    'https://[::ffff:10.0.0.1]/hooks'
+  ]) {
+    it(`rejects ${url}`, async () => {
+      assert.equal(await webhooksService.checkDestination(url), 'url must point to a public address');
+    });
+  }
+
+  it('validates subscriptions with the same rules', async () => {
+    assert.equal(
+      await webhooksService.validateSubscription({ url: 'https://169.254.169.254/', event_types: ['lead.created'] }),
+      'url must point to a public address'
+    );
+    assert.equal(await webhooksService.validateSubscription({ url: 'https://93.184.216.34/', event_types: ['*'] }), null);
+  });
+});